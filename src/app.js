@@ -11,14 +11,20 @@ const helmet = require('helmet');
 // Import routes
 const weatherRoutes = require('./routes/weatherRoutes');
 const healthRoutes = require('./routes/healthRoutes');
+const metricsRoutes = require('./routes/metricsRoutes');
 
 // Import middleware
+const requestId = require('./middleware/requestId');
 const requestLogger = require('./middleware/requestLogger');
+const { httpMetrics } = require('./middleware/httpMetrics');
 const { errorHandler, notFoundHandler } = require('./middleware/errorHandler');
 
 // Create Express app
 const app = express();
 
+// Request IDs first, so every response carries one
+app.use(requestId);
+
 // Security middleware
 app.use(helmet());
 
@@ -26,18 +32,22 @@ app.use(helmet());
 app.use(cors({
   origin: process.env.ALLOWED_ORIGINS ? process.env.ALLOWED_ORIGINS.split(',') : '*',
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id'],
+  // Browser clients can only read headers outside the CORS safelist if they are exposed
+  exposedHeaders: ['X-Request-Id', 'X-Cache', 'Age', 'ETag']
 }));
 
 // Body parsing middleware
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Request logging middleware
+// Request logging and metrics middleware
 app.use(requestLogger);
+app.use(httpMetrics);
 
 // API routes
 app.use('/health', healthRoutes);
+app.use('/metrics', metricsRoutes);
 app.use('/weather', weatherRoutes);
 
 // Root endpoint
@@ -47,9 +57,17 @@ app.get('/', (req, res) => {
     version: '1.0.0',
     endpoints: {
       health: '/health',
+      metrics: '/metrics',
       weather: '/weather?city=<city_name>',
+      forecast: '/weather/forecast?city=<city_name>&days=<days>',
+      weatherBatch: 'POST /weather/batch',
+      locationSearch: '/weather/locations?q=<name>',
       cacheStats: '/weather/cache/stats',
-      clearCache: 'DELETE /weather/cache'
+      cacheEntries: '/weather/cache/entries?page=<page>&limit=<limit>',
+      cacheEntry: '/weather/cache/entries/<key>',
+      clearCache: 'DELETE /weather/cache',
+      invalidateCity: 'DELETE /weather/cache/<city>',
+      invalidatePattern: 'DELETE /weather/cache/entries?pattern=<pattern>'
     },
     documentation: 'https://github.com/your-repo/weather-cache-api'
   });
@@ -61,15 +79,6 @@ app.use(notFoundHandler);
 // Global error handler
 app.use(errorHandler);
 
-// Graceful shutdown handling
-process.on('SIGTERM', () => {
-  console.log('SIGTERM received, shutting down gracefully');
-  process.exit(0);
-});
-
-process.on('SIGINT', () => {
-  console.log('SIGINT received, shutting down gracefully');
-  process.exit(0);
-});
+// Shutdown signals are handled in server.js, which owns the server and the cache
 
 module.exports = app;
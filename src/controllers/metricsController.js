@@ -0,0 +1,26 @@
+/**
+ * Metrics controller exposing Prometheus metrics
+ */
+
+const { registry, CONTENT_TYPE } = require('../utils/prometheus');
+const { sendProblem } = require('../utils/problemDetails');
+
+class MetricsController {
+  /**
+   * Prometheus scrape endpoint
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getMetrics(req, res) {
+    try {
+      const body = await registry.render();
+
+      res.status(200).set('Content-Type', CONTENT_TYPE).send(body);
+    } catch (error) {
+      console.error('Metrics error:', error);
+      sendProblem(req, res, { status: 500, detail: 'Failed to render metrics' });
+    }
+  }
+}
+
+module.exports = new MetricsController();
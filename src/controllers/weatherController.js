@@ -3,90 +3,332 @@
  */
 
 const weatherService = require('../services/weatherService');
+const { getErrorResponse } = require('../middleware/errorHandler');
+const { toLegacyBody, sendProblem } = require('../utils/problemDetails');
+const { validateFields, describeErrors } = require('../validation/schema');
+const { LOCATION_FIELDS, checkLocation, toLocation } = require('../validation/weatherSchemas');
+const { getUnitLabels } = require('../utils/units');
+const { DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES } = require('../utils/language');
+
+/**
+ * Work out which location one item of a batch request is for. An item is a
+ * city name or an object with the same fields as the GET /weather query, whose
+ * numbers are accepted as they are.
+ * @param {*} item - Item from the request body
+ * @returns {Object} { location } on success, otherwise { message } for a per-item 400 result
+ */
+const parseBatchItem = (item) => {
+  const isObject = item !== null && typeof item === 'object' && !Array.isArray(item);
+  if (typeof item !== 'string' && !isObject) {
+    return { message: 'Each location must be a city name or an object with city, lat/lon, zip/country or id' };
+  }
+
+  // ZIP codes may have been sent as numbers
+  const fields = isObject
+    ? { ...item, ...(typeof item.zip === 'number' && { zip: String(item.zip) }) }
+    : { city: item };
+  const { values, errors } = validateFields(LOCATION_FIELDS, fields);
+  const invalid = errors.length > 0 ? errors : checkLocation(values);
+
+  return invalid.length > 0 ? { message: describeErrors(invalid) } : { location: toLocation(values) };
+};
+
+/**
+ * @param {Object} req - Express request object
+ * @returns {string} Best supported language in the Accept-Language header, or English
+ */
+const getAcceptedLanguage = (req) =>
+  (req.headers?.['accept-language'] && req.acceptsLanguages(...SUPPORTED_LANGUAGES)) || DEFAULT_LANGUAGE;
+
+/**
+ * Read the unit system and language from the validated query. ?lang= wins
+ * over the Accept-Language header; languages in the header that aren't
+ * supported fall back to English rather than failing the request.
+ * @param {Object} req - Express request object, after validation
+ * @returns {Object} { units, lang }
+ */
+const getFormat = (req) => {
+  const { units, lang } = req.validated.query;
+  return { units, lang: lang || getAcceptedLanguage(req) };
+};
+
+/**
+ * Build the success response body, saying which units and language were used
+ * @param {Object} data - Weather data or forecast
+ * @param {Object} format - { units, lang } from getFormat
+ * @returns {Object} Response body
+ */
+const buildEnvelope = (data, format) => ({
+  success: true,
+  data,
+  units: getUnitLabels(format.units),
+  lang: format.lang
+});
+
+/**
+ * @param {Object} cacheEntry - Cache entry that answered (see setCacheHeaders)
+ * @returns {number} Whole seconds since the entry was cached
+ */
+const getEntryAge = (cacheEntry) => Math.max(0, Math.floor((Date.now() - cacheEntry.createdAt) / 1000));
+
+/**
+ * Describe where an answer came from, for the `meta` block clients can ask
+ * for with ?meta=true
+ * @param {Object} data - Weather data, forecast or search results
+ * @param {Object} cacheEntry - Cache entry that answered (see setCacheHeaders)
+ * @returns {Object} { cache, cacheKey, fetchedAt, expiresAt, age, source, upstreamLatencyMs, retries }
+ */
+const buildMeta = (data, cacheEntry) => ({
+  cache: cacheEntry.status.toUpperCase(),
+  cacheKey: cacheEntry.cacheKey,
+  fetchedAt: new Date(cacheEntry.createdAt).toISOString(),
+  expiresAt: new Date(cacheEntry.expiresAt).toISOString(),
+  age: getEntryAge(cacheEntry),
+  source: data.source ?? null,
+  upstreamLatencyMs: cacheEntry.upstreamLatencyMs,
+  retries: cacheEntry.retries
+});
+
+/**
+ * Set the HTTP caching and provenance headers for an answer from the weather
+ * cache. The validators come from when the data was fetched, so they only
+ * change when it is fetched again. max-age is the entry's full TTL: caches
+ * downstream subtract Age from it themselves. Data served stale is marked as such in the
+ * body, so it gets an ETag of its own and no Last-Modified, which couldn't
+ * tell it apart from the fresh copy fetched at the same time.
+ * @param {Object} res - Express response object
+ * @param {Object} data - Weather data, forecast or search results, with their `timestamp`
+ * @param {Object} cacheEntry - How the service answered: { status, cacheKey, createdAt, expiresAt, upstreamLatencyMs, retries }
+ * @param {string|null} variant - What else the body depends on, e.g. "imperial-fr", or null for a body
+ *   that can't be revalidated (no ETag or Last-Modified)
+ */
+const setCacheHeaders = (res, data, cacheEntry, variant) => {
+  const fetchedAt = Date.parse(data.timestamp) || cacheEntry.createdAt;
+  const maxAge = Math.max(0, Math.floor((cacheEntry.expiresAt - cacheEntry.createdAt) / 1000));
+  const stale = cacheEntry.status === 'stale';
+
+  res.set({
+    'Cache-Control': `public, max-age=${maxAge}`,
+    ...(variant !== null && { ETag: `W/"${fetchedAt.toString(36)}-${variant}${stale ? '-stale' : ''}"` }),
+    ...(variant !== null && !stale && { 'Last-Modified': new Date(fetchedAt).toUTCString() }),
+    'X-Cache': cacheEntry.status.toUpperCase(),
+    Age: String(getEntryAge(cacheEntry))
+  });
+  // The language may come from the Accept-Language header
+  res.vary('Accept-Language');
+};
+
+/**
+ * Send a successful lookup, with a `meta` block if ?meta=true, or 304 Not
+ * Modified when the copy the client already has (If-None-Match /
+ * If-Modified-Since) is still current. The meta block changes with every
+ * answer (its age and cache status), so answers with one are never revalidated.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} body - Response body
+ * @param {Object} data - Data in the body, for the caching headers
+ * @param {Object} cacheEntry - Cache entry that answered, if the service reported one
+ * @param {string} variant - What else the body depends on (see setCacheHeaders)
+ */
+const sendLookup = (req, res, body, data, cacheEntry, variant) => {
+  if (cacheEntry) {
+    const { meta } = req.validated.query;
+    setCacheHeaders(res, data, cacheEntry, meta ? null : variant);
+    if (meta) {
+      return res.status(200).json({ ...body, meta: buildMeta(data, cacheEntry) });
+    }
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+  }
+
+  res.status(200).json(body);
+};
+
+/**
+ * Abort the upstream work for a request if the client hangs up before we answer
+ * @param {Object} res - Express response object
+ * @returns {AbortSignal} Signal aborted when the connection closes early
+ */
+const abortOnClose = (res) => {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) {
+      controller.abort();
+    }
+  });
+  return controller.signal;
+};
+
+/**
+ * Tell whether a lookup failed because the client hung up. Nobody is listening
+ * for the response any more then; an abort the client didn't cause (e.g. a
+ * shared fetch cancelled by someone else) is an error like any other.
+ * @param {Error} error - Error the lookup failed with
+ * @param {AbortSignal} signal - Signal from abortOnClose
+ * @returns {boolean} True if the client's own connection closed
+ */
+const isClientAbort = (error, signal) => error.name === 'AbortError' && signal.aborted;
 
 class WeatherController {
   /**
-   * Get weather data for a specific city
-   * @param {Object} req - Express request object
+   * Get weather data for a city (?city=), coordinates (?lat=&lon=),
+   * ZIP/postal code (?zip=&country=) or city ID (?id=), in the units given by
+   * ?units= and the language given by ?lang= or Accept-Language
+   * @param {Object} req - Express request object, validated against weatherSchemas.getWeather
    * @param {Object} res - Express response object
+   * @param {Function} next - Express next function, for lookup errors
    */
-  async getWeather(req, res) {
-    try {
-      const { city } = req.query;
-
-      if (!city) {
-        return res.status(400).json({
-          error: 'Bad Request',
-          message: 'City parameter is required',
-          example: '/weather?city=London'
-        });
-      }
+  async getWeather(req, res, next) {
+    const signal = abortOnClose(res);
+    const location = toLocation(req.validated.query);
+    const format = getFormat(req);
+    let cacheEntry;
+    const onCacheEntry = entry => { cacheEntry = entry; };
 
-      const weatherData = await weatherService.getWeatherByCity(city);
+    try {
+      const weatherData = location.type === 'city'
+        ? await weatherService.getWeatherByCity(location.city, { ...format, signal, onCacheEntry })
+        : await weatherService.getWeatherByLocation(location, { ...format, signal, onCacheEntry });
       
-      res.status(200).json({
-        success: true,
-        data: weatherData
-      });
+      sendLookup(req, res, buildEnvelope(weatherData, format), weatherData, cacheEntry, `${format.units}-${format.lang}`);
     } catch (error) {
-      console.error('Weather controller error:', error);
-      
-      // Handle different types of errors
-      if (error.message.includes('City name is required')) {
-        return res.status(400).json({
-          error: 'Bad Request',
-          message: error.message
-        });
+      if (isClientAbort(error, signal)) {
+        console.log(`Weather request for ${req.originalUrl} aborted by client`);
+        return;
       }
-      
-      if (error.response?.status === 404) {
-        return res.status(404).json({
-          error: 'Not Found',
-          message: 'City not found. Please check the city name and try again.'
-        });
-      }
-      
-      if (error.response?.status === 401) {
-        return res.status(500).json({
-          error: 'Internal Server Error',
-          message: 'Weather service authentication failed'
-        });
+
+      next(error);
+    }
+  }
+
+  /**
+   * Get a forecast (?days=1-16, ?interval=hourly|3h|daily) for the same
+   * locations as getWeather
+   * @param {Object} req - Express request object, validated against weatherSchemas.getForecast
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function, for lookup errors
+   */
+  async getForecast(req, res, next) {
+    const signal = abortOnClose(res);
+    const { days, interval } = req.validated.query;
+    const location = toLocation(req.validated.query);
+    const format = getFormat(req);
+    let cacheEntry;
+    const onCacheEntry = entry => { cacheEntry = entry; };
+
+    try {
+      const forecastData = await weatherService.getForecast(location, { days, interval, ...format, signal, onCacheEntry });
+
+      sendLookup(req, res, buildEnvelope(forecastData, format), forecastData, cacheEntry, `${format.units}-${format.lang}`);
+    } catch (error) {
+      if (isClientAbort(error, signal)) {
+        console.log(`Forecast request for ${req.originalUrl} aborted by client`);
+        return;
       }
-      
-      if (error.code === 'ECONNABORTED' || error.code === 'ENOTFOUND') {
-        return res.status(503).json({
-          error: 'Service Unavailable',
-          message: 'Weather service is temporarily unavailable. Please try again later.'
-        });
+
+      next(error);
+    }
+  }
+
+  /**
+   * Get weather data for up to 50 locations in one request. Each location gets
+   * its own result, so one that fails doesn't fail the batch.
+   * @param {Object} req - Express request object, validated against weatherSchemas.getWeatherBatch
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function, for unexpected errors
+   */
+  async getWeatherBatch(req, res, next) {
+    const signal = abortOnClose(res);
+    const { locations } = req.validated.body;
+    const format = getFormat(req);
+
+    try {
+      const items = locations.map(parseBatchItem);
+      const lookups = items.filter(({ location }) => location).map(({ location }) => location);
+      const outcomes = await weatherService.getWeatherBatch(lookups, { ...format, signal });
+
+      // Nobody is listening for the response any more
+      if (signal.aborted) {
+        console.log(`Batch weather request for ${locations.length} locations aborted by client`);
+        return;
       }
-      
-      // Default error response
-      res.status(500).json({
-        error: 'Internal Server Error',
-        message: 'An unexpected error occurred while fetching weather data'
+
+      let nextOutcome = 0;
+      const results = items.map(({ location, message }, index) => {
+        const query = locations[index];
+        if (!location) {
+          return { query, success: false, status: 400, error: 'Bad Request', message };
+        }
+
+        const outcome = outcomes[nextOutcome++];
+        if (outcome.status === 'fulfilled') {
+          return { query, success: true, data: outcome.value };
+        }
+        const { problem } = getErrorResponse(outcome.reason);
+        return { query, success: false, status: problem.status, ...toLegacyBody(problem) };
       });
+      const succeeded = results.filter(result => result.success).length;
+
+      res.status(200).json(buildEnvelope({
+        results,
+        succeeded,
+        failed: results.length - succeeded
+      }, format));
+    } catch (error) {
+      next(error);
     }
   }
 
   /**
-   * Get cache statistics
+   * Find places matching ?q= (at least two characters), so clients can pick an
+   * exact location before asking for its weather. ?limit= caps the results
+   * (1-10, default 5).
+   * @param {Object} req - Express request object, validated against weatherSchemas.searchLocations
+   * @param {Object} res - Express response object
+   * @param {Function} next - Express next function, for lookup errors
+   */
+  async searchLocations(req, res, next) {
+    const signal = abortOnClose(res);
+    const { q, limit } = req.validated.query;
+    const lang = req.validated.query.lang || getAcceptedLanguage(req);
+    let cacheEntry;
+    const onCacheEntry = entry => { cacheEntry = entry; };
+
+    try {
+      const searchResults = await weatherService.searchLocations(q, { limit, lang, signal, onCacheEntry });
+
+      sendLookup(req, res, { success: true, data: searchResults, lang }, searchResults, cacheEntry, lang);
+    } catch (error) {
+      if (isClientAbort(error, signal)) {
+        console.log(`Location search for ${req.originalUrl} aborted by client`);
+        return;
+      }
+
+      next(error);
+    }
+  }
+
+  /**
+   * Get cache statistics, optionally resetting the counters afterwards (?reset=true)
    * @param {Object} req - Express request object
    * @param {Object} res - Express response object
    */
   async getCacheStats(req, res) {
     try {
-      const stats = weatherService.getCacheStats();
-      
+      const stats = await weatherService.getCacheStats();
+
+      if (req.validated.query.reset) {
+        weatherService.resetCacheStats();
+      }
+
       res.status(200).json({
         success: true,
         data: stats
       });
     } catch (error) {
       console.error('Cache stats error:', error);
-      res.status(500).json({
-        error: 'Internal Server Error',
-        message: 'Failed to retrieve cache statistics'
-      });
+      sendProblem(req, res, { status: 500, detail: 'Failed to retrieve cache statistics' });
     }
   }
 
@@ -97,7 +339,7 @@ class WeatherController {
    */
   async clearCache(req, res) {
     try {
-      weatherService.clearCache();
+      await weatherService.clearCache();
       
       res.status(200).json({
         success: true,
@@ -105,10 +347,100 @@ class WeatherController {
       });
     } catch (error) {
       console.error('Clear cache error:', error);
-      res.status(500).json({
-        error: 'Internal Server Error',
-        message: 'Failed to clear cache'
+      sendProblem(req, res, { status: 500, detail: 'Failed to clear cache' });
+    }
+  }
+
+  /**
+   * List cached entries with pagination
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getCacheEntries(req, res) {
+    try {
+      const { page, limit } = req.validated.query;
+      const result = await weatherService.getCacheEntries(page, limit);
+
+      res.status(200).json({
+        success: true,
+        data: result
       });
+    } catch (error) {
+      console.error('Cache entries error:', error);
+      sendProblem(req, res, { status: 500, detail: 'Failed to retrieve cache entries' });
+    }
+  }
+
+  /**
+   * Get a single cache entry by key
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async getCacheEntry(req, res) {
+    try {
+      const { key } = req.validated.params;
+      const entry = await weatherService.getCacheEntry(key);
+
+      if (!entry) {
+        return sendProblem(req, res, { status: 404, detail: `No cache entry found for key: ${key}` });
+      }
+
+      res.status(200).json({
+        success: true,
+        data: entry
+      });
+    } catch (error) {
+      console.error('Cache entry error:', error);
+      sendProblem(req, res, { status: 500, detail: 'Failed to retrieve cache entry' });
+    }
+  }
+
+  /**
+   * Evict the cached weather for one city
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async invalidateCity(req, res) {
+    try {
+      const { city } = req.validated.params;
+      const deleted = await weatherService.invalidateCity(city);
+
+      if (!deleted) {
+        return sendProblem(req, res, { status: 404, detail: `No cached weather found for city: ${city}` });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: `Cache entry for ${city} removed`
+      });
+    } catch (error) {
+      console.error('Invalidate city error:', error);
+      sendProblem(req, res, { status: 500, detail: 'Failed to remove cache entry' });
+    }
+  }
+
+  /**
+   * Evict every cache entry whose key matches a wildcard pattern
+   * @param {Object} req - Express request object
+   * @param {Object} res - Express response object
+   */
+  async invalidateCacheByPattern(req, res) {
+    try {
+      const { pattern } = req.validated.query;
+
+      const deletedKeys = await weatherService.invalidateCacheByPattern(pattern);
+
+      res.status(200).json({
+        success: true,
+        message: `Removed ${deletedKeys.length} cache entries`,
+        data: {
+          pattern,
+          deletedKeys
+        }
+      });
+    } catch (error) {
+      console.error('Invalidate pattern error:', error);
+      sendProblem(req, res, { status: 500, detail: 'Failed to remove cache entries' });
     }
   }
 }
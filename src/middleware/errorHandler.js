@@ -2,6 +2,93 @@
  * Global error handling middleware
  */
 
+const {
+  ValidationError,
+  CityNotFoundError,
+  UpstreamAuthError,
+  UpstreamUnavailableError,
+  UpstreamTimeoutError,
+  RateLimitedError
+} = require('../utils/errors');
+const { PROBLEM_TYPES, validationProblem, sendProblem } = require('../utils/problemDetails');
+
+/**
+ * Work out the problem an error becomes. This is the only place errors are
+ * mapped to status codes; the batch endpoint uses it for each failed location.
+ * @param {Error} err - Error object
+ * @returns {Object} { problem, retryAfterMs } where problem is { type, title, status, detail, ...extensions }
+ */
+const getErrorResponse = (err) => {
+  if (err instanceof ValidationError) {
+    return { problem: validationProblem(err.message, { errors: err.errors }) };
+  }
+
+  if (err instanceof CityNotFoundError) {
+    return {
+      problem: {
+        ...PROBLEM_TYPES.locationNotFound,
+        status: 404,
+        detail: err.location.type === 'city'
+          ? 'City not found. Please check the city name and try again.'
+          : 'Location not found. Please check the location and try again.'
+      }
+    };
+  }
+
+  if (err instanceof UpstreamAuthError) {
+    return {
+      problem: { ...PROBLEM_TYPES.upstreamAuth, status: 500, detail: 'Weather service authentication failed' }
+    };
+  }
+
+  if (err instanceof RateLimitedError) {
+    return {
+      problem: {
+        ...PROBLEM_TYPES.upstreamRateLimited,
+        status: 503,
+        detail: 'Weather service is receiving too many requests. Please try again later.'
+      },
+      retryAfterMs: err.retryAfterMs
+    };
+  }
+
+  // A gateway timeout rather than an outage: the provider may answer the next request
+  if (err instanceof UpstreamTimeoutError) {
+    return {
+      problem: {
+        ...PROBLEM_TYPES.upstreamTimeout,
+        status: 504,
+        detail: 'Weather service did not respond in time. Please try again later.'
+      },
+      retryAfterMs: err.retryAfterMs
+    };
+  }
+
+  if (err instanceof UpstreamUnavailableError) {
+    return {
+      problem: {
+        ...PROBLEM_TYPES.upstreamUnavailable,
+        status: 503,
+        detail: 'Weather service is temporarily unavailable. Please try again later.'
+      },
+      retryAfterMs: err.retryAfterMs
+    };
+  }
+
+  // Errors from Express itself, such as a malformed JSON body
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return { problem: { status: err.status, detail: err.message } };
+  }
+
+  // Don't expose internal error details in production
+  return {
+    problem: {
+      status: 500,
+      detail: process.env.NODE_ENV === 'development' ? err.message : 'An unexpected error occurred'
+    }
+  };
+};
+
 /**
  * Global error handler middleware
  * @param {Error} err - Error object
@@ -12,38 +99,14 @@
 const errorHandler = (err, req, res, next) => {
   console.error('Global error handler:', err);
 
-  // Default error response
-  let statusCode = 500;
-  let message = 'Internal Server Error';
-
-  // Handle specific error types
-  if (err.name === 'ValidationError') {
-    statusCode = 400;
-    message = 'Validation Error';
-  } else if (err.name === 'UnauthorizedError') {
-    statusCode = 401;
-    message = 'Unauthorized';
-  } else if (err.name === 'ForbiddenError') {
-    statusCode = 403;
-    message = 'Forbidden';
-  } else if (err.name === 'NotFoundError') {
-    statusCode = 404;
-    message = 'Not Found';
-  } else if (err.name === 'ConflictError') {
-    statusCode = 409;
-    message = 'Conflict';
-  } else if (err.name === 'TooManyRequestsError') {
-    statusCode = 429;
-    message = 'Too Many Requests';
+  const { problem, retryAfterMs } = getErrorResponse(err);
+  if (retryAfterMs > 0) {
+    res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
   }
 
-  // Don't expose internal error details in production
-  const isDevelopment = process.env.NODE_ENV === 'development';
-  
-  res.status(statusCode).json({
-    error: message,
-    message: isDevelopment ? err.message : 'An unexpected error occurred',
-    ...(isDevelopment && { stack: err.stack })
+  sendProblem(req, res, {
+    ...problem,
+    ...(process.env.NODE_ENV === 'development' && { stack: err.stack })
   });
 };
 
@@ -53,20 +116,29 @@ const errorHandler = (err, req, res, next) => {
  * @param {Object} res - Express response object
  */
 const notFoundHandler = (req, res) => {
-  res.status(404).json({
-    error: 'Not Found',
-    message: `Route ${req.method} ${req.originalUrl} not found`,
+  sendProblem(req, res, {
+    status: 404,
+    detail: `Route ${req.method} ${req.originalUrl} not found`,
     availableRoutes: [
       'GET /health',
       'GET /health/detailed',
+      'GET /metrics',
       'GET /weather?city=<city_name>',
+      'GET /weather/forecast?city=<city_name>&days=<days>',
+      'GET /weather/locations?q=<name>',
+      'POST /weather/batch',
       'GET /weather/cache/stats',
-      'DELETE /weather/cache'
+      'GET /weather/cache/entries',
+      'GET /weather/cache/entries/:key',
+      'DELETE /weather/cache',
+      'DELETE /weather/cache/:city',
+      'DELETE /weather/cache/entries?pattern=<pattern>'
     ]
   });
 };
 
 module.exports = {
+  getErrorResponse,
   errorHandler,
   notFoundHandler
 };
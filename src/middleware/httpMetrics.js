@@ -0,0 +1,76 @@
+/**
+ * HTTP request metrics middleware
+ */
+
+const { Counter, Histogram } = require('../utils/prometheus');
+
+const httpRequestsTotal = new Counter({
+  name: 'http_requests_total',
+  help: 'HTTP requests handled, by method, route and status',
+  labelNames: ['method', 'route', 'status']
+});
+
+const httpRequestDuration = new Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request latency in seconds, by method, route and status',
+  labelNames: ['method', 'route', 'status']
+});
+
+/**
+ * Label requests by route pattern rather than raw URL so that path
+ * parameters and unknown paths cannot create unbounded series
+ * @param {Object} req - Express request object
+ * @returns {string} Route label
+ */
+const getRouteLabel = (req) => {
+  if (!req.route) {
+    return 'unmatched';
+  }
+
+  const path = req.route.path === '/' && req.baseUrl ? '' : req.route.path;
+  return `${req.baseUrl}${path}`;
+};
+
+/**
+ * Remember the route label while the route is still matched. Express resets
+ * req.baseUrl once a handler passes an error on with next(err), so by the
+ * time the error response finishes the route can no longer be told apart.
+ * Put this first in every route's handlers.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const recordRoute = (req, res, next) => {
+  res.locals.routeLabel = getRouteLabel(req);
+  next();
+};
+
+/**
+ * Record request count and latency once the response has been sent
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const httpMetrics = (req, res, next) => {
+  const start = process.hrtime.bigint();
+
+  res.on('finish', () => {
+    const labels = {
+      method: req.method,
+      route: res.locals.routeLabel || getRouteLabel(req),
+      status: String(res.statusCode)
+    };
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+
+    httpRequestsTotal.inc(labels);
+    httpRequestDuration.observe(labels, seconds);
+  });
+
+  next();
+};
+
+module.exports = {
+  httpMetrics,
+  recordRoute,
+  getRouteLabel
+};
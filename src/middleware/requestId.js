@@ -0,0 +1,26 @@
+/**
+ * Request ID middleware
+ */
+
+const { randomUUID } = require('crypto');
+
+// Incoming IDs are echoed back and logged, so only accept tame ones
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * Give every request an ID, reusing the caller's X-Request-Id when it sends a
+ * usable one, and return it in the X-Request-Id response header so clients
+ * can quote it when reporting a problem
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+const requestId = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+  res.set('X-Request-Id', req.id);
+  next();
+};
+
+module.exports = requestId;
@@ -0,0 +1,77 @@
+/**
+ * Request validation middleware
+ */
+
+const { validateFields, describeErrors } = require('../validation/schema');
+const { validationProblem, sendProblem } = require('../utils/problemDetails');
+
+const PARTS = ['params', 'query', 'body'];
+
+/**
+ * @param {string} name - Body field name
+ * @returns {string} JSON pointer to the field, as a URI fragment (RFC 6901)
+ */
+const toPointer = (name) => `#/${name.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+
+/**
+ * Check a request against a schema
+ * @param {Object} schema - { params, query, body } field rules (see validation/schema.js), each
+ *   optional, plus `check`, given the validated parts, for rules across fields
+ * @param {Object} req - Express request object
+ * @returns {Object} { validated, errors } where errors lists { part, name, detail } for each
+ *   offending field and is empty if the request is valid
+ */
+const validateRequest = (schema, req) => {
+  const validated = {};
+  const errors = [];
+
+  PARTS.filter(part => schema[part]).forEach(part => {
+    const input = req[part] ?? {};
+
+    if (typeof input !== 'object' || Array.isArray(input)) {
+      errors.push({ part, name: part, detail: 'must be a JSON object' });
+      return;
+    }
+
+    const result = validateFields(schema[part], input);
+    validated[part] = result.values;
+    errors.push(...result.errors.map(error => ({ part, ...error })));
+  });
+
+  // Rules across fields only make sense once each field is valid
+  if (errors.length === 0 && schema.check) {
+    errors.push(...schema.check(validated));
+  }
+
+  return { validated, errors };
+};
+
+/**
+ * Build middleware that validates the request against a schema. A valid
+ * request continues with the coerced values, defaults filled in, as
+ * `req.validated.params`, `req.validated.query` and `req.validated.body`; an
+ * invalid one is answered with a 400 listing every offending field.
+ * @param {Object} schema - Request schema (see validateRequest), plus an optional `example`
+ *   of a valid request for the 400 response
+ * @returns {Function} Express middleware
+ */
+const validate = (schema) => (req, res, next) => {
+  const { validated, errors } = validateRequest(schema, req);
+
+  if (errors.length > 0) {
+    return sendProblem(req, res, validationProblem(describeErrors(errors), {
+      errors: errors.map(({ part, name, detail }) => (part === 'body'
+        ? { pointer: name === part ? '#' : toPointer(name), detail }
+        : { parameter: name, detail })),
+      example: schema.example
+    }));
+  }
+
+  req.validated = validated;
+  next();
+};
+
+module.exports = {
+  validateRequest,
+  validate
+};
@@ -4,13 +4,16 @@
 
 const express = require('express');
 const healthController = require('../controllers/healthController');
+const healthSchemas = require('../validation/healthSchemas');
+const { validate } = require('../middleware/validate');
+const { recordRoute } = require('../middleware/httpMetrics');
 
 const router = express.Router();
 
 // GET /health - Basic health check
-router.get('/', healthController.getHealth);
+router.get('/', recordRoute, validate(healthSchemas.getHealth), healthController.getHealth);
 
 // GET /health/detailed - Detailed health check with dependencies
-router.get('/detailed', healthController.getDetailedHealth);
+router.get('/detailed', recordRoute, validate(healthSchemas.getDetailedHealth), healthController.getDetailedHealth);
 
 module.exports = router;
@@ -0,0 +1,14 @@
+/**
+ * Metrics routes configuration
+ */
+
+const express = require('express');
+const metricsController = require('../controllers/metricsController');
+const { recordRoute } = require('../middleware/httpMetrics');
+
+const router = express.Router();
+
+// GET /metrics - Prometheus text exposition format
+router.get('/', recordRoute, metricsController.getMetrics);
+
+module.exports = router;
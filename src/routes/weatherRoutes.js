@@ -4,16 +4,40 @@
 
 const express = require('express');
 const weatherController = require('../controllers/weatherController');
+const weatherSchemas = require('../validation/weatherSchemas');
+const { validate } = require('../middleware/validate');
+const { recordRoute } = require('../middleware/httpMetrics');
 
 const router = express.Router();
 
-// GET /weather?city=...
-router.get('/', weatherController.getWeather);
+// GET /weather?city=... (or lat/lon, zip/country, id)
+router.get('/', recordRoute, validate(weatherSchemas.getWeather), weatherController.getWeather);
+
+// GET /weather/forecast?city=...&days=&interval=hourly|3h|daily
+router.get('/forecast', recordRoute, validate(weatherSchemas.getForecast), weatherController.getForecast);
+
+// GET /weather/locations?q=...&limit= - Places matching a name, to pick an exact location from
+router.get('/locations', recordRoute, validate(weatherSchemas.searchLocations), weatherController.searchLocations);
+
+// POST /weather/batch - Weather for up to 50 locations, with a result per location
+router.post('/batch', recordRoute, validate(weatherSchemas.getWeatherBatch), weatherController.getWeatherBatch);
 
 // GET /weather/cache/stats - Get cache statistics
-router.get('/cache/stats', weatherController.getCacheStats);
+router.get('/cache/stats', recordRoute, validate(weatherSchemas.getCacheStats), weatherController.getCacheStats);
+
+// GET /weather/cache/entries?page=&limit= - List cache entries
+router.get('/cache/entries', recordRoute, validate(weatherSchemas.getCacheEntries), weatherController.getCacheEntries);
+
+// GET /weather/cache/entries/:key - Inspect a single cache entry
+router.get('/cache/entries/:key', recordRoute, validate(weatherSchemas.getCacheEntry), weatherController.getCacheEntry);
+
+// DELETE /weather/cache/entries?pattern=... - Remove entries whose key matches a wildcard pattern
+router.delete('/cache/entries', recordRoute, validate(weatherSchemas.invalidateCacheByPattern), weatherController.invalidateCacheByPattern);
 
 // DELETE /weather/cache - Clear cache
-router.delete('/cache', weatherController.clearCache);
+router.delete('/cache', recordRoute, validate(weatherSchemas.clearCache), weatherController.clearCache);
+
+// DELETE /weather/cache/:city - Remove the cached weather for one city
+router.delete('/cache/:city', recordRoute, validate(weatherSchemas.invalidateCity), weatherController.invalidateCity);
 
 module.exports = router;
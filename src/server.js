@@ -3,24 +3,37 @@
  */
 
 const app = require('./app');
+const cacheService = require('./services/cache');
+const weatherService = require('./services/weatherService');
 
 const PORT = process.env.PORT || 3000;
 const HOST = process.env.HOST || 'localhost';
 
-// Start server
-const server = app.listen(PORT, HOST, () => {
-  console.log(`🚀 Weather Cache API server running on http://${HOST}:${PORT}`);
-  console.log(`📊 Health check: http://${HOST}:${PORT}/health`);
-  console.log(`🌤️  Weather API: http://${HOST}:${PORT}/weather?city=London`);
-  console.log(`📈 Environment: ${process.env.NODE_ENV || 'development'}`);
-  
-  if (!process.env.WEATHER_API_KEY) {
-    console.log('⚠️  No WEATHER_API_KEY found, using mock data');
-  }
-});
+let server;
+
+/**
+ * Start listening for requests
+ */
+const startServer = () => {
+  server = app.listen(PORT, HOST, () => {
+    console.log(`🚀 Weather Cache API server running on http://${HOST}:${PORT}`);
+    console.log(`📊 Health check: http://${HOST}:${PORT}/health`);
+    console.log(`🌤️  Weather API: http://${HOST}:${PORT}/weather?city=London`);
+    console.log(`📈 Environment: ${process.env.NODE_ENV || 'development'}`);
+    
+    const providers = weatherService.getProviderStates().map(({ name }) => name);
+    if (providers.length === 0) {
+      console.log('⚠️  No weather provider configured, using mock data');
+    } else {
+      console.log(`🌦️  Weather providers: ${providers.join(' → ')}`);
+    }
+  });
+
+  server.on('error', handleServerError);
+};
 
 // Handle server errors
-server.on('error', (error) => {
+const handleServerError = (error) => {
   if (error.syscall !== 'listen') {
     throw error;
   }
@@ -39,11 +52,27 @@ server.on('error', (error) => {
     default:
       throw error;
   }
-});
+};
+
+// Warm the cache from the last snapshot before accepting traffic
+cacheService.loadSnapshot()
+  .then(restored => {
+    if (restored > 0) {
+      console.log(`♻️  Restored ${restored} cache entries from ${cacheService.snapshotFile}`);
+    }
+  })
+  .catch(error => console.error('Failed to restore cache snapshot:', error))
+  .finally(startServer);
 
 // Graceful shutdown
 const gracefulShutdown = (signal) => {
   console.log(`\n${signal} received. Starting graceful shutdown...`);
+
+  // Nothing to drain if we were still restoring the cache snapshot
+  if (!server) {
+    process.exit(0);
+    return;
+  }
   
   server.close((err) => {
     if (err) {
@@ -52,7 +81,14 @@ const gracefulShutdown = (signal) => {
     }
     
     console.log('Server closed successfully');
-    process.exit(0);
+
+    // Snapshot what was cached since the last periodic snapshot, then release
+    // cache backend connections (e.g. Redis) before exiting
+    cacheService.saveSnapshot()
+      .catch(error => console.error('Failed to write cache snapshot:', error))
+      .then(() => cacheService.close())
+      .catch(error => console.error('Error closing cache backend:', error))
+      .finally(() => process.exit(0));
   });
   
   // Force close after 10 seconds
@@ -1,31 +1,159 @@
 /**
- * In-memory cache service for weather data
+ * Cache service for weather data, backed by a pluggable storage backend
  */
 
+const fs = require('fs/promises');
+const { createBackend } = require('./cacheBackends');
+const { writeFileAtomic } = require('../utils/atomicFile');
+const { getIntEnv } = require('../utils/env');
+const { RollingCounters } = require('../utils/metrics');
+const { Gauge, registry } = require('../utils/prometheus');
+
+// Bump when the snapshot file layout changes incompatibly
+const SNAPSHOT_VERSION = 1;
+
+/**
+ * Convert a key pattern using `*` and `?` wildcards to a RegExp
+ * @param {string} pattern - Key pattern, e.g. "weather:lon*"
+ * @returns {RegExp} Anchored regular expression
+ */
+const patternToRegExp = (pattern) => {
+  const escaped = pattern
+    .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+  return new RegExp(`^${escaped}$`);
+};
+
+/**
+ * Describe a backend entry for inspection endpoints
+ * @param {Object} entry - Backend entry ({ key, record, hits, size })
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} Entry summary
+ */
+const describeEntry = ({ key, record, hits, size }, now) => ({
+  key,
+  createdAt: new Date(record.createdAt).toISOString(),
+  expiresAt: new Date(record.expiresAt).toISOString(),
+  ageMs: now - record.createdAt,
+  ttlRemainingMs: Math.max(0, record.expiresAt - now),
+  stale: now > record.expiresAt,
+  negative: Boolean(record.negative),
+  sizeBytes: size,
+  hits
+});
+
+/**
+ * Add the hit ratio to a set of lookup counters
+ * @param {Object} counts - Counter totals
+ * @returns {Object} Counters with hitRatio (fresh and negative hits over all lookups, 0 when there were none)
+ */
+const withHitRatio = (counts) => {
+  const answered = counts.hits + counts.negativeHits;
+  const lookups = answered + counts.staleHits + counts.misses;
+  return {
+    ...counts,
+    hitRatio: lookups > 0 ? Number((answered / lookups).toFixed(4)) : 0
+  };
+};
+
 class CacheService {
-  constructor() {
-    this.cache = new Map();
+  /**
+   * @param {Object} options - Cache options, passed through to the backend when one is created
+   * @param {Object} options.backend - Backend instance to use instead of the configured one
+   * @param {string} options.type - Backend type ('memory' or 'redis'), defaults to CACHE_BACKEND
+   * @param {string} options.snapshotFile - File used by saveSnapshot/loadSnapshot, defaults to CACHE_SNAPSHOT_FILE
+   * @param {number} options.metricsWindowMs - Rolling window for windowed counters, defaults to CACHE_METRICS_WINDOW_SECONDS
+   */
+  constructor(options = {}) {
+    this.backend = options.backend || createBackend(options);
+    this.snapshotFile = options.snapshotFile ?? process.env.CACHE_SNAPSHOT_FILE ?? null;
+    this.counters = new RollingCounters(
+      ['hits', 'staleHits', 'negativeHits', 'misses', 'sets', 'negativeSets', 'evictions', 'expirations'],
+      { windowMs: options.metricsWindowMs ?? getIntEnv('CACHE_METRICS_WINDOW_SECONDS', 300) * 1000 }
+    );
+
+    // Backends that manage their own capacity report what they drop
+    if (typeof this.backend.on === 'function') {
+      this.backend.on('eviction', () => this.counters.increment('evictions'));
+      this.backend.on('expiration', () => this.counters.increment('expirations'));
+    }
   }
 
   /**
    * Get cached data by key
    * @param {string} key - Cache key
-   * @returns {any|null} Cached data or null if not found/expired
+   * @returns {Promise<any|null>} Cached data or null if not found/expired
    */
-  get(key) {
-    const item = this.cache.get(key);
-    
-    if (!item) {
+  async get(key) {
+    const entry = await this.getEntry(key);
+    return entry && !entry.stale ? entry.data : null;
+  }
+
+  /**
+   * Get a cached entry with its freshness metadata, including entries that
+   * have expired but are still inside their stale window
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} Entry ({ data, createdAt, expiresAt, staleUntil, age, stale, negative }) or null
+   */
+  async getEntry(key) {
+    let record;
+    try {
+      record = await this.backend.get(key);
+    } catch (error) {
+      // An unreachable backend degrades to a cache miss rather than failing the request
+      console.error(`Cache read failed for key ${key}:`, error.message);
+      record = null;
+    }
+
+    const entry = this.toEntry(record);
+    if (!entry) {
+      this.counters.increment('misses');
+    } else if (entry.negative) {
+      this.counters.increment('negativeHits');
+    } else {
+      this.counters.increment(entry.stale ? 'staleHits' : 'hits');
+    }
+
+    return entry;
+  }
+
+  /**
+   * Like getEntry, but without counting a lookup or touching recency; for
+   * second looks at an entry the caller has already counted
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} Entry ({ data, createdAt, expiresAt, staleUntil, age, stale, negative }) or null
+   */
+  async peekEntry(key) {
+    try {
+      const entry = await this.backend.peek(key);
+      return this.toEntry(entry && entry.record);
+    } catch (error) {
+      console.error(`Cache read failed for key ${key}:`, error.message);
       return null;
     }
-    
-    // Check if item has expired
-    if (Date.now() > item.expiresAt) {
-      this.cache.delete(key);
+  }
+
+  /**
+   * Add freshness metadata to a stored record
+   * @param {Object|null} record - Record from the backend
+   * @returns {Object|null} Entry, or null if there is no record or it is past its stale window
+   */
+  toEntry(record) {
+    const now = Date.now();
+    if (!record || now > record.staleUntil) {
       return null;
     }
-    
-    return item.data;
+
+    return {
+      data: record.data,
+      createdAt: record.createdAt,
+      expiresAt: record.expiresAt,
+      staleUntil: record.staleUntil,
+      age: now - record.createdAt,
+      stale: now > record.expiresAt,
+      negative: Boolean(record.negative)
+    };
   }
 
   /**
@@ -33,73 +161,270 @@ class CacheService {
    * @param {string} key - Cache key
    * @param {any} data - Data to cache
    * @param {number} ttlMs - Time to live in milliseconds
+   * @param {number} staleTtlMs - How long the entry may still be served stale after it expires
+   * @param {number} createdAt - When the data was fetched (ms since epoch), so callers can report
+   *   the same times later reads of the entry will
+   * @returns {Promise<boolean>} False if the entry was not stored
+   */
+  async set(key, data, ttlMs, staleTtlMs = 0, createdAt = Date.now()) {
+    const expiresAt = createdAt + ttlMs;
+    const record = { data, createdAt, expiresAt, staleUntil: expiresAt + staleTtlMs };
+
+    return this.store(key, record, 'sets');
+  }
+
+  /**
+   * Remember that a key has no data (e.g. an unknown city), replacing any cached data.
+   * Negative entries are never served stale.
+   * @param {string} key - Cache key
+   * @param {number} ttlMs - Time to live in milliseconds
+   * @returns {Promise<boolean>} False if the entry was not stored
+   */
+  async setNegative(key, ttlMs) {
+    const createdAt = Date.now();
+    const expiresAt = createdAt + ttlMs;
+    const record = { data: null, createdAt, expiresAt, staleUntil: expiresAt, negative: true };
+
+    return this.store(key, record, 'negativeSets');
+  }
+
+  /**
+   * Write a record to the backend and count it
+   * @param {string} key - Cache key
+   * @param {Object} record - Record to store
+   * @param {string} counter - Counter to increment when the record is stored
+   * @returns {Promise<boolean>} False if the entry was not stored
    */
-  set(key, data, ttlMs) {
-    const expiresAt = Date.now() + ttlMs;
-    this.cache.set(key, { data, expiresAt });
+  async store(key, record, counter) {
+    try {
+      const stored = await this.backend.set(key, record);
+      if (stored) {
+        this.counters.increment(counter);
+      }
+      return stored;
+    } catch (error) {
+      console.error(`Cache write failed for key ${key}:`, error.message);
+      return false;
+    }
   }
 
   /**
    * Delete cached data by key
    * @param {string} key - Cache key
+   * @returns {Promise<boolean>} True if an entry was deleted
+   */
+  async delete(key) {
+    return this.backend.delete(key);
+  }
+
+  /**
+   * Delete every entry whose key matches a wildcard pattern
+   * @param {string} pattern - Key pattern using `*` and `?` wildcards
+   * @returns {Promise<string[]>} Keys that were deleted
    */
-  delete(key) {
-    this.cache.delete(key);
+  async deleteMatching(pattern) {
+    const matcher = patternToRegExp(pattern);
+    const deleted = [];
+
+    for (const { key } of await this.backend.entries()) {
+      if (matcher.test(key) && await this.backend.delete(key)) {
+        deleted.push(key);
+      }
+    }
+
+    return deleted;
+  }
+
+  /**
+   * List summaries of all entries, sorted by key
+   * @returns {Promise<Object[]>} Entry summaries (key, age, remaining TTL, size, hits)
+   */
+  async listEntries() {
+    const now = Date.now();
+    return (await this.backend.entries())
+      .map(entry => describeEntry(entry, now))
+      .sort((a, b) => a.key.localeCompare(b.key));
+  }
+
+  /**
+   * Inspect a single entry, including its data, without counting a hit
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} Entry summary with data, or null if not cached
+   */
+  async inspect(key) {
+    const entry = await this.backend.peek(key);
+    if (!entry) {
+      return null;
+    }
+
+    return {
+      ...describeEntry(entry, Date.now()),
+      data: entry.record.data
+    };
   }
 
   /**
    * Clear all cached data
    */
-  clear() {
-    this.cache.clear();
+  async clear() {
+    await this.backend.clear();
   }
 
   /**
    * Get cache statistics
-   * @returns {Object} Cache statistics
+   * @param {Object} options - Stats options
+   * @param {boolean} options.entries - Include the backend's entry counts (default true). Without them
+   *   only the backend name is reported, after checking that the backend answers.
+   * @returns {Promise<Object>} Backend statistics plus lookup counters since the last reset and over the rolling window
    */
-  getStats() {
-    const now = Date.now();
-    let validEntries = 0;
-    let expiredEntries = 0;
-    
-    for (const [key, item] of this.cache.entries()) {
-      if (now > item.expiresAt) {
-        expiredEntries++;
-      } else {
-        validEntries++;
-      }
+  async getStats(options = {}) {
+    const { entries = true } = options;
+    if (!entries && this.backend.ping) {
+      await this.backend.ping();
     }
-    
+
     return {
-      totalEntries: this.cache.size,
-      validEntries,
-      expiredEntries
+      ...(entries ? await this.backend.stats() : { backend: this.backend.name }),
+      metrics: {
+        windowSeconds: this.counters.windowMs / 1000,
+        cumulative: withHitRatio(this.counters.getCumulative()),
+        window: withHitRatio(this.counters.getWindow())
+      }
     };
   }
 
   /**
-   * Clean up expired entries
+   * Zero the lookup counters
+   */
+  resetStats() {
+    this.counters.reset();
+  }
+
+  /**
+   * Clean up entries that are past their stale window
+   */
+  async cleanup() {
+    if (this.backend.cleanup) {
+      await this.backend.cleanup();
+    }
+  }
+
+  /**
+   * Snapshots are for backends that lose their entries on restart. A shared
+   * backend keeps them, and restoring an old snapshot into it would overwrite
+   * fresher entries written by other instances.
+   * @param {string} filePath - Snapshot file
+   * @returns {boolean} True if the cache should be snapshotted to filePath
+   */
+  usesSnapshots(filePath) {
+    return Boolean(filePath) && !this.backend.shared;
+  }
+
+  /**
+   * Write all unexpired entries, with their remaining TTL, to the snapshot file
+   * @param {string} filePath - Snapshot file, defaults to the configured one
+   * @returns {Promise<number>} Number of entries written (0 when snapshots are disabled or the backend is shared)
+   */
+  async saveSnapshot(filePath = this.snapshotFile) {
+    if (!this.usesSnapshots(filePath)) {
+      return 0;
+    }
+
+    const now = Date.now();
+    const entries = (await this.backend.entries())
+      .filter(({ record }) => now <= record.expiresAt)
+      .map(({ key, record }) => ({
+        key,
+        data: record.data,
+        ageMs: now - record.createdAt,
+        ttlMs: record.expiresAt - now,
+        staleTtlMs: record.staleUntil - record.expiresAt,
+        ...(record.negative && { negative: true })
+      }));
+
+    const snapshot = { version: SNAPSHOT_VERSION, savedAt: now, entries };
+    await writeFileAtomic(filePath, JSON.stringify(snapshot));
+
+    return entries.length;
+  }
+
+  /**
+   * Restore entries from the snapshot file, counting the time since it was
+   * written against each entry's remaining TTL
+   * @param {string} filePath - Snapshot file, defaults to the configured one
+   * @returns {Promise<number>} Number of entries restored (0 when snapshots are disabled or the backend is shared)
    */
-  cleanup() {
+  async loadSnapshot(filePath = this.snapshotFile) {
+    if (!this.usesSnapshots(filePath)) {
+      return 0;
+    }
+
+    let snapshot;
+    try {
+      snapshot = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`Ignoring unreadable cache snapshot ${filePath}:`, error.message);
+      }
+      return 0;
+    }
+
+    if (!snapshot || snapshot.version !== SNAPSHOT_VERSION || !Array.isArray(snapshot.entries)) {
+      console.error(`Ignoring cache snapshot ${filePath} with unsupported format`);
+      return 0;
+    }
+
     const now = Date.now();
-    for (const [key, item] of this.cache.entries()) {
-      if (now > item.expiresAt) {
-        this.cache.delete(key);
+    const elapsed = Math.max(0, now - snapshot.savedAt);
+    let restored = 0;
+
+    for (const entry of snapshot.entries) {
+      const expiresAt = now + entry.ttlMs - elapsed;
+      const record = {
+        data: entry.data,
+        createdAt: now - entry.ageMs - elapsed,
+        expiresAt,
+        staleUntil: expiresAt + entry.staleTtlMs,
+        ...(entry.negative && { negative: true })
+      };
+
+      if (now <= record.staleUntil && await this.backend.set(entry.key, record)) {
+        restored++;
       }
     }
+
+    return restored;
+  }
+
+  /**
+   * Release backend resources such as network connections
+   */
+  async close() {
+    if (this.backend.close) {
+      await this.backend.close();
+    }
   }
 }
 
 // Create singleton instance
 const cacheService = new CacheService();
 
-// Clean up expired entries every 5 minutes (only in non-test environments)
+// Clean up expired entries periodically (only in non-test environments)
+const cleanupIntervalMs = (parseInt(process.env.CACHE_CLEANUP_INTERVAL_SECONDS) || 60) * 1000;
 let cleanupInterval;
 if (process.env.NODE_ENV !== 'test') {
   cleanupInterval = setInterval(() => {
-    cacheService.cleanup();
-  }, 5 * 60 * 1000);
+    cacheService.cleanup().catch(error => console.error('Cache cleanup failed:', error.message));
+  }, cleanupIntervalMs);
+}
+
+// Periodically snapshot the cache to disk when a snapshot file is configured
+const snapshotIntervalMs = (parseInt(process.env.CACHE_SNAPSHOT_INTERVAL_SECONDS) || 60) * 1000;
+let snapshotInterval;
+if (process.env.NODE_ENV !== 'test' && cacheService.usesSnapshots(cacheService.snapshotFile)) {
+  snapshotInterval = setInterval(() => {
+    cacheService.saveSnapshot().catch(error => console.error('Cache snapshot failed:', error.message));
+  }, snapshotIntervalMs);
 }
 
 // Add cleanup method for tests
@@ -108,6 +433,65 @@ cacheService.stopCleanup = () => {
     clearInterval(cleanupInterval);
     cleanupInterval = null;
   }
+  if (snapshotInterval) {
+    clearInterval(snapshotInterval);
+    snapshotInterval = null;
+  }
 };
 
+// Prometheus gauges, refreshed from the stats counters on every scrape, so lookup and
+// operation counts drop back to zero on a stats reset. Entry gauges are only kept for
+// backends local to this instance: a scrape shouldn't wait on Redis.
+const cacheEntriesGauge = new Gauge({
+  name: 'weather_cache_entries',
+  help: 'Cached entries by state',
+  labelNames: ['state']
+});
+const cacheSizeGauge = new Gauge({
+  name: 'weather_cache_size_bytes',
+  help: 'Approximate size of cached entries in bytes'
+});
+const cacheLookupsGauge = new Gauge({
+  name: 'weather_cache_lookups',
+  help: 'Cache lookups since startup or the last stats reset, by result',
+  labelNames: ['result']
+});
+const cacheOperationsGauge = new Gauge({
+  name: 'weather_cache_operations',
+  help: 'Cache writes and removals since startup or the last stats reset, by operation',
+  labelNames: ['operation']
+});
+const cacheHitRatioGauge = new Gauge({
+  name: 'weather_cache_hit_ratio',
+  help: 'Share of cache lookups answered without the upstream since startup or the last stats reset'
+});
+
+registry.addCollector(async () => {
+  const counts = withHitRatio(cacheService.counters.getCumulative());
+
+  if (!cacheService.backend.shared) {
+    const stats = await cacheService.backend.stats();
+    cacheEntriesGauge.set({ state: 'valid' }, stats.validEntries);
+    cacheEntriesGauge.set({ state: 'stale' }, stats.staleEntries);
+    cacheEntriesGauge.set({ state: 'expired' }, stats.expiredEntries);
+    cacheEntriesGauge.set({ state: 'negative' }, stats.negativeEntries);
+    cacheSizeGauge.set({}, stats.sizeBytes);
+  }
+
+  cacheLookupsGauge.set({ result: 'hit' }, counts.hits);
+  cacheLookupsGauge.set({ result: 'stale_hit' }, counts.staleHits);
+  cacheLookupsGauge.set({ result: 'negative_hit' }, counts.negativeHits);
+  cacheLookupsGauge.set({ result: 'miss' }, counts.misses);
+
+  cacheOperationsGauge.set({ operation: 'set' }, counts.sets);
+  cacheOperationsGauge.set({ operation: 'negative_set' }, counts.negativeSets);
+  cacheOperationsGauge.set({ operation: 'eviction' }, counts.evictions);
+  cacheOperationsGauge.set({ operation: 'expiration' }, counts.expirations);
+
+  cacheHitRatioGauge.set({}, counts.hitRatio);
+});
+
+// Expose the class so callers can build isolated instances (e.g. in tests)
+cacheService.CacheService = CacheService;
+
 module.exports = cacheService;
@@ -0,0 +1,38 @@
+/**
+ * Cache backend selection
+ *
+ * Every backend implements the same async interface:
+ *   get(key) -> record|null, peek(key) -> entry|null, set(key, record) -> boolean,
+ *   delete(key) -> boolean, clear(), entries() -> entry[], stats() -> Object
+ * where an entry is { key, record, hits, size }, and may optionally implement
+ * cleanup(), close() and ping(). stats() is called on demand, so it must not
+ * read every entry. Backends shared between instances set `shared`.
+ */
+
+const MemoryBackend = require('./memoryBackend');
+const RedisBackend = require('./redisBackend');
+
+/**
+ * Create the cache backend named by options or the CACHE_BACKEND environment variable
+ * @param {Object} options - Backend options, passed through to the backend constructor
+ * @param {string} options.type - Backend type ('memory' or 'redis')
+ * @returns {MemoryBackend|RedisBackend} Cache backend instance
+ */
+const createBackend = (options = {}) => {
+  const type = (options.type || process.env.CACHE_BACKEND || 'memory').toLowerCase();
+
+  switch (type) {
+    case 'memory':
+      return new MemoryBackend(options);
+    case 'redis':
+      return new RedisBackend(options);
+    default:
+      throw new Error(`Unknown cache backend: ${type}`);
+  }
+};
+
+module.exports = {
+  createBackend,
+  MemoryBackend,
+  RedisBackend
+};
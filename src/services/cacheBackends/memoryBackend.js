@@ -0,0 +1,235 @@
+/**
+ * In-memory cache backend with LRU eviction and an approximate byte budget
+ */
+
+const EventEmitter = require('events');
+const { getIntEnv } = require('../../utils/env');
+
+/**
+ * Emits 'eviction' when a live record is dropped to stay within limits and
+ * 'expiration' when a record past its stale window is removed
+ */
+class MemoryBackend extends EventEmitter {
+  /**
+   * @param {Object} options - Backend options
+   * @param {number} options.maxEntries - Maximum number of entries (0 disables the limit)
+   * @param {number} options.maxBytes - Approximate memory budget in bytes (0 disables the limit)
+   */
+  constructor(options = {}) {
+    super();
+    this.name = 'memory';
+    // Map iteration order doubles as recency order: the first key is the least recently used
+    this.cache = new Map();
+    this.maxEntries = options.maxEntries ?? getIntEnv('CACHE_MAX_ENTRIES', 1000);
+    this.maxBytes = options.maxBytes ?? getIntEnv('CACHE_MAX_BYTES', 10 * 1024 * 1024);
+    this.totalBytes = 0;
+    this.evictions = 0;
+  }
+
+  /**
+   * Get a stored record by key
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} Record or null if not found or past its stale window
+   */
+  async get(key) {
+    const item = this.cache.get(key);
+
+    if (!item) {
+      return null;
+    }
+
+    if (Date.now() > item.record.staleUntil) {
+      this.remove(key);
+      this.emit('expiration', key);
+      return null;
+    }
+
+    // Move the entry to the most recently used position
+    this.cache.delete(key);
+    this.cache.set(key, item);
+    item.hits++;
+
+    return item.record;
+  }
+
+  /**
+   * Inspect a stored record without counting a hit or changing its recency
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} { key, record, hits, size } or null if not found
+   */
+  async peek(key) {
+    const item = this.cache.get(key);
+
+    if (!item || Date.now() > item.record.staleUntil) {
+      return null;
+    }
+
+    return { key, record: item.record, hits: item.hits, size: item.size };
+  }
+
+  /**
+   * Store a record
+   * @param {string} key - Cache key
+   * @param {Object} record - Record with data, createdAt, expiresAt and staleUntil
+   * @returns {Promise<boolean>} False if the record alone exceeds the memory budget and was not stored
+   */
+  async set(key, record) {
+    const size = this.estimateSize(key, record.data);
+
+    this.remove(key);
+
+    if (this.maxBytes > 0 && size > this.maxBytes) {
+      return false;
+    }
+
+    this.cache.set(key, { record, size, hits: 0 });
+    this.totalBytes += size;
+
+    this.evictIfNeeded();
+    return true;
+  }
+
+  /**
+   * Delete a record by key
+   * @param {string} key - Cache key
+   * @returns {Promise<boolean>} True if a record was deleted
+   */
+  async delete(key) {
+    return this.remove(key);
+  }
+
+  /**
+   * Delete all records
+   */
+  async clear() {
+    this.cache.clear();
+    this.totalBytes = 0;
+  }
+
+  /**
+   * List all records that are still within their stale window, least recently used first
+   * @returns {Promise<Array>} { key, record, hits, size } objects
+   */
+  async entries() {
+    const now = Date.now();
+    return [...this.cache.entries()]
+      .filter(([, { record }]) => now <= record.staleUntil)
+      .map(([key, { record, hits, size }]) => ({ key, record, hits, size }));
+  }
+
+  /**
+   * Get backend statistics
+   * @returns {Promise<Object>} Entry counts, size and eviction statistics
+   */
+  async stats() {
+    const now = Date.now();
+    let validEntries = 0;
+    let staleEntries = 0;
+    let expiredEntries = 0;
+    let negativeEntries = 0;
+
+    for (const { record } of this.cache.values()) {
+      if (record.negative && now <= record.staleUntil) {
+        negativeEntries++;
+      }
+
+      if (now > record.staleUntil) {
+        expiredEntries++;
+      } else if (now > record.expiresAt) {
+        staleEntries++;
+      } else {
+        validEntries++;
+      }
+    }
+
+    return {
+      backend: this.name,
+      totalEntries: this.cache.size,
+      validEntries,
+      staleEntries,
+      expiredEntries,
+      negativeEntries,
+      maxEntries: this.maxEntries,
+      sizeBytes: this.totalBytes,
+      maxBytes: this.maxBytes,
+      evictions: this.evictions
+    };
+  }
+
+  /**
+   * Clean up records that are past their stale window
+   */
+  async cleanup() {
+    this.removeExpired();
+  }
+
+  /**
+   * Remove a record and release its share of the byte budget
+   * @param {string} key - Cache key
+   * @returns {boolean} True if a record was removed
+   */
+  remove(key) {
+    const item = this.cache.get(key);
+    if (!item) {
+      return false;
+    }
+
+    this.totalBytes -= item.size;
+    this.cache.delete(key);
+    return true;
+  }
+
+  /**
+   * Remove every record that is past its stale window
+   */
+  removeExpired() {
+    const now = Date.now();
+    for (const [key, { record }] of this.cache.entries()) {
+      if (now > record.staleUntil) {
+        this.remove(key);
+        this.emit('expiration', key);
+      }
+    }
+  }
+
+  /**
+   * Check whether the cache exceeds its entry or byte limits
+   * @returns {boolean} True if over either limit
+   */
+  isOverCapacity() {
+    return (this.maxEntries > 0 && this.cache.size > this.maxEntries) ||
+           (this.maxBytes > 0 && this.totalBytes > this.maxBytes);
+  }
+
+  /**
+   * Bring the cache back within its limits, dropping expired records before
+   * evicting live ones in least-recently-used order
+   */
+  evictIfNeeded() {
+    if (!this.isOverCapacity()) {
+      return;
+    }
+
+    this.removeExpired();
+
+    while (this.isOverCapacity()) {
+      const oldestKey = this.cache.keys().next().value;
+      this.remove(oldestKey);
+      this.evictions++;
+      this.emit('eviction', oldestKey);
+    }
+  }
+
+  /**
+   * Approximate the memory footprint of an entry
+   * @param {string} key - Cache key
+   * @param {any} data - Cached data
+   * @returns {number} Estimated size in bytes
+   */
+  estimateSize(key, data) {
+    const serialized = JSON.stringify(data) ?? '';
+    return Buffer.byteLength(key) + Buffer.byteLength(serialized);
+  }
+}
+
+module.exports = MemoryBackend;
@@ -0,0 +1,224 @@
+/**
+ * Redis cache backend, shared between instances behind a load balancer
+ */
+
+const { RespClient } = require('../../utils/resp');
+const { getIntEnv } = require('../../utils/env');
+
+// Keys per MGET/DEL round trip when scanning the whole keyspace
+const BATCH_SIZE = 100;
+
+class RedisBackend {
+  /**
+   * @param {Object} options - Backend options
+   * @param {string} options.url - Redis connection URL
+   * @param {string} options.keyPrefix - Prefix namespacing this service's keys
+   * @param {RespClient} options.client - Pre-built client (mainly for tests)
+   */
+  constructor(options = {}) {
+    this.name = 'redis';
+    // Other instances read and write the same keys, and Redis keeps them across our restarts
+    this.shared = true;
+    this.keyPrefix = options.keyPrefix ?? process.env.CACHE_KEY_PREFIX ?? 'weather-cache:';
+    // Bookkeeping keys live under the same prefix, marked by a leading `__`
+    this.internalPrefix = `${this.keyPrefix}__`;
+    // Sorted set of entry keys scored by the end of their stale window, so they
+    // can be counted without touching anything else in the database
+    this.indexKey = `${this.internalPrefix}index`;
+    this.client = options.client || new RespClient({
+      url: options.url || process.env.REDIS_URL,
+      commandTimeout: getIntEnv('REDIS_COMMAND_TIMEOUT_MS', 2000),
+      connectTimeout: getIntEnv('REDIS_CONNECT_TIMEOUT_MS', 2000)
+    });
+  }
+
+  /**
+   * Get a stored record by key
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} Record or null if not found
+   */
+  async get(key) {
+    const raw = await this.client.command('GET', this.keyPrefix + key);
+    if (raw === null) {
+      return null;
+    }
+
+    const record = JSON.parse(raw);
+
+    // Hit counts are informational, so a failed increment must not fail the read.
+    // The count expires with its record, so counts for entries nobody replaces don't pile up.
+    const hitsKey = this.hitsKeyFor(key);
+    this.client.command('INCR', hitsKey).catch(() => {});
+    this.client.command('PEXPIREAT', hitsKey, record.staleUntil).catch(() => {});
+
+    return record;
+  }
+
+  /**
+   * Inspect a stored record without counting a hit
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} { key, record, hits, size } or null if not found
+   */
+  async peek(key) {
+    const raw = await this.client.command('GET', this.keyPrefix + key);
+    if (raw === null) {
+      return null;
+    }
+
+    const hits = await this.client.command('GET', this.hitsKeyFor(key));
+    return {
+      key,
+      record: JSON.parse(raw),
+      hits: parseInt(hits, 10) || 0,
+      size: this.sizeOf(key, raw)
+    };
+  }
+
+  /**
+   * Store a record, letting Redis expire it at the end of its stale window
+   * @param {string} key - Cache key
+   * @param {Object} record - Record with data, createdAt, expiresAt and staleUntil
+   * @returns {Promise<boolean>} False if the record was already past its stale window
+   */
+  async set(key, record) {
+    const ttlMs = Math.ceil(record.staleUntil - Date.now());
+    if (ttlMs <= 0) {
+      await this.delete(key);
+      return false;
+    }
+
+    await this.client.command('SET', this.keyPrefix + key, JSON.stringify(record), 'PX', ttlMs);
+    await this.client.command('ZADD', this.indexKey, record.staleUntil, key);
+    // Trim index entries for records Redis has expired, so the index doesn't outgrow them
+    await this.client.command('ZREMRANGEBYSCORE', this.indexKey, '-inf', Date.now());
+    await this.client.command('DEL', this.hitsKeyFor(key));
+    return true;
+  }
+
+  /**
+   * Delete a record by key
+   * @param {string} key - Cache key
+   * @returns {Promise<boolean>} True if a record was deleted
+   */
+  async delete(key) {
+    const deleted = await this.client.command('DEL', this.keyPrefix + key);
+    await this.client.command('ZREM', this.indexKey, key);
+    await this.client.command('DEL', this.hitsKeyFor(key));
+    return deleted > 0;
+  }
+
+  /**
+   * Delete every record under this backend's key prefix, along with its bookkeeping
+   */
+  async clear() {
+    const keys = await this.scanKeys();
+    for (let i = 0; i < keys.length; i += BATCH_SIZE) {
+      await this.client.command('DEL', ...keys.slice(i, i + BATCH_SIZE));
+    }
+  }
+
+  /**
+   * List all records under this backend's prefix
+   * @returns {Promise<Array>} { key, record, hits, size } objects, with the prefix stripped from keys
+   */
+  async entries() {
+    const keys = (await this.scanKeys()).filter(key => !key.startsWith(this.internalPrefix));
+    const entries = [];
+
+    for (let i = 0; i < keys.length; i += BATCH_SIZE) {
+      const batch = keys.slice(i, i + BATCH_SIZE).map(key => key.slice(this.keyPrefix.length));
+      const values = await this.client.command('MGET', ...batch.map(key => this.keyPrefix + key));
+      const hits = await this.client.command('MGET', ...batch.map(key => this.hitsKeyFor(key)));
+
+      values.forEach((raw, index) => {
+        // Keys can expire between SCAN and MGET
+        if (raw !== null) {
+          const key = batch[index];
+          entries.push({
+            key,
+            record: JSON.parse(raw),
+            hits: parseInt(hits[index], 10) || 0,
+            size: this.sizeOf(key, raw)
+          });
+        }
+      });
+    }
+
+    return entries;
+  }
+
+  /**
+   * Get backend statistics. Counting entries by state or size means reading
+   * every record, so only the number of entries in the index is reported.
+   * @returns {Promise<Object>} Entry count, with the per-state counts and size as null
+   */
+  async stats() {
+    // Redis expires the records themselves; drop their index entries to match
+    await this.client.command('ZREMRANGEBYSCORE', this.indexKey, '-inf', Date.now());
+    const totalEntries = await this.client.command('ZCARD', this.indexKey);
+
+    return {
+      backend: this.name,
+      totalEntries,
+      validEntries: null,
+      staleEntries: null,
+      // Redis drops records itself at the end of their stale window
+      expiredEntries: 0,
+      negativeEntries: null,
+      sizeBytes: null
+    };
+  }
+
+  /**
+   * Check that Redis answers
+   */
+  async ping() {
+    await this.client.command('PING');
+  }
+
+  /**
+   * Close the connection to Redis
+   */
+  async close() {
+    this.client.close();
+  }
+
+  /**
+   * List all keys under this backend's prefix without blocking Redis
+   * @returns {Promise<string[]>} Fully prefixed keys, bookkeeping keys included
+   */
+  async scanKeys() {
+    const keys = [];
+    let cursor = '0';
+
+    do {
+      const [nextCursor, batch] = await this.client.command(
+        'SCAN', cursor, 'MATCH', `${this.keyPrefix}*`, 'COUNT', BATCH_SIZE
+      );
+      keys.push(...batch);
+      cursor = nextCursor;
+    } while (cursor !== '0');
+
+    return keys;
+  }
+
+  /**
+   * @param {string} key - Cache key without prefix
+   * @returns {string} Key holding the entry's hit count
+   */
+  hitsKeyFor(key) {
+    return `${this.internalPrefix}hits:${key}`;
+  }
+
+  /**
+   * Approximate the memory footprint of a stored entry
+   * @param {string} key - Cache key without prefix
+   * @param {string} raw - Serialized record
+   * @returns {number} Size in bytes
+   */
+  sizeOf(key, raw) {
+    return Buffer.byteLength(this.keyPrefix + key) + Buffer.byteLength(raw);
+  }
+}
+
+module.exports = RedisBackend;
@@ -0,0 +1,67 @@
+/**
+ * Helpers shared by the providers' forecast transforms
+ *
+ * A normalized forecast is
+ *   { city, country, interval, days, entries, timestamp, source }
+ * where each hourly or 3-hourly entry is
+ *   { time, temperature, feelsLike, humidity, pressure, description, main,
+ *     wind: { speed, direction }, precipitationProbability }
+ * and each daily entry is
+ *   { date, temperature: { min, max }, description, main, precipitationProbability }
+ * Times are ISO 8601 in UTC, dates are YYYY-MM-DD in the location's local time.
+ */
+
+/**
+ * Keep every nth entry of an hourly series
+ * @param {Object[]} entries - Hourly forecast entries
+ * @param {number} hours - Hours between the entries kept
+ * @returns {Object[]} Entries `hours` apart
+ */
+const sampleEvery = (entries, hours) => entries.filter((entry, index) => index % hours === 0);
+
+/**
+ * Summarize hourly or 3-hourly entries into one entry per local day
+ * @param {Object[]} entries - Forecast entries in time order
+ * @param {Object} options - Aggregation options
+ * @param {number} options.days - Number of days to keep
+ * @param {number} options.utcOffsetSeconds - Offset of the location's local time from UTC
+ * @returns {Object[]} Daily entries; the weather description is taken from the entry nearest midday
+ */
+const aggregateDaily = (entries, options) => {
+  const offsetMs = (options.utcOffsetSeconds || 0) * 1000;
+  const days = new Map();
+
+  entries.forEach(entry => {
+    const local = new Date(Date.parse(entry.time) + offsetMs);
+    const date = local.toISOString().slice(0, 10);
+    if (!days.has(date)) {
+      days.set(date, []);
+    }
+    days.get(date).push({ entry, hour: local.getUTCHours() });
+  });
+
+  return [...days.entries()].slice(0, options.days).map(([date, hours]) => {
+    const temperatures = hours.map(({ entry }) => entry.temperature);
+    const probabilities = hours
+      .map(({ entry }) => entry.precipitationProbability)
+      .filter(probability => probability !== null && probability !== undefined);
+    const { entry: midday } = hours.reduce((best, candidate) =>
+      Math.abs(candidate.hour - 12) < Math.abs(best.hour - 12) ? candidate : best);
+
+    return {
+      date,
+      temperature: {
+        min: Math.min(...temperatures),
+        max: Math.max(...temperatures)
+      },
+      description: midday.description,
+      main: midday.main,
+      precipitationProbability: probabilities.length > 0 ? Math.max(...probabilities) : null
+    };
+  });
+};
+
+module.exports = {
+  sampleEvery,
+  aggregateDaily
+};
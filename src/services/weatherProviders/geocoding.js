@@ -0,0 +1,129 @@
+/**
+ * City name and postal code lookup for providers that only accept coordinates, using the
+ * Open-Meteo geocoding API (no API key needed)
+ */
+
+const axios = require('axios');
+const { createNotFoundError } = require('../../utils/errors');
+
+/**
+ * Query the geocoding API
+ * @param {Object} params - Search parameters in addition to the defaults
+ * @param {Object} options - Lookup options
+ * @param {number} options.count - Number of matches wanted
+ * @param {string} options.lang - Language of the place names, defaults to English
+ * @param {AbortSignal} options.signal - Aborts the lookup
+ * @returns {Promise<Object[]>} Raw matches, best first
+ */
+const fetchResults = async (params, options) => {
+  const url = process.env.GEOCODING_API_URL || 'https://geocoding-api.open-meteo.com/v1/search';
+  const response = await axios.get(url, {
+    params: {
+      ...params,
+      count: options.count,
+      // The API takes bare language codes, e.g. "pt" rather than "pt-br"
+      language: (options.lang || 'en').split('-')[0],
+      format: 'json'
+    },
+    signal: options.signal
+  });
+
+  // The API leaves results out entirely when nothing matches
+  return response.data.results || [];
+};
+
+/**
+ * Look a name or postal code up, returning the best match
+ * @param {Object} params - Search parameters in addition to the defaults
+ * @param {string} description - What is being looked up, for the not-found error
+ * @param {Object} options - Lookup options
+ * @param {string} options.lang - Language of the place name, defaults to English
+ * @param {AbortSignal} options.signal - Aborts the lookup
+ * @returns {Promise<Object>} { name, country, latitude, longitude } of the best match
+ * @throws {Error} Error with a 404 response status if no place matches
+ */
+const search = async (params, description, options = {}) => {
+  const [place] = await fetchResults(params, { ...options, count: 1 });
+  if (!place) {
+    throw createNotFoundError(description);
+  }
+
+  return {
+    name: place.name,
+    country: place.country_code,
+    latitude: place.latitude,
+    longitude: place.longitude
+  };
+};
+
+/**
+ * Resolve a city name to coordinates
+ * @param {string} city - City name
+ * @param {Object} options - Lookup options
+ * @param {AbortSignal} options.signal - Aborts the lookup
+ * @returns {Promise<Object>} { name, country, latitude, longitude } of the best match
+ * @throws {Error} Error with a 404 response status if no place matches
+ */
+const geocodeCity = (city, options = {}) => search({ name: city }, city, options);
+
+/**
+ * Resolve a ZIP/postal code within a country to coordinates
+ * @param {string} zip - ZIP/postal code
+ * @param {string} country - ISO 3166 country code
+ * @param {Object} options - Lookup options
+ * @param {AbortSignal} options.signal - Aborts the lookup
+ * @returns {Promise<Object>} { name, country, latitude, longitude } of the best match
+ * @throws {Error} Error with a 404 response status if no place matches
+ */
+const geocodePostalCode = (zip, country, options = {}) =>
+  search({ name: zip, countryCode: country.toUpperCase() }, `${zip},${country}`, options);
+
+/**
+ * Find places whose name matches a search, for clients to choose from
+ * @param {string} query - Place name, or the start of one
+ * @param {Object} options - Search options
+ * @param {number} options.limit - Largest number of places to return
+ * @param {string} options.lang - Language of the place names, defaults to English
+ * @param {AbortSignal} options.signal - Aborts the search
+ * @returns {Promise<Object[]>} { name, state, country, lat, lon } per place, best match first
+ */
+const searchPlaces = async (query, options) => {
+  const places = await fetchResults({ name: query }, { ...options, count: options.limit });
+
+  return places.map(place => ({
+    name: place.name,
+    state: place.admin1 ?? null,
+    country: place.country_code,
+    lat: place.latitude,
+    lon: place.longitude
+  }));
+};
+
+/**
+ * Resolve a location to a place with coordinates. Coordinates are used as they
+ * are, without a name, as the geocoding API has no reverse lookup.
+ * @param {Object} location - City, coordinates or ZIP location (see utils/location.js)
+ * @param {Object} options - Lookup options
+ * @param {string} options.lang - Language of the place name, defaults to English
+ * @param {AbortSignal} options.signal - Aborts the lookup
+ * @returns {Promise<Object>} { name, country, latitude, longitude }
+ */
+const resolvePlace = async (location, options = {}) => {
+  switch (location.type) {
+    case 'coordinates':
+      return { name: null, country: null, latitude: location.lat, longitude: location.lon };
+    case 'zip':
+      return geocodePostalCode(location.zip, location.country, options);
+    case 'city':
+      return geocodeCity(location.city, options);
+    default:
+      throw new Error(`Cannot geocode a location of type ${location.type}`);
+  }
+};
+
+module.exports = {
+  geocodeCity,
+  geocodePostalCode,
+  searchPlaces,
+  resolvePlace
+};
@@ -0,0 +1,63 @@
+/**
+ * Weather provider selection
+ *
+ * Every provider implements the same interface:
+ *   name, isConfigured() -> boolean, supports(location) -> boolean,
+ *   fetchCurrent(location, { lang, signal }) -> weather,
+ *   supportsForecast({ days, interval }) -> boolean,
+ *   fetchForecast(location, { days, interval, lang, signal }) -> forecast,
+ *   searchLocations(query, { limit, lang, signal }) -> { query, results, timestamp, source }
+ * where location is a normalized location (see utils/location.js), weather is
+ * the normalized shape produced by OpenWeatherMapProvider.transform, forecast
+ * is described in forecast.js and each search result is
+ * { name, state, country, lat, lon }. Every answer has `source` set to the
+ * provider's name. Failures are reported like axios errors
+ * (error.response.status, error.code), and an unknown city as a 404.
+ */
+
+const OpenWeatherMapProvider = require('./openWeatherMapProvider');
+const OpenMeteoProvider = require('./openMeteoProvider');
+const MetNorwayProvider = require('./metNorwayProvider');
+const MockProvider = require('./mockProvider');
+
+/**
+ * Create a provider by name
+ * @param {string} name - Provider name ('openweathermap', 'open-meteo', 'met-norway' or 'mock')
+ * @param {Object} options - Options passed through to the provider constructor
+ * @returns {Object} Provider instance
+ */
+const createProvider = (name, options = {}) => {
+  switch (name) {
+    case 'openweathermap':
+      return new OpenWeatherMapProvider(options);
+    case 'open-meteo':
+      return new OpenMeteoProvider(options);
+    case 'met-norway':
+      return new MetNorwayProvider(options);
+    case 'mock':
+      return new MockProvider();
+    default:
+      throw new Error(`Unknown weather provider: ${name}`);
+  }
+};
+
+/**
+ * Create the failover chain named by the WEATHER_PROVIDERS environment variable,
+ * in the order providers should be tried
+ * @param {string} names - Comma-separated provider names, defaults to WEATHER_PROVIDERS
+ * @returns {Object[]} Provider instances
+ */
+const createProviders = (names = process.env.WEATHER_PROVIDERS || 'openweathermap') => names
+  .split(',')
+  .map(name => name.trim().toLowerCase())
+  .filter(Boolean)
+  .map(name => createProvider(name));
+
+module.exports = {
+  createProvider,
+  createProviders,
+  OpenWeatherMapProvider,
+  OpenMeteoProvider,
+  MetNorwayProvider,
+  MockProvider
+};
@@ -0,0 +1,68 @@
+/**
+ * Major cities searched by the mock provider, so location search works offline.
+ * Population (in millions, metropolitan area, rounded) only orders matches.
+ */
+
+module.exports = [
+  { name: 'Tokyo', state: 'Tokyo', country: 'JP', lat: 35.6895, lon: 139.6917, population: 37.4 },
+  { name: 'Delhi', state: 'Delhi', country: 'IN', lat: 28.6519, lon: 77.2315, population: 31.2 },
+  { name: 'Shanghai', state: 'Shanghai', country: 'CN', lat: 31.2222, lon: 121.4581, population: 27.8 },
+  { name: 'São Paulo', state: 'São Paulo', country: 'BR', lat: -23.5475, lon: -46.6361, population: 22.2 },
+  { name: 'Mexico City', state: 'Mexico City', country: 'MX', lat: 19.4285, lon: -99.1277, population: 21.9 },
+  { name: 'Cairo', state: 'Cairo', country: 'EG', lat: 30.0626, lon: 31.2497, population: 21.3 },
+  { name: 'Mumbai', state: 'Maharashtra', country: 'IN', lat: 19.0728, lon: 72.8826, population: 20.7 },
+  { name: 'Beijing', state: 'Beijing', country: 'CN', lat: 39.9075, lon: 116.3972, population: 20.5 },
+  { name: 'Dhaka', state: 'Dhaka Division', country: 'BD', lat: 23.7104, lon: 90.4074, population: 21.7 },
+  { name: 'Osaka', state: 'Osaka', country: 'JP', lat: 34.6937, lon: 135.5022, population: 19.1 },
+  { name: 'New York', state: 'New York', country: 'US', lat: 40.7143, lon: -74.006, population: 18.8 },
+  { name: 'Karachi', state: 'Sindh', country: 'PK', lat: 24.8608, lon: 67.0104, population: 16.5 },
+  { name: 'Buenos Aires', state: 'Buenos Aires F.D.', country: 'AR', lat: -34.6132, lon: -58.3772, population: 15.3 },
+  { name: 'Istanbul', state: 'Istanbul', country: 'TR', lat: 41.0138, lon: 28.9497, population: 15.4 },
+  { name: 'Kolkata', state: 'West Bengal', country: 'IN', lat: 22.5626, lon: 88.363, population: 14.9 },
+  { name: 'Lagos', state: 'Lagos', country: 'NG', lat: 6.4541, lon: 3.3947, population: 14.9 },
+  { name: 'Manila', state: 'Metro Manila', country: 'PH', lat: 14.6042, lon: 120.9822, population: 14.2 },
+  { name: 'Rio de Janeiro', state: 'Rio de Janeiro', country: 'BR', lat: -22.9064, lon: -43.1822, population: 13.6 },
+  { name: 'Guangzhou', state: 'Guangdong', country: 'CN', lat: 23.1167, lon: 113.25, population: 13.6 },
+  { name: 'Los Angeles', state: 'California', country: 'US', lat: 34.0522, lon: -118.2437, population: 12.5 },
+  { name: 'Moscow', state: 'Moscow', country: 'RU', lat: 55.7522, lon: 37.6156, population: 12.6 },
+  { name: 'Paris', state: 'Île-de-France', country: 'FR', lat: 48.8534, lon: 2.3488, population: 11.1 },
+  { name: 'Jakarta', state: 'Jakarta', country: 'ID', lat: -6.2146, lon: 106.8451, population: 10.9 },
+  { name: 'Bangkok', state: 'Bangkok', country: 'TH', lat: 13.754, lon: 100.5014, population: 10.7 },
+  { name: 'Seoul', state: 'Seoul', country: 'KR', lat: 37.566, lon: 126.9784, population: 10.0 },
+  { name: 'London', state: 'England', country: 'GB', lat: 51.5085, lon: -0.1257, population: 9.5 },
+  { name: 'Lima', state: 'Lima', country: 'PE', lat: -12.0432, lon: -77.0282, population: 10.9 },
+  { name: 'Tehran', state: 'Tehran', country: 'IR', lat: 35.6944, lon: 51.4215, population: 9.4 },
+  { name: 'Chicago', state: 'Illinois', country: 'US', lat: 41.85, lon: -87.65, population: 8.9 },
+  { name: 'Hong Kong', state: null, country: 'HK', lat: 22.2783, lon: 114.1747, population: 7.6 },
+  { name: 'Madrid', state: 'Madrid', country: 'ES', lat: 40.4165, lon: -3.7026, population: 6.7 },
+  { name: 'Toronto', state: 'Ontario', country: 'CA', lat: 43.7001, lon: -79.4163, population: 6.3 },
+  { name: 'Singapore', state: null, country: 'SG', lat: 1.2897, lon: 103.8501, population: 6.0 },
+  { name: 'Sydney', state: 'New South Wales', country: 'AU', lat: -33.8679, lon: 151.2073, population: 5.4 },
+  { name: 'Saint Petersburg', state: 'Saint Petersburg', country: 'RU', lat: 59.9386, lon: 30.3141, population: 5.5 },
+  { name: 'Johannesburg', state: 'Gauteng', country: 'ZA', lat: -26.2023, lon: 28.0436, population: 6.1 },
+  { name: 'Melbourne', state: 'Victoria', country: 'AU', lat: -37.814, lon: 144.9633, population: 5.1 },
+  { name: 'Nairobi', state: 'Nairobi County', country: 'KE', lat: -1.2833, lon: 36.8167, population: 5.1 },
+  { name: 'Berlin', state: 'Berlin', country: 'DE', lat: 52.5244, lon: 13.4105, population: 4.6 },
+  { name: 'Rome', state: 'Lazio', country: 'IT', lat: 41.8919, lon: 12.5113, population: 4.3 },
+  { name: 'Athens', state: 'Attica', country: 'GR', lat: 37.9838, lon: 23.7278, population: 3.2 },
+  { name: 'San Francisco', state: 'California', country: 'US', lat: 37.7749, lon: -122.4194, population: 3.3 },
+  { name: 'Montreal', state: 'Quebec', country: 'CA', lat: 45.5088, lon: -73.5878, population: 4.3 },
+  { name: 'Barcelona', state: 'Catalonia', country: 'ES', lat: 41.3888, lon: 2.159, population: 5.6 },
+  { name: 'Dubai', state: 'Dubai', country: 'AE', lat: 25.0772, lon: 55.3093, population: 3.6 },
+  { name: 'Lisbon', state: 'Lisbon', country: 'PT', lat: 38.7167, lon: -9.1333, population: 3.0 },
+  { name: 'Vienna', state: 'Vienna', country: 'AT', lat: 48.2085, lon: 16.3721, population: 2.0 },
+  { name: 'Amsterdam', state: 'North Holland', country: 'NL', lat: 52.374, lon: 4.8897, population: 2.5 },
+  { name: 'Stockholm', state: 'Stockholm', country: 'SE', lat: 59.3294, lon: 18.0687, population: 1.7 },
+  { name: 'Dublin', state: 'Leinster', country: 'IE', lat: 53.3331, lon: -6.2489, population: 1.4 },
+  { name: 'Oslo', state: 'Oslo', country: 'NO', lat: 59.9127, lon: 10.7461, population: 1.1 },
+  { name: 'Auckland', state: 'Auckland', country: 'NZ', lat: -36.8485, lon: 174.7635, population: 1.7 },
+  { name: 'Cape Town', state: 'Western Cape', country: 'ZA', lat: -33.9258, lon: 18.4232, population: 4.8 },
+  { name: 'Vancouver', state: 'British Columbia', country: 'CA', lat: 49.2497, lon: -123.1193, population: 2.6 },
+  { name: 'Seattle', state: 'Washington', country: 'US', lat: 47.6062, lon: -122.3321, population: 4.0 },
+  { name: 'Boston', state: 'Massachusetts', country: 'US', lat: 42.3584, lon: -71.0598, population: 4.9 },
+  { name: 'Miami', state: 'Florida', country: 'US', lat: 25.7743, lon: -80.1937, population: 6.1 },
+  { name: 'London', state: 'Ontario', country: 'CA', lat: 42.9834, lon: -81.233, population: 0.5 },
+  { name: 'Paris', state: 'Texas', country: 'US', lat: 33.6609, lon: -95.5555, population: 0.03 },
+  { name: 'Zürich', state: 'Zurich', country: 'CH', lat: 47.3667, lon: 8.55, population: 1.4 },
+  { name: 'Kraków', state: 'Lesser Poland', country: 'PL', lat: 50.0614, lon: 19.9366, population: 0.8 }
+];
@@ -0,0 +1,254 @@
+/**
+ * MET Norway (api.met.no) Locationforecast provider (no API key needed, but
+ * its terms require an identifying User-Agent)
+ */
+
+const axios = require('axios');
+const { resolvePlace, searchPlaces } = require('./geocoding');
+const { sampleEvery, aggregateDaily } = require('./forecast');
+
+// Time steps are hourly for about two and a half days, then six-hourly up to nine days
+const FORECAST_MAX_DAYS = 9;
+const HOURLY_FORECAST_MAX_DAYS = 2;
+
+// Symbol codes that don't read well by just splitting the words apart
+const SYMBOL_DESCRIPTIONS = {
+  clearsky: ['clear sky', 'Clear'],
+  fair: ['fair', 'Clear'],
+  partlycloudy: ['partly cloudy', 'Clouds'],
+  cloudy: ['cloudy', 'Clouds'],
+  fog: ['fog', 'Fog']
+};
+
+/**
+ * Turn a symbol code such as "lightrainshowersandthunder_day" into a description and category
+ * @param {string} symbolCode - MET Norway weather symbol code
+ * @returns {string[]} [description, main]
+ */
+const describeSymbol = (symbolCode = '') => {
+  const symbol = symbolCode.replace(/_(day|night|polartwilight)$/, '');
+  if (SYMBOL_DESCRIPTIONS[symbol]) {
+    return SYMBOL_DESCRIPTIONS[symbol];
+  }
+  if (!symbol) {
+    return ['unknown', 'Unknown'];
+  }
+
+  const description = symbol.replace(/(light|heavy|rain|sleet|snow|showers|and|thunder)/g, ' $1').trim();
+  let main = 'Rain';
+  if (symbol.includes('thunder')) {
+    main = 'Thunderstorm';
+  } else if (symbol.includes('snow') || symbol.includes('sleet')) {
+    main = 'Snow';
+  }
+
+  return [description, main];
+};
+
+class MetNorwayProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.apiUrl - Locationforecast endpoint, defaults to MET_NORWAY_API_URL
+   * @param {string} options.userAgent - User-Agent sent with every request, defaults to MET_NORWAY_USER_AGENT
+   */
+  constructor(options = {}) {
+    this.name = 'met-norway';
+    this.apiUrl = options.apiUrl || process.env.MET_NORWAY_API_URL ||
+      'https://api.met.no/weatherapi/locationforecast/2.0/compact';
+    this.userAgent = options.userAgent || process.env.MET_NORWAY_USER_AGENT || 'weather-cache-api/1.0';
+  }
+
+  /**
+   * @returns {boolean} Always true, as the API needs no key
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * @param {Object} location - Normalized location
+   * @returns {boolean} True unless the location is an OpenWeatherMap city ID
+   */
+  supports(location) {
+    return location.type !== 'id';
+  }
+
+  /**
+   * Fetch current weather for a location
+   * @param {Object} location - Normalized city, coordinates or ZIP location (see utils/location.js)
+   * @param {Object} options - Request options
+   * @param {string} options.lang - Language of the place name; weather descriptions are always English
+   * @param {AbortSignal} options.signal - Aborts the requests
+   * @returns {Promise<Object>} Normalized weather data
+   */
+  async fetchCurrent(location, options = {}) {
+    const place = await resolvePlace(location, options);
+    const data = await this.fetchTimeseries(place, options.signal);
+
+    return MetNorwayProvider.transform(data, place);
+  }
+
+  /**
+   * Find places matching a search through the geocoding API
+   * @param {string} query - Place name, or the start of one
+   * @param {Object} options - Search options
+   * @param {number} options.limit - Largest number of places to return
+   * @param {string} options.lang - Language of the place names
+   * @param {AbortSignal} options.signal - Aborts the request
+   * @returns {Promise<Object>} { query, results, timestamp, source } with
+   * { name, state, country, lat, lon } per place, best match first
+   */
+  async searchLocations(query, options) {
+    return {
+      query,
+      results: await searchPlaces(query, options),
+      timestamp: new Date().toISOString(),
+      source: this.name
+    };
+  }
+
+  /**
+   * @param {Object} options - Forecast options
+   * @param {number} options.days - Number of days
+   * @param {string} options.interval - 'hourly', '3h' or 'daily'
+   * @returns {boolean} True for daily forecasts of up to nine days, and hourly
+   * or 3-hourly ones of up to two days
+   */
+  supportsForecast(options) {
+    const maxDays = options.interval === 'daily' ? FORECAST_MAX_DAYS : HOURLY_FORECAST_MAX_DAYS;
+    return options.days <= maxDays;
+  }
+
+  /**
+   * Fetch a forecast for a location
+   * @param {Object} location - Normalized city, coordinates or ZIP location (see utils/location.js)
+   * @param {Object} options - Forecast options
+   * @param {number} options.days - Number of days
+   * @param {string} options.interval - 'hourly', '3h' or 'daily'
+   * @param {string} options.lang - Language of the place name; weather descriptions are always English
+   * @param {AbortSignal} options.signal - Aborts the requests
+   * @returns {Promise<Object>} Normalized forecast (see forecast.js)
+   */
+  async fetchForecast(location, options) {
+    const place = await resolvePlace(location, options);
+    const data = await this.fetchTimeseries(place, options.signal);
+
+    return MetNorwayProvider.transformForecast(data, place, options);
+  }
+
+  /**
+   * Fetch the forecast time series for a place
+   * @param {Object} place - Place with coordinates
+   * @param {AbortSignal} signal - Aborts the request
+   * @returns {Promise<Object>} Raw API response
+   */
+  async fetchTimeseries(place, signal) {
+    const response = await axios.get(this.apiUrl, {
+      params: {
+        // The API asks for at most four decimals
+        lat: place.latitude.toFixed(4),
+        lon: place.longitude.toFixed(4)
+      },
+      headers: {
+        'User-Agent': this.userAgent
+      },
+      signal
+    });
+
+    return response.data;
+  }
+
+  /**
+   * Transform a raw API response to our standard format, using the first
+   * (current) entry of the time series
+   * @param {Object} rawData - Raw API response
+   * @param {Object} place - Geocoded place ({ name, country })
+   * @returns {Object} Normalized weather data
+   */
+  static transform(rawData, place) {
+    const [now] = rawData.properties.timeseries;
+    const details = now.data.instant.details;
+    const nextHours = now.data.next_1_hours || now.data.next_6_hours;
+    const sixHours = now.data.next_6_hours?.details || {};
+    const [description, main] = describeSymbol(nextHours?.summary?.symbol_code);
+
+    return {
+      city: place.name,
+      country: place.country,
+      temperature: {
+        current: Math.round(details.air_temperature),
+        // Not provided by the API
+        feelsLike: Math.round(details.air_temperature),
+        min: Math.round(sixHours.air_temperature_min ?? details.air_temperature),
+        max: Math.round(sixHours.air_temperature_max ?? details.air_temperature)
+      },
+      humidity: Math.round(details.relative_humidity),
+      pressure: Math.round(details.air_pressure_at_sea_level),
+      description,
+      main,
+      wind: {
+        speed: details.wind_speed,
+        direction: details.wind_from_direction
+      },
+      visibility: null,
+      timestamp: new Date().toISOString(),
+      source: 'met-norway'
+    };
+  }
+
+  /**
+   * Transform a raw API response to our standard forecast format
+   * @param {Object} rawData - Raw API response
+   * @param {Object} place - Geocoded place ({ name, country })
+   * @param {Object} options - Forecast options ({ days, interval })
+   * @returns {Object} Normalized forecast (see forecast.js)
+   */
+  static transformForecast(rawData, place, options) {
+    const { timeseries } = rawData.properties;
+    // Hourly and 3-hourly forecasts only use the part of the series with hourly steps
+    const series = options.interval === 'daily'
+      ? timeseries
+      : timeseries.filter(item => item.data.next_1_hours).slice(0, options.days * 24);
+
+    const hourlyEntries = series.map(item => {
+      const details = item.data.instant.details;
+      const next = item.data.next_1_hours || item.data.next_6_hours;
+      const [description, main] = describeSymbol(next?.summary?.symbol_code);
+      return {
+        time: new Date(item.time).toISOString(),
+        temperature: Math.round(details.air_temperature),
+        feelsLike: Math.round(details.air_temperature),
+        humidity: Math.round(details.relative_humidity),
+        pressure: Math.round(details.air_pressure_at_sea_level),
+        description,
+        main,
+        wind: {
+          speed: details.wind_speed,
+          direction: details.wind_from_direction
+        },
+        // Not provided by the compact API
+        precipitationProbability: null
+      };
+    });
+
+    let entries = hourlyEntries;
+    if (options.interval === 'daily') {
+      // Times are UTC and the API gives no time zone, so days are UTC days
+      entries = aggregateDaily(hourlyEntries, { days: options.days, utcOffsetSeconds: 0 });
+    } else if (options.interval === '3h') {
+      entries = sampleEvery(hourlyEntries, 3);
+    }
+
+    return {
+      city: place.name,
+      country: place.country,
+      interval: options.interval,
+      days: options.days,
+      entries,
+      timestamp: new Date().toISOString(),
+      source: 'met-norway'
+    };
+  }
+}
+
+module.exports = MetNorwayProvider;
@@ -0,0 +1,243 @@
+/**
+ * Mock provider answering with random weather, used when no real provider is configured
+ */
+
+const { describeLocation } = require('../../utils/location');
+const MAJOR_CITIES = require('./majorCities');
+
+const MOCK_DESCRIPTIONS = ['clear sky', 'few clouds', 'scattered clouds', 'broken clouds', 'shower rain', 'rain', 'thunderstorm', 'snow'];
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Hash a string to a small non-negative number, so each city gets its own
+ * but always the same mock forecast
+ * @param {string} text - Text to hash
+ * @returns {number} Hash value
+ */
+const hashText = (text) => [...text.toLowerCase()]
+  .reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) % 100003, 7);
+
+/**
+ * Fold a place name for matching: lowercase, without accents
+ * @param {string} text - Place name
+ * @returns {string} Folded name, e.g. "sao paulo" for "São Paulo"
+ */
+const foldName = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().trim();
+
+/**
+ * Count the single-character edits that turn one string into another
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Levenshtein distance
+ */
+const editDistance = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Rank how well a city name matches a search, so that misspellings still
+ * find something
+ * @param {string} name - Folded city name
+ * @param {string} query - Folded search
+ * @returns {number|null} 0 for an exact match, 1 for a prefix, 2 for a word
+ * within the name, 3 for a near miss; null if it doesn't match
+ */
+const rankMatch = (name, query) => {
+  if (name === query) {
+    return 0;
+  }
+  if (name.startsWith(query)) {
+    return 1;
+  }
+  if (name.split(/[\s-]+/).some(word => word.startsWith(query))) {
+    return 2;
+  }
+  // Allow one typo in short searches and two in longer ones
+  const allowedEdits = query.length >= 8 ? 2 : query.length >= 4 ? 1 : 0;
+  return editDistance(query, name.slice(0, query.length)) <= allowedEdits ? 3 : null;
+};
+
+class MockProvider {
+  constructor() {
+    this.name = 'mock';
+  }
+
+  /**
+   * @returns {boolean} Always true
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * @returns {boolean} Always true
+   */
+  supports() {
+    return true;
+  }
+
+  /**
+   * Get mock weather for a location
+   * @param {Object} location - Normalized location (see utils/location.js)
+   * @returns {Promise<Object>} Normalized weather data
+   */
+  async fetchCurrent(location) {
+    return this.getMockWeatherData(describeLocation(location));
+  }
+
+  /**
+   * @returns {boolean} Always true
+   */
+  supportsForecast() {
+    return true;
+  }
+
+  /**
+   * Get a mock forecast for a location
+   * @param {Object} location - Normalized location (see utils/location.js)
+   * @param {Object} options - Forecast options ({ days, interval })
+   * @returns {Promise<Object>} Normalized forecast (see forecast.js)
+   */
+  async fetchForecast(location, options) {
+    return this.getMockForecastData(describeLocation(location), options);
+  }
+
+  /**
+   * Search the bundled list of major cities, so location search works offline
+   * @param {string} query - Place name, or the start of one
+   * @param {Object} options - Search options
+   * @param {number} options.limit - Largest number of places to return
+   * @returns {Promise<Object>} { query, results, timestamp, source } with
+   * { name, state, country, lat, lon } per place, best match first
+   */
+  async searchLocations(query, options) {
+    const folded = foldName(query);
+    const results = MAJOR_CITIES
+      .map(city => ({ city, rank: rankMatch(foldName(city.name), folded) }))
+      .filter(({ rank }) => rank !== null)
+      .sort((a, b) => a.rank - b.rank || b.city.population - a.city.population)
+      .slice(0, options.limit)
+      .map(({ city: { name, state, country, lat, lon } }) => ({ name, state, country, lat, lon }));
+
+    return {
+      query,
+      results,
+      timestamp: new Date().toISOString(),
+      source: 'mock'
+    };
+  }
+
+  /**
+   * Get mock weather data for testing/development
+   * @param {string} city - City name
+   * @returns {Object} Mock weather data
+   */
+  getMockWeatherData(city) {
+    const mockTemperatures = [15, 18, 22, 25, 28, 30, 32, 35];
+    const mockDescriptions = MOCK_DESCRIPTIONS;
+
+    const randomTemp = mockTemperatures[Math.floor(Math.random() * mockTemperatures.length)];
+    const randomDesc = mockDescriptions[Math.floor(Math.random() * mockDescriptions.length)];
+
+    return {
+      city: city.charAt(0).toUpperCase() + city.slice(1),
+      country: 'US',
+      temperature: {
+        current: randomTemp,
+        feelsLike: randomTemp + Math.floor(Math.random() * 3) - 1,
+        min: randomTemp - 5,
+        max: randomTemp + 5
+      },
+      humidity: Math.floor(Math.random() * 40) + 40, // 40-80%
+      pressure: Math.floor(Math.random() * 100) + 1000, // 1000-1100 hPa
+      description: randomDesc,
+      main: randomDesc.split(' ')[0],
+      wind: {
+        speed: Math.floor(Math.random() * 10) + 1, // 1-10 m/s
+        direction: Math.floor(Math.random() * 360)
+      },
+      visibility: Math.floor(Math.random() * 5000) + 5000, // 5-10 km
+      timestamp: new Date().toISOString(),
+      source: 'mock'
+    };
+  }
+
+  /**
+   * Get a mock forecast for testing/development. Unlike getMockWeatherData it
+   * is deterministic: the same city, options and hour give the same forecast.
+   * @param {string} city - City name
+   * @param {Object} options - Forecast options
+   * @param {number} options.days - Number of days
+   * @param {string} options.interval - 'hourly', '3h' or 'daily'
+   * @returns {Object} Mock forecast (see forecast.js)
+   */
+  getMockForecastData(city, options) {
+    const seed = hashText(city);
+    const baseTemp = 5 + seed % 20;
+    const startOfHour = Math.floor(Date.now() / HOUR_MS) * HOUR_MS;
+    let entries;
+
+    if (options.interval === 'daily') {
+      entries = Array.from({ length: options.days }, (value, index) => {
+        const description = MOCK_DESCRIPTIONS[(seed + index) % MOCK_DESCRIPTIONS.length];
+        const swing = (seed + index) % 3;
+        return {
+          date: new Date(startOfHour + index * 24 * HOUR_MS).toISOString().slice(0, 10),
+          temperature: {
+            min: baseTemp - 5 + swing,
+            max: baseTemp + 5 + swing
+          },
+          description,
+          main: description.split(' ')[0],
+          precipitationProbability: (seed + index * 11) % 101
+        };
+      });
+    } else {
+      const step = options.interval === '3h' ? 3 : 1;
+      entries = Array.from({ length: options.days * 24 / step }, (value, index) => {
+        const time = new Date(startOfHour + index * step * HOUR_MS);
+        // Warmest mid-afternoon, coolest before dawn
+        const temperature = Math.round(baseTemp + 5 * Math.sin((time.getUTCHours() - 9) / 24 * 2 * Math.PI));
+        const description = MOCK_DESCRIPTIONS[(seed + Math.floor(index * step / 6)) % MOCK_DESCRIPTIONS.length];
+        return {
+          time: time.toISOString(),
+          temperature,
+          feelsLike: temperature - 1,
+          humidity: 40 + (seed + index * 7) % 40,
+          pressure: 1000 + (seed + index * 3) % 30,
+          description,
+          main: description.split(' ')[0],
+          wind: {
+            speed: 1 + (seed + index) % 9,
+            direction: (seed * 13 + index * 15) % 360
+          },
+          precipitationProbability: (seed + index * 11) % 101
+        };
+      });
+    }
+
+    return {
+      city: city.charAt(0).toUpperCase() + city.slice(1),
+      country: 'US',
+      interval: options.interval,
+      days: options.days,
+      entries,
+      timestamp: new Date().toISOString(),
+      source: 'mock'
+    };
+  }
+}
+
+module.exports = MockProvider;
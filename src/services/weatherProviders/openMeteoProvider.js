@@ -0,0 +1,281 @@
+/**
+ * Open-Meteo current weather and forecast provider (no API key needed)
+ */
+
+const axios = require('axios');
+const { resolvePlace, searchPlaces } = require('./geocoding');
+const { sampleEvery } = require('./forecast');
+
+const FORECAST_MAX_DAYS = 16;
+
+// WMO weather interpretation codes, as used by Open-Meteo
+const WEATHER_CODES = {
+  0: ['clear sky', 'Clear'],
+  1: ['mainly clear', 'Clear'],
+  2: ['partly cloudy', 'Clouds'],
+  3: ['overcast', 'Clouds'],
+  45: ['fog', 'Fog'],
+  48: ['depositing rime fog', 'Fog'],
+  51: ['light drizzle', 'Drizzle'],
+  53: ['moderate drizzle', 'Drizzle'],
+  55: ['dense drizzle', 'Drizzle'],
+  56: ['light freezing drizzle', 'Drizzle'],
+  57: ['dense freezing drizzle', 'Drizzle'],
+  61: ['slight rain', 'Rain'],
+  63: ['moderate rain', 'Rain'],
+  65: ['heavy rain', 'Rain'],
+  66: ['light freezing rain', 'Rain'],
+  67: ['heavy freezing rain', 'Rain'],
+  71: ['slight snow fall', 'Snow'],
+  73: ['moderate snow fall', 'Snow'],
+  75: ['heavy snow fall', 'Snow'],
+  77: ['snow grains', 'Snow'],
+  80: ['slight rain showers', 'Rain'],
+  81: ['moderate rain showers', 'Rain'],
+  82: ['violent rain showers', 'Rain'],
+  85: ['slight snow showers', 'Snow'],
+  86: ['heavy snow showers', 'Snow'],
+  95: ['thunderstorm', 'Thunderstorm'],
+  96: ['thunderstorm with slight hail', 'Thunderstorm'],
+  99: ['thunderstorm with heavy hail', 'Thunderstorm']
+};
+
+const CURRENT_VARIABLES = [
+  'temperature_2m',
+  'relative_humidity_2m',
+  'apparent_temperature',
+  'pressure_msl',
+  'weather_code',
+  'wind_speed_10m',
+  'wind_direction_10m',
+  'visibility'
+];
+
+const HOURLY_VARIABLES = [
+  'temperature_2m',
+  'apparent_temperature',
+  'relative_humidity_2m',
+  'pressure_msl',
+  'weather_code',
+  'wind_speed_10m',
+  'wind_direction_10m',
+  'precipitation_probability'
+];
+
+const DAILY_VARIABLES = [
+  'weather_code',
+  'temperature_2m_max',
+  'temperature_2m_min',
+  'precipitation_probability_max'
+];
+
+/**
+ * Look up the description and category of a WMO weather code
+ * @param {number} code - WMO weather code
+ * @returns {string[]} [description, main]
+ */
+const describeWeatherCode = (code) => WEATHER_CODES[code] || ['unknown', 'Unknown'];
+
+class OpenMeteoProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.apiUrl - Forecast endpoint, defaults to OPEN_METEO_API_URL
+   */
+  constructor(options = {}) {
+    this.name = 'open-meteo';
+    this.apiUrl = options.apiUrl || process.env.OPEN_METEO_API_URL || 'https://api.open-meteo.com/v1/forecast';
+  }
+
+  /**
+   * @returns {boolean} Always true, as the API needs no key
+   */
+  isConfigured() {
+    return true;
+  }
+
+  /**
+   * @param {Object} location - Normalized location
+   * @returns {boolean} True unless the location is an OpenWeatherMap city ID
+   */
+  supports(location) {
+    return location.type !== 'id';
+  }
+
+  /**
+   * Fetch current weather for a location
+   * @param {Object} location - Normalized city, coordinates or ZIP location (see utils/location.js)
+   * @param {Object} options - Request options
+   * @param {string} options.lang - Language of the place name; weather descriptions are always English
+   * @param {AbortSignal} options.signal - Aborts the requests
+   * @returns {Promise<Object>} Normalized weather data
+   */
+  async fetchCurrent(location, options = {}) {
+    const place = await resolvePlace(location, options);
+    const response = await axios.get(this.apiUrl, {
+      params: {
+        latitude: place.latitude,
+        longitude: place.longitude,
+        current: CURRENT_VARIABLES.join(','),
+        daily: 'temperature_2m_max,temperature_2m_min',
+        forecast_days: 1,
+        wind_speed_unit: 'ms',
+        timezone: 'auto'
+      },
+      signal: options.signal
+    });
+
+    return OpenMeteoProvider.transform(response.data, place);
+  }
+
+  /**
+   * Find places matching a search through the geocoding API
+   * @param {string} query - Place name, or the start of one
+   * @param {Object} options - Search options
+   * @param {number} options.limit - Largest number of places to return
+   * @param {string} options.lang - Language of the place names
+   * @param {AbortSignal} options.signal - Aborts the request
+   * @returns {Promise<Object>} { query, results, timestamp, source } with
+   * { name, state, country, lat, lon } per place, best match first
+   */
+  async searchLocations(query, options) {
+    return {
+      query,
+      results: await searchPlaces(query, options),
+      timestamp: new Date().toISOString(),
+      source: this.name
+    };
+  }
+
+  /**
+   * @param {Object} options - Forecast options
+   * @param {number} options.days - Number of days
+   * @returns {boolean} True for forecasts of up to 16 days
+   */
+  supportsForecast(options) {
+    return options.days <= FORECAST_MAX_DAYS;
+  }
+
+  /**
+   * Fetch a forecast for a location
+   * @param {Object} location - Normalized city, coordinates or ZIP location (see utils/location.js)
+   * @param {Object} options - Forecast options
+   * @param {number} options.days - Number of days
+   * @param {string} options.interval - 'hourly', '3h' or 'daily'
+   * @param {string} options.lang - Language of the place name; weather descriptions are always English
+   * @param {AbortSignal} options.signal - Aborts the requests
+   * @returns {Promise<Object>} Normalized forecast (see forecast.js)
+   */
+  async fetchForecast(location, options) {
+    const place = await resolvePlace(location, options);
+    const series = options.interval === 'daily'
+      ? { daily: DAILY_VARIABLES.join(','), forecast_days: options.days }
+      // Hourly data starts at the current hour rather than local midnight
+      : { hourly: HOURLY_VARIABLES.join(','), forecast_hours: options.days * 24 };
+    const response = await axios.get(this.apiUrl, {
+      params: {
+        latitude: place.latitude,
+        longitude: place.longitude,
+        ...series,
+        wind_speed_unit: 'ms',
+        timezone: 'auto',
+        timeformat: 'unixtime'
+      },
+      signal: options.signal
+    });
+
+    return OpenMeteoProvider.transformForecast(response.data, place, options);
+  }
+
+  /**
+   * Transform a raw API response to our standard format
+   * @param {Object} rawData - Raw API response
+   * @param {Object} place - Geocoded place ({ name, country })
+   * @returns {Object} Normalized weather data
+   */
+  static transform(rawData, place) {
+    const { current, daily } = rawData;
+    const [description, main] = describeWeatherCode(current.weather_code);
+
+    return {
+      city: place.name,
+      country: place.country,
+      temperature: {
+        current: Math.round(current.temperature_2m),
+        feelsLike: Math.round(current.apparent_temperature),
+        min: Math.round(daily?.temperature_2m_min?.[0] ?? current.temperature_2m),
+        max: Math.round(daily?.temperature_2m_max?.[0] ?? current.temperature_2m)
+      },
+      humidity: current.relative_humidity_2m,
+      pressure: Math.round(current.pressure_msl),
+      description,
+      main,
+      wind: {
+        speed: current.wind_speed_10m,
+        direction: current.wind_direction_10m
+      },
+      visibility: current.visibility,
+      timestamp: new Date().toISOString(),
+      source: 'open-meteo'
+    };
+  }
+
+  /**
+   * Transform a raw forecast API response to our standard format
+   * @param {Object} rawData - Raw API response, with Unix timestamps
+   * @param {Object} place - Geocoded place ({ name, country })
+   * @param {Object} options - Forecast options ({ days, interval })
+   * @returns {Object} Normalized forecast (see forecast.js)
+   */
+  static transformForecast(rawData, place, options) {
+    let entries;
+    if (options.interval === 'daily') {
+      const { daily } = rawData;
+      entries = daily.time.map((time, index) => {
+        const [description, main] = describeWeatherCode(daily.weather_code[index]);
+        return {
+          // Daily times are local midnight
+          date: new Date((time + rawData.utc_offset_seconds) * 1000).toISOString().slice(0, 10),
+          temperature: {
+            min: Math.round(daily.temperature_2m_min[index]),
+            max: Math.round(daily.temperature_2m_max[index])
+          },
+          description,
+          main,
+          precipitationProbability: daily.precipitation_probability_max?.[index] ?? null
+        };
+      });
+    } else {
+      const { hourly } = rawData;
+      const hourlyEntries = hourly.time.map((time, index) => {
+        const [description, main] = describeWeatherCode(hourly.weather_code[index]);
+        return {
+          time: new Date(time * 1000).toISOString(),
+          temperature: Math.round(hourly.temperature_2m[index]),
+          feelsLike: Math.round(hourly.apparent_temperature[index]),
+          humidity: hourly.relative_humidity_2m[index],
+          pressure: Math.round(hourly.pressure_msl[index]),
+          description,
+          main,
+          wind: {
+            speed: hourly.wind_speed_10m[index],
+            direction: hourly.wind_direction_10m[index]
+          },
+          precipitationProbability: hourly.precipitation_probability?.[index] ?? null
+        };
+      });
+      entries = options.interval === '3h' ? sampleEvery(hourlyEntries, 3) : hourlyEntries;
+    }
+
+    return {
+      city: place.name,
+      country: place.country,
+      interval: options.interval,
+      days: options.days,
+      entries,
+      timestamp: new Date().toISOString(),
+      source: 'open-meteo'
+    };
+  }
+}
+
+module.exports = OpenMeteoProvider;
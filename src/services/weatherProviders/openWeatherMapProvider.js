@@ -0,0 +1,249 @@
+/**
+ * OpenWeatherMap current weather, 5 day / 3 hour forecast and geocoding provider
+ */
+
+const axios = require('axios');
+const { aggregateDaily } = require('./forecast');
+
+// The free forecast API returns 3-hourly entries for five days
+const FORECAST_MAX_DAYS = 5;
+const FORECAST_ENTRIES_PER_DAY = 8;
+
+// The direct geocoding API returns at most five places, whatever limit it is sent
+const SEARCH_MAX_RESULTS = 5;
+
+// Languages whose OpenWeatherMap code differs from their BCP 47 tag
+const LANGUAGE_CODES = {
+  cs: 'cz',
+  ko: 'kr',
+  lv: 'la',
+  sq: 'al',
+  'pt-br': 'pt_br',
+  'zh-cn': 'zh_cn',
+  'zh-tw': 'zh_tw'
+};
+
+/**
+ * Build the language parameter for weather descriptions
+ * @param {string} lang - Supported language (see utils/language.js)
+ * @returns {Object} { lang } for languages other than English, which is the API's default
+ */
+const getLanguageParams = (lang) => {
+  if (!lang || lang === 'en') {
+    return {};
+  }
+  return { lang: LANGUAGE_CODES[lang] || lang };
+};
+
+/**
+ * Build the query parameters that identify a location
+ * @param {Object} location - Normalized location (see utils/location.js)
+ * @returns {Object} Query parameters
+ */
+const getLocationParams = (location) => {
+  switch (location.type) {
+    case 'coordinates':
+      return { lat: location.lat, lon: location.lon };
+    case 'zip':
+      return { zip: `${location.zip},${location.country}` };
+    case 'id':
+      return { id: location.id };
+    default:
+      return { q: location.city };
+  }
+};
+
+class OpenWeatherMapProvider {
+  /**
+   * @param {Object} options - Provider options
+   * @param {string} options.apiKey - API key, defaults to WEATHER_API_KEY
+   * @param {string} options.apiUrl - Current weather endpoint, defaults to WEATHER_API_URL
+   * @param {string} options.forecastUrl - Forecast endpoint, defaults to WEATHER_FORECAST_API_URL
+   * @param {string} options.geocodingUrl - Direct geocoding endpoint, defaults to OPENWEATHERMAP_GEOCODING_API_URL
+   */
+  constructor(options = {}) {
+    this.name = 'openweathermap';
+    this.apiKey = options.apiKey ?? process.env.WEATHER_API_KEY;
+    this.apiUrl = options.apiUrl || process.env.WEATHER_API_URL || 'https://api.openweathermap.org/data/2.5/weather';
+    this.forecastUrl = options.forecastUrl || process.env.WEATHER_FORECAST_API_URL ||
+      'https://api.openweathermap.org/data/2.5/forecast';
+    this.geocodingUrl = options.geocodingUrl || process.env.OPENWEATHERMAP_GEOCODING_API_URL ||
+      'https://api.openweathermap.org/geo/1.0/direct';
+  }
+
+  /**
+   * @returns {boolean} True if an API key is set
+   */
+  isConfigured() {
+    return Boolean(this.apiKey);
+  }
+
+  /**
+   * @returns {boolean} Always true, as the API looks up every location type itself
+   */
+  supports() {
+    return true;
+  }
+
+  /**
+   * Fetch current weather for a location
+   * @param {Object} location - Normalized location (see utils/location.js)
+   * @param {Object} options - Request options
+   * @param {string} options.lang - Language of the weather description, defaults to English
+   * @param {AbortSignal} options.signal - Aborts the request
+   * @returns {Promise<Object>} Normalized weather data
+   */
+  async fetchCurrent(location, options = {}) {
+    const response = await axios.get(this.apiUrl, {
+      params: {
+        ...getLocationParams(location),
+        ...getLanguageParams(options.lang),
+        appid: this.apiKey,
+        units: 'metric'
+      },
+      signal: options.signal
+    });
+
+    return OpenWeatherMapProvider.transform(response.data);
+  }
+
+  /**
+   * Find places matching a search through the direct geocoding API
+   * @param {string} query - Place name, optionally followed by state and country codes
+   * @param {Object} options - Search options
+   * @param {number} options.limit - Largest number of places to return, capped at SEARCH_MAX_RESULTS
+   * @param {string} options.lang - Language of the place names, where the API knows them
+   * @param {AbortSignal} options.signal - Aborts the request
+   * @returns {Promise<Object>} { query, results, timestamp, source } with
+   * { name, state, country, lat, lon } per place, best match first
+   */
+  async searchLocations(query, options) {
+    const response = await axios.get(this.geocodingUrl, {
+      params: {
+        q: query,
+        limit: Math.min(options.limit, SEARCH_MAX_RESULTS),
+        appid: this.apiKey
+      },
+      signal: options.signal
+    });
+    // Local names are keyed by bare ISO 639-1 codes, e.g. "pt" rather than "pt-br"
+    const language = (options.lang || 'en').split('-')[0];
+
+    return {
+      query,
+      results: response.data.map(place => ({
+        name: place.local_names?.[language] || place.name,
+        state: place.state ?? null,
+        country: place.country,
+        lat: place.lat,
+        lon: place.lon
+      })),
+      timestamp: new Date().toISOString(),
+      source: 'openweathermap'
+    };
+  }
+
+  /**
+   * @param {Object} options - Forecast options
+   * @param {number} options.days - Number of days
+   * @param {string} options.interval - 'hourly', '3h' or 'daily'
+   * @returns {boolean} True for 3-hourly and daily forecasts of up to five days
+   */
+  supportsForecast(options) {
+    return options.interval !== 'hourly' && options.days <= FORECAST_MAX_DAYS;
+  }
+
+  /**
+   * Fetch a forecast for a location
+   * @param {Object} location - Normalized location (see utils/location.js)
+   * @param {Object} options - Forecast options
+   * @param {number} options.days - Number of days
+   * @param {string} options.interval - '3h' or 'daily'
+   * @param {string} options.lang - Language of the weather descriptions, defaults to English
+   * @param {AbortSignal} options.signal - Aborts the request
+   * @returns {Promise<Object>} Normalized forecast (see forecast.js)
+   */
+  async fetchForecast(location, options) {
+    const response = await axios.get(this.forecastUrl, {
+      params: {
+        ...getLocationParams(location),
+        ...getLanguageParams(options.lang),
+        appid: this.apiKey,
+        units: 'metric',
+        // Daily summaries need every entry, as the first and last days are partial
+        cnt: options.interval === 'daily'
+          ? FORECAST_MAX_DAYS * FORECAST_ENTRIES_PER_DAY
+          : options.days * FORECAST_ENTRIES_PER_DAY
+      },
+      signal: options.signal
+    });
+
+    return OpenWeatherMapProvider.transformForecast(response.data, options);
+  }
+
+  /**
+   * Transform a raw API response to our standard format
+   * @param {Object} rawData - Raw API response
+   * @returns {Object} Normalized weather data
+   */
+  static transform(rawData) {
+    return {
+      city: rawData.name,
+      country: rawData.sys.country,
+      temperature: {
+        current: Math.round(rawData.main.temp),
+        feelsLike: Math.round(rawData.main.feels_like),
+        min: Math.round(rawData.main.temp_min),
+        max: Math.round(rawData.main.temp_max)
+      },
+      humidity: rawData.main.humidity,
+      pressure: rawData.main.pressure,
+      description: rawData.weather[0].description,
+      main: rawData.weather[0].main,
+      wind: {
+        speed: rawData.wind.speed,
+        direction: rawData.wind.deg
+      },
+      visibility: rawData.visibility,
+      timestamp: new Date().toISOString(),
+      source: 'openweathermap'
+    };
+  }
+
+  /**
+   * Transform a raw forecast API response to our standard format
+   * @param {Object} rawData - Raw API response
+   * @param {Object} options - Forecast options ({ days, interval })
+   * @returns {Object} Normalized forecast (see forecast.js)
+   */
+  static transformForecast(rawData, options) {
+    const entries = rawData.list.map(item => ({
+      time: new Date(item.dt * 1000).toISOString(),
+      temperature: Math.round(item.main.temp),
+      feelsLike: Math.round(item.main.feels_like),
+      humidity: item.main.humidity,
+      pressure: item.main.pressure,
+      description: item.weather[0].description,
+      main: item.weather[0].main,
+      wind: {
+        speed: item.wind.speed,
+        direction: item.wind.deg
+      },
+      precipitationProbability: Math.round((item.pop ?? 0) * 100)
+    }));
+
+    return {
+      city: rawData.city.name,
+      country: rawData.city.country,
+      interval: options.interval,
+      days: options.days,
+      entries: options.interval === 'daily'
+        ? aggregateDaily(entries, { days: options.days, utcOffsetSeconds: rawData.city.timezone })
+        : entries.slice(0, options.days * FORECAST_ENTRIES_PER_DAY),
+      timestamp: new Date().toISOString(),
+      source: 'openweathermap'
+    };
+  }
+}
+
+module.exports = OpenWeatherMapProvider;
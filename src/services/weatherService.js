@@ -2,112 +2,749 @@
  * Weather service for fetching weather data from external APIs
  */
 
-const axios = require('axios');
-const { retryWithExponentialBackoff } = require('../utils/retry');
+const { retryWithExponentialBackoff, classifyError } = require('../utils/retry');
+const { getIntEnv } = require('../utils/env');
+const { LatencyTracker } = require('../utils/metrics');
+const { Counter, Gauge, registry } = require('../utils/prometheus');
+const { CircuitBreaker, STATES } = require('../utils/circuitBreaker');
+const { RetryBudget } = require('../utils/retryBudget');
+const {
+  ValidationError,
+  CityNotFoundError,
+  fromUpstreamError,
+  createUnsupportedLocationError,
+  createUnsupportedForecastError
+} = require('../utils/errors');
+const { normalizeLocation, getLocationKey, describeLocation } = require('../utils/location');
+const { convertUnits } = require('../utils/units');
+const { createLimiter } = require('../utils/concurrency');
+const { DEFAULT_LANGUAGE } = require('../utils/language');
+const { createProviders, OpenWeatherMapProvider, MockProvider } = require('./weatherProviders');
 const cacheService = require('./cache');
 
+const upstreamCallsTotal = new Counter({
+  name: 'weather_upstream_calls_total',
+  help: 'Calls made to weather providers, including retries',
+  labelNames: ['provider']
+});
+
+const upstreamFailuresTotal = new Counter({
+  name: 'weather_upstream_failures_total',
+  help: 'Weather fetches that failed after all retries, by provider and reason',
+  labelNames: ['provider', 'reason']
+});
+
+const upstreamRetriesTotal = new Counter({
+  name: 'weather_upstream_retries_total',
+  help: 'Failed upstream attempts that were retried, by provider and error classification',
+  labelNames: ['provider', 'classification']
+});
+
+const upstreamRecoveriesTotal = new Counter({
+  name: 'weather_upstream_recoveries_total',
+  help: 'Upstream fetches that succeeded after at least one retry, by provider',
+  labelNames: ['provider']
+});
+
+const upstreamFailoversTotal = new Counter({
+  name: 'weather_upstream_failovers_total',
+  help: 'Fetches handed on to the next provider in the chain, by the provider that failed and the next one',
+  labelNames: ['from', 'to']
+});
+
+const upstreamInFlight = new Gauge({
+  name: 'weather_upstream_in_flight',
+  help: 'Upstream fetches currently in progress'
+});
+
+const circuitStateGauge = new Gauge({
+  name: 'weather_upstream_circuit_state',
+  help: 'Upstream circuit breaker state (0 = closed, 1 = half-open, 2 = open)',
+  labelNames: ['provider']
+});
+
+const CIRCUIT_STATE_VALUES = {
+  [STATES.CLOSED]: 0,
+  [STATES.HALF_OPEN]: 1,
+  [STATES.OPEN]: 2
+};
+
+/**
+ * Decide whether an upstream error means the provider is unhealthy. Client
+ * errors such as 404 (unknown city) or 401 (bad key) are answers, not outages.
+ * @param {Error} error - Error from the upstream call
+ * @returns {boolean} True if the error should count towards opening the breaker
+ */
+const isUpstreamFailure = (error) => {
+  const status = error.response?.status;
+  return !status || status >= 500 || status === 429;
+};
+
+/**
+ * Decide whether a provider's failure should be handed on to the next provider.
+ * An unknown city is an answer, and an aborted fetch has nobody left to answer.
+ * @param {Error} error - Error from the provider, after its retries
+ * @returns {boolean} True if the next provider should be tried
+ */
+const shouldFailOver = (error) => error.name !== 'AbortError' && error.response?.status !== 404;
+
+/**
+ * Check that a city name was given
+ * @param {*} city - City name from the caller
+ * @throws {ValidationError} If the city name is missing, blank or not a string
+ */
+const assertCityName = (city) => {
+  if (!city || typeof city !== 'string' || city.trim().length === 0) {
+    throw new ValidationError('City name is required and must be a non-empty string');
+  }
+};
+
+/**
+ * Build the part of a cache key that identifies the language. English, the
+ * default, has none, so existing keys keep their shape.
+ * @param {string} lang - Language of the weather description
+ * @returns {string} Suffix, e.g. "@fr", or an empty string for English
+ */
+const getLanguageSuffix = (lang) => (!lang || lang === DEFAULT_LANGUAGE ? '' : `@${lang}`);
+
+// Where health checks ask each provider for the weather (London, as the examples use)
+const PROBE_LOCATION = { type: 'coordinates', lat: 51.51, lon: -0.13 };
+
+// Give-ups that are expected outcomes rather than upstream trouble
+const QUIET_GIVE_UPS = ['aborted', 'client_error'];
+
+/**
+ * Write a structured (JSON) log line for an upstream event
+ * @param {string} level - 'info', 'warn' or 'error'
+ * @param {string} event - Event name
+ * @param {Object} fields - Event details
+ */
+const logUpstreamEvent = (level, event, fields) => {
+  const line = JSON.stringify({ level, event, timestamp: new Date().toISOString(), ...fields });
+  if (level === 'error') {
+    console.error(line);
+  } else if (level === 'warn') {
+    console.warn(line);
+  } else {
+    console.log(line);
+  }
+};
+
 class WeatherService {
   constructor() {
-    this.apiKey = process.env.WEATHER_API_KEY;
-    this.apiUrl = process.env.WEATHER_API_URL || 'https://api.openweathermap.org/data/2.5/weather';
     this.cacheTtl = (parseInt(process.env.CACHE_TTL_MINUTES) || 3) * 60 * 1000; // Convert to milliseconds
+    // Forecasts change more slowly than current conditions
+    this.forecastCacheTtl = getIntEnv('FORECAST_CACHE_TTL_MINUTES', 30) * 60 * 1000;
+    // Places hardly ever move, so location searches are kept for a day
+    this.locationSearchCacheTtl = getIntEnv('LOCATION_SEARCH_CACHE_TTL_MINUTES', 1440) * 60 * 1000;
     this.maxRetryAttempts = parseInt(process.env.MAX_RETRY_ATTEMPTS) || 3;
+    // Randomise backoff so instances recovering from the same outage don't retry in lockstep
+    this.retryJitter = process.env.RETRY_JITTER || 'full';
+    // Time allowed for one upstream call, and for a whole fetch including retries and backoff
+    this.attemptTimeoutMs = getIntEnv('UPSTREAM_ATTEMPT_TIMEOUT_SECONDS', 10) * 1000;
+    this.fetchDeadlineMs = getIntEnv('UPSTREAM_DEADLINE_SECONDS', 25) * 1000;
+    // Stale windows after the TTL: served immediately while refreshing, or only when the upstream fails
+    this.staleWhileRevalidateMs = getIntEnv('CACHE_STALE_WHILE_REVALIDATE_SECONDS', 60) * 1000;
+    this.staleIfErrorMs = getIntEnv('CACHE_STALE_IF_ERROR_SECONDS', 600) * 1000;
+    // How long "city not found" answers are remembered (0 disables negative caching)
+    this.negativeCacheTtl = getIntEnv('CACHE_NEGATIVE_TTL_SECONDS', 60) * 1000;
+    // Decimal places kept from coordinates; 2 shares an entry between points about a kilometre apart
+    this.coordinatePrecision = getIntEnv('COORDINATE_PRECISION', 2);
+    // Upstream fetches a single batch request may have running at once; cache hits don't count
+    this.batchConcurrency = Math.max(getIntEnv('BATCH_CONCURRENCY', 5), 1);
+    // Upstream fetches currently in progress, keyed by cache key: { promise, controller, waiters, detached }
+    this.inFlightRequests = new Map();
+    this.coalescedRequests = 0;
+    this.circuitBreakerOptions = {
+      failureThreshold: getIntEnv('CIRCUIT_BREAKER_FAILURE_THRESHOLD', 5),
+      cooldownMs: getIntEnv('CIRCUIT_BREAKER_COOLDOWN_SECONDS', 30) * 1000,
+      isFailure: isUpstreamFailure
+    };
+    // Shared across requests so retries stay a small share of upstream traffic
+    this.retryBudgetOptions = {
+      ratio: getIntEnv('RETRY_BUDGET_PERCENT', 10) / 100,
+      minRetriesPerSecond: getIntEnv('RETRY_BUDGET_MIN_PER_SECOND', 1)
+    };
+    // Answers when no real provider is configured
+    this.mockProvider = new MockProvider();
+    this.setProviders(createProviders());
+    // Duration of successful upstream fetches, retries included
+    this.upstreamLatency = new LatencyTracker({
+      windowMs: getIntEnv('CACHE_METRICS_WINDOW_SECONDS', 300) * 1000
+    });
+  }
+
+  /**
+   * Set the provider failover chain. Providers that are not configured (e.g.
+   * missing an API key) are left out; with none left, mock data is served.
+   * @param {Object[]} providers - Providers in the order they should be tried
+   */
+  setProviders(providers) {
+    providers
+      .filter(provider => !provider.isConfigured())
+      .forEach(provider => console.warn(`Weather provider ${provider.name} is not configured, skipping it`));
+
+    // Each provider gets its own breaker and retry budget, so one failing provider doesn't hold back the others
+    this.upstreams = providers
+      .filter(provider => provider.isConfigured())
+      .map(provider => ({
+        provider,
+        circuitBreaker: new CircuitBreaker({ name: provider.name, ...this.circuitBreakerOptions }),
+        retryBudget: new RetryBudget({ name: provider.name, ...this.retryBudgetOptions })
+      }));
   }
 
   /**
    * Get weather data for a city
    * @param {string} city - City name
+   * @param {Object} options - Request options
+   * @param {string} options.units - 'metric' (default), 'imperial' or 'standard'
+   * @param {string} options.lang - Language of the weather description (see utils/language.js)
+   * @param {AbortSignal} options.signal - Aborted when the caller no longer needs the answer
+   * @param {Function} options.onCacheEntry - Told how the lookup was answered (see getCachedOrFetch)
    * @returns {Promise<Object>} Weather data
    */
-  async getWeatherByCity(city) {
-    if (!city || typeof city !== 'string' || city.trim().length === 0) {
-      throw new Error('City name is required and must be a non-empty string');
+  async getWeatherByCity(city, options = {}) {
+    assertCityName(city);
+
+    return this.getWeatherByLocation({ type: 'city', city }, options);
+  }
+
+  /**
+   * Get weather data for a city, coordinates, ZIP/postal code or city ID
+   * @param {Object} location - Location to look up (see utils/location.js)
+   * @param {Object} options - Request options
+   * @param {string} options.units - 'metric' (default), 'imperial' or 'standard'
+   * @param {string} options.lang - Language of the weather description (see utils/language.js)
+   * @param {AbortSignal} options.signal - Aborted when the caller no longer needs the answer
+   * @param {Function} options.onCacheEntry - Told how the lookup was answered (see getCachedOrFetch)
+   * @returns {Promise<Object>} Weather data
+   */
+  async getWeatherByLocation(location, options = {}) {
+    if (location.type === 'city') {
+      assertCityName(location.city);
+    }
+    const normalizedLocation = normalizeLocation(location, { precision: this.coordinatePrecision });
+    const lang = options.lang || DEFAULT_LANGUAGE;
+
+    // Data is cached in metric units, so every unit system shares one entry per language
+    const weatherData = await this.getCachedOrFetch({
+      cacheKey: this.getLocationCacheKey(normalizedLocation, lang),
+      location: normalizedLocation,
+      label: `${normalizedLocation.type}: ${describeLocation(normalizedLocation)}`,
+      ttl: this.cacheTtl,
+      fetch: (signal, onRetry) => this.fetchWeatherFromAPI(normalizedLocation, signal, { lang, onRetry })
+    }, options);
+
+    return convertUnits(weatherData, options.units || 'metric');
+  }
+
+  /**
+   * Get weather data for several locations at once. Each location is answered
+   * from the cache when possible; misses are fetched at most `batchConcurrency`
+   * at a time, and one failed location doesn't fail the others.
+   * @param {Object[]} locations - Locations to look up (see utils/location.js)
+   * @param {Object} options - Request options, as for getWeatherByLocation
+   * @returns {Promise<Object[]>} One settled result per location, in order:
+   * { status: 'fulfilled', value } or { status: 'rejected', reason }
+   */
+  async getWeatherBatch(locations, options = {}) {
+    const limiter = createLimiter(this.batchConcurrency);
+
+    return Promise.allSettled(locations.map(location =>
+      this.getWeatherByLocation(location, { ...options, limiter })));
+  }
+
+  /**
+   * Get a forecast for a city, coordinates, ZIP/postal code or city ID
+   * @param {Object} location - Location to look up (see utils/location.js)
+   * @param {Object} options - Forecast options
+   * @param {number} options.days - Number of days
+   * @param {string} options.interval - 'hourly', '3h' or 'daily'
+   * @param {string} options.units - 'metric' (default), 'imperial' or 'standard'
+   * @param {string} options.lang - Language of the weather descriptions (see utils/language.js)
+   * @param {AbortSignal} options.signal - Aborted when the caller no longer needs the answer
+   * @param {Function} options.onCacheEntry - Told how the lookup was answered (see getCachedOrFetch)
+   * @returns {Promise<Object>} Forecast (see weatherProviders/forecast.js)
+   */
+  async getForecast(location, options) {
+    if (location.type === 'city') {
+      assertCityName(location.city);
     }
+    const normalizedLocation = normalizeLocation(location, { precision: this.coordinatePrecision });
+    const forecastOptions = {
+      days: options.days,
+      interval: options.interval,
+      lang: options.lang || DEFAULT_LANGUAGE
+    };
+
+    const forecast = await this.getCachedOrFetch({
+      cacheKey: this.getForecastCacheKey(normalizedLocation, forecastOptions),
+      location: normalizedLocation,
+      label: `${options.days}-day ${options.interval} forecast for ${normalizedLocation.type}: ${describeLocation(normalizedLocation)}`,
+      ttl: this.forecastCacheTtl,
+      fetch: (signal, onRetry) => this.fetchForecastFromAPI(normalizedLocation, forecastOptions, signal, { onRetry })
+    }, options);
+
+    return convertUnits(forecast, options.units || 'metric');
+  }
+
+  /**
+   * Find places matching a search, for clients to pick an exact location from
+   * @param {string} query - Place name, or the start of one
+   * @param {Object} options - Search options
+   * @param {number} options.limit - Largest number of places to return, defaults to 5
+   * @param {string} options.lang - Language of the place names (see utils/language.js)
+   * @param {AbortSignal} options.signal - Aborted when the caller no longer needs the answer
+   * @param {Function} options.onCacheEntry - Told how the lookup was answered (see getCachedOrFetch)
+   * @returns {Promise<Object>} { query, results, timestamp, source } with
+   * { name, state, country, lat, lon } per place, best match first
+   */
+  async searchLocations(query, options = {}) {
+    assertCityName(query);
+    const normalizedQuery = query.trim().toLowerCase().replace(/\s+/g, ' ');
+    const searchOptions = { limit: options.limit || 5, lang: options.lang || DEFAULT_LANGUAGE };
 
-    const normalizedCity = city.trim().toLowerCase();
-    const cacheKey = `weather:${normalizedCity}`;
+    return this.getCachedOrFetch({
+      cacheKey: this.getLocationSearchCacheKey(normalizedQuery, searchOptions),
+      // Used for logs and metrics, like a city lookup
+      location: { type: 'city', city: normalizedQuery },
+      label: `location search: ${normalizedQuery}`,
+      ttl: this.locationSearchCacheTtl,
+      fetch: (signal, onRetry) => this.fetchLocationsFromAPI(normalizedQuery, searchOptions, signal, { onRetry })
+    }, { signal: options.signal, onCacheEntry: options.onCacheEntry });
+  }
+
+  /**
+   * Answer a lookup from the cache, serving stale data while revalidating and
+   * sharing upstream fetches between concurrent misses
+   * @param {Object} lookup - What to look up
+   * @param {string} lookup.cacheKey - Cache key
+   * @param {Object} lookup.location - Normalized location, for "not found" errors
+   * @param {string} lookup.label - Description for logs
+   * @param {number} lookup.ttl - Cache TTL in milliseconds
+   * @param {Function} lookup.fetch - Fetches fresh data: (signal, onRetry) => Promise<Object>
+   * @param {Object} options - Request options
+   * @param {AbortSignal} options.signal - Aborted when the caller no longer needs the answer
+   * @param {Function} options.limiter - Concurrency limiter the upstream fetch waits on, if any (see utils/concurrency.js)
+   * @param {Function} options.onCacheEntry - Told how the lookup was answered: { status, cacheKey, createdAt,
+   * expiresAt, upstreamLatencyMs, retries }, where status is 'hit', 'stale', 'miss' or 'coalesced', the times are
+   * in milliseconds, and latency and retries describe the upstream fetch this lookup waited for (null on a hit)
+   * @returns {Promise<Object>} Cached or fresh data
+   */
+  async getCachedOrFetch(lookup, options = {}) {
+    const { cacheKey, label } = lookup;
+    const reportEntry = (status, entry) => options.onCacheEntry?.({
+      // A fetch that fell back to stale data answered with the stale entry
+      status: entry.stale ? 'stale' : status,
+      cacheKey,
+      createdAt: entry.createdAt,
+      expiresAt: entry.expiresAt,
+      upstreamLatencyMs: entry.latencyMs ?? null,
+      retries: entry.retries ?? null
+    });
 
     // Try to get from cache first
-    const cachedData = cacheService.get(cacheKey);
-    if (cachedData) {
-      console.log(`Cache hit for city: ${city}`);
-      return cachedData;
+    const cachedEntry = await cacheService.getEntry(cacheKey);
+    if (cachedEntry && cachedEntry.negative) {
+      console.log(`Negative cache hit for ${label}`);
+      throw new CityNotFoundError(lookup.location);
+    }
+
+    if (cachedEntry && !cachedEntry.stale) {
+      console.log(`Cache hit for ${label}`);
+      reportEntry('hit', cachedEntry);
+      return cachedEntry.data;
+    }
+
+    if (cachedEntry && Date.now() - cachedEntry.expiresAt <= this.staleWhileRevalidateMs) {
+      console.log(`Stale cache hit for ${label}, revalidating in background...`);
+      this.revalidate(lookup);
+      reportEntry('stale', cachedEntry);
+      return this.markStale(cachedEntry);
+    }
+
+    // The caller may have gone while we were checking the cache
+    options.signal?.throwIfAborted();
+
+    // Share an upstream fetch that is already running for the same key
+    const pendingRequest = this.getPendingFetch(cacheKey);
+    if (pendingRequest) {
+      this.coalescedRequests++;
+      console.log(`Cache miss for ${label}, joining in-flight request...`);
+      const joinedEntry = await this.waitForFetch(pendingRequest, options.signal);
+      reportEntry('coalesced', joinedEntry);
+      return joinedEntry.data;
+    }
+
+    console.log(`Cache miss for ${label}, fetching from API...`);
+
+    const fetchedEntry = await this.waitForFetch(this.startFetch(lookup, { limiter: options.limiter }), options.signal);
+    reportEntry('miss', fetchedEntry);
+    return fetchedEntry.data;
+  }
+
+  /**
+   * Refresh a stale entry without making the caller wait for it
+   * @param {Object} lookup - Lookup being refreshed (see getCachedOrFetch)
+   */
+  revalidate(lookup) {
+    if (this.getPendingFetch(lookup.cacheKey)) {
+      return;
+    }
+
+    // Failures are already logged by fetchAndCache; the stale entry stays in place
+    this.startFetch(lookup, { detached: true }).promise.catch(() => {});
+  }
+
+  /**
+   * Find the in-flight fetch for a key that a new caller can still join. One
+   * aborted because its last caller hung up can linger until it settles, and
+   * would only reject the new caller with an abort that isn't theirs.
+   * @param {string} cacheKey - Cache key
+   * @returns {Object|undefined} In-flight fetch from startFetch, if there is a live one
+   */
+  getPendingFetch(cacheKey) {
+    const request = this.inFlightRequests.get(cacheKey);
+    return request && !request.controller.signal.aborted ? request : undefined;
+  }
+
+  /**
+   * Start an upstream fetch and register it so concurrent misses can join it
+   * @param {Object} lookup - Lookup to fetch (see getCachedOrFetch)
+   * @param {Object} options - Fetch options
+   * @param {boolean} options.detached - Keep fetching even when every waiting caller has gone
+   * @param {Function} options.limiter - Concurrency limiter to wait on before fetching, if any
+   * @returns {Object} In-flight fetch ({ promise, controller, waiters, detached })
+   */
+  startFetch(lookup, options = {}) {
+    const controller = new AbortController();
+    const request = {
+      controller,
+      waiters: 0,
+      detached: Boolean(options.detached)
+    };
+    const fetch = () => {
+      // Every caller may have gone while the fetch waited for a slot
+      controller.signal.throwIfAborted();
+      return this.fetchAndCache(lookup, controller.signal);
+    };
+    // Registered before it starts, so concurrent misses join it even while it waits for a slot.
+    // An aborted fetch may have been replaced by then, and must not unregister its replacement.
+    request.promise = (options.limiter ? options.limiter(fetch) : fetch())
+      .finally(() => {
+        if (this.inFlightRequests.get(lookup.cacheKey) === request) {
+          this.inFlightRequests.delete(lookup.cacheKey);
+        }
+      });
+    this.inFlightRequests.set(lookup.cacheKey, request);
+
+    return request;
+  }
+
+  /**
+   * Wait for an in-flight fetch on behalf of one caller. The fetch is shared, so
+   * it is only aborted once every caller waiting on it has aborted.
+   * @param {Object} request - In-flight fetch from startFetch
+   * @param {AbortSignal} signal - Caller's signal
+   * @returns {Promise<Object>} Entry from fetchAndCache, or a rejection with the abort reason
+   */
+  waitForFetch(request, signal) {
+    request.waiters++;
+    if (!signal) {
+      return request.promise;
     }
 
-    console.log(`Cache miss for city: ${city}, fetching from API...`);
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        request.waiters--;
+        if (request.waiters === 0 && !request.detached) {
+          request.controller.abort(signal.reason);
+        }
+        reject(signal.reason);
+      };
+      signal.addEventListener('abort', onAbort, { once: true });
+
+      request.promise
+        .finally(() => signal.removeEventListener('abort', onAbort))
+        .then(resolve, reject);
+    });
+  }
 
+  /**
+   * Fetch fresh data from the API and store it in the cache. Upstream errors
+   * leave here as domain errors (see utils/errors.js).
+   * @param {Object} lookup - Lookup to fetch (see getCachedOrFetch)
+   * @param {AbortSignal} signal - Aborted when nobody is waiting for the result any more
+   * @returns {Promise<Object>} Entry ({ data, createdAt, expiresAt, latencyMs, retries }) that was stored,
+   * or the stale entry ({ data, createdAt, expiresAt, stale, ... }) served instead
+   */
+  async fetchAndCache(lookup, signal) {
+    const { cacheKey, label } = lookup;
+    let retries = 0;
     try {
-      const weatherData = await this.fetchWeatherFromAPI(normalizedCity);
+      const startedAt = Date.now();
+      const weatherData = await lookup.fetch(signal, () => retries++);
+      const createdAt = Date.now();
+      const latencyMs = createdAt - startedAt;
+      this.upstreamLatency.record(latencyMs);
       
-      // Cache the result
-      cacheService.set(cacheKey, weatherData, this.cacheTtl);
+      // Cache the result, keeping it around long enough to be served stale later
+      const staleTtl = Math.max(this.staleWhileRevalidateMs, this.staleIfErrorMs);
+      await cacheService.set(cacheKey, weatherData, lookup.ttl, staleTtl, createdAt);
       
-      return weatherData;
-    } catch (error) {
-      console.error(`Error fetching weather for city ${city}:`, error.message);
+      return { data: weatherData, createdAt, expiresAt: createdAt + lookup.ttl, latencyMs, retries };
+    } catch (upstreamError) {
+      // Nobody is left to serve, stale or otherwise
+      if (signal?.aborted) {
+        console.log(`Fetch for ${label} aborted: ${upstreamError.message}`);
+        throw upstreamError;
+      }
+
+      console.error(`Error fetching weather for ${label}:`, upstreamError.message);
+      const error = fromUpstreamError(upstreamError, lookup.location);
+
+      // An unknown city is an answer, not an outage: remember it instead of serving stale data
+      if (error instanceof CityNotFoundError) {
+        if (this.negativeCacheTtl > 0) {
+          await cacheService.setNegative(cacheKey, this.negativeCacheTtl);
+        }
+        throw error;
+      }
+
+      // Fall back to stale data rather than failing the request
+      const staleEntry = await cacheService.peekEntry(cacheKey);
+      if (staleEntry && Date.now() - staleEntry.expiresAt <= this.staleIfErrorMs) {
+        console.log(`Serving stale data for ${label} after upstream failure`);
+        return { ...staleEntry, data: staleEntry.stale ? this.markStale(staleEntry) : staleEntry.data };
+      }
+
       throw error;
     }
   }
 
   /**
-   * Fetch weather data from external API with retry logic
-   * @param {string} city - City name
-   * @returns {Promise<Object>} Weather data
+   * Mark cached data as stale so clients can tell it is past its TTL
+   * @param {Object} entry - Cache entry from cacheService.getEntry
+   * @returns {Object} Weather data with stale flag and age in seconds
+   */
+  markStale(entry) {
+    return {
+      ...entry.data,
+      stale: true,
+      age: Math.floor(entry.age / 1000)
+    };
+  }
+
+  /**
+   * Fetch weather data from the provider chain, moving on to the next provider
+   * when one fails or is rate limited. Providers that can't look up this kind of
+   * location are left out of the chain.
+   * @param {Object} location - Normalized location
+   * @param {AbortSignal} signal - Aborts the call in progress and any remaining retries and providers
+   * @param {Object} options - Fetch options
+   * @param {string} options.lang - Language of the weather description, defaults to English
+   * @param {Function} options.onRetry - Called before each retry of an upstream call
+   * @returns {Promise<Object>} Weather data, with `source` naming the provider that answered
    */
-  async fetchWeatherFromAPI(city) {
-    if (!this.apiKey) {
-      // If no API key is provided, return mock data
-      console.log('No API key provided, returning mock weather data');
-      return this.getMockWeatherData(city);
+  async fetchWeatherFromAPI(location, signal, options = {}) {
+    if (this.upstreams.length === 0) {
+      // If no provider is configured, return mock data
+      console.log('No weather provider configured, returning mock weather data');
+      upstreamCallsTotal.inc({ provider: 'mock' });
+      return this.mockProvider.fetchCurrent(location);
     }
 
-    const fetchWeather = async () => {
-      const response = await axios.get(this.apiUrl, {
-        params: {
-          q: city,
-          appid: this.apiKey,
-          units: 'metric'
-        },
-        timeout: 10000 // 10 second timeout
-      });
+    const upstreams = this.upstreams.filter(({ provider }) => provider.supports(location));
+    if (upstreams.length === 0) {
+      throw createUnsupportedLocationError(location.type);
+    }
 
-      return this.transformWeatherData(response.data);
-    };
+    return this.fetchFromChain(upstreams, location, { signal, onRetry: options.onRetry },
+      (provider, attemptSignal) => provider.fetchCurrent(location, { lang: options.lang, signal: attemptSignal }));
+  }
+
+  /**
+   * Fetch a forecast from the provider chain, leaving out providers that can't
+   * look up this kind of location or forecast this far ahead at this interval
+   * @param {Object} location - Normalized location
+   * @param {Object} forecastOptions - Forecast options ({ days, interval, lang })
+   * @param {AbortSignal} signal - Aborts the call in progress and any remaining retries and providers
+   * @param {Object} options - Fetch options
+   * @param {Function} options.onRetry - Called before each retry of an upstream call
+   * @returns {Promise<Object>} Forecast, with `source` naming the provider that answered
+   */
+  async fetchForecastFromAPI(location, forecastOptions, signal, options = {}) {
+    if (this.upstreams.length === 0) {
+      // If no provider is configured, return mock data
+      console.log('No weather provider configured, returning mock forecast data');
+      upstreamCallsTotal.inc({ provider: 'mock' });
+      return this.mockProvider.fetchForecast(location, forecastOptions);
+    }
+
+    const upstreams = this.upstreams.filter(({ provider }) => provider.supports(location));
+    if (upstreams.length === 0) {
+      throw createUnsupportedLocationError(location.type);
+    }
+    const forecasters = upstreams.filter(({ provider }) => provider.supportsForecast(forecastOptions));
+    if (forecasters.length === 0) {
+      throw createUnsupportedForecastError(forecastOptions);
+    }
+
+    return this.fetchFromChain(forecasters, location, { signal, onRetry: options.onRetry },
+      (provider, attemptSignal) => provider.fetchForecast(location, { ...forecastOptions, signal: attemptSignal }));
+  }
+
+  /**
+   * Search for places through the provider chain, falling back to the bundled
+   * list of major cities when no provider is configured
+   * @param {string} query - Normalized search
+   * @param {Object} searchOptions - Search options ({ limit, lang })
+   * @param {AbortSignal} signal - Aborts the call in progress and any remaining retries and providers
+   * @param {Object} options - Fetch options
+   * @param {Function} options.onRetry - Called before each retry of an upstream call
+   * @returns {Promise<Object>} Search results, with `source` naming the provider that answered
+   */
+  async fetchLocationsFromAPI(query, searchOptions, signal, options = {}) {
+    if (this.upstreams.length === 0) {
+      console.log('No weather provider configured, searching the bundled city list');
+      upstreamCallsTotal.inc({ provider: 'mock' });
+      return this.mockProvider.searchLocations(query, searchOptions);
+    }
+
+    return this.fetchFromChain(this.upstreams, { type: 'city', city: query }, { signal, onRetry: options.onRetry },
+      (provider, attemptSignal) => provider.searchLocations(query, { ...searchOptions, signal: attemptSignal }));
+  }
+
+  /**
+   * Try each provider in turn until one answers
+   * @param {Object[]} upstreams - Providers with their circuit breakers and retry budgets, in order
+   * @param {Object} location - Normalized location, for logs and metrics
+   * @param {Object} options - Fetch options
+   * @param {AbortSignal} options.signal - Aborts the call in progress and any remaining retries and providers
+   * @param {Function} options.onRetry - Called before each retry of an upstream call, across all providers
+   * @param {Function} request - Makes one call: (provider, signal) => Promise<Object>
+   * @returns {Promise<Object>} Answer from the first provider that succeeded
+   */
+  async fetchFromChain(upstreams, location, options, request) {
+    // The deadline covers the whole chain, not each provider
+    const deadlineAt = Date.now() + this.fetchDeadlineMs;
+    let lastError;
+
+    for (const [index, upstream] of upstreams.entries()) {
+      const remaining = deadlineAt - Date.now();
+      if (index > 0 && remaining <= 0) {
+        break;
+      }
+
+      try {
+        return await this.fetchFromProvider(upstream, location, { ...options, deadline: remaining, request });
+      } catch (error) {
+        lastError = error;
+        const next = upstreams[index + 1];
+        if (!next || !shouldFailOver(error)) {
+          throw error;
+        }
 
-    return await retryWithExponentialBackoff(fetchWeather, {
-      maxAttempts: this.maxRetryAttempts,
-      baseDelay: 1000,
-      maxDelay: 8000
+        upstreamFailoversTotal.inc({ from: upstream.provider.name, to: next.provider.name });
+        logUpstreamEvent('warn', 'upstream_failover', {
+          provider: upstream.provider.name,
+          nextProvider: next.provider.name,
+          city: describeLocation(location),
+          classification: classifyError(error),
+          error: error.message
+        });
+      }
+    }
+
+    throw lastError;
+  }
+
+  /**
+   * Call one provider with retry logic
+   * @param {Object} upstream - Provider with its circuit breaker and retry budget
+   * @param {Object} location - Normalized location
+   * @param {Object} options - Fetch options
+   * @param {AbortSignal} options.signal - Aborts the call in progress and any remaining retries
+   * @param {number} options.deadline - Time left for this provider in milliseconds
+   * @param {Function} options.request - Makes one call: (provider, signal) => Promise<Object>
+   * @param {Function} options.onRetry - Called before each retry
+   * @returns {Promise<Object>} The provider's answer
+   */
+  async fetchFromProvider(upstream, location, options) {
+    const { provider, circuitBreaker, retryBudget } = upstream;
+
+    // Each attempt goes through the breaker; once it opens, the remaining retries fail fast
+    const fetchWeather = ({ signal: attemptSignal }) => circuitBreaker.execute(async () => {
+      upstreamCallsTotal.inc({ provider: provider.name });
+      try {
+        return await options.request(provider, attemptSignal);
+      } catch (error) {
+        // axios reports every abort as a cancellation; the reason says whether it was a timeout or the caller
+        throw attemptSignal.aborted ? attemptSignal.reason : error;
+      }
     });
+
+    // Locations come from user input, so they go in the logs but never in metric labels
+    const tags = { provider: provider.name, city: describeLocation(location) };
+
+    try {
+      return await retryWithExponentialBackoff(fetchWeather, {
+        maxAttempts: this.maxRetryAttempts,
+        baseDelay: 1000,
+        maxDelay: 8000,
+        jitter: this.retryJitter,
+        attemptTimeout: this.attemptTimeoutMs,
+        deadline: options.deadline,
+        signal: options.signal,
+        budget: retryBudget,
+        operation: provider.name,
+        onRetry: ({ attempt, delayMs, error, classification, elapsedMs }) => {
+          upstreamRetriesTotal.inc({ provider: provider.name, classification });
+          options.onRetry?.();
+          logUpstreamEvent('warn', 'upstream_retry', {
+            ...tags, attempt, delayMs, classification, elapsedMs, error: error.message
+          });
+        },
+        onGiveUp: ({ attempt, error, classification, elapsedMs, totalDelayMs }) => {
+          logUpstreamEvent(QUIET_GIVE_UPS.includes(classification) ? 'info' : 'error', 'upstream_give_up', {
+            ...tags, attempt, classification, elapsedMs, totalDelayMs, error: error.message
+          });
+        },
+        onSuccess: ({ attempt, elapsedMs, totalDelayMs }) => {
+          if (attempt > 1) {
+            upstreamRecoveriesTotal.inc({ provider: provider.name });
+            logUpstreamEvent('info', 'upstream_recovered', { ...tags, attempt, elapsedMs, totalDelayMs });
+          }
+        }
+      });
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        throw error;
+      }
+      const reason = String(error.response?.status ?? error.code ?? 'error');
+      upstreamFailuresTotal.inc({ provider: provider.name, reason });
+      throw error;
+    }
   }
 
   /**
-   * Transform raw weather API response to our standard format
+   * Transform a raw OpenWeatherMap response to our standard format
    * @param {Object} rawData - Raw API response
    * @returns {Object} Transformed weather data
    */
   transformWeatherData(rawData) {
-    return {
-      city: rawData.name,
-      country: rawData.sys.country,
-      temperature: {
-        current: Math.round(rawData.main.temp),
-        feelsLike: Math.round(rawData.main.feels_like),
-        min: Math.round(rawData.main.temp_min),
-        max: Math.round(rawData.main.temp_max)
-      },
-      humidity: rawData.main.humidity,
-      pressure: rawData.main.pressure,
-      description: rawData.weather[0].description,
-      main: rawData.weather[0].main,
-      wind: {
-        speed: rawData.wind.speed,
-        direction: rawData.wind.deg
-      },
-      visibility: rawData.visibility,
-      timestamp: new Date().toISOString(),
-      source: 'openweathermap'
-    };
+    return OpenWeatherMapProvider.transform(rawData);
+  }
+
+  /**
+   * Transform a raw OpenWeatherMap forecast response to our standard format
+   * @param {Object} rawData - Raw API response
+   * @param {Object} forecastOptions - Forecast options ({ days, interval })
+   * @returns {Object} Transformed forecast
+   */
+  transformForecastData(rawData, forecastOptions) {
+    return OpenWeatherMapProvider.transformForecast(rawData, forecastOptions);
   }
 
   /**
@@ -116,49 +753,198 @@ class WeatherService {
    * @returns {Object} Mock weather data
    */
   getMockWeatherData(city) {
-    const mockTemperatures = [15, 18, 22, 25, 28, 30, 32, 35];
-    const mockDescriptions = ['clear sky', 'few clouds', 'scattered clouds', 'broken clouds', 'shower rain', 'rain', 'thunderstorm', 'snow'];
-    
-    const randomTemp = mockTemperatures[Math.floor(Math.random() * mockTemperatures.length)];
-    const randomDesc = mockDescriptions[Math.floor(Math.random() * mockDescriptions.length)];
-    
+    return this.mockProvider.getMockWeatherData(city);
+  }
+
+  /**
+   * Get a deterministic mock forecast for testing/development
+   * @param {string} city - City name
+   * @param {Object} forecastOptions - Forecast options ({ days, interval })
+   * @returns {Object} Mock forecast
+   */
+  getMockForecastData(city, forecastOptions) {
+    return this.mockProvider.getMockForecastData(city, forecastOptions);
+  }
+
+  /**
+   * Get cache statistics
+   * @param {Object} options - Stats options, as for cacheService.getStats
+   * @returns {Promise<Object>} Cache statistics, with upstream latency added to the metrics
+   */
+  async getCacheStats(options) {
+    const { metrics, ...stats } = await cacheService.getStats(options);
+
     return {
-      city: city.charAt(0).toUpperCase() + city.slice(1),
-      country: 'US',
-      temperature: {
-        current: randomTemp,
-        feelsLike: randomTemp + Math.floor(Math.random() * 3) - 1,
-        min: randomTemp - 5,
-        max: randomTemp + 5
-      },
-      humidity: Math.floor(Math.random() * 40) + 40, // 40-80%
-      pressure: Math.floor(Math.random() * 100) + 1000, // 1000-1100 hPa
-      description: randomDesc,
-      main: randomDesc.split(' ')[0],
-      wind: {
-        speed: Math.floor(Math.random() * 10) + 1, // 1-10 m/s
-        direction: Math.floor(Math.random() * 360)
-      },
-      visibility: Math.floor(Math.random() * 5000) + 5000, // 5-10 km
-      timestamp: new Date().toISOString(),
-      source: 'mock'
+      ...stats,
+      inFlightRequests: this.inFlightRequests.size,
+      coalescedRequests: this.coalescedRequests,
+      metrics: {
+        ...metrics,
+        cumulative: { ...metrics.cumulative, upstreamLatency: this.upstreamLatency.getCumulative() },
+        window: { ...metrics.window, upstreamLatency: this.upstreamLatency.getWindow() }
+      }
     };
   }
 
   /**
-   * Get cache statistics
-   * @returns {Object} Cache statistics
+   * Get the provider chain with each provider's circuit breaker and retry budget
+   * @returns {Object[]} { name, circuitBreaker, retryBudget } per provider, in failover order
+   */
+  getProviderStates() {
+    return this.upstreams.map(({ provider, circuitBreaker, retryBudget }) => ({
+      name: provider.name,
+      circuitBreaker: circuitBreaker.getState(),
+      retryBudget: retryBudget.getState()
+    }));
+  }
+
+  /**
+   * Ask each provider in the chain for the weather at a fixed place. Probes
+   * skip the cache, retries and circuit breakers, so they show how each
+   * provider answers right now.
+   * @param {Object} options - Probe options
+   * @param {number} options.timeoutMs - Time allowed for each provider, defaults to 5 seconds
+   * @returns {Promise<Object[]>} { name, url, status, responseTimeMs } for a provider that answered, or
+   * { name, url, status, error } for one that didn't, in failover order; empty when mock data is served
+   */
+  async probeProviders(options = {}) {
+    const timeoutMs = options.timeoutMs ?? 5000;
+
+    return Promise.all(this.upstreams.map(async ({ provider }) => {
+      const probe = { name: provider.name, url: provider.apiUrl };
+      const startedAt = Date.now();
+      try {
+        await provider.fetchCurrent(PROBE_LOCATION, { signal: AbortSignal.timeout(timeoutMs) });
+        return { ...probe, status: 'healthy', responseTimeMs: Date.now() - startedAt };
+      } catch (error) {
+        return { ...probe, status: 'unhealthy', error: error.message };
+      }
+    }));
+  }
+
+  /**
+   * Zero the cache counters and upstream latency samples
    */
-  getCacheStats() {
-    return cacheService.getStats();
+  resetCacheStats() {
+    cacheService.resetStats();
+    this.upstreamLatency.reset();
+    this.coalescedRequests = 0;
   }
 
   /**
    * Clear weather cache
    */
-  clearCache() {
-    cacheService.clear();
+  async clearCache() {
+    await cacheService.clear();
+  }
+
+  /**
+   * Build the cache key for a city
+   * @param {string} city - City name
+   * @returns {string} Cache key
+   */
+  getCacheKey(city) {
+    return `weather:${city.trim().toLowerCase()}`;
+  }
+
+  /**
+   * Build the cache key for a normalized location. Cities keep the plain
+   * `weather:<city>` key; other lookups get a prefix of their own, e.g.
+   * `weather:coords:51.51,-0.13`, `weather:zip:us:10001` or `weather:id:2643743`.
+   * Languages other than English add a suffix, e.g. `weather:london@fr`.
+   * @param {Object} location - Normalized location
+   * @param {string} lang - Language of the weather description
+   * @returns {string} Cache key
+   */
+  getLocationCacheKey(location, lang = DEFAULT_LANGUAGE) {
+    return `weather:${getLocationKey(location)}${getLanguageSuffix(lang)}`;
+  }
+
+  /**
+   * Build the cache key for a forecast, e.g. `forecast:london:daily:5` or
+   * `forecast:london:daily:5@fr`
+   * @param {Object} location - Normalized location
+   * @param {Object} forecastOptions - Forecast options ({ days, interval, lang })
+   * @returns {string} Cache key
+   */
+  getForecastCacheKey(location, forecastOptions) {
+    return `forecast:${getLocationKey(location)}:${forecastOptions.interval}:${forecastOptions.days}` +
+      getLanguageSuffix(forecastOptions.lang);
+  }
+
+  /**
+   * Build the cache key for a location search, e.g. `locations:lond:5` or
+   * `locations:lond:5@fr`
+   * @param {string} query - Normalized search
+   * @param {Object} searchOptions - Search options ({ limit, lang })
+   * @returns {string} Cache key
+   */
+  getLocationSearchCacheKey(query, searchOptions) {
+    return `locations:${query}:${searchOptions.limit}${getLanguageSuffix(searchOptions.lang)}`;
+  }
+
+  /**
+   * List cached entries, one page at a time
+   * @param {number} page - Page number, starting at 1
+   * @param {number} limit - Entries per page
+   * @returns {Promise<Object>} { entries, pagination }
+   */
+  async getCacheEntries(page, limit) {
+    const allEntries = await cacheService.listEntries();
+    const start = (page - 1) * limit;
+
+    return {
+      entries: allEntries.slice(start, start + limit),
+      pagination: {
+        page,
+        limit,
+        total: allEntries.length,
+        totalPages: Math.ceil(allEntries.length / limit)
+      }
+    };
+  }
+
+  /**
+   * Inspect a single cache entry
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} Entry details or null if not cached
+   */
+  async getCacheEntry(key) {
+    return cacheService.inspect(key);
+  }
+
+  /**
+   * Evict the cached weather and forecasts for one city, in every language
+   * @param {string} city - City name
+   * @returns {Promise<boolean>} True if anything was cached for the city
+   */
+  async invalidateCity(city) {
+    const cacheKey = this.getCacheKey(city);
+    const deleted = await cacheService.delete(cacheKey);
+    const translations = await cacheService.deleteMatching(`${cacheKey}@*`);
+    // Forecast keys go on with the interval, days and language, e.g. forecast:london:daily:5@fr
+    const forecasts = await cacheService.deleteMatching(`forecast:${city.trim().toLowerCase()}:*`);
+
+    return deleted || translations.length > 0 || forecasts.length > 0;
+  }
+
+  /**
+   * Evict every cache entry whose key matches a wildcard pattern
+   * @param {string} pattern - Key pattern using `*` and `?` wildcards
+   * @returns {Promise<string[]>} Keys that were evicted
+   */
+  async invalidateCacheByPattern(pattern) {
+    return cacheService.deleteMatching(pattern);
   }
 }
 
-module.exports = new WeatherService();
+const weatherService = new WeatherService();
+
+registry.addCollector(() => {
+  upstreamInFlight.set({}, weatherService.inFlightRequests.size);
+  weatherService.upstreams.forEach(({ provider, circuitBreaker }) => {
+    circuitStateGauge.set({ provider: provider.name }, CIRCUIT_STATE_VALUES[circuitBreaker.state]);
+  });
+});
+
+module.exports = weatherService;
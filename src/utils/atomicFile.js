@@ -0,0 +1,43 @@
+/**
+ * Crash-safe file writes
+ */
+
+const fs = require('fs/promises');
+const path = require('path');
+
+/**
+ * Write a file atomically: the contents go to a temporary file in the same
+ * directory, are flushed to disk, and then renamed over the target, so readers
+ * only ever see the old file or the complete new one
+ * @param {string} filePath - Destination file path
+ * @param {string|Buffer} contents - File contents
+ * @returns {Promise<void>} Resolves once the file is in place
+ */
+const writeFileAtomic = async (filePath, contents) => {
+  const directory = path.dirname(filePath);
+  const tempPath = path.join(directory, `.${path.basename(filePath)}.${process.pid}.${Date.now()}.tmp`);
+
+  await fs.mkdir(directory, { recursive: true });
+
+  const handle = await fs.open(tempPath, 'w');
+  try {
+    await handle.writeFile(contents);
+    await handle.sync();
+  } catch (error) {
+    await handle.close();
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+  await handle.close();
+
+  try {
+    await fs.rename(tempPath, filePath);
+  } catch (error) {
+    await fs.rm(tempPath, { force: true });
+    throw error;
+  }
+};
+
+module.exports = {
+  writeFileAtomic
+};
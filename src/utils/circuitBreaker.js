@@ -0,0 +1,159 @@
+/**
+ * Circuit breaker for calls to an unreliable dependency
+ */
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half-open'
+};
+
+/**
+ * Thrown instead of calling the dependency while the breaker is open
+ */
+class CircuitOpenError extends Error {
+  /**
+   * @param {string} name - Breaker name
+   * @param {number} retryAfterMs - Time until the breaker lets a trial call through
+   */
+  constructor(name, retryAfterMs) {
+    super(`Circuit breaker ${name} is open`);
+    this.name = 'CircuitOpenError';
+    this.code = 'ECIRCUITOPEN';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+class CircuitBreaker {
+  /**
+   * @param {Object} options - Breaker options
+   * @param {string} options.name - Name used in errors and logs
+   * @param {number} options.failureThreshold - Consecutive failures that open the breaker
+   * @param {number} options.cooldownMs - How long the breaker stays open before allowing a trial call
+   * @param {Function} options.isFailure - Decides whether an error counts against the dependency
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'default';
+    this.failureThreshold = options.failureThreshold ?? 5;
+    this.cooldownMs = options.cooldownMs ?? 30000;
+    this.isFailure = options.isFailure || (() => true);
+    this.reset();
+  }
+
+  /**
+   * Run a call through the breaker
+   * @param {Function} fn - Async function calling the dependency
+   * @returns {Promise} Result of fn
+   * @throws {CircuitOpenError} If the breaker is open, or half-open with a trial call already running
+   */
+  async execute(fn) {
+    this.beforeCall();
+
+    try {
+      const result = await fn();
+      this.onSuccess();
+      return result;
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        // Cancelled by the caller: no verdict on the dependency, just free the trial slot
+        this.trialInProgress = false;
+      } else if (this.isFailure(error)) {
+        this.onFailure();
+      } else {
+        // The dependency answered, even if the answer was an error
+        this.onSuccess();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Let a call through or reject it, moving from open to half-open once the cool-down is over
+   */
+  beforeCall() {
+    if (this.state === STATES.OPEN) {
+      const remainingMs = this.openedAt + this.cooldownMs - Date.now();
+      if (remainingMs > 0) {
+        this.rejectedCalls++;
+        throw new CircuitOpenError(this.name, remainingMs);
+      }
+      this.transition(STATES.HALF_OPEN);
+    }
+
+    if (this.state === STATES.HALF_OPEN) {
+      // Only one trial call at a time; everyone else keeps failing fast until it settles
+      if (this.trialInProgress) {
+        this.rejectedCalls++;
+        throw new CircuitOpenError(this.name, 0);
+      }
+      this.trialInProgress = true;
+    }
+  }
+
+  /**
+   * Record a successful call, closing the breaker after a successful trial
+   */
+  onSuccess() {
+    this.consecutiveFailures = 0;
+    this.trialInProgress = false;
+    if (this.state !== STATES.CLOSED) {
+      this.transition(STATES.CLOSED);
+    }
+  }
+
+  /**
+   * Record a failed call, opening the breaker at the threshold or after a failed trial
+   */
+  onFailure() {
+    this.consecutiveFailures++;
+    this.trialInProgress = false;
+
+    if (this.state === STATES.HALF_OPEN || this.consecutiveFailures >= this.failureThreshold) {
+      this.openedAt = Date.now();
+      this.transition(STATES.OPEN);
+    }
+  }
+
+  /**
+   * Change state and log the transition
+   * @param {string} state - New state
+   */
+  transition(state) {
+    console.log(`Circuit breaker ${this.name}: ${this.state} -> ${state}`);
+    this.state = state;
+  }
+
+  /**
+   * Get the breaker's current state for health reporting
+   * @returns {Object} State, failure count and, when open, when the next trial call is allowed
+   */
+  getState() {
+    const isOpen = this.state === STATES.OPEN;
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      failureThreshold: this.failureThreshold,
+      cooldownMs: this.cooldownMs,
+      rejectedCalls: this.rejectedCalls,
+      openedAt: isOpen ? new Date(this.openedAt).toISOString() : null,
+      nextAttemptAt: isOpen ? new Date(this.openedAt + this.cooldownMs).toISOString() : null
+    };
+  }
+
+  /**
+   * Close the breaker and forget all failures
+   */
+  reset() {
+    this.state = STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.rejectedCalls = 0;
+    this.openedAt = null;
+    this.trialInProgress = false;
+  }
+}
+
+module.exports = {
+  CircuitBreaker,
+  CircuitOpenError,
+  STATES
+};
@@ -0,0 +1,38 @@
+/**
+ * Limit how many async tasks run at once
+ */
+
+/**
+ * Create a limiter that runs at most `concurrency` tasks at a time, starting
+ * queued tasks in the order they were given
+ * @param {number} concurrency - Largest number of tasks running at once
+ * @returns {Function} limit(task) - Runs `task` when a slot is free and resolves or rejects with its result
+ */
+const createLimiter = (concurrency) => {
+  const queue = [];
+  let running = 0;
+
+  const next = () => {
+    if (running >= concurrency || queue.length === 0) {
+      return;
+    }
+    const { task, resolve, reject } = queue.shift();
+    running++;
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        running--;
+        next();
+      });
+  };
+
+  return (task) => new Promise((resolve, reject) => {
+    queue.push({ task, resolve, reject });
+    next();
+  });
+};
+
+module.exports = {
+  createLimiter
+};
@@ -0,0 +1,18 @@
+/**
+ * Helpers for reading configuration from environment variables
+ */
+
+/**
+ * Read an integer from an environment variable, keeping explicit zeros
+ * @param {string} name - Environment variable name
+ * @param {number} defaultValue - Value used when the variable is unset or not a number
+ * @returns {number} Parsed integer value
+ */
+const getIntEnv = (name, defaultValue) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? defaultValue : value;
+};
+
+module.exports = {
+  getIntEnv
+};
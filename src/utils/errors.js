@@ -0,0 +1,208 @@
+/**
+ * Domain errors thrown by the weather service, and the one place upstream
+ * (axios, retry and circuit breaker) errors are translated into them. The
+ * errors say what went wrong; only the global errorHandler decides what HTTP
+ * response that becomes.
+ */
+
+const { classifyError, parseRetryAfter } = require('./retry');
+const { describeLocation } = require('./location');
+
+/**
+ * Base class for the errors the weather service throws
+ */
+class WeatherServiceError extends Error {
+  /**
+   * @param {string} message - Description of what went wrong
+   * @param {Object} options - Error options
+   * @param {Error} options.cause - Lower-level error this one was translated from
+   */
+  constructor(message, options) {
+    super(message, options);
+    this.name = 'WeatherServiceError';
+  }
+}
+
+/**
+ * The request can't be answered as asked, such as a blank city name or a
+ * lookup none of the configured providers supports
+ */
+class ValidationError extends WeatherServiceError {
+  /**
+   * @param {string} message - What is wrong with the request, shown to the client
+   * @param {Object} options - Error options
+   * @param {string} options.code - Machine-readable reason, e.g. EUNSUPPORTEDLOCATION
+   * @param {Array} options.errors - Each offending field, as listed in the problem details
+   *   (see validationProblem in utils/problemDetails.js)
+   */
+  constructor(message, options = {}) {
+    super(message);
+    this.name = 'ValidationError';
+    this.code = options.code;
+    this.errors = options.errors;
+  }
+}
+
+/**
+ * No provider knows the city or location that was looked up
+ */
+class CityNotFoundError extends WeatherServiceError {
+  /**
+   * @param {Object} location - Location that was looked up (see utils/location.js)
+   * @param {Object} options - Error options
+   * @param {Error} options.cause - Upstream error, if the provider answered 404
+   */
+  constructor(location, options) {
+    super(`${location.type === 'city' ? 'City' : 'Location'} not found: ${describeLocation(location)}`, options);
+    this.name = 'CityNotFoundError';
+    this.location = location;
+  }
+}
+
+/**
+ * The provider rejected our credentials, e.g. a missing or revoked API key
+ */
+class UpstreamAuthError extends WeatherServiceError {
+  /**
+   * @param {Object} options - Error options
+   * @param {Error} options.cause - Upstream error
+   */
+  constructor(options) {
+    super('Weather provider rejected the API credentials', options);
+    this.name = 'UpstreamAuthError';
+  }
+}
+
+/**
+ * No provider could answer: they are down, unreachable, failing or their
+ * circuit breakers are open
+ */
+class UpstreamUnavailableError extends WeatherServiceError {
+  /**
+   * @param {string} message - Description of what went wrong
+   * @param {Object} options - Error options
+   * @param {Error} options.cause - Upstream error
+   * @param {number} options.retryAfterMs - How long until it is worth trying again, if known
+   */
+  constructor(message = 'Weather provider is unavailable', options = {}) {
+    super(message, { cause: options.cause });
+    this.name = 'UpstreamUnavailableError';
+    this.retryAfterMs = options.retryAfterMs;
+  }
+}
+
+/**
+ * The provider is rate limiting us and still was after our retries
+ */
+class RateLimitedError extends UpstreamUnavailableError {
+  /**
+   * @param {Object} options - Error options (see UpstreamUnavailableError)
+   */
+  constructor(options) {
+    super('Weather provider rate limit exceeded', options);
+    this.name = 'RateLimitedError';
+  }
+}
+
+/**
+ * The provider didn't answer in time, per attempt or within the fetch deadline
+ */
+class UpstreamTimeoutError extends UpstreamUnavailableError {
+  /**
+   * @param {Object} options - Error options (see UpstreamUnavailableError)
+   */
+  constructor(options) {
+    super('Weather provider timed out', options);
+    this.name = 'UpstreamTimeoutError';
+  }
+}
+
+/**
+ * Translate an error from the upstream fetch into a domain error. Errors that
+ * already are domain errors, aborts, and errors we can't classify (such as a
+ * bug in a response transform) are returned as they are.
+ * @param {Error} error - Error from the provider chain, after retries and failover
+ * @param {Object} location - Location that was looked up
+ * @returns {Error} Domain error, with the upstream error as its `cause`
+ */
+const fromUpstreamError = (error, location) => {
+  if (error instanceof WeatherServiceError) {
+    return error;
+  }
+
+  const options = { cause: error };
+  switch (classifyError(error)) {
+    case 'client_error': {
+      const status = error.response.status;
+      if (status === 404) {
+        return new CityNotFoundError(location, options);
+      }
+      if (status === 401 || status === 403) {
+        return new UpstreamAuthError(options);
+      }
+      return error;
+    }
+    case 'rate_limited':
+      return new RateLimitedError({
+        ...options,
+        retryAfterMs: parseRetryAfter(error.response.headers?.['retry-after']) ?? undefined
+      });
+    case 'timeout':
+    case 'deadline':
+      return new UpstreamTimeoutError(options);
+    case 'circuit_open':
+      return new UpstreamUnavailableError(error.message, { ...options, retryAfterMs: error.retryAfterMs });
+    case 'network':
+    case 'server_error':
+      return new UpstreamUnavailableError(error.message, options);
+    default:
+      return error;
+  }
+};
+
+/**
+ * Build the error a provider throws for a city it doesn't know, shaped like
+ * an upstream 404 so fromUpstreamError handles every source of "not found"
+ * the same way
+ * @param {string} city - City name, or a description of another kind of location
+ * @returns {Error} Error with a 404 response status
+ */
+const createNotFoundError = (city) => {
+  const error = new Error(`City not found: ${city}`);
+  error.response = { status: 404 };
+  return error;
+};
+
+/**
+ * Build the error for a lookup that none of the configured providers can
+ * answer, such as a city ID when only providers without IDs are configured
+ * @param {string} type - Location type
+ * @returns {ValidationError} Error with code EUNSUPPORTEDLOCATION
+ */
+const createUnsupportedLocationError = (type) =>
+  new ValidationError(`No configured weather provider supports lookup by ${type}`, { code: 'EUNSUPPORTEDLOCATION' });
+
+/**
+ * Build the error for a forecast that none of the configured providers can
+ * give, such as an hourly forecast when only OpenWeatherMap is configured
+ * @param {Object} forecastOptions - Forecast options ({ days, interval })
+ * @returns {ValidationError} Error with code EUNSUPPORTEDFORECAST
+ */
+const createUnsupportedForecastError = (forecastOptions) => new ValidationError(
+  `No configured weather provider supports a ${forecastOptions.days}-day ${forecastOptions.interval} forecast`,
+  { code: 'EUNSUPPORTEDFORECAST' }
+);
+
+module.exports = {
+  WeatherServiceError,
+  ValidationError,
+  CityNotFoundError,
+  UpstreamAuthError,
+  UpstreamUnavailableError,
+  RateLimitedError,
+  UpstreamTimeoutError,
+  fromUpstreamError,
+  createNotFoundError,
+  createUnsupportedLocationError,
+  createUnsupportedForecastError
+};
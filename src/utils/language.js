@@ -0,0 +1,36 @@
+/**
+ * Languages weather descriptions can be requested in, as lowercase BCP 47
+ * tags. English comes first, so it is chosen when the client accepts anything.
+ */
+
+const DEFAULT_LANGUAGE = 'en';
+
+const SUPPORTED_LANGUAGES = [
+  'en', 'af', 'ar', 'az', 'bg', 'ca', 'cs', 'da', 'de', 'el', 'es', 'eu', 'fa', 'fi', 'fr', 'gl',
+  'he', 'hi', 'hr', 'hu', 'id', 'it', 'ja', 'ko', 'lt', 'lv', 'mk', 'nl', 'no', 'pl', 'pt',
+  'pt-br', 'ro', 'ru', 'sk', 'sl', 'sq', 'sr', 'sv', 'th', 'tr', 'uk', 'vi', 'zh-cn', 'zh-tw', 'zu'
+];
+
+/**
+ * Match a requested language to a supported one, falling back from a regional
+ * variant to its base language (e.g. "de-AT" to "de")
+ * @param {string} tag - Language tag, e.g. "de", "pt-BR" or "zh_CN"
+ * @returns {string|null} Supported language, or null if it isn't supported
+ */
+const normalizeLanguage = (tag) => {
+  if (typeof tag !== 'string') {
+    return null;
+  }
+  const language = tag.trim().toLowerCase().replace('_', '-');
+  const [base] = language.split('-');
+  if (SUPPORTED_LANGUAGES.includes(language)) {
+    return language;
+  }
+  return SUPPORTED_LANGUAGES.includes(base) ? base : null;
+};
+
+module.exports = {
+  DEFAULT_LANGUAGE,
+  SUPPORTED_LANGUAGES,
+  normalizeLanguage
+};
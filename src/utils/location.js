@@ -0,0 +1,97 @@
+/**
+ * Helpers for the ways a weather lookup can name a place:
+ *   { type: 'city', city }              - City name, e.g. "London"
+ *   { type: 'coordinates', lat, lon }   - Latitude and longitude in degrees
+ *   { type: 'zip', zip, country }       - ZIP/postal code and ISO 3166 country code
+ *   { type: 'id', id }                  - OpenWeatherMap city ID
+ */
+
+/**
+ * Round a coordinate, so that nearby points resolve to the same location
+ * @param {number} value - Coordinate in degrees
+ * @param {number} precision - Decimal places to keep
+ * @returns {number} Rounded coordinate
+ */
+const roundCoordinate = (value, precision) => {
+  const factor = 10 ** precision;
+  // `+ 0` turns -0 into 0, so both sides of the equator share a key
+  return Math.round(value * factor) / factor + 0;
+};
+
+/**
+ * Normalize a location, so that equivalent lookups compare and cache the same
+ * @param {Object} location - Location to normalize
+ * @param {Object} options - Normalization options
+ * @param {number} options.precision - Decimal places kept for coordinates
+ * @returns {Object} Normalized location
+ */
+const normalizeLocation = (location, options = {}) => {
+  switch (location.type) {
+    case 'city':
+      return { type: 'city', city: location.city.trim().toLowerCase() };
+    case 'coordinates':
+      return {
+        type: 'coordinates',
+        lat: roundCoordinate(Number(location.lat), options.precision ?? 2),
+        lon: roundCoordinate(Number(location.lon), options.precision ?? 2)
+      };
+    case 'zip':
+      return {
+        type: 'zip',
+        zip: location.zip.trim().toLowerCase().replace(/\s+/g, ' '),
+        country: location.country.trim().toLowerCase()
+      };
+    case 'id':
+      return { type: 'id', id: Number(location.id) };
+    default:
+      throw new Error(`Unknown location type: ${location.type}`);
+  }
+};
+
+/**
+ * Build the part of the cache key that identifies a normalized location. City
+ * names are used as they are, the other types get a prefix of their own.
+ * @param {Object} location - Normalized location
+ * @returns {string} Location key, e.g. "london" or "coords:51.51,-0.13"
+ */
+const getLocationKey = (location) => {
+  switch (location.type) {
+    case 'city':
+      return location.city;
+    case 'coordinates':
+      return `coords:${location.lat},${location.lon}`;
+    case 'zip':
+      return `zip:${location.country}:${location.zip}`;
+    case 'id':
+      return `id:${location.id}`;
+    default:
+      throw new Error(`Unknown location type: ${location.type}`);
+  }
+};
+
+/**
+ * Describe a location for logs, metrics and error messages
+ * @param {Object} location - Location
+ * @returns {string} Description, e.g. "london", "51.51,-0.13", "10001,us" or "id 2643743"
+ */
+const describeLocation = (location) => {
+  switch (location.type) {
+    case 'city':
+      return location.city;
+    case 'coordinates':
+      return `${location.lat},${location.lon}`;
+    case 'zip':
+      return `${location.zip},${location.country}`;
+    case 'id':
+      return `id ${location.id}`;
+    default:
+      return 'unknown location';
+  }
+};
+
+module.exports = {
+  roundCoordinate,
+  normalizeLocation,
+  getLocationKey,
+  describeLocation
+};
@@ -0,0 +1,186 @@
+/**
+ * In-process counters and latency trackers with cumulative and rolling-window views
+ */
+
+/**
+ * Named counters tracked both since the last reset and over a rolling time window
+ */
+class RollingCounters {
+  /**
+   * @param {string[]} names - Counter names
+   * @param {Object} options - Window options
+   * @param {number} options.windowMs - Length of the rolling window in milliseconds
+   * @param {number} options.bucketCount - Number of buckets the window is split into
+   */
+  constructor(names, options = {}) {
+    this.names = names;
+    this.windowMs = options.windowMs ?? 5 * 60 * 1000;
+    this.bucketCount = options.bucketCount ?? 30;
+    this.bucketMs = Math.max(1, Math.ceil(this.windowMs / this.bucketCount));
+    this.reset();
+  }
+
+  /**
+   * Increment a counter
+   * @param {string} name - Counter name
+   * @param {number} amount - Amount to add
+   */
+  increment(name, amount = 1) {
+    this.cumulative[name] += amount;
+    this.currentBucket()[name] += amount;
+  }
+
+  /**
+   * Get counter totals since the last reset
+   * @returns {Object} Totals keyed by counter name
+   */
+  getCumulative() {
+    return { ...this.cumulative };
+  }
+
+  /**
+   * Get counter totals over the rolling window
+   * @returns {Object} Totals keyed by counter name
+   */
+  getWindow() {
+    const totals = this.emptyCounts();
+    const oldestIndex = this.bucketIndex() - this.bucketCount;
+
+    for (const bucket of this.buckets) {
+      if (bucket && bucket.index > oldestIndex) {
+        this.names.forEach(name => { totals[name] += bucket[name]; });
+      }
+    }
+
+    return totals;
+  }
+
+  /**
+   * Zero every counter, cumulative and windowed
+   */
+  reset() {
+    this.cumulative = this.emptyCounts();
+    this.buckets = new Array(this.bucketCount).fill(null);
+  }
+
+  /**
+   * Get the bucket for the current time, recycling the slot if it holds an old bucket
+   * @returns {Object} Bucket counts
+   */
+  currentBucket() {
+    const index = this.bucketIndex();
+    const slot = index % this.bucketCount;
+
+    if (!this.buckets[slot] || this.buckets[slot].index !== index) {
+      this.buckets[slot] = { index, ...this.emptyCounts() };
+    }
+
+    return this.buckets[slot];
+  }
+
+  /**
+   * @returns {number} Index of the bucket covering the current time
+   */
+  bucketIndex() {
+    return Math.floor(Date.now() / this.bucketMs);
+  }
+
+  /**
+   * @returns {Object} Every counter set to zero
+   */
+  emptyCounts() {
+    return Object.fromEntries(this.names.map(name => [name, 0]));
+  }
+}
+
+/**
+ * Latency samples summarised as count, mean and 95th percentile
+ */
+class LatencyTracker {
+  /**
+   * @param {Object} options - Tracker options
+   * @param {number} options.windowMs - Length of the rolling window in milliseconds
+   * @param {number} options.maxSamples - Most recent samples kept for percentiles
+   */
+  constructor(options = {}) {
+    this.windowMs = options.windowMs ?? 5 * 60 * 1000;
+    this.maxSamples = options.maxSamples ?? 1000;
+    this.reset();
+  }
+
+  /**
+   * Record one latency sample
+   * @param {number} durationMs - Duration in milliseconds
+   */
+  record(durationMs) {
+    this.count++;
+    this.totalMs += durationMs;
+    this.samples.push({ at: Date.now(), durationMs });
+
+    if (this.samples.length > this.maxSamples) {
+      this.samples.shift();
+    }
+  }
+
+  /**
+   * Summarise every sample since the last reset; the percentile only covers
+   * the most recent samples kept in memory
+   * @returns {Object} { count, meanMs, p95Ms }
+   */
+  getCumulative() {
+    return {
+      count: this.count,
+      meanMs: this.count > 0 ? Math.round(this.totalMs / this.count) : 0,
+      p95Ms: percentile(this.samples.map(sample => sample.durationMs), 95)
+    };
+  }
+
+  /**
+   * Summarise the samples recorded within the rolling window
+   * @returns {Object} { count, meanMs, p95Ms }
+   */
+  getWindow() {
+    const since = Date.now() - this.windowMs;
+    const durations = this.samples
+      .filter(sample => sample.at > since)
+      .map(sample => sample.durationMs);
+    const total = durations.reduce((sum, duration) => sum + duration, 0);
+
+    return {
+      count: durations.length,
+      meanMs: durations.length > 0 ? Math.round(total / durations.length) : 0,
+      p95Ms: percentile(durations, 95)
+    };
+  }
+
+  /**
+   * Discard every sample
+   */
+  reset() {
+    this.count = 0;
+    this.totalMs = 0;
+    this.samples = [];
+  }
+}
+
+/**
+ * Nearest-rank percentile of a list of values
+ * @param {number[]} values - Values in any order
+ * @param {number} p - Percentile between 0 and 100
+ * @returns {number} Percentile value, or 0 for an empty list
+ */
+const percentile = (values, p) => {
+  if (values.length === 0) {
+    return 0;
+  }
+
+  const sorted = [...values].sort((a, b) => a - b);
+  const rank = Math.ceil((p / 100) * sorted.length);
+  return sorted[Math.max(0, rank - 1)];
+};
+
+module.exports = {
+  RollingCounters,
+  LatencyTracker,
+  percentile
+};
@@ -0,0 +1,100 @@
+/**
+ * RFC 9457 problem details, the one shape every error response takes. Clients
+ * that ask for application/problem+json get the problem itself; everyone else
+ * keeps getting the { error, message } body this API has always sent.
+ */
+
+const { STATUS_CODES } = require('http');
+
+const PROBLEM_CONTENT_TYPE = 'application/problem+json';
+
+/**
+ * The problem types this API defines, as type URI and title. Problems that
+ * are just their HTTP status use "about:blank" and the status text instead.
+ */
+const PROBLEM_TYPES = {
+  validation: { type: '/problems/validation-error', title: 'Invalid request' },
+  locationNotFound: { type: '/problems/location-not-found', title: 'Location not found' },
+  upstreamAuth: { type: '/problems/upstream-auth-failed', title: 'Weather provider authentication failed' },
+  upstreamUnavailable: { type: '/problems/upstream-unavailable', title: 'Weather provider unavailable' },
+  upstreamTimeout: { type: '/problems/upstream-timeout', title: 'Weather provider timed out' },
+  upstreamRateLimited: { type: '/problems/upstream-rate-limited', title: 'Weather provider rate limit exceeded' },
+  healthCheckFailed: { type: '/problems/health-check-failed', title: 'Health check failed' }
+};
+
+// Extension members that were already part of the legacy body
+const LEGACY_MEMBERS = ['example', 'availableRoutes', 'stack'];
+
+/**
+ * Build the problem for a request that failed validation
+ * @param {string} detail - What is wrong with the request
+ * @param {Object} options - Problem options
+ * @param {Array} options.errors - Each offending field, as { parameter, detail } for query and path
+ *   parameters or { pointer, detail } for the JSON body
+ * @param {string} options.example - Example of a valid request
+ * @returns {Object} Problem with status 400
+ */
+const validationProblem = (detail, options = {}) => ({
+  ...PROBLEM_TYPES.validation,
+  status: 400,
+  detail,
+  ...(options.errors?.length && { errors: options.errors }),
+  ...(options.example && { example: options.example })
+});
+
+/**
+ * Render a problem as the legacy error body
+ * @param {Object} problem - Problem (see sendProblem)
+ * @returns {Object} { error, message } plus the legacy extension members the problem has
+ */
+const toLegacyBody = (problem) => {
+  const body = { error: STATUS_CODES[problem.status], message: problem.detail };
+  LEGACY_MEMBERS
+    .filter(name => problem[name] !== undefined)
+    .forEach(name => { body[name] = problem[name]; });
+  return body;
+};
+
+/**
+ * @param {Object} req - Express request object
+ * @returns {boolean} True if the client prefers problem+json to plain JSON
+ */
+const acceptsProblem = (req) => req.accepts(['application/json', PROBLEM_CONTENT_TYPE]) === PROBLEM_CONTENT_TYPE;
+
+/**
+ * Send an error response, as problem+json if the client asks for it and as
+ * the legacy body otherwise
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Object} problem - { status, type, title, detail, ...extensions }; type defaults to
+ *   "about:blank" and title to the status text
+ * @param {Object} legacyBody - Body for clients that don't ask for problem+json, if not toLegacyBody(problem)
+ */
+const sendProblem = (req, res, problem, legacyBody) => {
+  const { type = 'about:blank', title, status, detail, ...extensions } = problem;
+
+  res.vary('Accept');
+  res.status(status);
+
+  if (!acceptsProblem(req)) {
+    return res.json(legacyBody || toLegacyBody(problem));
+  }
+
+  res.type(PROBLEM_CONTENT_TYPE).json({
+    type,
+    title: title || STATUS_CODES[status],
+    status,
+    detail,
+    instance: req.originalUrl,
+    requestId: req.id,
+    ...extensions
+  });
+};
+
+module.exports = {
+  PROBLEM_CONTENT_TYPE,
+  PROBLEM_TYPES,
+  validationProblem,
+  toLegacyBody,
+  sendProblem
+};
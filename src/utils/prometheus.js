@@ -0,0 +1,274 @@
+/**
+ * Minimal Prometheus metrics (counters, gauges, histograms) rendered in the
+ * text exposition format
+ */
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Escape a label value for the exposition format
+ * @param {any} value - Label value
+ * @returns {string} Escaped value
+ */
+const escapeLabelValue = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/"/g, '\\"')
+  .replace(/\n/g, '\\n');
+
+/**
+ * Render a label set as {name="value",...}
+ * @param {Object} labels - Label names and values
+ * @returns {string} Rendered labels, or an empty string when there are none
+ */
+const formatLabels = (labels) => {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabelValue(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+};
+
+/**
+ * Format a sample value the way Prometheus expects
+ * @param {number} value - Sample value
+ * @returns {string} Formatted value
+ */
+const formatValue = (value) => {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  if (value === -Infinity) {
+    return '-Inf';
+  }
+  return Number.isNaN(value) ? 'NaN' : String(value);
+};
+
+class Registry {
+  constructor() {
+    this.metrics = new Map();
+    this.collectors = [];
+  }
+
+  /**
+   * Add a metric to the registry
+   * @param {Metric} metric - Metric to register
+   */
+  register(metric) {
+    if (this.metrics.has(metric.name)) {
+      throw new Error(`Metric ${metric.name} is already registered`);
+    }
+    this.metrics.set(metric.name, metric);
+  }
+
+  /**
+   * Look up a registered metric
+   * @param {string} name - Metric name
+   * @returns {Metric|undefined} Metric
+   */
+  get(name) {
+    return this.metrics.get(name);
+  }
+
+  /**
+   * Run a function before every render, e.g. to refresh gauges from a stats source
+   * @param {Function} collector - Sync or async function updating registered metrics
+   */
+  addCollector(collector) {
+    this.collectors.push(collector);
+  }
+
+  /**
+   * Run the collectors and render every metric
+   * @returns {Promise<string>} Text exposition format
+   */
+  async render() {
+    for (const collector of this.collectors) {
+      try {
+        await collector();
+      } catch (error) {
+        // A failing source leaves its gauges at their last values rather than failing the scrape
+        console.error('Metrics collector failed:', error.message);
+      }
+    }
+
+    return [...this.metrics.values()].map(metric => metric.render()).join('\n');
+  }
+
+  /**
+   * Zero every registered metric
+   */
+  reset() {
+    this.metrics.forEach(metric => metric.reset());
+  }
+}
+
+// Shared registry served by GET /metrics
+const registry = new Registry();
+
+class Metric {
+  /**
+   * @param {string} type - Prometheus metric type
+   * @param {Object} options - Metric options
+   * @param {string} options.name - Metric name
+   * @param {string} options.help - Help text
+   * @param {string[]} options.labelNames - Allowed label names
+   * @param {Registry|null} options.registry - Registry to add the metric to (null to skip), defaults to the shared one
+   */
+  constructor(type, options) {
+    this.type = type;
+    this.name = options.name;
+    this.help = options.help;
+    this.labelNames = options.labelNames || [];
+    this.values = new Map();
+
+    const target = options.registry === undefined ? registry : options.registry;
+    if (target) {
+      target.register(this);
+    }
+  }
+
+  /**
+   * Build a stable key for a label set, rejecting unknown label names
+   * @param {Object} labels - Label names and values
+   * @returns {string} Series key
+   */
+  keyFor(labels) {
+    const unknown = Object.keys(labels).find(name => !this.labelNames.includes(name));
+    if (unknown) {
+      throw new Error(`Unknown label ${unknown} for metric ${this.name}`);
+    }
+    return JSON.stringify(this.labelNames.map(name => labels[name] ?? ''));
+  }
+
+  /**
+   * Get the stored series for a label set, creating it if needed
+   * @param {Object} labels - Label names and values
+   * @param {Function} create - Builds the initial series value
+   * @returns {Object} Series ({ labels, value, ... })
+   */
+  series(labels, create) {
+    const key = this.keyFor(labels);
+    if (!this.values.has(key)) {
+      this.values.set(key, { labels: { ...labels }, ...create() });
+    }
+    return this.values.get(key);
+  }
+
+  /**
+   * Drop every series
+   */
+  reset() {
+    this.values.clear();
+  }
+
+  /**
+   * @returns {string} HELP and TYPE header lines
+   */
+  header() {
+    return `# HELP ${this.name} ${this.help}\n# TYPE ${this.name} ${this.type}\n`;
+  }
+
+  /**
+   * @returns {string} Metric in text exposition format
+   */
+  render() {
+    const lines = [...this.values.values()]
+      .map(({ labels, value }) => `${this.name}${formatLabels(labels)} ${formatValue(value)}\n`);
+    return this.header() + lines.join('');
+  }
+}
+
+class Counter extends Metric {
+  constructor(options) {
+    super('counter', options);
+  }
+
+  /**
+   * Increase the counter
+   * @param {Object} labels - Label values
+   * @param {number} amount - Non-negative amount to add
+   */
+  inc(labels = {}, amount = 1) {
+    if (amount < 0) {
+      throw new Error(`Counter ${this.name} cannot decrease`);
+    }
+    this.series(labels, () => ({ value: 0 })).value += amount;
+  }
+}
+
+class Gauge extends Metric {
+  constructor(options) {
+    super('gauge', options);
+  }
+
+  /**
+   * Set the gauge to a value
+   * @param {Object} labels - Label values
+   * @param {number} value - New value
+   */
+  set(labels, value) {
+    this.series(labels, () => ({ value: 0 })).value = value;
+  }
+
+  /**
+   * Change the gauge by an amount
+   * @param {Object} labels - Label values
+   * @param {number} amount - Amount to add (may be negative)
+   */
+  inc(labels = {}, amount = 1) {
+    this.series(labels, () => ({ value: 0 })).value += amount;
+  }
+}
+
+class Histogram extends Metric {
+  /**
+   * @param {Object} options - Metric options, plus buckets (upper bounds in ascending order)
+   */
+  constructor(options) {
+    super('histogram', options);
+    this.buckets = options.buckets || DEFAULT_BUCKETS;
+  }
+
+  /**
+   * Record an observation
+   * @param {Object} labels - Label values
+   * @param {number} value - Observed value
+   */
+  observe(labels, value) {
+    const series = this.series(labels, () => ({
+      counts: new Array(this.buckets.length).fill(0),
+      sum: 0,
+      count: 0
+    }));
+
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  /**
+   * @returns {string} Cumulative buckets, sum and count per series
+   */
+  render() {
+    const lines = [];
+    for (const { labels, counts, sum, count } of this.values.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${counts[index]}\n`);
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${count}\n`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}\n`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}\n`);
+    }
+    return this.header() + lines.join('');
+  }
+}
+
+module.exports = {
+  Registry,
+  Counter,
+  Gauge,
+  Histogram,
+  registry,
+  CONTENT_TYPE: 'text/plain; version=0.0.4; charset=utf-8'
+};
@@ -2,21 +2,220 @@
  * Utility for implementing exponential backoff retry logic
  */
 
+const { Counter } = require('./prometheus');
+
+const retryBudgetExhaustedTotal = new Counter({
+  name: 'retry_budget_exhausted_total',
+  help: 'Retries skipped because the shared retry budget was empty, by operation',
+  labelNames: ['operation']
+});
+
 /**
  * Sleep for a specified number of milliseconds
  * @param {number} ms - Milliseconds to sleep
- * @returns {Promise} Promise that resolves after the specified time
+ * @param {AbortSignal} signal - Optional signal that cuts the sleep short
+ * @returns {Promise} Promise that resolves after the specified time, or rejects with the abort reason
+ */
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  if (signal?.aborted) {
+    reject(signal.reason);
+    return;
+  }
+
+  const onAbort = () => {
+    clearTimeout(timer);
+    reject(signal.reason);
+  };
+  const timer = setTimeout(() => {
+    signal?.removeEventListener('abort', onAbort);
+    resolve();
+  }, ms);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+/**
+ * Build an error carrying a Node-style error code
+ * @param {string} message - Error message
+ * @param {string} code - Error code
+ * @param {Error} cause - Error that led to this one
+ * @returns {Error} Error with code (and cause when given)
+ */
+const createError = (message, code, cause) => {
+  const error = new Error(message, cause ? { cause } : undefined);
+  error.code = code;
+  return error;
+};
+
+/**
+ * Run one attempt with its own signal, aborted when the caller's signal aborts
+ * or the attempt runs out of time. The attempt settles as soon as its signal
+ * aborts, even if fn ignores the signal.
+ * @param {Function} fn - Function to execute, called with { attempt, signal }
+ * @param {Object} params - Attempt parameters
+ * @param {number} params.attempt - Attempt number, starting at 1
+ * @param {AbortSignal} params.signal - Caller's signal
+ * @param {number} params.timeout - Time allowed for the attempt in milliseconds (Infinity for none)
+ * @param {Function} params.onTimeout - Builds the error the attempt fails with when it times out
+ * @returns {Promise} Result of fn
+ */
+const runAttempt = (fn, { attempt, signal, timeout, onTimeout }) => {
+  const controller = new AbortController();
+  const forwardAbort = () => controller.abort(signal.reason);
+  signal?.addEventListener('abort', forwardAbort, { once: true });
+  const timer = Number.isFinite(timeout)
+    ? setTimeout(() => controller.abort(onTimeout()), timeout)
+    : null;
+
+  const aborted = new Promise((resolve, reject) => {
+    controller.signal.addEventListener('abort', () => reject(controller.signal.reason), { once: true });
+  });
+
+  return Promise.race([
+    Promise.resolve().then(() => fn({ attempt, signal: controller.signal })),
+    aborted
+  ])
+    // Whatever fn rejected with, an aborted attempt fails with the abort reason
+    .catch(error => { throw controller.signal.aborted ? controller.signal.reason : error; })
+    .finally(() => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', forwardAbort);
+    });
+};
+
+const JITTER_STRATEGIES = ['none', 'full', 'equal', 'decorrelated'];
+
+/**
+ * Compute the delay before the next attempt
+ * @param {Object} params - Delay parameters
+ * @param {number} params.attempt - Attempt that just failed, starting at 1
+ * @param {number} params.baseDelay - Base delay in milliseconds
+ * @param {number} params.maxDelay - Maximum delay in milliseconds
+ * @param {string} params.jitter - 'none', 'full', 'equal' or 'decorrelated'
+ * @param {number} params.previousDelay - Previous delay, used by decorrelated jitter
+ * @returns {number} Delay in milliseconds
+ */
+const computeDelay = ({ attempt, baseDelay, maxDelay, jitter, previousDelay }) => {
+  const exponential = Math.min(baseDelay * Math.pow(2, attempt - 1), maxDelay);
+
+  switch (jitter) {
+    case 'full':
+      // Anywhere between 0 and the exponential delay
+      return Math.floor(Math.random() * exponential);
+    case 'equal':
+      // Half the exponential delay, plus a random share of the other half
+      return Math.floor(exponential / 2 + Math.random() * (exponential / 2));
+    case 'decorrelated': {
+      // Grows from the previous delay rather than the attempt number
+      const upper = Math.max(baseDelay, (previousDelay || baseDelay) * 3);
+      return Math.min(maxDelay, Math.floor(baseDelay + Math.random() * (upper - baseDelay)));
+    }
+    default:
+      return exponential;
+  }
+};
+
+/**
+ * Parse a Retry-After header value
+ * @param {string|number} value - Delay in seconds or an HTTP date
+ * @returns {number|null} Delay in milliseconds, or null if missing or unparseable
+ */
+const parseRetryAfter = (value) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+/**
+ * Classify an error for logs and metrics
+ * @param {Error} error - Error from an attempt
+ * @returns {string} 'aborted', 'deadline', 'timeout', 'circuit_open', 'network', 'rate_limited',
+ *   'server_error', 'client_error' or 'unknown'
  */
-const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const classifyError = (error) => {
+  if (error?.name === 'AbortError') {
+    return 'aborted';
+  }
+
+  switch (error?.code) {
+    case 'EDEADLINE':
+      return 'deadline';
+    case 'ETIMEDOUT':
+    case 'ECONNABORTED':
+      return 'timeout';
+    case 'ECIRCUITOPEN':
+      return 'circuit_open';
+    case 'ENOTFOUND':
+    case 'ECONNRESET':
+    case 'ECONNREFUSED':
+    case 'EAI_AGAIN':
+      return 'network';
+  }
+
+  const status = error?.response?.status;
+  if (status === 429) {
+    return 'rate_limited';
+  }
+  if (status >= 500) {
+    return 'server_error';
+  }
+  if (status >= 400) {
+    return 'client_error';
+  }
+  return 'unknown';
+};
+
+/**
+ * Call a lifecycle hook, making sure a broken hook cannot break the retry loop
+ * @param {string} name - Hook name, for the error log
+ * @param {Function} hook - Hook to call, if any
+ * @param {Object} details - Argument passed to the hook
+ */
+const callHook = (name, hook, details) => {
+  if (!hook) {
+    return;
+  }
+
+  try {
+    hook(details);
+  } catch (error) {
+    console.error(`Retry ${name} hook failed:`, error.message);
+  }
+};
 
 /**
  * Execute a function with exponential backoff retry logic
- * @param {Function} fn - Function to execute
+ * @param {Function} fn - Function to execute, called with { attempt, signal }; pass the signal on to
+ *   the underlying I/O so a timed-out or aborted attempt actually stops
  * @param {Object} options - Retry options
  * @param {number} options.maxAttempts - Maximum number of retry attempts
  * @param {number} options.baseDelay - Base delay in milliseconds
- * @param {number} options.maxDelay - Maximum delay in milliseconds
+ * @param {number} options.maxDelay - Maximum delay in milliseconds, also capping Retry-After
+ * @param {string} options.jitter - Jitter strategy: 'none' (default), 'full', 'equal' or 'decorrelated'
+ * @param {number} options.attemptTimeout - Time allowed for each attempt in milliseconds; a timed-out
+ *   attempt fails with code ETIMEDOUT and is retried
+ * @param {number} options.deadline - Total time allowed for all attempts and delays in milliseconds;
+ *   once it passes, or the next delay would pass it, the call fails with code EDEADLINE
+ * @param {AbortSignal} options.signal - Aborts the attempt in progress or the delay before the next one;
+ *   the call then fails with the signal's reason
+ * @param {RetryBudget} options.budget - Budget shared with other calls to the same dependency; the call
+ *   counts against it, and a retry only goes ahead if the budget has a token for it
  * @param {Function} options.shouldRetry - Function to determine if error should be retried
+ * @param {string} options.operation - Name used to label retry metrics
+ * @param {Function} options.onRetry - Called before waiting for the next attempt with
+ *   { attempt, delayMs, error, classification, elapsedMs, totalDelayMs }; logs the retry by default.
+ *   Callers count retries here, with whatever labels they need.
+ * @param {Function} options.onGiveUp - Called once when the call fails for good with
+ *   { attempt, error, classification, elapsedMs, totalDelayMs }
+ * @param {Function} options.onSuccess - Called once when an attempt succeeds with
+ *   { attempt, elapsedMs, totalDelayMs }
  * @returns {Promise} Promise that resolves with the function result or rejects with the final error
  */
 const retryWithExponentialBackoff = async (fn, options = {}) => {
@@ -24,33 +223,105 @@ const retryWithExponentialBackoff = async (fn, options = {}) => {
     maxAttempts = 3,
     baseDelay = 1000,
     maxDelay = 10000,
+    operation = 'default',
+    jitter = 'none',
+    attemptTimeout = Infinity,
+    deadline = Infinity,
+    signal,
+    budget,
     shouldRetry = (error) => {
-      // Retry on 5xx errors, timeouts, and network errors
-      return error.response?.status >= 500 || 
+      // Retry on 5xx errors, rate limiting, timeouts, and network errors
+      return error.response?.status >= 500 ||
+             error.response?.status === 429 ||
              error.code === 'ECONNABORTED' || 
+             error.code === 'ETIMEDOUT' ||
              error.code === 'ENOTFOUND' ||
              error.code === 'ECONNRESET';
-    }
+    },
+    onRetry = ({ attempt, delayMs }) => console.log(`Attempt ${attempt} failed, retrying in ${delayMs}ms...`),
+    onGiveUp,
+    onSuccess
   } = options;
 
+  if (!JITTER_STRATEGIES.includes(jitter)) {
+    throw new Error(`Unknown jitter strategy: ${jitter}`);
+  }
+
+  if (signal?.aborted) {
+    throw signal.reason;
+  }
+
+  const deadlineAt = Date.now() + deadline;
+  const deadlineError = (cause) => createError(`Retry deadline of ${deadline}ms exceeded`, 'EDEADLINE', cause);
+
+  budget?.recordCall();
+
+  const startedAt = Date.now();
+  let totalDelay = 0;
+  const progress = (attempt) => ({ attempt, elapsedMs: Date.now() - startedAt, totalDelayMs: totalDelay });
+  const giveUp = (attempt, error) => {
+    callHook('onGiveUp', onGiveUp, { ...progress(attempt), error, classification: classifyError(error) });
+    return error;
+  };
+
   let lastError;
+  let delay = 0;
   
   for (let attempt = 1; attempt <= maxAttempts; attempt++) {
     try {
-      return await fn();
+      // The attempt gets whatever is left of the deadline if that is shorter than its own timeout
+      const remaining = deadlineAt - Date.now();
+      const timeout = Math.min(attemptTimeout, remaining);
+      const result = await runAttempt(fn, {
+        attempt,
+        signal,
+        timeout,
+        onTimeout: () => (timeout < attemptTimeout
+          ? deadlineError(lastError)
+          : createError(`Attempt ${attempt} timed out after ${attemptTimeout}ms`, 'ETIMEDOUT'))
+      });
+      callHook('onSuccess', onSuccess, progress(attempt));
+      return result;
     } catch (error) {
       lastError = error;
       
-      // Don't retry if it's the last attempt or if the error shouldn't be retried
-      if (attempt === maxAttempts || !shouldRetry(error)) {
-        throw error;
+      // Don't retry once the caller gave up or time ran out, on the last attempt,
+      // or if the error shouldn't be retried
+      if (signal?.aborted || error.code === 'EDEADLINE' || attempt === maxAttempts || !shouldRetry(error)) {
+        throw giveUp(attempt, error);
       }
       
-      // Calculate delay with exponential backoff
-      const delay = Math.min(baseDelay * Math.pow(2, attempt - 1), maxDelay);
+      // The server knows best when it will be ready again; otherwise back off exponentially
+      const retryAfter = parseRetryAfter(error.response?.headers?.['retry-after']);
+      delay = retryAfter !== null
+        ? Math.min(retryAfter, maxDelay)
+        : computeDelay({ attempt, baseDelay, maxDelay, jitter, previousDelay: delay });
+
+      // No point waiting if the next attempt would start after the deadline
+      if (Date.now() + delay >= deadlineAt) {
+        throw giveUp(attempt, deadlineError(error));
+      }
+
+      // Checked last so a retry we would not make anyway doesn't use up a token
+      if (budget && !budget.tryAcquire()) {
+        console.warn(`Retry budget ${budget.name} exhausted, giving up ${operation} after attempt ${attempt}`);
+        retryBudgetExhaustedTotal.inc({ operation });
+        throw giveUp(attempt, error);
+      }
       
-      console.log(`Attempt ${attempt} failed, retrying in ${delay}ms...`);
-      await sleep(delay);
+      callHook('onRetry', onRetry, {
+        ...progress(attempt),
+        delayMs: delay,
+        error,
+        classification: classifyError(error)
+      });
+
+      try {
+        await sleep(delay, signal);
+      } catch (abortError) {
+        throw giveUp(attempt, abortError);
+      }
+      totalDelay += delay;
     }
   }
   
@@ -59,5 +330,8 @@ const retryWithExponentialBackoff = async (fn, options = {}) => {
 
 module.exports = {
   retryWithExponentialBackoff,
+  classifyError,
+  computeDelay,
+  parseRetryAfter,
   sleep
 };
@@ -0,0 +1,92 @@
+/**
+ * Token-bucket retry budget shared by every call to a dependency
+ */
+
+const TOKEN_EPSILON = 1e-9;
+
+class RetryBudget {
+  /**
+   * @param {Object} options - Budget options
+   * @param {string} options.name - Name used in logs
+   * @param {number} options.ratio - Tokens each call adds, i.e. the share of calls that may be retried (0.1 = 10%)
+   * @param {number} options.minRetriesPerSecond - Tokens added per second regardless of traffic, so a
+   *   quiet service can still retry
+   * @param {number} options.maxTokens - Most tokens the bucket holds, bounding a burst of retries
+   */
+  constructor(options = {}) {
+    this.name = options.name || 'default';
+    this.ratio = options.ratio ?? 0.1;
+    this.minRetriesPerSecond = options.minRetriesPerSecond ?? 1;
+    this.maxTokens = options.maxTokens ?? 10;
+    this.reset();
+  }
+
+  /**
+   * Record a first attempt, earning a fraction of a retry
+   */
+  recordCall() {
+    this.refill();
+    this.calls++;
+    this.tokens = Math.min(this.maxTokens, this.tokens + this.ratio);
+  }
+
+  /**
+   * Spend a token on a retry if one is available
+   * @returns {boolean} True if the retry may go ahead
+   */
+  tryAcquire() {
+    this.refill();
+
+    // Allow for rounding, so ten calls at 0.1 really do add up to one retry
+    if (this.tokens < 1 - TOKEN_EPSILON) {
+      this.retriesRejected++;
+      return false;
+    }
+
+    this.tokens = Math.max(0, this.tokens - 1);
+    this.retriesAllowed++;
+    return true;
+  }
+
+  /**
+   * Add the tokens earned by the time passed since the last refill
+   */
+  refill() {
+    const now = Date.now();
+    const elapsedSeconds = (now - this.lastRefillAt) / 1000;
+    this.tokens = Math.min(this.maxTokens, this.tokens + elapsedSeconds * this.minRetriesPerSecond);
+    this.lastRefillAt = now;
+  }
+
+  /**
+   * Get the budget's current state for health reporting
+   * @returns {Object} Configuration, tokens left and how many retries were allowed or rejected
+   */
+  getState() {
+    this.refill();
+    return {
+      ratio: this.ratio,
+      minRetriesPerSecond: this.minRetriesPerSecond,
+      maxTokens: this.maxTokens,
+      availableTokens: Math.round(this.tokens * 100) / 100,
+      calls: this.calls,
+      retriesAllowed: this.retriesAllowed,
+      retriesRejected: this.retriesRejected
+    };
+  }
+
+  /**
+   * Refill the bucket and forget all counts
+   */
+  reset() {
+    this.tokens = this.maxTokens;
+    this.lastRefillAt = Date.now();
+    this.calls = 0;
+    this.retriesAllowed = 0;
+    this.retriesRejected = 0;
+  }
+}
+
+module.exports = {
+  RetryBudget
+};
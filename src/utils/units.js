@@ -0,0 +1,107 @@
+/**
+ * Unit systems for weather responses. Data is fetched and cached in metric
+ * units and converted on the way out, so one cache entry serves every system.
+ */
+
+const UNIT_SYSTEMS = ['metric', 'imperial', 'standard'];
+
+const UNIT_LABELS = {
+  metric: { temperature: '°C', windSpeed: 'm/s' },
+  imperial: { temperature: '°F', windSpeed: 'mph' },
+  standard: { temperature: 'K', windSpeed: 'm/s' }
+};
+
+const MPH_PER_METRE_PER_SECOND = 2.23694;
+
+/**
+ * Describe the units used for a unit system
+ * @param {string} units - 'metric', 'imperial' or 'standard'
+ * @returns {Object} { system, temperature, windSpeed, pressure, visibility }
+ */
+const getUnitLabels = (units) => ({
+  system: units,
+  ...UNIT_LABELS[units],
+  pressure: 'hPa',
+  visibility: 'm'
+});
+
+/**
+ * Convert a temperature from degrees Celsius
+ * @param {number} celsius - Temperature in °C
+ * @param {string} units - Target unit system
+ * @returns {number} Temperature in °C, whole °F or kelvin to two decimals
+ */
+const convertTemperature = (celsius, units) => {
+  if (typeof celsius !== 'number') {
+    return celsius;
+  }
+  if (units === 'imperial') {
+    return Math.round(celsius * 9 / 5 + 32);
+  }
+  if (units === 'standard') {
+    return Math.round((celsius + 273.15) * 100) / 100;
+  }
+  return celsius;
+};
+
+/**
+ * Convert a wind speed from metres per second
+ * @param {number} speed - Wind speed in m/s
+ * @param {string} units - Target unit system
+ * @returns {number} Wind speed in m/s, or mph to one decimal for imperial
+ */
+const convertWindSpeed = (speed, units) => {
+  if (typeof speed !== 'number' || units !== 'imperial') {
+    return speed;
+  }
+  return Math.round(speed * MPH_PER_METRE_PER_SECOND * 10) / 10;
+};
+
+/**
+ * Convert the temperatures and wind speed of an object that has them
+ * @param {Object} item - Weather data or forecast entry
+ * @param {string} units - Target unit system
+ * @returns {Object} Converted copy
+ */
+const convertItem = (item, units) => {
+  const converted = { ...item };
+  if (typeof item.temperature === 'object' && item.temperature !== null) {
+    converted.temperature = Object.fromEntries(Object.entries(item.temperature)
+      .map(([name, value]) => [name, convertTemperature(value, units)]));
+  } else if ('temperature' in item) {
+    converted.temperature = convertTemperature(item.temperature, units);
+  }
+  if ('feelsLike' in item) {
+    converted.feelsLike = convertTemperature(item.feelsLike, units);
+  }
+  if (item.wind) {
+    converted.wind = { ...item.wind, speed: convertWindSpeed(item.wind.speed, units) };
+  }
+  return converted;
+};
+
+/**
+ * Convert metric weather data or a forecast to another unit system
+ * @param {Object} data - Weather data or forecast, in metric units
+ * @param {string} units - Target unit system
+ * @returns {Object} The same object for metric, otherwise a converted copy
+ */
+const convertUnits = (data, units) => {
+  if (units === 'metric' || !UNIT_SYSTEMS.includes(units)) {
+    return data;
+  }
+
+  const converted = convertItem(data, units);
+  if (Array.isArray(data.entries)) {
+    converted.entries = data.entries.map(entry => convertItem(entry, units));
+  }
+  return converted;
+};
+
+module.exports = {
+  UNIT_SYSTEMS,
+  getUnitLabels,
+  convertTemperature,
+  convertWindSpeed,
+  convertUnits
+};
@@ -0,0 +1,13 @@
+/**
+ * Request schemas for the health routes (see validation/schema.js)
+ */
+
+module.exports = {
+  getHealth: {
+    query: {}
+  },
+
+  getDetailedHealth: {
+    query: {}
+  }
+};
@@ -0,0 +1,178 @@
+/**
+ * A small declarative schema for request input. A schema lists the fields a
+ * part of the request (query, params or body) may have, each with a rule that
+ * checks its value and coerces it to the type the controller wants. Fields
+ * the schema doesn't list are rejected.
+ */
+
+/**
+ * Build a rule from a parse function. Absent values (undefined or an empty
+ * string, as in `?city=`) never reach `parse`; they are an error if the field
+ * is required and otherwise take the default, if there is one.
+ * @param {Function} parse - (value) => { value } with the coerced value, or { error } saying what is wrong
+ * @param {Object} options - Rule options
+ * @param {boolean} options.required - Whether the field must be given
+ * @param {*} options.default - Value to use when the field is absent
+ * @returns {Object} Rule
+ */
+const rule = (parse, options = {}) => ({
+  parse,
+  required: Boolean(options.required),
+  defaultValue: options.default
+});
+
+/**
+ * A string, trimmed, of a bounded length and optionally matching a pattern
+ * @param {Object} options - Rule options (see rule), plus:
+ * @param {number} options.minLength - Shortest allowed length after trimming (default 1)
+ * @param {number} options.maxLength - Longest allowed length after trimming (default 100)
+ * @param {RegExp} options.pattern - Pattern the trimmed value must match
+ * @param {string} options.patternDetail - What is wrong when it doesn't
+ * @returns {Object} Rule
+ */
+const string = ({ minLength = 1, maxLength = 100, pattern, patternDetail, ...options } = {}) => rule((value) => {
+  // Repeated query parameters arrive as arrays
+  if (typeof value !== 'string') {
+    return { error: 'must be a single string' };
+  }
+  const trimmed = value.trim();
+  if (trimmed.length < minLength || trimmed.length > maxLength) {
+    return { error: `must be between ${minLength} and ${maxLength} characters` };
+  }
+  if (pattern && !pattern.test(trimmed)) {
+    return { error: patternDetail };
+  }
+  return { value: trimmed };
+}, options);
+
+/**
+ * @param {*} value - Query string or JSON value
+ * @returns {number} The number it holds, or NaN
+ */
+const toNumber = (value) => {
+  if (typeof value === 'number') {
+    return value;
+  }
+  return typeof value === 'string' && value.trim() !== '' ? Number(value) : NaN;
+};
+
+/**
+ * A number within a range
+ * @param {Object} options - Rule options (see rule), plus `min` and `max`
+ * @returns {Object} Rule
+ */
+const number = ({ min, max, ...options }) => rule((value) => {
+  const parsed = toNumber(value);
+  return Number.isFinite(parsed) && parsed >= min && parsed <= max
+    ? { value: parsed }
+    : { error: `must be a number between ${min} and ${max}` };
+}, options);
+
+/**
+ * A whole number, written without a decimal point or exponent, of at least
+ * `min` and, if given, at most `max`
+ * @param {Object} options - Rule options (see rule), plus `min` (default 1) and `max`
+ * @returns {Object} Rule
+ */
+const integer = ({ min = 1, max = Infinity, ...options } = {}) => rule((value) => {
+  const parsed = typeof value === 'string' && !/^-?\d+$/.test(value) ? NaN : toNumber(value);
+  if (Number.isSafeInteger(parsed) && parsed >= min && parsed <= max) {
+    return { value: parsed };
+  }
+  return {
+    error: max === Infinity
+      ? `must be an integer of at least ${min}`
+      : `must be an integer between ${min} and ${max}`
+  };
+}, options);
+
+/**
+ * One of a fixed set of strings
+ * @param {Array<string>} values - Allowed values
+ * @param {Object} options - Rule options (see rule)
+ * @returns {Object} Rule
+ */
+const oneOf = (values, options) => rule((value) =>
+  values.includes(value) ? { value } : { error: `must be one of ${values.join(', ')}` }, options);
+
+/**
+ * true or false, as a JSON boolean or the strings "true" and "false"
+ * @param {Object} options - Rule options (see rule)
+ * @returns {Object} Rule
+ */
+const boolean = (options) => rule((value) => {
+  if (value === true || value === 'true') {
+    return { value: true };
+  }
+  if (value === false || value === 'false') {
+    return { value: false };
+  }
+  return { error: 'must be true or false' };
+}, options);
+
+/**
+ * An array with a bounded number of items. The items themselves are left to
+ * the controller, which may report on each one separately.
+ * @param {Object} options - Rule options (see rule), plus `minItems`, `maxItems` and
+ *   `itemName`, what the items are called in errors (default "items")
+ * @returns {Object} Rule
+ */
+const array = ({ minItems, maxItems, itemName = 'items', ...options }) => rule((value) =>
+  Array.isArray(value) && value.length >= minItems && value.length <= maxItems
+    ? { value }
+    : { error: `must be an array of ${minItems} to ${maxItems} ${itemName}` }, options);
+
+/**
+ * Check an object, such as a request's query, against a set of field rules
+ * @param {Object} fields - Rule for each field, by name
+ * @param {Object} input - Object to check
+ * @returns {Object} { values, errors } where values holds the coerced fields and
+ *   errors is a list of { name, detail }, empty if the input is valid
+ */
+const validateFields = (fields, input) => {
+  const values = {};
+  const errors = Object.keys(input)
+    .filter(name => !Object.prototype.hasOwnProperty.call(fields, name))
+    .map(name => ({ name, detail: 'is not allowed' }));
+
+  Object.entries(fields).forEach(([name, fieldRule]) => {
+    const value = input[name];
+
+    if (value === undefined || value === '') {
+      if (fieldRule.required) {
+        errors.push({ name, detail: 'is required' });
+      } else if (fieldRule.defaultValue !== undefined) {
+        values[name] = fieldRule.defaultValue;
+      }
+      return;
+    }
+
+    const result = fieldRule.parse(value);
+    if (result.error) {
+      errors.push({ name, detail: result.error });
+    } else {
+      values[name] = result.value;
+    }
+  });
+
+  return { values, errors };
+};
+
+/**
+ * Sum up a list of field errors in one sentence, for the problem `detail`
+ * @param {Array} errors - { name, detail } for each offending field
+ * @returns {string} e.g. "lat must be a number between -90 and 90; lon is required"
+ */
+const describeErrors = (errors) => errors.map(({ name, detail }) => `${name} ${detail}`).join('; ');
+
+module.exports = {
+  rule,
+  string,
+  number,
+  integer,
+  oneOf,
+  boolean,
+  array,
+  validateFields,
+  describeErrors
+};
@@ -0,0 +1,183 @@
+/**
+ * Request schemas for the weather routes (see validation/schema.js)
+ */
+
+const { rule, string, number, integer, oneOf, boolean, array } = require('./schema');
+const { UNIT_SYSTEMS } = require('../utils/units');
+const { SUPPORTED_LANGUAGES, normalizeLanguage } = require('../utils/language');
+
+const FORECAST_INTERVALS = ['hourly', '3h', 'daily'];
+const MAX_FORECAST_DAYS = 16;
+const MAX_BATCH_LOCATIONS = 50;
+// OpenWeatherMap answers at most 5 of these (see its provider); the others answer all 10
+const MAX_SEARCH_RESULTS = 10;
+
+// Letters in any script, and the punctuation place names use, e.g. "St. John's" or "London, GB"
+const CITY_PATTERN = /^[\p{L}\p{M}][\p{L}\p{M} '’.,()-]*$/u;
+const ZIP_PATTERN = /^[a-z0-9][a-z0-9 -]{1,9}$/i;
+const COUNTRY_PATTERN = /^[a-z]{2}$/i;
+
+const cityName = (options) => string({
+  maxLength: 100,
+  pattern: CITY_PATTERN,
+  patternDetail: 'must be a place name made of letters, spaces and \' . , ( ) -',
+  ...options
+});
+
+/**
+ * A language for weather descriptions, normalized to a supported one (e.g.
+ * "pt-BR" to "pt-br" and "de-AT" to "de")
+ */
+const language = rule((value) => {
+  const lang = normalizeLanguage(value);
+  return lang ? { value: lang } : { error: `must be one of ${SUPPORTED_LANGUAGES.join(', ')}` };
+});
+
+// The ways a location can be given. Exactly one is allowed (see checkLocation).
+const LOCATION_FIELDS = {
+  city: cityName(),
+  lat: number({ min: -90, max: 90 }),
+  lon: number({ min: -180, max: 180 }),
+  zip: string({ pattern: ZIP_PATTERN, patternDetail: 'must be a ZIP or postal code' }),
+  country: string({ pattern: COUNTRY_PATTERN, patternDetail: 'must be a two-letter ISO 3166 country code' }),
+  id: integer({ min: 1 })
+};
+
+// ?lang= is optional; without it the controller goes by Accept-Language
+const FORMAT_FIELDS = {
+  units: oneOf(UNIT_SYSTEMS, { default: 'metric' }),
+  lang: language
+};
+
+const META_FIELD = {
+  meta: boolean({ default: false })
+};
+
+/**
+ * Check that validated location fields describe exactly one location
+ * @param {Object} location - Validated LOCATION_FIELDS
+ * @returns {Array} { name, detail } for each offending field, empty if there are none
+ */
+const checkLocation = ({ city, lat, lon, zip, country, id }) => {
+  const given = { city, lat, lon, zip, id };
+  const hasCoordinates = lat !== undefined || lon !== undefined;
+  const lookups = [city !== undefined, hasCoordinates, zip !== undefined, id !== undefined].filter(Boolean);
+
+  if (lookups.length === 0) {
+    return [{ name: 'city', detail: 'is required, unless lat/lon, zip/country or id is given' }];
+  }
+  if (lookups.length > 1) {
+    return Object.keys(given)
+      .filter(name => given[name] !== undefined)
+      .map(name => ({ name, detail: 'cannot be combined with another location' }));
+  }
+  if (hasCoordinates && (lat === undefined || lon === undefined)) {
+    return [{ name: lat === undefined ? 'lat' : 'lon', detail: `is required with ${lat === undefined ? 'lon' : 'lat'}` }];
+  }
+  if ((zip === undefined) !== (country === undefined)) {
+    return [zip === undefined
+      ? { name: 'country', detail: 'can only be given with zip' }
+      : { name: 'country', detail: 'is required with zip' }];
+  }
+  return [];
+};
+
+/**
+ * @param {Object} location - Validated LOCATION_FIELDS that passed checkLocation
+ * @returns {Object} Location to look up (see utils/location.js)
+ */
+const toLocation = ({ city, lat, lon, zip, country, id }) => {
+  if (lat !== undefined) {
+    return { type: 'coordinates', lat, lon };
+  }
+  if (zip !== undefined) {
+    return { type: 'zip', zip, country };
+  }
+  if (id !== undefined) {
+    return { type: 'id', id };
+  }
+  return { type: 'city', city };
+};
+
+/**
+ * @param {Object} validated - Validated request parts
+ * @returns {Array} Location errors in the query
+ */
+const checkLocationQuery = ({ query }) => checkLocation(query).map(error => ({ part: 'query', ...error }));
+
+// One schema per route, named after the controller method that handles it
+const schemas = {
+  getWeather: {
+    query: { ...LOCATION_FIELDS, ...FORMAT_FIELDS, ...META_FIELD },
+    check: checkLocationQuery,
+    example: '/weather?city=London'
+  },
+
+  getForecast: {
+    query: {
+      ...LOCATION_FIELDS,
+      days: integer({ min: 1, max: MAX_FORECAST_DAYS, default: 5 }),
+      interval: oneOf(FORECAST_INTERVALS, { default: 'daily' }),
+      ...FORMAT_FIELDS,
+      ...META_FIELD
+    },
+    check: checkLocationQuery,
+    example: '/weather/forecast?city=London&days=3&interval=3h'
+  },
+
+  searchLocations: {
+    query: {
+      q: string({ minLength: 2, maxLength: 100, required: true }),
+      limit: integer({ min: 1, max: MAX_SEARCH_RESULTS, default: 5 }),
+      lang: language,
+      ...META_FIELD
+    },
+    example: '/weather/locations?q=Lond&limit=5'
+  },
+
+  getWeatherBatch: {
+    query: FORMAT_FIELDS,
+    body: {
+      locations: array({ minItems: 1, maxItems: MAX_BATCH_LOCATIONS, itemName: 'locations', required: true })
+    },
+    example: 'POST /weather/batch {"locations": ["London", {"lat": 48.85, "lon": 2.35}, {"id": 2643743}]}'
+  },
+
+  getCacheStats: {
+    query: { reset: boolean({ default: false }) }
+  },
+
+  getCacheEntries: {
+    query: {
+      page: integer({ min: 1, default: 1 }),
+      limit: integer({ min: 1, max: 500, default: 50 })
+    },
+    example: '/weather/cache/entries?page=1&limit=50'
+  },
+
+  getCacheEntry: {
+    params: { key: string({ maxLength: 500, required: true }) },
+    query: {}
+  },
+
+  invalidateCacheByPattern: {
+    query: { pattern: string({ maxLength: 200, required: true }) },
+    example: '/weather/cache/entries?pattern=weather:lon*'
+  },
+
+  clearCache: {
+    query: {}
+  },
+
+  invalidateCity: {
+    params: { city: cityName({ required: true }) },
+    query: {}
+  }
+};
+
+module.exports = {
+  ...schemas,
+  LOCATION_FIELDS,
+  checkLocation,
+  toLocation
+};
@@ -0,0 +1,252 @@
+/**
+ * Raw responses from the geocoding API, the non-OpenWeatherMap providers and
+ * the forecast APIs
+ */
+
+// 2025-01-15T00:00:00Z, the start of every forecast below
+const FORECAST_START = 1736899200;
+const HOUR = 3600;
+
+const geocodingResults = {
+  london: {
+    results: [
+      {
+        id: 2643743,
+        name: 'London',
+        latitude: 51.50853,
+        longitude: -0.12574,
+        country_code: 'GB',
+        country: 'United Kingdom',
+        timezone: 'Europe/London'
+      }
+    ]
+  },
+  // A search with several candidates
+  paris: {
+    results: [
+      {
+        id: 2988507,
+        name: 'Paris',
+        latitude: 48.85341,
+        longitude: 2.3488,
+        country_code: 'FR',
+        admin1: 'Île-de-France',
+        timezone: 'Europe/Paris'
+      },
+      {
+        id: 4717560,
+        name: 'Paris',
+        latitude: 33.66094,
+        longitude: -95.55551,
+        country_code: 'US',
+        admin1: 'Texas',
+        timezone: 'America/Chicago'
+      },
+      {
+        id: 2988506,
+        name: 'Paris',
+        latitude: 48.8566,
+        longitude: 2.3522,
+        country_code: 'FR',
+        timezone: 'Europe/Paris'
+      }
+    ]
+  },
+  // The API omits `results` entirely when nothing matches
+  noMatch: {
+    generationtime_ms: 0.5
+  }
+};
+
+// OpenWeatherMap direct geocoding answers with a bare array
+const openWeatherMapGeocoding = {
+  london: [
+    {
+      name: 'London',
+      local_names: { en: 'London', fr: 'Londres', de: 'London' },
+      lat: 51.5073219,
+      lon: -0.1276474,
+      country: 'GB',
+      state: 'England'
+    },
+    {
+      name: 'London',
+      lat: 42.9832406,
+      lon: -81.243372,
+      country: 'CA',
+      state: 'Ontario'
+    },
+    {
+      name: 'City of London',
+      local_names: { en: 'City of London' },
+      lat: 51.5156177,
+      lon: -0.0919983,
+      country: 'GB'
+    }
+  ]
+};
+
+const openMeteoResponses = {
+  london: {
+    latitude: 51.5,
+    longitude: -0.120000124,
+    timezone: 'Europe/London',
+    current: {
+      time: '2025-01-15T10:30',
+      interval: 900,
+      temperature_2m: 15.2,
+      relative_humidity_2m: 65,
+      apparent_temperature: 13.6,
+      pressure_msl: 1013.4,
+      weather_code: 61,
+      wind_speed_10m: 3.2,
+      wind_direction_10m: 180,
+      visibility: 24140
+    },
+    daily: {
+      time: ['2025-01-15'],
+      temperature_2m_max: [16.8],
+      temperature_2m_min: [13.5]
+    }
+  }
+};
+
+const metNorwayResponses = {
+  london: {
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [-0.1257, 51.5085, 11] },
+    properties: {
+      meta: { updated_at: '2025-01-15T10:00:00Z' },
+      timeseries: [
+        {
+          time: '2025-01-15T10:00:00Z',
+          data: {
+            instant: {
+              details: {
+                air_pressure_at_sea_level: 1012.6,
+                air_temperature: 14.6,
+                cloud_area_fraction: 93.8,
+                relative_humidity: 71.2,
+                wind_from_direction: 203.4,
+                wind_speed: 4.1
+              }
+            },
+            next_1_hours: {
+              summary: { symbol_code: 'lightrainshowers_day' },
+              details: { precipitation_amount: 0.3 }
+            },
+            next_6_hours: {
+              summary: { symbol_code: 'cloudy' },
+              details: { air_temperature_max: 16.2, air_temperature_min: 12.9, precipitation_amount: 0.8 }
+            }
+          }
+        }
+      ]
+    }
+  }
+};
+
+// Two days of 3-hourly entries, warming by a degree per entry, rain at midday
+const openWeatherMapForecast = {
+  london: {
+    cod: '200',
+    cnt: 16,
+    list: Array.from({ length: 16 }, (value, index) => ({
+      dt: FORECAST_START + index * 3 * HOUR,
+      main: { temp: 10 + index, feels_like: 9 + index, temp_min: 10 + index, temp_max: 10 + index, pressure: 1010, humidity: 70 },
+      weather: index % 8 === 4
+        ? [{ id: 500, main: 'Rain', description: 'light rain', icon: '10d' }]
+        : [{ id: 803, main: 'Clouds', description: 'broken clouds', icon: '04d' }],
+      wind: { speed: 4.5, deg: 220 },
+      visibility: 10000,
+      pop: index / 20,
+      dt_txt: new Date((FORECAST_START + index * 3 * HOUR) * 1000).toISOString().replace('T', ' ').slice(0, 19)
+    })),
+    city: { id: 2643743, name: 'London', coord: { lat: 51.5085, lon: -0.1257 }, country: 'GB', timezone: 0 }
+  }
+};
+
+const openMeteoForecasts = {
+  // Six hours of data
+  hourly: {
+    latitude: 51.5,
+    longitude: -0.12,
+    utc_offset_seconds: 0,
+    timezone: 'Europe/London',
+    hourly: {
+      time: Array.from({ length: 6 }, (value, index) => FORECAST_START + index * HOUR),
+      temperature_2m: [8.2, 7.9, 7.6, 7.4, 7.5, 7.8],
+      apparent_temperature: [5.1, 4.8, 4.4, 4.1, 4.3, 4.9],
+      relative_humidity_2m: [81, 83, 85, 86, 86, 84],
+      pressure_msl: [1012.1, 1012.4, 1012.6, 1012.9, 1013.2, 1013.4],
+      weather_code: [3, 3, 61, 61, 2, 0],
+      wind_speed_10m: [4.2, 4.1, 3.9, 3.5, 3.1, 2.8],
+      wind_direction_10m: [230, 228, 225, 221, 218, 215],
+      precipitation_probability: [10, 20, 60, 55, 15, 5]
+    }
+  },
+  // Two days, with the times at local midnight in Paris
+  daily: {
+    latitude: 48.86,
+    longitude: 2.35,
+    utc_offset_seconds: 3600,
+    timezone: 'Europe/Paris',
+    daily: {
+      time: [FORECAST_START - HOUR, FORECAST_START + 23 * HOUR],
+      weather_code: [61, 0],
+      temperature_2m_max: [9.6, 11.2],
+      temperature_2m_min: [3.4, 2.1],
+      precipitation_probability_max: [80, 5]
+    }
+  }
+};
+
+/**
+ * Build a MET Norway time series: hourly steps, then six-hourly ones
+ * @param {number} hourlySteps - Number of hourly steps
+ * @param {number} sixHourlySteps - Number of six-hourly steps after them
+ * @returns {Object} Raw API response
+ */
+const buildMetNorwayTimeseries = (hourlySteps, sixHourlySteps) => {
+  const hours = [
+    ...Array.from({ length: hourlySteps }, (value, index) => index),
+    ...Array.from({ length: sixHourlySteps }, (value, index) => hourlySteps + index * 6)
+  ];
+
+  return {
+    type: 'Feature',
+    properties: {
+      timeseries: hours.map((hour, index) => {
+        const hourly = index < hourlySteps;
+        const summary = { summary: { symbol_code: hour % 24 === 12 ? 'rain' : 'cloudy' } };
+        return {
+          time: new Date((FORECAST_START + hour * HOUR) * 1000).toISOString().replace('.000', ''),
+          data: {
+            instant: {
+              details: {
+                air_pressure_at_sea_level: 1011.6,
+                air_temperature: 5 + (hour % 24) / 2,
+                relative_humidity: 80.4,
+                wind_from_direction: 190.1,
+                wind_speed: 3.3
+              }
+            },
+            ...(hourly ? { next_1_hours: summary } : {}),
+            next_6_hours: summary
+          }
+        };
+      })
+    }
+  };
+};
+
+module.exports = {
+  FORECAST_START,
+  geocodingResults,
+  openWeatherMapGeocoding,
+  openMeteoResponses,
+  metNorwayResponses,
+  openWeatherMapForecast,
+  openMeteoForecasts,
+  buildMetNorwayTimeseries
+};
@@ -0,0 +1,191 @@
+/**
+ * In-process stand-in for a Redis server, speaking just enough RESP for the cache backend
+ */
+
+const net = require('net');
+const { parseReply } = require('../../src/utils/resp');
+
+const simple = (value) => `+${value}\r\n`;
+const error = (message) => `-${message}\r\n`;
+const integer = (value) => `:${value}\r\n`;
+const bulk = (value) => value === null ? '$-1\r\n' : `$${Buffer.byteLength(value)}\r\n${value}\r\n`;
+const array = (items) => `*${items.length}\r\n${items.join('')}`;
+
+/**
+ * Convert a Redis glob pattern (only `*` is supported) to a RegExp
+ * @param {string} pattern - Glob pattern
+ * @returns {RegExp} Equivalent regular expression
+ */
+const globToRegExp = (pattern) => {
+  const escaped = pattern.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+  return new RegExp(`^${escaped}$`);
+};
+
+/**
+ * Parse a sorted set score, including the `-inf` and `+inf` bounds
+ * @param {string} value - Score as sent by the client
+ * @returns {number} Numeric score
+ */
+const parseScore = (value) => {
+  const infinity = { '-inf': -Infinity, '+inf': Infinity, inf: Infinity };
+  return infinity[value.toLowerCase()] ?? parseFloat(value);
+};
+
+/**
+ * Start a RESP server on a random local port
+ * @param {Object} options - Server options
+ * @param {string} options.password - Require AUTH with this password
+ * @param {string} options.username - Also require this ACL user name
+ * @returns {Promise<Object>} { url, store, commands, close }
+ */
+const startRespServer = async (options = {}) => {
+  const store = new Map();
+  const commands = [];
+  const sockets = new Set();
+
+  const isLive = (key) => {
+    const item = store.get(key);
+    if (item && item.expiresAt !== null && Date.now() >= item.expiresAt) {
+      store.delete(key);
+      return false;
+    }
+    return Boolean(item);
+  };
+
+  const execute = (args, session) => {
+    const [name, ...rest] = args;
+    const command = name.toUpperCase();
+    commands.push([command, ...rest]);
+
+    if (options.password && !session.authenticated && command !== 'AUTH') {
+      return error('NOAUTH Authentication required.');
+    }
+
+    switch (command) {
+      case 'PING':
+        return simple('PONG');
+      case 'AUTH': {
+        // AUTH <password> authenticates the default user, AUTH <username> <password> an ACL user
+        const [username, password] = rest.length === 2 ? rest : ['default', rest[0]];
+        if (username !== (options.username || 'default') || password !== options.password) {
+          return error('WRONGPASS invalid username-password pair');
+        }
+        session.authenticated = true;
+        return simple('OK');
+      }
+      case 'SELECT':
+        return simple('OK');
+      case 'GET':
+        return bulk(isLive(rest[0]) ? store.get(rest[0]).value : null);
+      case 'SET': {
+        const [key, value, ...flags] = rest;
+        const pxIndex = flags.findIndex(flag => flag.toUpperCase() === 'PX');
+        const expiresAt = pxIndex === -1 ? null : Date.now() + parseInt(flags[pxIndex + 1], 10);
+        store.set(key, { value, expiresAt });
+        return simple('OK');
+      }
+      case 'MGET':
+        return array(rest.map(key => bulk(isLive(key) ? store.get(key).value : null)));
+      case 'DEL':
+        return integer(rest.filter(key => isLive(key) && store.delete(key)).length);
+      case 'INCR': {
+        const [key] = rest;
+        const current = isLive(key) ? store.get(key) : { value: '0', expiresAt: null };
+        const value = (parseInt(current.value, 10) || 0) + 1;
+        // INCR keeps the key's expiry, like any write that doesn't replace the key
+        store.set(key, { value: String(value), expiresAt: current.expiresAt });
+        return integer(value);
+      }
+      case 'PEXPIREAT': {
+        const [key, timestamp] = rest;
+        if (!isLive(key)) {
+          return integer(0);
+        }
+        store.get(key).expiresAt = parseInt(timestamp, 10);
+        return integer(1);
+      }
+      case 'ZADD': {
+        const [key, score, member] = rest;
+        if (!isLive(key)) {
+          store.set(key, { zset: new Map(), expiresAt: null });
+        }
+        const { zset } = store.get(key);
+        const added = zset.has(member) ? 0 : 1;
+        zset.set(member, parseScore(score));
+        return integer(added);
+      }
+      case 'ZREM': {
+        const [key, ...members] = rest;
+        if (!isLive(key)) {
+          return integer(0);
+        }
+        const { zset } = store.get(key);
+        const removed = members.filter(member => zset.delete(member)).length;
+        // Redis removes sorted sets once their last member is gone
+        if (zset.size === 0) {
+          store.delete(key);
+        }
+        return integer(removed);
+      }
+      case 'ZREMRANGEBYSCORE': {
+        const [key, min, max] = rest;
+        if (!isLive(key)) {
+          return integer(0);
+        }
+        const { zset } = store.get(key);
+        const removed = [...zset].filter(([, score]) => score >= parseScore(min) && score <= parseScore(max));
+        removed.forEach(([member]) => zset.delete(member));
+        if (zset.size === 0) {
+          store.delete(key);
+        }
+        return integer(removed.length);
+      }
+      case 'ZCARD':
+        return integer(isLive(rest[0]) ? store.get(rest[0]).zset.size : 0);
+      case 'SCAN': {
+        // Always completes in one pass; real Redis may need several cursors
+        const matchIndex = rest.findIndex(arg => arg.toUpperCase() === 'MATCH');
+        const matcher = matchIndex === -1 ? /.*/ : globToRegExp(rest[matchIndex + 1]);
+        const keys = [...store.keys()].filter(key => isLive(key) && matcher.test(key));
+        return array([bulk('0'), array(keys.map(bulk))]);
+      }
+      default:
+        return error(`ERR unknown command '${name}'`);
+    }
+  };
+
+  const server = net.createServer((socket) => {
+    const session = { authenticated: false };
+    let buffer = Buffer.alloc(0);
+    sockets.add(socket);
+    socket.on('close', () => sockets.delete(socket));
+
+    socket.on('data', (chunk) => {
+      buffer = Buffer.concat([buffer, chunk]);
+      let request;
+      while (buffer.length > 0 && (request = parseReply(buffer))) {
+        buffer = buffer.subarray(request.offset);
+        socket.write(execute(request.value, session));
+      }
+    });
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+
+  return {
+    url: options.password
+      ? `redis://${options.username || ''}:${options.password}@127.0.0.1:${port}/1`
+      : `redis://127.0.0.1:${port}`,
+    store,
+    commands,
+    close: () => new Promise(resolve => {
+      sockets.forEach(socket => socket.destroy());
+      server.close(resolve);
+    })
+  };
+};
+
+module.exports = {
+  startRespServer
+};
@@ -50,9 +50,17 @@ describe('Application End-to-End Tests', () => {
         version: '1.0.0',
         endpoints: {
           health: '/health',
+          metrics: '/metrics',
           weather: '/weather?city=<city_name>',
+          forecast: '/weather/forecast?city=<city_name>&days=<days>',
+          weatherBatch: 'POST /weather/batch',
+          locationSearch: '/weather/locations?q=<name>',
           cacheStats: '/weather/cache/stats',
-          clearCache: 'DELETE /weather/cache'
+          cacheEntries: '/weather/cache/entries?page=<page>&limit=<limit>',
+          cacheEntry: '/weather/cache/entries/<key>',
+          clearCache: 'DELETE /weather/cache',
+          invalidateCity: 'DELETE /weather/cache/<city>',
+          invalidatePattern: 'DELETE /weather/cache/entries?pattern=<pattern>'
         },
         documentation: 'https://github.com/your-repo/weather-cache-api'
       });
@@ -100,7 +108,7 @@ describe('Application End-to-End Tests', () => {
         .expect(400)
         .expect((res) => {
           expect(res.body).toHaveProperty('error', 'Bad Request');
-          expect(res.body).toHaveProperty('message', 'City parameter is required');
+          expect(res.body).toHaveProperty('message', 'city is required, unless lat/lon, zip/country or id is given');
         });
 
       // Test empty city parameter
@@ -197,6 +205,17 @@ describe('Application End-to-End Tests', () => {
 
       expect(response.headers).toHaveProperty('access-control-allow-origin');
     });
+
+    it('should let browser clients read the request ID and provenance headers', async () => {
+      const response = await request(app)
+        .get('/health')
+        .set('Origin', 'https://example.com')
+        .expect(200);
+
+      expect(response.headers['access-control-expose-headers'].split(',')).toEqual(
+        expect.arrayContaining(['X-Request-Id', 'X-Cache', 'Age', 'ETag'])
+      );
+    });
   });
 
   describe('Security Headers', () => {
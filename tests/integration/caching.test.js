@@ -4,6 +4,7 @@
 
 const request = require('supertest');
 const app = require('../../src/app');
+const weatherService = require('../../src/services/weatherService');
 
 describe('Caching Integration Tests', () => {
   beforeEach(async () => {
@@ -147,6 +148,21 @@ describe('Caching Integration Tests', () => {
     });
   });
 
+  describe('City Invalidation', () => {
+    it('should evict a city\'s forecasts along with its weather', async () => {
+      await request(app).get('/weather?city=London').expect(200);
+      await request(app).get('/weather/forecast?city=London&days=2').expect(200);
+      await request(app).get('/weather/forecast?city=Paris').expect(200);
+
+      await request(app).delete('/weather/cache/London').expect(200);
+
+      const { body } = await request(app).get('/weather/cache/entries').expect(200);
+      const keys = body.data.entries.map(entry => entry.key);
+      expect(keys.filter(key => key.includes('london'))).toEqual([]);
+      expect(keys).toContainEqual(expect.stringMatching(/^forecast:paris:/));
+    });
+  });
+
   describe('Cache Statistics', () => {
     it('should provide accurate cache statistics', async () => {
       // Initial state
@@ -175,6 +191,24 @@ describe('Caching Integration Tests', () => {
         .expect(200);
       expect(stats.body.data.totalEntries).toBe(0);
     });
+
+    it('should report hit/miss counters and reset them on request', async () => {
+      await request(app).get('/weather/cache/stats?reset=true').expect(200);
+
+      await request(app).get('/weather?city=London');
+      await request(app).get('/weather?city=London');
+
+      let stats = await request(app)
+        .get('/weather/cache/stats?reset=true')
+        .expect(200);
+      expect(stats.body.data.metrics.cumulative).toMatchObject({ hits: 1, misses: 1, sets: 1, hitRatio: 0.5 });
+      expect(stats.body.data.metrics.cumulative.upstreamLatency.count).toBe(1);
+
+      stats = await request(app)
+        .get('/weather/cache/stats')
+        .expect(200);
+      expect(stats.body.data.metrics.cumulative).toMatchObject({ hits: 0, misses: 0 });
+    });
   });
 
   describe('Cache Performance', () => {
@@ -219,4 +253,31 @@ describe('Caching Integration Tests', () => {
       expect(response.body).toHaveProperty('data');
     });
   });
+
+  describe('Negative Caching', () => {
+    it('should answer repeated lookups of an unknown city from cache with the same 404', async () => {
+      const fetchSpy = jest.spyOn(weatherService, 'fetchWeatherFromAPI')
+        .mockRejectedValue({ response: { status: 404 }, message: 'city not found' });
+
+      const first = await request(app)
+        .get('/weather?city=Lndon')
+        .expect(404);
+      const second = await request(app)
+        .get('/weather?city=lndon')
+        .expect(404);
+
+      expect(fetchSpy).toHaveBeenCalledTimes(1);
+      expect(second.body).toEqual(first.body);
+      expect(second.body).toEqual({
+        error: 'Not Found',
+        message: 'City not found. Please check the city name and try again.'
+      });
+
+      const stats = await request(app)
+        .get('/weather/cache/stats')
+        .expect(200);
+      expect(stats.body.data.negativeEntries).toBe(1);
+      expect(stats.body.data.metrics.cumulative.negativeHits).toBeGreaterThanOrEqual(1);
+    });
+  });
 });
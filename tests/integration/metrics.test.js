@@ -0,0 +1,68 @@
+/**
+ * Integration tests for the Prometheus metrics endpoint
+ */
+
+const request = require('supertest');
+const app = require('../../src/app');
+const weatherService = require('../../src/services/weatherService');
+const { CityNotFoundError } = require('../../src/utils/errors');
+
+describe('Metrics Endpoint', () => {
+  beforeEach(async () => {
+    await request(app).delete('/weather/cache');
+  });
+
+  it('should serve metrics in the Prometheus text format', async () => {
+    const response = await request(app)
+      .get('/metrics')
+      .expect(200);
+
+    expect(response.headers['content-type']).toMatch(/^text\/plain;/);
+    expect(response.headers['content-type']).toContain('version=0.0.4');
+    expect(response.text).toContain('# TYPE http_requests_total counter');
+    expect(response.text).toContain('# TYPE weather_cache_entries gauge');
+  });
+
+  it('should count requests by route pattern and status', async () => {
+    await request(app).get('/weather?city=London').expect(200);
+    await request(app).get('/weather/cache/entries/weather:london').expect(200);
+    await request(app).get('/no-such-route').expect(404);
+
+    const { text } = await request(app).get('/metrics').expect(200);
+
+    expect(text).toMatch(/http_requests_total\{method="GET",route="\/weather",status="200"\} \d+/);
+    expect(text).toMatch(/http_requests_total\{method="GET",route="\/weather\/cache\/entries\/:key",status="200"\} \d+/);
+    expect(text).toMatch(/http_requests_total\{method="GET",route="unmatched",status="404"\} \d+/);
+    expect(text).toMatch(/http_request_duration_seconds_bucket\{method="GET",route="\/weather",status="200",le="\+Inf"\} \d+/);
+  });
+
+  it('should label error responses with the route that failed', async () => {
+    const notFound = new CityNotFoundError({ type: 'city', city: 'Nowhere' });
+    jest.spyOn(weatherService, 'getWeatherByCity').mockRejectedValue(notFound);
+    jest.spyOn(weatherService, 'getForecast').mockRejectedValue(notFound);
+
+    await request(app).get('/weather?city=Nowhere').expect(404);
+    await request(app).get('/weather/forecast?city=Nowhere').expect(404);
+
+    const { text } = await request(app).get('/metrics').expect(200);
+
+    // The handlers pass these on with next(err), after which Express no longer knows the mount path
+    expect(text).toMatch(/http_requests_total\{method="GET",route="\/weather",status="404"\} \d+/);
+    expect(text).toMatch(/http_requests_total\{method="GET",route="\/weather\/forecast",status="404"\} \d+/);
+    expect(text).not.toMatch(/route="\/forecast"/);
+    expect(text).not.toMatch(/route="\/",status="404"/);
+  });
+
+  it('should expose cache gauges and upstream counters', async () => {
+    await request(app).get('/weather?city=Paris').expect(200);
+    await request(app).get('/weather?city=Paris').expect(200);
+
+    const { text } = await request(app).get('/metrics').expect(200);
+
+    expect(text).toContain('weather_cache_entries{state="valid"} 1\n');
+    expect(text).toMatch(/weather_cache_lookups\{result="hit"\} [1-9]\d*/);
+    expect(text).toMatch(/weather_cache_size_bytes [1-9]\d*/);
+    expect(text).toMatch(/weather_upstream_calls_total\{provider="mock"\} [1-9]\d*/);
+    expect(text).toContain('weather_upstream_in_flight 0\n');
+  });
+});
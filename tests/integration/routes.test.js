@@ -5,6 +5,8 @@
 const request = require('supertest');
 const app = require('../../src/app');
 const weatherService = require('../../src/services/weatherService');
+const weatherRouter = require('../../src/routes/weatherRoutes');
+const { CityNotFoundError, RateLimitedError } = require('../../src/utils/errors');
 
 // Mock the weather service
 jest.mock('../../src/services/weatherService');
@@ -57,6 +59,7 @@ describe('API Routes Integration Tests', () => {
         expiredEntries: 0
       };
       weatherService.getCacheStats.mockReturnValue(mockCacheStats);
+      weatherService.getProviderStates.mockReturnValue([]);
 
       const response = await request(app)
         .get('/health/detailed')
@@ -76,7 +79,7 @@ describe('API Routes Integration Tests', () => {
         .expect(400);
 
       expect(response.body).toHaveProperty('error', 'Bad Request');
-      expect(response.body).toHaveProperty('message', 'City parameter is required');
+      expect(response.body).toHaveProperty('message', 'city is required, unless lat/lon, zip/country or id is given');
     });
 
     it('should return weather data when city is provided', async () => {
@@ -95,7 +98,128 @@ describe('API Routes Integration Tests', () => {
 
       expect(response.body).toHaveProperty('success', true);
       expect(response.body).toHaveProperty('data', mockWeatherData);
-      expect(weatherService.getWeatherByCity).toHaveBeenCalledWith('London');
+      expect(weatherService.getWeatherByCity).toHaveBeenCalledWith('London', {
+        units: 'metric',
+        lang: 'en',
+        signal: expect.any(AbortSignal),
+        onCacheEntry: expect.any(Function)
+      });
+    });
+
+    it('should look weather up by coordinates', async () => {
+      weatherService.getWeatherByLocation.mockResolvedValue({ city: null, temperature: { current: 15 } });
+
+      await request(app)
+        .get('/weather?lat=51.5085&lon=-0.1257')
+        .expect(200);
+
+      expect(weatherService.getWeatherByLocation).toHaveBeenCalledWith(
+        { type: 'coordinates', lat: 51.5085, lon: -0.1257 },
+        {
+          units: 'metric',
+          lang: 'en',
+          signal: expect.any(AbortSignal),
+          onCacheEntry: expect.any(Function)
+        }
+      );
+    });
+
+    it('should return 400 for out-of-range coordinates', async () => {
+      const response = await request(app)
+        .get('/weather?lat=123&lon=0')
+        .expect(400);
+
+      expect(response.body).toHaveProperty('message', 'lat must be a number between -90 and 90');
+    });
+
+    it('should negotiate the language from the Accept-Language header', async () => {
+      weatherService.getWeatherByCity.mockResolvedValue({ city: 'London', source: 'mock' });
+
+      const response = await request(app)
+        .get('/weather?city=London&units=imperial')
+        .set('Accept-Language', 'de-DE,de;q=0.9,en;q=0.8')
+        .expect(200);
+
+      expect(response.body).toMatchObject({ lang: 'de', units: { system: 'imperial', temperature: '°F' } });
+      expect(weatherService.getWeatherByCity).toHaveBeenCalledWith('London', {
+        units: 'imperial',
+        lang: 'de',
+        signal: expect.any(AbortSignal),
+        onCacheEntry: expect.any(Function)
+      });
+    });
+
+    it('should answer conditional requests with 304 Not Modified', async () => {
+      const createdAt = Date.now();
+      weatherService.getWeatherByCity.mockImplementation(async (city, options) => {
+        options.onCacheEntry({
+          status: 'miss',
+          cacheKey: 'weather:london',
+          createdAt,
+          expiresAt: createdAt + 3 * 60 * 1000,
+          upstreamLatencyMs: 42,
+          retries: 1
+        });
+        return { city: 'London', timestamp: new Date(createdAt).toISOString(), source: 'openweathermap' };
+      });
+
+      const first = await request(app)
+        .get('/weather?city=London')
+        .expect(200);
+
+      expect(first.headers['cache-control']).toMatch(/^public, max-age=(179|180)$/);
+      expect(first.headers.etag).toMatch(/^W\/".+-metric-en"$/);
+      expect(first.headers.vary).toMatch(/Accept-Language/);
+      expect(first.headers['x-cache']).toBe('MISS');
+      expect(first.headers.age).toMatch(/^[01]$/);
+      expect(first.body).not.toHaveProperty('meta');
+
+      const revalidated = await request(app)
+        .get('/weather?city=London')
+        .set('If-None-Match', first.headers.etag)
+        .expect(304);
+      expect(revalidated.text).toBe('');
+
+      await request(app)
+        .get('/weather?city=London')
+        .set('If-Modified-Since', first.headers['last-modified'])
+        .expect(304);
+
+      // The meta block differs from the body the client holds, so it is sent in full
+      const withMeta = await request(app)
+        .get('/weather?city=London&meta=true')
+        .set('If-None-Match', first.headers.etag)
+        .expect(200);
+      expect(withMeta.headers.etag).not.toBe(first.headers.etag);
+      expect(withMeta.headers).not.toHaveProperty('last-modified');
+      expect(withMeta.body.meta).toMatchObject({
+        cache: 'MISS',
+        cacheKey: 'weather:london',
+        fetchedAt: new Date(createdAt).toISOString(),
+        source: 'openweathermap',
+        upstreamLatencyMs: 42,
+        retries: 1
+      });
+
+      // A different variant of the same data does not match
+      await request(app)
+        .get('/weather?city=London&units=imperial')
+        .set('If-None-Match', first.headers.etag)
+        .expect(200);
+    });
+
+    it('should map service errors through the error handler', async () => {
+      weatherService.getWeatherByCity.mockRejectedValue(new RateLimitedError({ retryAfterMs: 30000 }));
+
+      const response = await request(app)
+        .get('/weather?city=London')
+        .expect(503);
+
+      expect(response.headers['retry-after']).toBe('30');
+      expect(response.body).toEqual({
+        error: 'Service Unavailable',
+        message: 'Weather service is receiving too many requests. Please try again later.'
+      });
     });
 
     it('should handle service errors', async () => {
@@ -109,6 +233,114 @@ describe('API Routes Integration Tests', () => {
     });
   });
 
+  describe('GET /weather/locations', () => {
+    it('should return matching places', async () => {
+      const mockSearch = { query: 'paris', results: [{ name: 'Paris', state: 'Île-de-France', country: 'FR', lat: 48.85, lon: 2.35 }] };
+      weatherService.searchLocations.mockResolvedValue(mockSearch);
+
+      const response = await request(app)
+        .get('/weather/locations?q=paris&limit=3')
+        .set('Accept-Language', 'fr-FR')
+        .expect(200);
+
+      expect(response.body).toEqual({ success: true, data: mockSearch, lang: 'fr' });
+      expect(weatherService.searchLocations).toHaveBeenCalledWith('paris', {
+        limit: 3,
+        lang: 'fr',
+        signal: expect.any(AbortSignal),
+        onCacheEntry: expect.any(Function)
+      });
+    });
+
+    it('should return 400 without a search', async () => {
+      const response = await request(app)
+        .get('/weather/locations')
+        .expect(400);
+
+      expect(response.body).toHaveProperty('message', 'q is required');
+    });
+  });
+
+  describe('POST /weather/batch', () => {
+    it('should return a result per location', async () => {
+      weatherService.getWeatherBatch.mockResolvedValue([
+        { status: 'fulfilled', value: { city: 'London', source: 'mock' } },
+        { status: 'rejected', reason: new CityNotFoundError({ type: 'city', city: 'atlantis' }) }
+      ]);
+
+      const response = await request(app)
+        .post('/weather/batch?units=imperial')
+        .send({ locations: ['London', { city: 'Atlantis' }] })
+        .expect(200);
+
+      expect(response.body).toMatchObject({
+        success: true,
+        data: {
+          results: [
+            { query: 'London', success: true, data: { city: 'London' } },
+            { query: { city: 'Atlantis' }, success: false, status: 404, error: 'Not Found' }
+          ],
+          succeeded: 1,
+          failed: 1
+        },
+        units: { system: 'imperial' }
+      });
+    });
+
+    it('should return 400 for a malformed JSON body', async () => {
+      const response = await request(app)
+        .post('/weather/batch')
+        .set('Content-Type', 'application/json')
+        .send('{"locations": [')
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Bad Request');
+      expect(weatherService.getWeatherBatch).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 without a locations array', async () => {
+      const response = await request(app)
+        .post('/weather/batch')
+        .send({ cities: ['London'] })
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Bad Request');
+      expect(weatherService.getWeatherBatch).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('GET /weather/forecast', () => {
+    it('should return the forecast', async () => {
+      const mockForecast = { city: 'London', interval: '3h', days: 2, entries: [], source: 'mock' };
+      weatherService.getForecast.mockResolvedValue(mockForecast);
+
+      const response = await request(app)
+        .get('/weather/forecast?city=London&days=2&interval=3h')
+        .expect(200);
+
+      expect(response.body).toMatchObject({ success: true, data: mockForecast, lang: 'en' });
+      expect(weatherService.getForecast).toHaveBeenCalledWith(
+        { type: 'city', city: 'London' },
+        {
+          days: 2,
+          interval: '3h',
+          units: 'metric',
+          lang: 'en',
+          signal: expect.any(AbortSignal),
+          onCacheEntry: expect.any(Function)
+        }
+      );
+    });
+
+    it('should return 400 for an unknown interval', async () => {
+      const response = await request(app)
+        .get('/weather/forecast?city=London&interval=minutely')
+        .expect(400);
+
+      expect(response.body).toHaveProperty('error', 'Bad Request');
+    });
+  });
+
   describe('GET /weather/cache/stats', () => {
     it('should return cache statistics', async () => {
       const mockStats = {
@@ -165,6 +397,86 @@ describe('API Routes Integration Tests', () => {
     });
   });
 
+  describe('GET /weather/cache/entries', () => {
+    it('should list cache entries', async () => {
+      weatherService.getCacheEntries.mockResolvedValue({
+        entries: [{ key: 'weather:london', hits: 1 }],
+        pagination: { page: 1, limit: 50, total: 1, totalPages: 1 }
+      });
+
+      const response = await request(app)
+        .get('/weather/cache/entries')
+        .expect(200);
+
+      expect(response.body.data.entries).toHaveLength(1);
+      expect(weatherService.getCacheEntries).toHaveBeenCalledWith(1, 50);
+    });
+
+    it('should reject invalid pagination', async () => {
+      await request(app)
+        .get('/weather/cache/entries?limit=0')
+        .expect(400);
+    });
+
+    it('should inspect a single entry', async () => {
+      weatherService.getCacheEntry.mockResolvedValue({ key: 'weather:london', data: { city: 'London' } });
+
+      const response = await request(app)
+        .get('/weather/cache/entries/weather:london')
+        .expect(200);
+
+      expect(response.body.data.key).toBe('weather:london');
+      expect(weatherService.getCacheEntry).toHaveBeenCalledWith('weather:london');
+    });
+
+    it('should return 404 for an uncached key', async () => {
+      weatherService.getCacheEntry.mockResolvedValue(null);
+
+      await request(app)
+        .get('/weather/cache/entries/weather:nowhere')
+        .expect(404);
+    });
+  });
+
+  describe('DELETE /weather/cache/entries', () => {
+    it('should remove entries matching a pattern', async () => {
+      weatherService.invalidateCacheByPattern.mockResolvedValue(['weather:london']);
+
+      const response = await request(app)
+        .delete('/weather/cache/entries?pattern=weather:lon*')
+        .expect(200);
+
+      expect(response.body.data.deletedKeys).toEqual(['weather:london']);
+      expect(weatherService.invalidateCacheByPattern).toHaveBeenCalledWith('weather:lon*');
+    });
+
+    it('should require a pattern', async () => {
+      await request(app)
+        .delete('/weather/cache/entries')
+        .expect(400);
+    });
+  });
+
+  describe('DELETE /weather/cache/:city', () => {
+    it('should remove the entry for one city', async () => {
+      weatherService.invalidateCity.mockResolvedValue(true);
+
+      await request(app)
+        .delete('/weather/cache/London')
+        .expect(200);
+
+      expect(weatherService.invalidateCity).toHaveBeenCalledWith('London');
+    });
+
+    it('should return 404 when the city is not cached', async () => {
+      weatherService.invalidateCity.mockResolvedValue(false);
+
+      await request(app)
+        .delete('/weather/cache/Atlantis')
+        .expect(404);
+    });
+  });
+
   describe('404 handling', () => {
     it('should return 404 for non-existent routes', async () => {
       const response = await request(app)
@@ -175,6 +487,125 @@ describe('API Routes Integration Tests', () => {
       expect(response.body).toHaveProperty('message');
       expect(response.body).toHaveProperty('availableRoutes');
     });
+
+    it('should list every weather route in the 404 and root endpoint listings', async () => {
+      // 'DELETE /weather/cache/:city' and '/weather/cache/<city>' both become 'DELETE /weather/cache/<city>'
+      const normalize = (entry) => {
+        const [method, path] = entry.includes(' ') ? entry.split(' ') : ['GET', entry];
+        return `${method} ${path.split('?')[0].replace(/:(\w+)/g, '<$1>')}`;
+      };
+
+      const weatherRoutes = weatherRouter.stack
+        .filter(layer => layer.route)
+        .flatMap(layer => Object.keys(layer.route.methods).map(method =>
+          normalize(`${method.toUpperCase()} /weather${layer.route.path === '/' ? '' : layer.route.path}`)
+        ));
+
+      const notFound = await request(app).get('/non-existent-route').expect(404);
+      const root = await request(app).get('/').expect(200);
+
+      const availableRoutes = notFound.body.availableRoutes.map(normalize);
+      const endpoints = Object.values(root.body.endpoints).map(normalize);
+
+      expect(weatherRoutes.length).toBeGreaterThan(0);
+      weatherRoutes.forEach(route => {
+        expect(availableRoutes).toContain(route);
+        expect(endpoints).toContain(route);
+      });
+    });
+  });
+
+  describe('Problem details', () => {
+    it('should answer with problem+json when the client asks for it', async () => {
+      const response = await request(app)
+        .get('/weather?city=London&units=kelvin')
+        .set('Accept', 'application/problem+json')
+        .set('X-Request-Id', 'client-123')
+        .expect('Content-Type', /application\/problem\+json/)
+        .expect('X-Request-Id', 'client-123')
+        .expect(400);
+
+      expect(response.headers.vary).toMatch(/Accept/);
+      expect(response.body).toEqual({
+        type: '/problems/validation-error',
+        title: 'Invalid request',
+        status: 400,
+        detail: 'units must be one of metric, imperial, standard',
+        instance: '/weather?city=London&units=kelvin',
+        requestId: 'client-123',
+        errors: [{ parameter: 'units', detail: 'must be one of metric, imperial, standard' }],
+        example: '/weather?city=London'
+      });
+    });
+
+    it('should turn domain errors into problems with their own type', async () => {
+      weatherService.getWeatherByCity.mockRejectedValue(new CityNotFoundError({ type: 'city', city: 'atlantis' }));
+
+      const response = await request(app)
+        .get('/weather?city=Atlantis')
+        .set('Accept', 'application/problem+json')
+        .expect(404);
+
+      expect(response.body).toMatchObject({
+        type: '/problems/location-not-found',
+        status: 404,
+        instance: '/weather?city=Atlantis',
+        requestId: response.headers['x-request-id']
+      });
+    });
+
+    it('should keep the legacy body for clients that accept plain JSON', async () => {
+      const response = await request(app)
+        .get('/non-existent-route')
+        .set('Accept', 'application/json, text/plain, */*')
+        .expect('Content-Type', /application\/json/)
+        .expect(404);
+
+      expect(response.headers['x-request-id']).toBeDefined();
+      expect(response.body).not.toHaveProperty('type');
+      expect(response.body).toHaveProperty('error', 'Not Found');
+    });
+  });
+
+  describe('Request validation', () => {
+    it('should reject unknown query parameters', async () => {
+      const response = await request(app)
+        .get('/weather?city=London&appid=secret')
+        .expect(400);
+
+      expect(response.body).toHaveProperty('message', 'appid is not allowed');
+      expect(weatherService.getWeatherByCity).not.toHaveBeenCalled();
+    });
+
+    it('should validate path parameters', async () => {
+      const response = await request(app)
+        .delete('/weather/cache/%3Cscript%3E')
+        .set('Accept', 'application/problem+json')
+        .expect(400);
+
+      expect(response.body.errors).toEqual([
+        { parameter: 'city', detail: "must be a place name made of letters, spaces and ' . , ( ) -" }
+      ]);
+      expect(weatherService.invalidateCity).not.toHaveBeenCalled();
+    });
+
+    it('should hand the controller coerced values', async () => {
+      weatherService.getCacheEntries.mockResolvedValue({ entries: [], page: 2, limit: 10, total: 0 });
+
+      await request(app)
+        .get('/weather/cache/entries?page=2&limit=10')
+        .expect(200);
+
+      expect(weatherService.getCacheEntries).toHaveBeenCalledWith(2, 10);
+    });
+
+    it('should validate the health routes too', async () => {
+      const response = await request(app)
+        .get('/health?verbose=1')
+        .expect(400);
+
+      expect(response.body).toHaveProperty('message', 'verbose is not allowed');
+    });
   });
 
   describe('CORS', () => {
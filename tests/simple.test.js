@@ -34,7 +34,7 @@ describe('Basic API Functionality', () => {
         .expect(400);
 
       expect(response.body).toHaveProperty('error', 'Bad Request');
-      expect(response.body).toHaveProperty('message', 'City parameter is required');
+      expect(response.body).toHaveProperty('message', 'city is required, unless lat/lon, zip/country or id is given');
     });
 
     it('should return weather data for valid city', async () => {
@@ -6,11 +6,13 @@
 const request = require('supertest');
 const app = require('../../src/app');
 const weatherService = require('../../src/services/weatherService');
+const { OpenWeatherMapProvider } = require('../../src/services/weatherProviders');
 const cacheService = require('../../src/services/cache');
+const { CityNotFoundError, UpstreamTimeoutError } = require('../../src/utils/errors');
 
 describe('Complete Coverage Test', () => {
-  beforeEach(() => {
-    cacheService.clear();
+  beforeEach(async () => {
+    await cacheService.clear();
     jest.clearAllMocks();
   });
 
@@ -32,21 +34,29 @@ describe('Complete Coverage Test', () => {
     });
 
     it('should handle detailed health check with weather API failure', async () => {
-      process.env.WEATHER_API_KEY = 'test-key';
-      process.env.WEATHER_API_URL = 'https://api.openweathermap.org/data/2.5/weather';
+      const originalProviders = weatherService.upstreams.map(({ provider }) => provider);
+      weatherService.setProviders([new OpenWeatherMapProvider({ apiKey: 'test-key' })]);
 
       const axios = require('axios');
       const originalGet = axios.get;
       axios.get = jest.fn().mockRejectedValue(new Error('API connection failed'));
 
-      const response = await request(app)
-        .get('/health/detailed')
-        .expect(503);
-
-      expect(response.body.status).toBe('degraded');
-      expect(response.body.dependencies.weatherAPI.status).toBe('unhealthy');
+      try {
+        const response = await request(app)
+          .get('/health/detailed')
+          .expect(503);
 
-      axios.get = originalGet;
+        expect(response.body.status).toBe('degraded');
+        expect(response.body.dependencies.weatherAPI.status).toBe('unhealthy');
+        expect(response.body.dependencies.weatherAPI.providers[0].probe).toMatchObject({
+          name: 'openweathermap',
+          url: 'https://api.openweathermap.org/data/2.5/weather',
+          error: 'API connection failed'
+        });
+      } finally {
+        axios.get = originalGet;
+        weatherService.setProviders(originalProviders);
+      }
     });
 
     it('should handle detailed health check with cache service error', async () => {
@@ -76,17 +86,14 @@ describe('Complete Coverage Test', () => {
         .expect(500);
 
       expect(response.body.error).toBe('Internal Server Error');
-      expect(response.body.message).toBe('An unexpected error occurred while fetching weather data');
+      expect(response.body.message).toBe('An unexpected error occurred');
 
       weatherService.getWeatherByCity = originalGetWeatherByCity;
     });
 
     it('should handle 404 error from weather service', async () => {
       const originalGetWeatherByCity = weatherService.getWeatherByCity;
-      weatherService.getWeatherByCity = jest.fn().mockRejectedValue({
-        response: { status: 404 },
-        message: 'City not found'
-      });
+      weatherService.getWeatherByCity = jest.fn().mockRejectedValue(new CityNotFoundError({ type: 'city', city: 'invalidcity' }));
 
       const response = await request(app)
         .get('/weather?city=InvalidCity')
@@ -100,17 +107,14 @@ describe('Complete Coverage Test', () => {
 
     it('should handle network timeout error', async () => {
       const originalGetWeatherByCity = weatherService.getWeatherByCity;
-      weatherService.getWeatherByCity = jest.fn().mockRejectedValue({
-        code: 'ECONNABORTED',
-        message: 'Connection timeout'
-      });
+      weatherService.getWeatherByCity = jest.fn().mockRejectedValue(new UpstreamTimeoutError());
 
       const response = await request(app)
         .get('/weather?city=London')
-        .expect(503);
+        .expect(504);
 
-      expect(response.body.error).toBe('Service Unavailable');
-      expect(response.body.message).toBe('Weather service is temporarily unavailable. Please try again later.');
+      expect(response.body.error).toBe('Gateway Timeout');
+      expect(response.body.message).toBe('Weather service did not respond in time. Please try again later.');
 
       weatherService.getWeatherByCity = originalGetWeatherByCity;
     });
@@ -130,23 +134,23 @@ describe('Complete Coverage Test', () => {
 
   describe('Cache Service - Lines 47, 68, 100-101, 108-109', () => {
     it('should handle cache cleanup with expired entries', async () => {
-      cacheService.set('expired', { data: 'test' }, 1);
+      await cacheService.set('expired', { data: 'test' }, 1);
       
       await new Promise(resolve => setTimeout(resolve, 10));
       
-      cacheService.cleanup();
+      await cacheService.cleanup();
       
-      const stats = cacheService.getStats();
+      const stats = await cacheService.getStats();
       expect(stats.expiredEntries).toBe(0);
-      expect(cacheService.get('expired')).toBeNull();
+      expect(await cacheService.get('expired')).toBeNull();
     });
 
-    it('should handle cache cleanup with no expired entries', () => {
-      cacheService.set('valid', { data: 'test' }, 60000);
+    it('should handle cache cleanup with no expired entries', async () => {
+      await cacheService.set('valid', { data: 'test' }, 60000);
       
-      cacheService.cleanup();
+      await cacheService.cleanup();
       
-      const stats = cacheService.getStats();
+      const stats = await cacheService.getStats();
       expect(stats.validEntries).toBe(1);
       expect(stats.expiredEntries).toBe(0);
     });
@@ -6,7 +6,15 @@
 const request = require('supertest');
 const app = require('../../src/app');
 const weatherService = require('../../src/services/weatherService');
+const { OpenWeatherMapProvider } = require('../../src/services/weatherProviders');
 const cacheService = require('../../src/services/cache');
+const {
+  ValidationError,
+  CityNotFoundError,
+  UpstreamAuthError,
+  UpstreamTimeoutError,
+  RateLimitedError
+} = require('../../src/utils/errors');
 
 describe('Comprehensive Coverage Tests', () => {
   let server;
@@ -23,8 +31,8 @@ describe('Comprehensive Coverage Tests', () => {
     }
   });
 
-  beforeEach(() => {
-    cacheService.clear();
+  beforeEach(async () => {
+    await cacheService.clear();
     jest.clearAllMocks();
   });
 
@@ -73,21 +81,29 @@ describe('Comprehensive Coverage Tests', () => {
     });
 
     it('should handle detailed health check with weather API failure', async () => {
-      process.env.WEATHER_API_KEY = 'test-key';
-      process.env.WEATHER_API_URL = 'https://api.openweathermap.org/data/2.5/weather';
+      const originalProviders = weatherService.upstreams.map(({ provider }) => provider);
+      weatherService.setProviders([new OpenWeatherMapProvider({ apiKey: 'test-key' })]);
 
       const axios = require('axios');
       const originalGet = axios.get;
       axios.get = jest.fn().mockRejectedValue(new Error('API connection failed'));
 
-      const response = await request(app)
-        .get('/health/detailed')
-        .expect(503);
-
-      expect(response.body.status).toBe('degraded');
-      expect(response.body.dependencies.weatherAPI.status).toBe('unhealthy');
-
-      axios.get = originalGet;
+      try {
+        const response = await request(app)
+          .get('/health/detailed')
+          .expect(503);
+
+        expect(response.body.status).toBe('degraded');
+        expect(response.body.dependencies.weatherAPI.status).toBe('unhealthy');
+        expect(response.body.dependencies.weatherAPI.providers[0].probe).toMatchObject({
+          name: 'openweathermap',
+          url: 'https://api.openweathermap.org/data/2.5/weather',
+          error: 'API connection failed'
+        });
+      } finally {
+        axios.get = originalGet;
+        weatherService.setProviders(originalProviders);
+      }
     });
 
     it('should handle detailed health check with cache service error', async () => {
@@ -117,17 +133,14 @@ describe('Comprehensive Coverage Tests', () => {
         .expect(500);
 
       expect(response.body.error).toBe('Internal Server Error');
-      expect(response.body.message).toBe('An unexpected error occurred while fetching weather data');
+      expect(response.body.message).toBe('An unexpected error occurred');
 
       weatherService.getWeatherByCity = originalGetWeatherByCity;
     });
 
     it('should handle 401 error from weather service', async () => {
       const originalGetWeatherByCity = weatherService.getWeatherByCity;
-      weatherService.getWeatherByCity = jest.fn().mockRejectedValue({
-        response: { status: 401 },
-        message: 'Unauthorized'
-      });
+      weatherService.getWeatherByCity = jest.fn().mockRejectedValue(new UpstreamAuthError());
 
       const response = await request(app)
         .get('/weather?city=London')
@@ -141,10 +154,7 @@ describe('Comprehensive Coverage Tests', () => {
 
     it('should handle 404 error from weather service', async () => {
       const originalGetWeatherByCity = weatherService.getWeatherByCity;
-      weatherService.getWeatherByCity = jest.fn().mockRejectedValue({
-        response: { status: 404 },
-        message: 'City not found'
-      });
+      weatherService.getWeatherByCity = jest.fn().mockRejectedValue(new CityNotFoundError({ type: 'city', city: 'invalidcity' }));
 
       const response = await request(app)
         .get('/weather?city=InvalidCity')
@@ -158,17 +168,14 @@ describe('Comprehensive Coverage Tests', () => {
 
     it('should handle network timeout error', async () => {
       const originalGetWeatherByCity = weatherService.getWeatherByCity;
-      weatherService.getWeatherByCity = jest.fn().mockRejectedValue({
-        code: 'ECONNABORTED',
-        message: 'Connection timeout'
-      });
+      weatherService.getWeatherByCity = jest.fn().mockRejectedValue(new UpstreamTimeoutError());
 
       const response = await request(app)
         .get('/weather?city=London')
-        .expect(503);
+        .expect(504);
 
-      expect(response.body.error).toBe('Service Unavailable');
-      expect(response.body.message).toBe('Weather service is temporarily unavailable. Please try again later.');
+      expect(response.body.error).toBe('Gateway Timeout');
+      expect(response.body.message).toBe('Weather service did not respond in time. Please try again later.');
 
       weatherService.getWeatherByCity = originalGetWeatherByCity;
     });
@@ -182,137 +189,70 @@ describe('Comprehensive Coverage Tests', () => {
     it('should handle ValidationError', () => {
       const { errorHandler } = require('../../src/middleware/errorHandler');
       
-      const mockReq = { method: 'GET', originalUrl: '/test' };
+      const mockReq = { method: 'GET', originalUrl: '/test', accepts: jest.fn() };
       const mockRes = {
         status: jest.fn().mockReturnThis(),
+        vary: jest.fn().mockReturnThis(),
         json: jest.fn().mockReturnThis()
       };
       const mockNext = jest.fn();
 
-      const error = new Error('Validation failed');
-      error.name = 'ValidationError';
+      const error = new ValidationError('Validation failed');
       
       errorHandler(error, mockReq, mockRes, mockNext);
       
       expect(mockRes.status).toHaveBeenCalledWith(400);
       expect(mockRes.json).toHaveBeenCalledWith({
-        error: 'Validation Error',
+        error: 'Bad Request',
         message: 'Validation failed',
         stack: expect.any(String)
       });
     });
 
-    it('should handle UnauthorizedError', () => {
-      const { errorHandler } = require('../../src/middleware/errorHandler');
-      
-      const mockReq = { method: 'GET', originalUrl: '/test' };
-      const mockRes = {
-        status: jest.fn().mockReturnThis(),
-        json: jest.fn().mockReturnThis()
-      };
-      const mockNext = jest.fn();
-
-      const error = new Error('Unauthorized access');
-      error.name = 'UnauthorizedError';
-      
-      errorHandler(error, mockReq, mockRes, mockNext);
-      
-      expect(mockRes.status).toHaveBeenCalledWith(401);
-      expect(mockRes.json).toHaveBeenCalledWith({
-        error: 'Unauthorized',
-        message: 'Unauthorized access',
-        stack: expect.any(String)
-      });
-    });
-
-    it('should handle ForbiddenError', () => {
+    it('should handle CityNotFoundError', () => {
       const { errorHandler } = require('../../src/middleware/errorHandler');
       
-      const mockReq = { method: 'GET', originalUrl: '/test' };
+      const mockReq = { method: 'GET', originalUrl: '/test', accepts: jest.fn() };
       const mockRes = {
         status: jest.fn().mockReturnThis(),
+        vary: jest.fn().mockReturnThis(),
         json: jest.fn().mockReturnThis()
       };
       const mockNext = jest.fn();
 
-      const error = new Error('Access forbidden');
-      error.name = 'ForbiddenError';
-      
-      errorHandler(error, mockReq, mockRes, mockNext);
-      
-      expect(mockRes.status).toHaveBeenCalledWith(403);
-      expect(mockRes.json).toHaveBeenCalledWith({
-        error: 'Forbidden',
-        message: 'Access forbidden',
-        stack: expect.any(String)
-      });
-    });
-
-    it('should handle NotFoundError', () => {
-      const { errorHandler } = require('../../src/middleware/errorHandler');
-      
-      const mockReq = { method: 'GET', originalUrl: '/test' };
-      const mockRes = {
-        status: jest.fn().mockReturnThis(),
-        json: jest.fn().mockReturnThis()
-      };
-      const mockNext = jest.fn();
-
-      const error = new Error('Resource not found');
-      error.name = 'NotFoundError';
+      const error = new CityNotFoundError({ type: 'city', city: 'atlantis' });
       
       errorHandler(error, mockReq, mockRes, mockNext);
       
       expect(mockRes.status).toHaveBeenCalledWith(404);
       expect(mockRes.json).toHaveBeenCalledWith({
         error: 'Not Found',
-        message: 'Resource not found',
+        message: 'City not found. Please check the city name and try again.',
         stack: expect.any(String)
       });
     });
 
-    it('should handle ConflictError', () => {
+    it('should handle RateLimitedError', () => {
       const { errorHandler } = require('../../src/middleware/errorHandler');
       
-      const mockReq = { method: 'GET', originalUrl: '/test' };
+      const mockReq = { method: 'GET', originalUrl: '/test', accepts: jest.fn() };
       const mockRes = {
         status: jest.fn().mockReturnThis(),
-        json: jest.fn().mockReturnThis()
-      };
-      const mockNext = jest.fn();
-
-      const error = new Error('Resource conflict');
-      error.name = 'ConflictError';
-      
-      errorHandler(error, mockReq, mockRes, mockNext);
-      
-      expect(mockRes.status).toHaveBeenCalledWith(409);
-      expect(mockRes.json).toHaveBeenCalledWith({
-        error: 'Conflict',
-        message: 'Resource conflict',
-        stack: expect.any(String)
-      });
-    });
-
-    it('should handle TooManyRequestsError', () => {
-      const { errorHandler } = require('../../src/middleware/errorHandler');
-      
-      const mockReq = { method: 'GET', originalUrl: '/test' };
-      const mockRes = {
-        status: jest.fn().mockReturnThis(),
-        json: jest.fn().mockReturnThis()
+        vary: jest.fn().mockReturnThis(),
+        json: jest.fn().mockReturnThis(),
+        set: jest.fn().mockReturnThis()
       };
       const mockNext = jest.fn();
 
-      const error = new Error('Rate limit exceeded');
-      error.name = 'TooManyRequestsError';
+      const error = new RateLimitedError({ retryAfterMs: 30000 });
       
       errorHandler(error, mockReq, mockRes, mockNext);
       
-      expect(mockRes.status).toHaveBeenCalledWith(429);
+      expect(mockRes.set).toHaveBeenCalledWith('Retry-After', '30');
+      expect(mockRes.status).toHaveBeenCalledWith(503);
       expect(mockRes.json).toHaveBeenCalledWith({
-        error: 'Too Many Requests',
-        message: 'Rate limit exceeded',
+        error: 'Service Unavailable',
+        message: 'Weather service is receiving too many requests. Please try again later.',
         stack: expect.any(String)
       });
     });
@@ -320,9 +260,10 @@ describe('Comprehensive Coverage Tests', () => {
     it('should handle production environment without stack trace', () => {
       const { errorHandler } = require('../../src/middleware/errorHandler');
       
-      const mockReq = { method: 'GET', originalUrl: '/test' };
+      const mockReq = { method: 'GET', originalUrl: '/test', accepts: jest.fn() };
       const mockRes = {
         status: jest.fn().mockReturnThis(),
+        vary: jest.fn().mockReturnThis(),
         json: jest.fn().mockReturnThis()
       };
       const mockNext = jest.fn();
@@ -355,23 +296,23 @@ describe('Comprehensive Coverage Tests', () => {
 
   describe('Cache Service - Cleanup Operations', () => {
     it('should handle cache cleanup with expired entries', async () => {
-      cacheService.set('expired', { data: 'test' }, 1);
+      await cacheService.set('expired', { data: 'test' }, 1);
       
       await new Promise(resolve => setTimeout(resolve, 10));
       
-      cacheService.cleanup();
+      await cacheService.cleanup();
       
-      const stats = cacheService.getStats();
+      const stats = await cacheService.getStats();
       expect(stats.expiredEntries).toBe(0);
-      expect(cacheService.get('expired')).toBeNull();
+      expect(await cacheService.get('expired')).toBeNull();
     });
 
-    it('should handle cache cleanup with no expired entries', () => {
-      cacheService.set('valid', { data: 'test' }, 60000);
+    it('should handle cache cleanup with no expired entries', async () => {
+      await cacheService.set('valid', { data: 'test' }, 60000);
       
-      cacheService.cleanup();
+      await cacheService.cleanup();
       
-      const stats = cacheService.getStats();
+      const stats = await cacheService.getStats();
       expect(stats.validEntries).toBe(1);
       expect(stats.expiredEntries).toBe(0);
     });
@@ -488,7 +429,7 @@ describe('Comprehensive Coverage Tests', () => {
         .expect(400);
 
       expect(response.body).toHaveProperty('error', 'Bad Request');
-      expect(response.body).toHaveProperty('message', 'City parameter is required');
+      expect(response.body).toHaveProperty('message', 'city is required, unless lat/lon, zip/country or id is given');
     });
   });
 });
@@ -12,10 +12,13 @@ describe('Health Controller', () => {
   let mockReq, mockRes;
 
   beforeEach(() => {
-    mockReq = {};
+    mockReq = {
+      accepts: jest.fn()
+    };
     mockRes = {
       status: jest.fn().mockReturnThis(),
-      json: jest.fn().mockReturnThis()
+      json: jest.fn().mockReturnThis(),
+      vary: jest.fn().mockReturnThis()
     };
     
     // Clear all mocks
@@ -25,6 +28,9 @@ describe('Health Controller', () => {
     delete process.env.WEATHER_API_KEY;
     delete process.env.WEATHER_API_URL;
     delete process.env.NODE_ENV;
+
+    // No provider configured, so mock data is served
+    weatherService.getProviderStates.mockReturnValue([]);
   });
 
   describe('getHealth', () => {
@@ -38,6 +44,7 @@ describe('Health Controller', () => {
 
       await healthController.getHealth(mockReq, mockRes);
 
+      expect(weatherService.getCacheStats).toHaveBeenCalledWith({ entries: false });
       expect(mockRes.status).toHaveBeenCalledWith(200);
       expect(mockRes.json).toHaveBeenCalledWith({
         status: 'healthy',
@@ -103,6 +110,32 @@ describe('Health Controller', () => {
       // Restore original function
       process.uptime = originalUptime;
     });
+
+    it('should report a failed health check as problem+json when asked', async () => {
+      const originalUptime = process.uptime;
+      process.uptime = jest.fn(() => {
+        throw new Error('Uptime error');
+      });
+      mockReq.accepts.mockReturnValue('application/problem+json');
+      mockReq.originalUrl = '/health';
+      mockRes.type = jest.fn().mockReturnThis();
+
+      await healthController.getHealth(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(503);
+      expect(mockRes.type).toHaveBeenCalledWith('application/problem+json');
+      expect(mockRes.json).toHaveBeenCalledWith({
+        type: '/problems/health-check-failed',
+        title: 'Health check failed',
+        status: 503,
+        detail: 'Uptime error',
+        instance: '/health',
+        requestId: undefined,
+        timestamp: expect.any(String)
+      });
+
+      process.uptime = originalUptime;
+    });
   });
 
   describe('getDetailedHealth', () => {
@@ -116,6 +149,7 @@ describe('Health Controller', () => {
 
       await healthController.getDetailedHealth(mockReq, mockRes);
 
+      expect(weatherService.getCacheStats).toHaveBeenCalledWith({ entries: false });
       expect(mockRes.status).toHaveBeenCalledWith(200);
       expect(mockRes.json).toHaveBeenCalledWith({
         status: 'healthy',
@@ -127,8 +161,9 @@ describe('Health Controller', () => {
         dependencies: {
           weatherAPI: {
             status: 'healthy',
-            message: 'Using mock data (no API key configured)',
-            type: 'mock'
+            message: 'Using mock data (no weather provider configured)',
+            type: 'mock',
+            providers: []
           },
           cache: {
             status: 'healthy',
@@ -138,21 +173,84 @@ describe('Health Controller', () => {
       });
     });
 
+    it('should report each provider with its circuit breaker and retry budget', async () => {
+      const providerStates = [
+        { name: 'openweathermap', circuitBreaker: { state: 'open', consecutiveFailures: 5 }, retryBudget: { availableTokens: 3.5 } },
+        { name: 'open-meteo', circuitBreaker: { state: 'closed', consecutiveFailures: 0 }, retryBudget: { availableTokens: 10 } }
+      ];
+      const probes = [
+        { name: 'openweathermap', url: 'https://api.openweathermap.org/data/2.5/weather', status: 'healthy', responseTimeMs: 120 },
+        { name: 'open-meteo', url: 'https://api.open-meteo.com/v1/forecast', status: 'healthy', responseTimeMs: 80 }
+      ];
+      weatherService.getCacheStats.mockReturnValue({ totalEntries: 0 });
+      weatherService.getProviderStates.mockReturnValue(providerStates);
+      weatherService.probeProviders.mockResolvedValue(probes);
+
+      await healthController.getDetailedHealth(mockReq, mockRes);
+
+      const body = mockRes.json.mock.calls[0][0];
+      expect(body.dependencies.weatherAPI.providers).toEqual([
+        { ...providerStates[0], probe: probes[0] },
+        { ...providerStates[1], probe: probes[1] }
+      ]);
+    });
+
+    it('should probe keyless providers instead of reporting mock data', async () => {
+      // No WEATHER_API_KEY, but WEATHER_PROVIDERS=open-meteo,met-norway needs none
+      weatherService.getCacheStats.mockReturnValue({ totalEntries: 0 });
+      weatherService.getProviderStates.mockReturnValue([
+        { name: 'open-meteo', circuitBreaker: { state: 'closed' }, retryBudget: {} },
+        { name: 'met-norway', circuitBreaker: { state: 'closed' }, retryBudget: {} }
+      ]);
+      weatherService.probeProviders.mockResolvedValue([
+        { name: 'open-meteo', url: 'https://api.open-meteo.com/v1/forecast', status: 'healthy', responseTimeMs: 80 },
+        { name: 'met-norway', url: 'https://api.met.no/weatherapi/locationforecast/2.0/compact', status: 'healthy', responseTimeMs: 95 }
+      ]);
+
+      await healthController.getDetailedHealth(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      const { weatherAPI } = mockRes.json.mock.calls[0][0].dependencies;
+      expect(weatherAPI).toMatchObject({ status: 'healthy', type: 'external' });
+      expect(weatherAPI).not.toHaveProperty('message');
+      expect(weatherAPI.providers.map(({ probe }) => probe.url)).toEqual([
+        'https://api.open-meteo.com/v1/forecast',
+        'https://api.met.no/weatherapi/locationforecast/2.0/compact'
+      ]);
+    });
+
+    it('should report the chain as degraded while a fallback provider still answers', async () => {
+      weatherService.getCacheStats.mockReturnValue({ totalEntries: 0 });
+      weatherService.getProviderStates.mockReturnValue([{ name: 'openweathermap' }, { name: 'open-meteo' }]);
+      weatherService.probeProviders.mockResolvedValue([
+        { name: 'openweathermap', url: 'https://api.openweathermap.org/data/2.5/weather', status: 'unhealthy', error: 'timeout of 5000ms exceeded' },
+        { name: 'open-meteo', url: 'https://api.open-meteo.com/v1/forecast', status: 'healthy', responseTimeMs: 80 }
+      ]);
+
+      await healthController.getDetailedHealth(mockReq, mockRes);
+
+      expect(mockRes.status).toHaveBeenCalledWith(503);
+      const body = mockRes.json.mock.calls[0][0];
+      expect(body.status).toBe('degraded');
+      expect(body.dependencies.weatherAPI.status).toBe('degraded');
+    });
+
     it('should return degraded status when weather API fails', async () => {
-      process.env.WEATHER_API_KEY = 'test-key';
-      process.env.WEATHER_API_URL = 'https://api.openweathermap.org/data/2.5/weather';
-      
+      const providerState = { name: 'openweathermap', circuitBreaker: { state: 'closed' }, retryBudget: {} };
+      const probe = {
+        name: 'openweathermap',
+        url: 'https://api.openweathermap.org/data/2.5/weather',
+        status: 'unhealthy',
+        error: 'API connection failed'
+      };
       const mockCacheStats = {
         totalEntries: 1,
         validEntries: 1,
         expiredEntries: 0
       };
       weatherService.getCacheStats.mockReturnValue(mockCacheStats);
-
-      // Mock axios to simulate API failure
-      const axios = require('axios');
-      const originalGet = axios.get;
-      axios.get = jest.fn().mockRejectedValue(new Error('API connection failed'));
+      weatherService.getProviderStates.mockReturnValue([providerState]);
+      weatherService.probeProviders.mockResolvedValue([probe]);
 
       await healthController.getDetailedHealth(mockReq, mockRes);
 
@@ -167,8 +265,8 @@ describe('Health Controller', () => {
         dependencies: {
           weatherAPI: {
             status: 'unhealthy',
-            error: 'API connection failed',
-            type: 'external'
+            type: 'external',
+            providers: [{ ...providerState, probe }]
           },
           cache: {
             status: 'healthy',
@@ -176,9 +274,6 @@ describe('Health Controller', () => {
           }
         }
       });
-
-      // Restore original axios.get
-      axios.get = originalGet;
     });
 
     it('should return degraded status when cache fails', async () => {
@@ -199,8 +294,9 @@ describe('Health Controller', () => {
         dependencies: {
           weatherAPI: {
             status: 'healthy',
-            message: 'Using mock data (no API key configured)',
-            type: 'mock'
+            message: 'Using mock data (no weather provider configured)',
+            type: 'mock',
+            providers: []
           },
           cache: {
             status: 'unhealthy',
@@ -231,24 +327,22 @@ describe('Health Controller', () => {
       process.uptime = originalUptime;
     });
 
-    it('should test weather API connectivity when API key is provided', async () => {
-      process.env.WEATHER_API_KEY = 'test-key';
-      process.env.WEATHER_API_URL = 'https://api.openweathermap.org/data/2.5/weather';
-      
+    it('should test weather API connectivity when a provider is configured', async () => {
+      const providerState = { name: 'openweathermap', circuitBreaker: { state: 'closed' }, retryBudget: {} };
+      const probe = {
+        name: 'openweathermap',
+        url: 'https://api.openweathermap.org/data/2.5/weather',
+        status: 'healthy',
+        responseTimeMs: 250
+      };
       const mockCacheStats = {
         totalEntries: 0,
         validEntries: 0,
         expiredEntries: 0
       };
       weatherService.getCacheStats.mockReturnValue(mockCacheStats);
-
-      // Mock axios to simulate successful API call
-      const axios = require('axios');
-      const originalGet = axios.get;
-      axios.get = jest.fn().mockResolvedValue({
-        data: { cod: 200 },
-        headers: { 'x-response-time': '250ms' }
-      });
+      weatherService.getProviderStates.mockReturnValue([providerState]);
+      weatherService.probeProviders.mockResolvedValue([probe]);
 
       await healthController.getDetailedHealth(mockReq, mockRes);
 
@@ -263,8 +357,8 @@ describe('Health Controller', () => {
         dependencies: {
           weatherAPI: {
             status: 'healthy',
-            responseTime: '250ms',
-            type: 'external'
+            type: 'external',
+            providers: [{ ...providerState, probe }]
           },
           cache: {
             status: 'healthy',
@@ -272,9 +366,6 @@ describe('Health Controller', () => {
           }
         }
       });
-
-      // Restore original axios.get
-      axios.get = originalGet;
     });
   });
 });
@@ -4,34 +4,55 @@
 
 const weatherController = require('../../../src/controllers/weatherController');
 const weatherService = require('../../../src/services/weatherService');
+const weatherSchemas = require('../../../src/validation/weatherSchemas');
+const { validate } = require('../../../src/middleware/validate');
+const {
+  ValidationError,
+  CityNotFoundError,
+  UpstreamAuthError,
+  UpstreamUnavailableError,
+  UpstreamTimeoutError
+} = require('../../../src/utils/errors');
 
 // Mock the weather service
 jest.mock('../../../src/services/weatherService');
 
 describe('Weather Controller', () => {
-  let mockReq, mockRes;
+  let mockReq, mockRes, mockNext;
 
   beforeEach(() => {
     mockReq = {
-      query: {}
+      query: {},
+      accepts: jest.fn()
     };
     mockRes = {
       status: jest.fn().mockReturnThis(),
-      json: jest.fn().mockReturnThis()
+      json: jest.fn().mockReturnThis(),
+      set: jest.fn().mockReturnThis(),
+      vary: jest.fn().mockReturnThis(),
+      on: jest.fn()
     };
+    mockNext = jest.fn();
     
     // Clear all mocks
     jest.clearAllMocks();
   });
 
+  // Controllers only ever see requests that passed their route's schema, as in weatherRoutes.js
+  const handle = (method) => {
+    let valid = false;
+    validate(weatherSchemas[method])(mockReq, mockRes, () => { valid = true; });
+    return valid ? weatherController[method](mockReq, mockRes, mockNext) : Promise.resolve();
+  };
+
   describe('getWeather', () => {
     it('should return 400 when city parameter is missing', async () => {
-      await weatherController.getWeather(mockReq, mockRes);
+      await handle('getWeather');
 
       expect(mockRes.status).toHaveBeenCalledWith(400);
       expect(mockRes.json).toHaveBeenCalledWith({
         error: 'Bad Request',
-        message: 'City parameter is required',
+        message: 'city is required, unless lat/lon, zip/country or id is given',
         example: '/weather?city=London'
       });
     });
@@ -39,12 +60,12 @@ describe('Weather Controller', () => {
     it('should return 400 when city parameter is empty', async () => {
       mockReq.query.city = '';
 
-      await weatherController.getWeather(mockReq, mockRes);
+      await handle('getWeather');
 
       expect(mockRes.status).toHaveBeenCalledWith(400);
       expect(mockRes.json).toHaveBeenCalledWith({
         error: 'Bad Request',
-        message: 'City parameter is required',
+        message: 'city is required, unless lat/lon, zip/country or id is given',
         example: '/weather?city=London'
       });
     });
@@ -61,94 +82,687 @@ describe('Weather Controller', () => {
       weatherService.getWeatherByCity.mockResolvedValue(mockWeatherData);
       mockReq.query.city = 'London';
 
-      await weatherController.getWeather(mockReq, mockRes);
+      await handle('getWeather');
 
-      expect(weatherService.getWeatherByCity).toHaveBeenCalledWith('London');
+      expect(weatherService.getWeatherByCity).toHaveBeenCalledWith('London', {
+        units: 'metric',
+        lang: 'en',
+        signal: expect.any(AbortSignal),
+        onCacheEntry: expect.any(Function)
+      });
       expect(mockRes.status).toHaveBeenCalledWith(200);
       expect(mockRes.json).toHaveBeenCalledWith({
         success: true,
-        data: mockWeatherData
+        data: mockWeatherData,
+        units: { system: 'metric', temperature: '°C', windSpeed: 'm/s', pressure: 'hPa', visibility: 'm' },
+        lang: 'en'
       });
     });
 
-    it('should return 404 when city is not found', async () => {
-      const error = {
-        response: { status: 404 },
-        message: 'City not found'
-      };
+    it.each([
+      ['a city nobody knows', new CityNotFoundError({ type: 'city', city: 'invalidcity' })],
+      ['rejected credentials', new UpstreamAuthError()],
+      ['a timed-out upstream', new UpstreamTimeoutError()],
+      ['an unavailable upstream', new UpstreamUnavailableError('Circuit breaker openweathermap is open', { retryAfterMs: 12500 })],
+      ['an unexpected error', new Error('Unexpected error')]
+    ])('should pass %s on to the error handler', async (description, error) => {
       weatherService.getWeatherByCity.mockRejectedValue(error);
-      mockReq.query.city = 'InvalidCity';
+      mockReq.query.city = 'London';
 
-      await weatherController.getWeather(mockReq, mockRes);
+      await handle('getWeather');
 
-      expect(mockRes.status).toHaveBeenCalledWith(404);
-      expect(mockRes.json).toHaveBeenCalledWith({
-        error: 'Not Found',
-        message: 'City not found. Please check the city name and try again.'
-      });
+      expect(mockNext).toHaveBeenCalledWith(error);
+      expect(mockRes.status).not.toHaveBeenCalled();
+      expect(mockRes.json).not.toHaveBeenCalled();
     });
 
-    it('should return 500 when API key is invalid', async () => {
-      const error = {
-        response: { status: 401 },
-        message: 'Unauthorized'
-      };
+    it('should abort the upstream work when the client disconnects', async () => {
+      let signal;
+      weatherService.getWeatherByCity.mockImplementation((city, options) => new Promise((resolve, reject) => {
+        signal = options.signal;
+        signal.addEventListener('abort', () => reject(signal.reason));
+      }));
+      mockReq.query.city = 'London';
+
+      const pending = handle('getWeather');
+      const [event, onClose] = mockRes.on.mock.calls[0];
+      expect(event).toBe('close');
+      mockRes.writableFinished = false;
+      onClose();
+      await pending;
+
+      expect(signal.aborted).toBe(true);
+      expect(mockRes.status).not.toHaveBeenCalled();
+      expect(mockRes.json).not.toHaveBeenCalled();
+      expect(mockNext).not.toHaveBeenCalled();
+    });
+
+    it('should pass on an abort the client did not cause', async () => {
+      const error = new DOMException('This operation was aborted', 'AbortError');
       weatherService.getWeatherByCity.mockRejectedValue(error);
       mockReq.query.city = 'London';
 
-      await weatherController.getWeather(mockReq, mockRes);
+      await handle('getWeather');
 
-      expect(mockRes.status).toHaveBeenCalledWith(500);
-      expect(mockRes.json).toHaveBeenCalledWith({
-        error: 'Internal Server Error',
-        message: 'Weather service authentication failed'
-      });
+      expect(mockNext).toHaveBeenCalledWith(error);
     });
 
-    it('should return 503 when service is unavailable', async () => {
-      const error = {
-        code: 'ECONNABORTED',
-        message: 'Connection timeout'
-      };
+    it('should handle city name validation errors', async () => {
+      const error = new Error('City name is required and must be a non-empty string');
       weatherService.getWeatherByCity.mockRejectedValue(error);
-      mockReq.query.city = 'London';
+      mockReq.query.city = '';
 
-      await weatherController.getWeather(mockReq, mockRes);
+      await handle('getWeather');
 
-      expect(mockRes.status).toHaveBeenCalledWith(503);
+      expect(mockRes.status).toHaveBeenCalledWith(400);
       expect(mockRes.json).toHaveBeenCalledWith({
-        error: 'Service Unavailable',
-        message: 'Weather service is temporarily unavailable. Please try again later.'
+        error: 'Bad Request',
+        message: 'city is required, unless lat/lon, zip/country or id is given',
+        example: '/weather?city=London'
       });
     });
+  });
 
-    it('should return 500 for unexpected errors', async () => {
-      const error = new Error('Unexpected error');
-      weatherService.getWeatherByCity.mockRejectedValue(error);
-      mockReq.query.city = 'London';
+  describe('getWeather location lookups', () => {
+    const mockWeatherData = { city: null, country: null, temperature: { current: 15 }, source: 'open-meteo' };
 
-      await weatherController.getWeather(mockReq, mockRes);
+    it.each([
+      [{ lat: '51.5085', lon: '-0.1257' }, { type: 'coordinates', lat: 51.5085, lon: -0.1257 }],
+      [{ zip: '10001', country: 'US' }, { type: 'zip', zip: '10001', country: 'US' }],
+      [{ id: '2643743' }, { type: 'id', id: 2643743 }]
+    ])('should look up %o as %o', async (query, location) => {
+      weatherService.getWeatherByLocation.mockResolvedValue(mockWeatherData);
+      mockReq.query = query;
 
-      expect(mockRes.status).toHaveBeenCalledWith(500);
+      await handle('getWeather');
+
+      expect(weatherService.getWeatherByLocation).toHaveBeenCalledWith(location, {
+        units: 'metric',
+        lang: 'en',
+        signal: expect.any(AbortSignal),
+        onCacheEntry: expect.any(Function)
+      });
+      expect(weatherService.getWeatherByCity).not.toHaveBeenCalled();
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+    });
+
+    it.each([
+      [{ city: 'Paris', lat: '48.85', lon: '2.35' }, 'city cannot be combined with another location; ' +
+        'lat cannot be combined with another location; lon cannot be combined with another location'],
+      [{ zip: '10001', id: '5128581' }, 'zip cannot be combined with another location; id cannot be combined with another location'],
+      [{ lat: '51.5' }, 'lon is required with lat'],
+      [{ lat: '91', lon: '0' }, 'lat must be a number between -90 and 90'],
+      [{ lat: '0', lon: '-180.5' }, 'lon must be a number between -180 and 180'],
+      [{ lat: 'north', lon: '0' }, 'lat must be a number between -90 and 90'],
+      [{ zip: '10001' }, 'country is required with zip'],
+      [{ city: 'Paris', country: 'FR' }, 'country can only be given with zip'],
+      [{ zip: '10001', country: 'USA' }, 'country must be a two-letter ISO 3166 country code'],
+      [{ zip: '1', country: 'US' }, 'zip must be a ZIP or postal code'],
+      [{ id: '0' }, 'id must be an integer of at least 1'],
+      [{ id: '12.5' }, 'id must be an integer of at least 1'],
+      [{ id: ['1', '2'] }, 'id must be an integer of at least 1'],
+      [{ city: '<script>' }, "city must be a place name made of letters, spaces and ' . , ( ) -"],
+      [{ city: 'x'.repeat(101) }, 'city must be between 1 and 100 characters'],
+      [{ city: 'London', callback: 'x' }, 'callback is not allowed']
+    ])('should reject %o', async (query, message) => {
+      mockReq.query = query;
+
+      await handle('getWeather');
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'Bad Request', message }));
+      expect(weatherService.getWeatherByLocation).not.toHaveBeenCalled();
+    });
+
+    it('should pass a location nobody knows on to the error handler', async () => {
+      const error = new CityNotFoundError({ type: 'zip', zip: '00000', country: 'us' });
+      weatherService.getWeatherByLocation.mockRejectedValue(error);
+      mockReq.query = { zip: '00000', country: 'US' };
+
+      await handle('getWeather');
+
+      expect(mockNext).toHaveBeenCalledWith(error);
+    });
+
+    it('should pass an unsupported lookup on to the error handler', async () => {
+      const error = new ValidationError('No configured weather provider supports lookup by id', { code: 'EUNSUPPORTEDLOCATION' });
+      weatherService.getWeatherByLocation.mockRejectedValue(error);
+      mockReq.query = { id: '2643743' };
+
+      await handle('getWeather');
+
+      expect(mockNext).toHaveBeenCalledWith(error);
+    });
+  });
+
+  describe('getWeather units and language', () => {
+    const mockWeatherData = { city: 'London', temperature: { current: 59 }, source: 'mock' };
+
+    it('should pass units and language on and describe them in the response', async () => {
+      weatherService.getWeatherByCity.mockResolvedValue(mockWeatherData);
+      mockReq.query = { city: 'London', units: 'imperial', lang: 'pt-BR' };
+
+      await handle('getWeather');
+
+      expect(weatherService.getWeatherByCity).toHaveBeenCalledWith('London', {
+        units: 'imperial',
+        lang: 'pt-br',
+        signal: expect.any(AbortSignal),
+        onCacheEntry: expect.any(Function)
+      });
       expect(mockRes.json).toHaveBeenCalledWith({
-        error: 'Internal Server Error',
-        message: 'An unexpected error occurred while fetching weather data'
+        success: true,
+        data: mockWeatherData,
+        units: { system: 'imperial', temperature: '°F', windSpeed: 'mph', pressure: 'hPa', visibility: 'm' },
+        lang: 'pt-br'
       });
     });
 
-    it('should handle city name validation errors', async () => {
-      const error = new Error('City name is required and must be a non-empty string');
-      weatherService.getWeatherByCity.mockRejectedValue(error);
-      mockReq.query.city = '';
+    it('should use the Accept-Language header when no lang is given', async () => {
+      weatherService.getWeatherByCity.mockResolvedValue(mockWeatherData);
+      mockReq.query = { city: 'London' };
+      mockReq.headers = { 'accept-language': 'de-DE,de;q=0.9' };
+      mockReq.acceptsLanguages = jest.fn().mockReturnValue('de');
+
+      await handle('getWeather');
+
+      expect(weatherService.getWeatherByCity).toHaveBeenCalledWith('London', expect.objectContaining({ lang: 'de' }));
+    });
+
+    it('should prefer ?lang= over the Accept-Language header', async () => {
+      weatherService.getWeatherByCity.mockResolvedValue(mockWeatherData);
+      mockReq.query = { city: 'London', lang: 'fr' };
+      mockReq.headers = { 'accept-language': 'de' };
+      mockReq.acceptsLanguages = jest.fn().mockReturnValue('de');
+
+      await handle('getWeather');
 
-      await weatherController.getWeather(mockReq, mockRes);
+      expect(weatherService.getWeatherByCity).toHaveBeenCalledWith('London', expect.objectContaining({ lang: 'fr' }));
+      expect(mockReq.acceptsLanguages).not.toHaveBeenCalled();
+    });
+
+    it('should fall back to English when no accepted language is supported', async () => {
+      weatherService.getWeatherByCity.mockResolvedValue(mockWeatherData);
+      mockReq.query = { city: 'London' };
+      mockReq.headers = { 'accept-language': 'tlh' };
+      mockReq.acceptsLanguages = jest.fn().mockReturnValue(false);
+
+      await handle('getWeather');
+
+      expect(weatherService.getWeatherByCity).toHaveBeenCalledWith('London', expect.objectContaining({ lang: 'en' }));
+    });
+
+    it('should return 400 for unknown units', async () => {
+      mockReq.query = { city: 'London', units: 'kelvin' };
+
+      await handle('getWeather');
 
       expect(mockRes.status).toHaveBeenCalledWith(400);
       expect(mockRes.json).toHaveBeenCalledWith({
         error: 'Bad Request',
-        message: 'City parameter is required',
+        message: 'units must be one of metric, imperial, standard',
         example: '/weather?city=London'
       });
+      expect(weatherService.getWeatherByCity).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for an unsupported lang', async () => {
+      mockReq.query = { city: 'London', lang: 'klingon' };
+
+      await handle('getWeather');
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({
+        error: 'Bad Request',
+        example: '/weather?city=London'
+      }));
+    });
+  });
+
+  describe('HTTP caching', () => {
+    const fetchedAt = Date.parse('2025-01-15T10:30:00Z');
+    const mockWeatherData = { city: 'London', temperature: { current: 15 }, timestamp: '2025-01-15T10:30:00.000Z' };
+
+    beforeEach(() => {
+      mockRes.vary = jest.fn().mockReturnThis();
+      mockRes.end = jest.fn().mockReturnThis();
+      jest.spyOn(Date, 'now').mockReturnValue(fetchedAt + 60 * 1000);
+      weatherService.getWeatherByCity.mockImplementation(async (city, options) => {
+        options.onCacheEntry({
+          status: 'hit',
+          cacheKey: 'weather:london',
+          createdAt: fetchedAt,
+          expiresAt: fetchedAt + 3 * 60 * 1000,
+          upstreamLatencyMs: null,
+          retries: null
+        });
+        return mockWeatherData;
+      });
+    });
+
+    it('should set Cache-Control, ETag and Last-Modified from the cache entry', async () => {
+      mockReq.query = { city: 'London', units: 'imperial', lang: 'fr' };
+
+      await handle('getWeather');
+
+      expect(mockRes.set).toHaveBeenCalledWith({
+        'Cache-Control': 'public, max-age=180',
+        ETag: `W/"${fetchedAt.toString(36)}-imperial-fr"`,
+        'Last-Modified': 'Wed, 15 Jan 2025 10:30:00 GMT',
+        'X-Cache': 'HIT',
+        Age: '60'
+      });
+      expect(mockRes.vary).toHaveBeenCalledWith('Accept-Language');
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.json).toHaveBeenCalledWith(expect.not.objectContaining({ meta: expect.anything() }));
+    });
+
+    it('should leave downstream caches the time the entry has left once they subtract Age', async () => {
+      Date.now.mockReturnValue(fetchedAt + 120 * 1000);
+      mockReq.query = { city: 'London' };
+
+      await handle('getWeather');
+
+      const headers = mockRes.set.mock.calls[0][0];
+      expect(headers['Cache-Control']).toBe('public, max-age=180');
+      expect(headers.Age).toBe('120');
+      expect(parseInt(headers['Cache-Control'].split('=')[1]) - parseInt(headers.Age)).toBe(60);
+    });
+
+    it('should add a meta block describing the cache entry with ?meta=true', async () => {
+      mockReq.query = { city: 'London', meta: 'true' };
+
+      await handle('getWeather');
+
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({
+        success: true,
+        data: mockWeatherData,
+        meta: {
+          cache: 'HIT',
+          cacheKey: 'weather:london',
+          fetchedAt: '2025-01-15T10:30:00.000Z',
+          expiresAt: '2025-01-15T10:33:00.000Z',
+          age: 60,
+          source: null,
+          upstreamLatencyMs: null,
+          retries: null
+        }
+      }));
+    });
+
+    it('should give stale data an ETag of its own and no Last-Modified', async () => {
+      weatherService.getWeatherByCity.mockImplementation(async (city, options) => {
+        options.onCacheEntry({
+          status: 'stale',
+          cacheKey: 'weather:london',
+          createdAt: fetchedAt,
+          expiresAt: fetchedAt + 30 * 1000,
+          upstreamLatencyMs: null,
+          retries: null
+        });
+        return { ...mockWeatherData, stale: true, age: 30 };
+      });
+      mockReq.query = { city: 'London' };
+
+      await handle('getWeather');
+
+      const headers = mockRes.set.mock.calls[0][0];
+      expect(headers.ETag).toBe(`W/"${fetchedAt.toString(36)}-metric-en-stale"`);
+      expect(headers).not.toHaveProperty('Last-Modified');
+    });
+
+    it('should neither set validators nor answer 304 with ?meta=true', async () => {
+      mockReq.query = { city: 'London', meta: 'true' };
+      mockReq.fresh = true;
+
+      await handle('getWeather');
+
+      const headers = mockRes.set.mock.calls[0][0];
+      expect(headers).not.toHaveProperty('ETag');
+      expect(headers).not.toHaveProperty('Last-Modified');
+      expect(headers).toMatchObject({ 'X-Cache': 'HIT', Age: '60' });
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ meta: expect.any(Object) }));
+    });
+
+    it('should answer 304 without a body when the client copy is still fresh', async () => {
+      mockReq.query = { city: 'London' };
+      mockReq.fresh = true;
+
+      await handle('getWeather');
+
+      expect(mockRes.status).toHaveBeenCalledWith(304);
+      expect(mockRes.end).toHaveBeenCalled();
+      expect(mockRes.json).not.toHaveBeenCalled();
+    });
+
+    it('should not set caching headers when the service reports no cache entry', async () => {
+      weatherService.getWeatherByCity.mockResolvedValue(mockWeatherData);
+      mockReq.query = { city: 'London' };
+      mockReq.fresh = true;
+
+      await handle('getWeather');
+
+      expect(mockRes.set).not.toHaveBeenCalledWith(expect.objectContaining({ ETag: expect.any(String) }));
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+    });
+  });
+
+  describe('problem details', () => {
+    beforeEach(() => {
+      mockReq.accepts.mockReturnValue('application/problem+json');
+      mockReq.originalUrl = '/weather?lat=91&lon=-0.13';
+      mockReq.id = 'req-1';
+      mockRes.type = jest.fn().mockReturnThis();
+    });
+
+    it('should list only the offending fields of an invalid request', async () => {
+      mockReq.query = { lat: '91', lon: '-0.13' };
+
+      await handle('getWeather');
+
+      expect(mockRes.type).toHaveBeenCalledWith('application/problem+json');
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        type: '/problems/validation-error',
+        title: 'Invalid request',
+        status: 400,
+        detail: 'lat must be a number between -90 and 90',
+        instance: '/weather?lat=91&lon=-0.13',
+        requestId: 'req-1',
+        errors: [{ parameter: 'lat', detail: 'must be a number between -90 and 90' }],
+        example: '/weather?city=London'
+      });
+    });
+
+    it('should name every location parameter when more than one is given', async () => {
+      mockReq.query = { city: 'London', zip: '10001' };
+
+      await handle('getWeather');
+
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({
+        errors: [
+          { parameter: 'city', detail: 'cannot be combined with another location' },
+          { parameter: 'zip', detail: 'cannot be combined with another location' }
+        ]
+      }));
+    });
+
+    it('should point into the body for an invalid batch', async () => {
+      mockReq.body = { locations: [] };
+
+      await handle('getWeatherBatch');
+
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({
+        errors: [{ pointer: '#/locations', detail: 'must be an array of 1 to 50 locations' }]
+      }));
+    });
+  });
+
+  describe('getWeatherBatch', () => {
+    const notFound = new CityNotFoundError({ type: 'city', city: 'atlantis' });
+
+    it('should return a result per location, in order', async () => {
+      weatherService.getWeatherBatch.mockResolvedValue([
+        { status: 'fulfilled', value: { city: 'London' } },
+        { status: 'rejected', reason: notFound },
+        { status: 'fulfilled', value: { city: null } }
+      ]);
+      mockReq.body = { locations: ['London', { city: 'Atlantis' }, { lat: 48.85, lon: 2.35 }, { lat: 100, lon: 0 }] };
+
+      await handle('getWeatherBatch');
+
+      expect(weatherService.getWeatherBatch).toHaveBeenCalledWith([
+        { type: 'city', city: 'London' },
+        { type: 'city', city: 'Atlantis' },
+        { type: 'coordinates', lat: 48.85, lon: 2.35 }
+      ], { units: 'metric', lang: 'en', signal: expect.any(AbortSignal) });
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({
+        success: true,
+        data: {
+          results: [
+            { query: 'London', success: true, data: { city: 'London' } },
+            {
+              query: { city: 'Atlantis' },
+              success: false,
+              status: 404,
+              error: 'Not Found',
+              message: 'City not found. Please check the city name and try again.'
+            },
+            { query: { lat: 48.85, lon: 2.35 }, success: true, data: { city: null } },
+            {
+              query: { lat: 100, lon: 0 },
+              success: false,
+              status: 400,
+              error: 'Bad Request',
+              message: 'lat must be a number between -90 and 90'
+            }
+          ],
+          succeeded: 2,
+          failed: 2
+        }
+      }));
+    });
+
+    it('should reject items that are not locations without failing the batch', async () => {
+      weatherService.getWeatherBatch.mockResolvedValue([]);
+      mockReq.body = { locations: [42, ['London']] };
+
+      await handle('getWeatherBatch');
+
+      expect(weatherService.getWeatherBatch).toHaveBeenCalledWith([], expect.any(Object));
+      const { data } = mockRes.json.mock.calls[0][0];
+      expect(data.failed).toBe(2);
+      expect(data.results[0]).toMatchObject({
+        success: false,
+        status: 400,
+        message: 'Each location must be a city name or an object with city, lat/lon, zip/country or id'
+      });
+    });
+
+    it.each([
+      [undefined, 'locations is required'],
+      [{}, 'locations is required'],
+      [{ locations: 'London' }, 'locations must be an array of 1 to 50 locations'],
+      [{ locations: [] }, 'locations must be an array of 1 to 50 locations'],
+      [{ locations: Array.from({ length: 51 }, () => 'London') }, 'locations must be an array of 1 to 50 locations'],
+      [['London'], 'body must be a JSON object']
+    ])('should return 400 for the body %o', async (body, message) => {
+      mockReq.body = body;
+
+      await handle('getWeatherBatch');
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({
+        error: 'Bad Request',
+        message
+      }));
+      expect(weatherService.getWeatherBatch).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for unknown units', async () => {
+      mockReq.body = { locations: ['London'] };
+      mockReq.query = { units: 'kelvin' };
+
+      await handle('getWeatherBatch');
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({
+        message: 'units must be one of metric, imperial, standard'
+      }));
+    });
+
+    it('should pass a failure of the batch itself on to the error handler', async () => {
+      const error = new Error('Backend down');
+      weatherService.getWeatherBatch.mockRejectedValue(error);
+      mockReq.body = { locations: ['London'] };
+
+      await handle('getWeatherBatch');
+
+      expect(mockNext).toHaveBeenCalledWith(error);
+      expect(mockRes.status).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('searchLocations', () => {
+    const mockSearch = {
+      query: 'lond',
+      results: [{ name: 'London', state: 'England', country: 'GB', lat: 51.5085, lon: -0.1257 }],
+      source: 'mock'
+    };
+
+    it('should return the matching places', async () => {
+      weatherService.searchLocations.mockResolvedValue(mockSearch);
+      mockReq.query = { q: 'Lond' };
+
+      await handle('searchLocations');
+
+      expect(weatherService.searchLocations).toHaveBeenCalledWith('Lond', {
+        limit: 5,
+        lang: 'en',
+        signal: expect.any(AbortSignal),
+        onCacheEntry: expect.any(Function)
+      });
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.json).toHaveBeenCalledWith({ success: true, data: mockSearch, lang: 'en' });
+    });
+
+    it('should pass limit and lang on', async () => {
+      weatherService.searchLocations.mockResolvedValue(mockSearch);
+      mockReq.query = { q: 'Lond', limit: '10', lang: 'fr' };
+
+      await handle('searchLocations');
+
+      expect(weatherService.searchLocations).toHaveBeenCalledWith('Lond', expect.objectContaining({ limit: 10, lang: 'fr' }));
+    });
+
+    it.each([
+      [{}, 'q is required'],
+      [{ q: ' L ' }, 'q must be between 2 and 100 characters'],
+      [{ q: 'x'.repeat(101) }, 'q must be between 2 and 100 characters'],
+      [{ q: ['Lond', 'Par'] }, 'q must be a single string'],
+      [{ q: 'Lond', limit: '0' }, 'limit must be an integer between 1 and 10'],
+      [{ q: 'Lond', limit: '11' }, 'limit must be an integer between 1 and 10'],
+      [{ q: 'Lond', limit: 'all' }, 'limit must be an integer between 1 and 10']
+    ])('should return 400 for %o', async (query, message) => {
+      mockReq.query = query;
+
+      await handle('searchLocations');
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ error: 'Bad Request', message }));
+      expect(weatherService.searchLocations).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 for an unsupported lang', async () => {
+      mockReq.query = { q: 'Lond', lang: 'klingon' };
+
+      await handle('searchLocations');
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ example: '/weather/locations?q=Lond&limit=5' }));
+    });
+
+    it('should pass an unreachable geocoding API on to the error handler', async () => {
+      const error = new UpstreamUnavailableError('getaddrinfo ENOTFOUND');
+      weatherService.searchLocations.mockRejectedValue(error);
+      mockReq.query = { q: 'Lond' };
+
+      await handle('searchLocations');
+
+      expect(mockNext).toHaveBeenCalledWith(error);
+    });
+  });
+
+  describe('getForecast', () => {
+    const mockForecast = { city: 'London', interval: 'daily', days: 5, entries: [], source: 'mock' };
+
+    it('should default to a five-day daily forecast', async () => {
+      weatherService.getForecast.mockResolvedValue(mockForecast);
+      mockReq.query = { city: 'London' };
+
+      await handle('getForecast');
+
+      expect(weatherService.getForecast).toHaveBeenCalledWith(
+        { type: 'city', city: 'London' },
+        {
+          days: 5,
+          interval: 'daily',
+          units: 'metric',
+          lang: 'en',
+          signal: expect.any(AbortSignal),
+          onCacheEntry: expect.any(Function)
+        }
+      );
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ success: true, data: mockForecast }));
+    });
+
+    it('should pass the requested days and interval on', async () => {
+      weatherService.getForecast.mockResolvedValue(mockForecast);
+      mockReq.query = { lat: '51.5', lon: '-0.12', days: '2', interval: 'hourly' };
+
+      await handle('getForecast');
+
+      expect(weatherService.getForecast).toHaveBeenCalledWith(
+        { type: 'coordinates', lat: 51.5, lon: -0.12 },
+        {
+          days: 2,
+          interval: 'hourly',
+          units: 'metric',
+          lang: 'en',
+          signal: expect.any(AbortSignal),
+          onCacheEntry: expect.any(Function)
+        }
+      );
+    });
+
+    it('should return 400 without a location', async () => {
+      await handle('getForecast');
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        error: 'Bad Request',
+        message: 'city is required, unless lat/lon, zip/country or id is given',
+        example: '/weather/forecast?city=London&days=3&interval=3h'
+      });
+    });
+
+    it.each([
+      [{ days: '0' }, 'days must be an integer between 1 and 16'],
+      [{ days: '17' }, 'days must be an integer between 1 and 16'],
+      [{ days: '2.5' }, 'days must be an integer between 1 and 16'],
+      [{ days: 'three' }, 'days must be an integer between 1 and 16'],
+      [{ interval: 'weekly' }, 'interval must be one of hourly, 3h, daily'],
+      [{ interval: ['hourly', 'daily'] }, 'interval must be one of hourly, 3h, daily']
+    ])('should return 400 for %o', async (query, message) => {
+      mockReq.query = { city: 'London', ...query };
+
+      await handle('getForecast');
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        error: 'Bad Request',
+        message,
+        example: '/weather/forecast?city=London&days=3&interval=3h'
+      });
+      expect(weatherService.getForecast).not.toHaveBeenCalled();
+    });
+
+    it.each([
+      ['an unsupported forecast', new ValidationError('No configured weather provider supports a 1-day hourly forecast', {
+        code: 'EUNSUPPORTEDFORECAST'
+      })],
+      ['a city nobody knows', new CityNotFoundError({ type: 'city', city: 'nowhere' })]
+    ])('should pass %s on to the error handler', async (description, error) => {
+      weatherService.getForecast.mockRejectedValue(error);
+      mockReq.query = { city: 'Nowhere', days: '1', interval: 'hourly' };
+
+      await handle('getForecast');
+
+      expect(mockNext).toHaveBeenCalledWith(error);
+      expect(mockRes.status).not.toHaveBeenCalled();
     });
   });
 
@@ -161,7 +775,7 @@ describe('Weather Controller', () => {
       };
       weatherService.getCacheStats.mockReturnValue(mockStats);
 
-      await weatherController.getCacheStats(mockReq, mockRes);
+      await handle('getCacheStats');
 
       expect(weatherService.getCacheStats).toHaveBeenCalled();
       expect(mockRes.status).toHaveBeenCalledWith(200);
@@ -171,13 +785,31 @@ describe('Weather Controller', () => {
       });
     });
 
+    it('should reset counters after reading them when requested', async () => {
+      mockReq.query = { reset: 'true' };
+      weatherService.getCacheStats.mockResolvedValue({ totalEntries: 1 });
+
+      await handle('getCacheStats');
+
+      expect(weatherService.resetCacheStats).toHaveBeenCalled();
+      expect(mockRes.json).toHaveBeenCalledWith({ success: true, data: { totalEntries: 1 } });
+    });
+
+    it('should not reset counters by default', async () => {
+      weatherService.getCacheStats.mockResolvedValue({ totalEntries: 1 });
+
+      await handle('getCacheStats');
+
+      expect(weatherService.resetCacheStats).not.toHaveBeenCalled();
+    });
+
     it('should handle errors when getting cache stats', async () => {
       const error = new Error('Cache error');
       weatherService.getCacheStats.mockImplementation(() => {
         throw error;
       });
 
-      await weatherController.getCacheStats(mockReq, mockRes);
+      await handle('getCacheStats');
 
       expect(mockRes.status).toHaveBeenCalledWith(500);
       expect(mockRes.json).toHaveBeenCalledWith({
@@ -191,7 +823,7 @@ describe('Weather Controller', () => {
     it('should clear cache successfully', async () => {
       weatherService.clearCache.mockImplementation(() => {});
 
-      await weatherController.clearCache(mockReq, mockRes);
+      await handle('clearCache');
 
       expect(weatherService.clearCache).toHaveBeenCalled();
       expect(mockRes.status).toHaveBeenCalledWith(200);
@@ -207,7 +839,7 @@ describe('Weather Controller', () => {
         throw error;
       });
 
-      await weatherController.clearCache(mockReq, mockRes);
+      await handle('clearCache');
 
       expect(mockRes.status).toHaveBeenCalledWith(500);
       expect(mockRes.json).toHaveBeenCalledWith({
@@ -216,4 +848,157 @@ describe('Weather Controller', () => {
       });
     });
   });
+
+  describe('getCacheEntries', () => {
+    it('should return the first page of entries by default', async () => {
+      const result = { entries: [{ key: 'weather:london' }], pagination: { page: 1, limit: 50, total: 1, totalPages: 1 } };
+      weatherService.getCacheEntries.mockResolvedValue(result);
+
+      await handle('getCacheEntries');
+
+      expect(weatherService.getCacheEntries).toHaveBeenCalledWith(1, 50);
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.json).toHaveBeenCalledWith({ success: true, data: result });
+    });
+
+    it('should pass page and limit from the query string', async () => {
+      mockReq.query = { page: '3', limit: '10' };
+      weatherService.getCacheEntries.mockResolvedValue({ entries: [], pagination: {} });
+
+      await handle('getCacheEntries');
+
+      expect(weatherService.getCacheEntries).toHaveBeenCalledWith(3, 10);
+    });
+
+    it.each([
+      [{ page: '0' }],
+      [{ page: 'abc' }],
+      [{ limit: '501' }],
+      [{ limit: '2.5' }]
+    ])('should return 400 for invalid pagination %j', async (query) => {
+      mockReq.query = query;
+
+      await handle('getCacheEntries');
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(weatherService.getCacheEntries).not.toHaveBeenCalled();
+    });
+
+    it('should handle errors when listing entries', async () => {
+      weatherService.getCacheEntries.mockRejectedValue(new Error('Backend down'));
+
+      await handle('getCacheEntries');
+
+      expect(mockRes.status).toHaveBeenCalledWith(500);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        error: 'Internal Server Error',
+        message: 'Failed to retrieve cache entries'
+      });
+    });
+  });
+
+  describe('getCacheEntry', () => {
+    it('should return the entry for a key', async () => {
+      const entry = { key: 'weather:london', hits: 3, data: { city: 'London' } };
+      mockReq.params = { key: 'weather:london' };
+      weatherService.getCacheEntry.mockResolvedValue(entry);
+
+      await handle('getCacheEntry');
+
+      expect(weatherService.getCacheEntry).toHaveBeenCalledWith('weather:london');
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.json).toHaveBeenCalledWith({ success: true, data: entry });
+    });
+
+    it('should return 404 when the key is not cached', async () => {
+      mockReq.params = { key: 'weather:nowhere' };
+      weatherService.getCacheEntry.mockResolvedValue(null);
+
+      await handle('getCacheEntry');
+
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        error: 'Not Found',
+        message: 'No cache entry found for key: weather:nowhere'
+      });
+    });
+
+    it('should handle errors when inspecting an entry', async () => {
+      mockReq.params = { key: 'weather:london' };
+      weatherService.getCacheEntry.mockRejectedValue(new Error('Backend down'));
+
+      await handle('getCacheEntry');
+
+      expect(mockRes.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('invalidateCity', () => {
+    it('should remove the cached entry for a city', async () => {
+      mockReq.params = { city: 'London' };
+      weatherService.invalidateCity.mockResolvedValue(true);
+
+      await handle('invalidateCity');
+
+      expect(weatherService.invalidateCity).toHaveBeenCalledWith('London');
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'Cache entry for London removed'
+      });
+    });
+
+    it('should return 404 when the city is not cached', async () => {
+      mockReq.params = { city: 'Atlantis' };
+      weatherService.invalidateCity.mockResolvedValue(false);
+
+      await handle('invalidateCity');
+
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+    });
+
+    it('should handle errors when invalidating a city', async () => {
+      mockReq.params = { city: 'London' };
+      weatherService.invalidateCity.mockRejectedValue(new Error('Backend down'));
+
+      await handle('invalidateCity');
+
+      expect(mockRes.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe('invalidateCacheByPattern', () => {
+    it('should return 400 when pattern is missing', async () => {
+      await handle('invalidateCacheByPattern');
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(weatherService.invalidateCacheByPattern).not.toHaveBeenCalled();
+    });
+
+    it('should remove matching entries and list their keys', async () => {
+      mockReq.query = { pattern: 'weather:l*' };
+      weatherService.invalidateCacheByPattern.mockResolvedValue(['weather:london', 'weather:lyon']);
+
+      await handle('invalidateCacheByPattern');
+
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        success: true,
+        message: 'Removed 2 cache entries',
+        data: {
+          pattern: 'weather:l*',
+          deletedKeys: ['weather:london', 'weather:lyon']
+        }
+      });
+    });
+
+    it('should handle errors when invalidating by pattern', async () => {
+      mockReq.query = { pattern: '*' };
+      weatherService.invalidateCacheByPattern.mockRejectedValue(new Error('Backend down'));
+
+      await handle('invalidateCacheByPattern');
+
+      expect(mockRes.status).toHaveBeenCalledWith(500);
+    });
+  });
 });
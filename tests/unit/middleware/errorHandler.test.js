@@ -2,7 +2,15 @@
  * Tests for error handling middleware
  */
 
-const { errorHandler, notFoundHandler } = require('../../../src/middleware/errorHandler');
+const { errorHandler, notFoundHandler, getErrorResponse } = require('../../../src/middleware/errorHandler');
+const {
+  ValidationError,
+  CityNotFoundError,
+  UpstreamAuthError,
+  UpstreamUnavailableError,
+  RateLimitedError,
+  UpstreamTimeoutError
+} = require('../../../src/utils/errors');
 
 describe('Error Handling Middleware', () => {
   let mockReq, mockRes, mockNext;
@@ -10,11 +18,16 @@ describe('Error Handling Middleware', () => {
   beforeEach(() => {
     mockReq = {
       method: 'GET',
-      originalUrl: '/test-route'
+      originalUrl: '/test-route',
+      id: 'req-1',
+      accepts: jest.fn()
     };
     mockRes = {
       status: jest.fn().mockReturnThis(),
-      json: jest.fn().mockReturnThis()
+      json: jest.fn().mockReturnThis(),
+      set: jest.fn().mockReturnThis(),
+      vary: jest.fn().mockReturnThis(),
+      type: jest.fn().mockReturnThis()
     };
     mockNext = jest.fn();
     
@@ -37,87 +50,52 @@ describe('Error Handling Middleware', () => {
     });
 
     it('should handle ValidationError with 400 status', () => {
-      const error = new Error('Validation failed');
-      error.name = 'ValidationError';
+      const error = new ValidationError('City name is required and must be a non-empty string');
       
       errorHandler(error, mockReq, mockRes, mockNext);
       
       expect(mockRes.status).toHaveBeenCalledWith(400);
       expect(mockRes.json).toHaveBeenCalledWith({
-        error: 'Validation Error',
-        message: 'Validation failed',
+        error: 'Bad Request',
+        message: 'City name is required and must be a non-empty string',
         stack: expect.any(String)
       });
     });
 
-    it('should handle UnauthorizedError with 401 status', () => {
-      const error = new Error('Unauthorized access');
-      error.name = 'UnauthorizedError';
-      
-      errorHandler(error, mockReq, mockRes, mockNext);
-      
-      expect(mockRes.status).toHaveBeenCalledWith(401);
-      expect(mockRes.json).toHaveBeenCalledWith({
-        error: 'Unauthorized',
-        message: 'Unauthorized access',
-        stack: expect.any(String)
-      });
-    });
+    it('should not set Retry-After when the wait is unknown', () => {
+      errorHandler(new UpstreamUnavailableError('Weather provider unreachable'), mockReq, mockRes, mockNext);
 
-    it('should handle ForbiddenError with 403 status', () => {
-      const error = new Error('Access forbidden');
-      error.name = 'ForbiddenError';
-      
-      errorHandler(error, mockReq, mockRes, mockNext);
-      
-      expect(mockRes.status).toHaveBeenCalledWith(403);
-      expect(mockRes.json).toHaveBeenCalledWith({
-        error: 'Forbidden',
-        message: 'Access forbidden',
-        stack: expect.any(String)
-      });
+      expect(mockRes.status).toHaveBeenCalledWith(503);
+      expect(mockRes.set).not.toHaveBeenCalled();
     });
 
-    it('should handle NotFoundError with 404 status', () => {
-      const error = new Error('Resource not found');
-      error.name = 'NotFoundError';
-      
-      errorHandler(error, mockReq, mockRes, mockNext);
-      
-      expect(mockRes.status).toHaveBeenCalledWith(404);
-      expect(mockRes.json).toHaveBeenCalledWith({
-        error: 'Not Found',
-        message: 'Resource not found',
-        stack: expect.any(String)
-      });
+    it('should answer an upstream timeout with 504 Gateway Timeout', () => {
+      errorHandler(new UpstreamTimeoutError(), mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(504);
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({
+        error: 'Gateway Timeout',
+        message: 'Weather service did not respond in time. Please try again later.'
+      }));
     });
 
-    it('should handle ConflictError with 409 status', () => {
-      const error = new Error('Resource conflict');
-      error.name = 'ConflictError';
-      
-      errorHandler(error, mockReq, mockRes, mockNext);
-      
-      expect(mockRes.status).toHaveBeenCalledWith(409);
-      expect(mockRes.json).toHaveBeenCalledWith({
-        error: 'Conflict',
-        message: 'Resource conflict',
-        stack: expect.any(String)
-      });
+    it('should set Retry-After in whole seconds when the upstream says when to come back', () => {
+      errorHandler(new RateLimitedError({ retryAfterMs: 12500 }), mockReq, mockRes, mockNext);
+
+      expect(mockRes.set).toHaveBeenCalledWith('Retry-After', '13');
+      expect(mockRes.status).toHaveBeenCalledWith(503);
     });
 
-    it('should handle TooManyRequestsError with 429 status', () => {
-      const error = new Error('Rate limit exceeded');
-      error.name = 'TooManyRequestsError';
-      
+    it('should pass on the status of client errors raised by Express', () => {
+      const error = Object.assign(new SyntaxError('Unexpected token } in JSON'), { status: 400, expose: true });
+
       errorHandler(error, mockReq, mockRes, mockNext);
-      
-      expect(mockRes.status).toHaveBeenCalledWith(429);
-      expect(mockRes.json).toHaveBeenCalledWith({
-        error: 'Too Many Requests',
-        message: 'Rate limit exceeded',
-        stack: expect.any(String)
-      });
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({
+        error: 'Bad Request',
+        message: 'Unexpected token } in JSON'
+      }));
     });
 
     it('should include stack trace in development environment', () => {
@@ -148,6 +126,114 @@ describe('Error Handling Middleware', () => {
     });
   });
 
+  describe('problem details', () => {
+    beforeEach(() => {
+      mockReq.accepts.mockReturnValue('application/problem+json');
+    });
+
+    it('should send problem+json to clients that ask for it', () => {
+      process.env.NODE_ENV = 'production';
+
+      errorHandler(new CityNotFoundError({ type: 'city', city: 'atlantis' }), mockReq, mockRes, mockNext);
+
+      expect(mockReq.accepts).toHaveBeenCalledWith(['application/json', 'application/problem+json']);
+      expect(mockRes.vary).toHaveBeenCalledWith('Accept');
+      expect(mockRes.type).toHaveBeenCalledWith('application/problem+json');
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        type: '/problems/location-not-found',
+        title: 'Location not found',
+        status: 404,
+        detail: 'City not found. Please check the city name and try again.',
+        instance: '/test-route',
+        requestId: 'req-1'
+      });
+    });
+
+    it('should list each offending field of a validation error', () => {
+      process.env.NODE_ENV = 'production';
+      const errors = [{ parameter: 'city', detail: 'must not be blank' }];
+
+      errorHandler(new ValidationError('City name is required', { errors }), mockReq, mockRes, mockNext);
+
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({
+        type: '/problems/validation-error',
+        status: 400,
+        detail: 'City name is required',
+        errors
+      }));
+    });
+
+    it('should use about:blank and the status text for plain HTTP errors', () => {
+      notFoundHandler(mockReq, mockRes);
+
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'about:blank',
+        title: 'Not Found',
+        status: 404,
+        detail: 'Route GET /test-route not found',
+        availableRoutes: expect.any(Array)
+      }));
+    });
+  });
+
+  describe('getErrorResponse', () => {
+    it.each([
+      [
+        new CityNotFoundError({ type: 'city', city: 'atlantis' }),
+        404,
+        '/problems/location-not-found',
+        'City not found. Please check the city name and try again.'
+      ],
+      [
+        new CityNotFoundError({ type: 'zip', zip: '00000', country: 'us' }),
+        404,
+        '/problems/location-not-found',
+        'Location not found. Please check the location and try again.'
+      ],
+      [
+        new UpstreamAuthError(),
+        500,
+        '/problems/upstream-auth-failed',
+        'Weather service authentication failed'
+      ],
+      [
+        new UpstreamUnavailableError('Circuit breaker openweathermap is open'),
+        503,
+        '/problems/upstream-unavailable',
+        'Weather service is temporarily unavailable. Please try again later.'
+      ],
+      [
+        new UpstreamTimeoutError(),
+        504,
+        '/problems/upstream-timeout',
+        'Weather service did not respond in time. Please try again later.'
+      ],
+      [
+        new RateLimitedError(),
+        503,
+        '/problems/upstream-rate-limited',
+        'Weather service is receiving too many requests. Please try again later.'
+      ]
+    ])('should map %s to %i', (error, status, type, detail) => {
+      expect(getErrorResponse(error)).toMatchObject({ problem: { status, type, detail } });
+    });
+
+    it('should carry the wait before retrying for unavailable upstreams', () => {
+      const error = new UpstreamUnavailableError('Circuit breaker openweathermap is open', { retryAfterMs: 12500 });
+
+      expect(getErrorResponse(error).retryAfterMs).toBe(12500);
+    });
+
+    it('should hide the message of unexpected errors in production', () => {
+      process.env.NODE_ENV = 'production';
+
+      expect(getErrorResponse(new Error('Backend down'))).toEqual({
+        problem: { status: 500, detail: 'An unexpected error occurred' }
+      });
+    });
+  });
+
   describe('notFoundHandler', () => {
     it('should return 404 with route information', () => {
       notFoundHandler(mockReq, mockRes);
@@ -159,9 +245,17 @@ describe('Error Handling Middleware', () => {
         availableRoutes: [
           'GET /health',
           'GET /health/detailed',
+          'GET /metrics',
           'GET /weather?city=<city_name>',
+          'GET /weather/forecast?city=<city_name>&days=<days>',
+          'GET /weather/locations?q=<name>',
+          'POST /weather/batch',
           'GET /weather/cache/stats',
-          'DELETE /weather/cache'
+          'GET /weather/cache/entries',
+          'GET /weather/cache/entries/:key',
+          'DELETE /weather/cache',
+          'DELETE /weather/cache/:city',
+          'DELETE /weather/cache/entries?pattern=<pattern>'
         ]
       });
     });
@@ -178,9 +272,17 @@ describe('Error Handling Middleware', () => {
         availableRoutes: [
           'GET /health',
           'GET /health/detailed',
+          'GET /metrics',
           'GET /weather?city=<city_name>',
+          'GET /weather/forecast?city=<city_name>&days=<days>',
+          'GET /weather/locations?q=<name>',
+          'POST /weather/batch',
           'GET /weather/cache/stats',
-          'DELETE /weather/cache'
+          'GET /weather/cache/entries',
+          'GET /weather/cache/entries/:key',
+          'DELETE /weather/cache',
+          'DELETE /weather/cache/:city',
+          'DELETE /weather/cache/entries?pattern=<pattern>'
         ]
       });
     });
@@ -0,0 +1,73 @@
+/**
+ * Tests for HTTP metrics middleware
+ */
+
+const EventEmitter = require('events');
+const { httpMetrics, recordRoute, getRouteLabel } = require('../../../src/middleware/httpMetrics');
+const { registry } = require('../../../src/utils/prometheus');
+
+describe('HTTP Metrics Middleware', () => {
+  beforeEach(() => {
+    registry.reset();
+  });
+
+  describe('getRouteLabel', () => {
+    it('should combine the router mount path and route pattern', () => {
+      expect(getRouteLabel({ baseUrl: '/weather', route: { path: '/cache/entries/:key' } }))
+        .toBe('/weather/cache/entries/:key');
+    });
+
+    it('should not add a trailing slash for router root routes', () => {
+      expect(getRouteLabel({ baseUrl: '/weather', route: { path: '/' } })).toBe('/weather');
+      expect(getRouteLabel({ baseUrl: '', route: { path: '/' } })).toBe('/');
+    });
+
+    it('should group requests that matched no route', () => {
+      expect(getRouteLabel({ baseUrl: '', originalUrl: '/random/123' })).toBe('unmatched');
+    });
+  });
+
+  describe('recordRoute', () => {
+    it('should keep the route label for when the response finishes', () => {
+      const req = { baseUrl: '/weather', route: { path: '/forecast' } };
+      const res = { locals: {} };
+      const next = jest.fn();
+
+      recordRoute(req, res, next);
+
+      expect(res.locals.routeLabel).toBe('/weather/forecast');
+      expect(next).toHaveBeenCalled();
+    });
+  });
+
+  describe('httpMetrics', () => {
+    it('should record the request once the response finishes', async () => {
+      const req = { method: 'GET', baseUrl: '/weather', route: { path: '/' } };
+      const res = Object.assign(new EventEmitter(), { locals: {} });
+      res.statusCode = 200;
+      const next = jest.fn();
+
+      httpMetrics(req, res, next);
+      expect(next).toHaveBeenCalled();
+      expect(await registry.render()).not.toContain('http_requests_total{');
+
+      res.emit('finish');
+
+      const output = await registry.render();
+      expect(output).toContain('http_requests_total{method="GET",route="/weather",status="200"} 1\n');
+      expect(output).toContain('http_request_duration_seconds_count{method="GET",route="/weather",status="200"} 1\n');
+    });
+
+    it('should use the recorded route label for responses sent after next(err)', async () => {
+      // By the time an error response finishes, Express has reset baseUrl
+      const req = { method: 'GET', baseUrl: '', route: { path: '/forecast' } };
+      const res = Object.assign(new EventEmitter(), { locals: { routeLabel: '/weather/forecast' } });
+      res.statusCode = 404;
+
+      httpMetrics(req, res, jest.fn());
+      res.emit('finish');
+
+      expect(await registry.render()).toContain('http_requests_total{method="GET",route="/weather/forecast",status="404"} 1\n');
+    });
+  });
+});
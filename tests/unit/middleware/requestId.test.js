@@ -0,0 +1,48 @@
+/**
+ * Tests for request ID middleware
+ */
+
+const requestId = require('../../../src/middleware/requestId');
+
+describe('Request ID Middleware', () => {
+  let mockReq, mockRes, mockNext;
+
+  beforeEach(() => {
+    mockReq = {
+      get: jest.fn()
+    };
+    mockRes = {
+      set: jest.fn()
+    };
+    mockNext = jest.fn();
+  });
+
+  it('should generate an ID when the client sends none', () => {
+    requestId(mockReq, mockRes, mockNext);
+
+    expect(mockReq.id).toMatch(/^[0-9a-f-]{36}$/);
+    expect(mockRes.set).toHaveBeenCalledWith('X-Request-Id', mockReq.id);
+    expect(mockNext).toHaveBeenCalled();
+  });
+
+  it('should reuse the ID the client sends', () => {
+    mockReq.get.mockReturnValue('checkout-42.retry:1');
+
+    requestId(mockReq, mockRes, mockNext);
+
+    expect(mockReq.get).toHaveBeenCalledWith('X-Request-Id');
+    expect(mockReq.id).toBe('checkout-42.retry:1');
+  });
+
+  it.each([
+    ['contains spaces or control characters', 'abc def\r\nX-Injected: 1'],
+    ['is too long', 'a'.repeat(129)]
+  ])('should replace an ID that %s', (description, incoming) => {
+    mockReq.get.mockReturnValue(incoming);
+
+    requestId(mockReq, mockRes, mockNext);
+
+    expect(mockReq.id).not.toBe(incoming);
+    expect(mockReq.id).toMatch(/^[0-9a-f-]{36}$/);
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Tests for request validation middleware
+ */
+
+const { validate, validateRequest } = require('../../../src/middleware/validate');
+const { string, integer, array } = require('../../../src/validation/schema');
+
+describe('Validation Middleware', () => {
+  const schema = {
+    params: { key: string({ required: true }) },
+    query: { limit: integer({ max: 10, default: 5 }) },
+    body: { 'a/b~c': array({ minItems: 1, maxItems: 2, required: true }) },
+    example: '/things/london?limit=5'
+  };
+  let mockReq, mockRes, mockNext;
+
+  beforeEach(() => {
+    mockReq = {
+      params: { key: 'london' },
+      query: {},
+      body: { 'a/b~c': ['x'] },
+      originalUrl: '/things/london',
+      id: 'req-1',
+      accepts: jest.fn()
+    };
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn().mockReturnThis(),
+      type: jest.fn().mockReturnThis(),
+      vary: jest.fn().mockReturnThis()
+    };
+    mockNext = jest.fn();
+  });
+
+  describe('validate', () => {
+    it('should continue with the coerced values of each part', () => {
+      mockReq.query = { limit: '10' };
+
+      validate(schema)(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalledWith();
+      expect(mockReq.validated).toEqual({
+        params: { key: 'london' },
+        query: { limit: 10 },
+        body: { 'a/b~c': ['x'] }
+      });
+      expect(mockRes.status).not.toHaveBeenCalled();
+    });
+
+    it('should answer 400 with every offending field', () => {
+      mockReq.accepts.mockReturnValue('application/problem+json');
+      mockReq.query = { limit: '11', sort: 'name' };
+      mockReq.body = {};
+
+      validate(schema)(mockReq, mockRes, mockNext);
+
+      expect(mockNext).not.toHaveBeenCalled();
+      expect(mockReq.validated).toBeUndefined();
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        type: '/problems/validation-error',
+        title: 'Invalid request',
+        status: 400,
+        detail: 'sort is not allowed; limit must be an integer between 1 and 10; a/b~c is required',
+        instance: '/things/london',
+        requestId: 'req-1',
+        errors: [
+          { parameter: 'sort', detail: 'is not allowed' },
+          { parameter: 'limit', detail: 'must be an integer between 1 and 10' },
+          { pointer: '#/a~1b~0c', detail: 'is required' }
+        ],
+        example: '/things/london?limit=5'
+      });
+    });
+
+    it('should send the legacy body to clients that did not ask for problem+json', () => {
+      mockReq.params = {};
+
+      validate(schema)(mockReq, mockRes, mockNext);
+
+      expect(mockRes.json).toHaveBeenCalledWith({
+        error: 'Bad Request',
+        message: 'key is required',
+        example: '/things/london?limit=5'
+      });
+    });
+  });
+
+  describe('validateRequest', () => {
+    it('should only check the parts the schema names', () => {
+      const { validated, errors } = validateRequest({ query: {} }, { query: {}, body: { anything: true } });
+
+      expect(validated).toEqual({ query: {} });
+      expect(errors).toEqual([]);
+    });
+
+    it('should point at the whole body when it is not an object', () => {
+      const { errors } = validateRequest({ body: {} }, { body: ['London'] });
+
+      expect(errors).toEqual([{ part: 'body', name: 'body', detail: 'must be a JSON object' }]);
+    });
+
+    it('should run the cross-field check only once every field is valid', () => {
+      const check = jest.fn(() => [{ part: 'query', name: 'to', detail: 'must be after from' }]);
+      const rangeSchema = { query: { from: integer(), to: integer() }, check };
+
+      expect(validateRequest(rangeSchema, { query: { from: 'soon' } }).errors).toHaveLength(1);
+      expect(check).not.toHaveBeenCalled();
+
+      expect(validateRequest(rangeSchema, { query: { from: '5', to: '2' } }).errors)
+        .toEqual([{ part: 'query', name: 'to', detail: 'must be after from' }]);
+      expect(check).toHaveBeenCalledWith({ query: { from: 5, to: 2 } });
+    });
+  });
+});
@@ -2,171 +2,588 @@
  * Tests for cache service
  */
 
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
 const cacheService = require('../../../src/services/cache');
+const { sleep } = require('../../../src/utils/retry');
 
 describe('Cache Service', () => {
-  beforeEach(() => {
+  beforeEach(async () => {
     // Clear cache before each test
-    cacheService.clear();
+    await cacheService.clear();
   });
 
   describe('get', () => {
-    it('should return null for non-existent key', () => {
-      const result = cacheService.get('non-existent');
+    it('should return null for non-existent key', async () => {
+      const result = await cacheService.get('non-existent');
       expect(result).toBeNull();
     });
 
-    it('should return cached data for valid key', () => {
+    it('should return cached data for valid key', async () => {
       const testData = { city: 'London', temp: 15 };
-      cacheService.set('london', testData, 60000); // 1 minute TTL
+      await cacheService.set('london', testData, 60000); // 1 minute TTL
       
-      const result = cacheService.get('london');
+      const result = await cacheService.get('london');
       expect(result).toEqual(testData);
     });
 
-    it('should return null for expired data', () => {
+    it('should return null for expired data', async () => {
       const testData = { city: 'London', temp: 15 };
-      cacheService.set('london', testData, 1); // 1ms TTL
+      await cacheService.set('london', testData, 1); // 1ms TTL
       
       // Wait for expiration
-      setTimeout(() => {
-        const result = cacheService.get('london');
-        expect(result).toBeNull();
-      }, 10);
+      await sleep(10);
+      const result = await cacheService.get('london');
+      expect(result).toBeNull();
     });
   });
 
   describe('set', () => {
-    it('should store data with TTL', () => {
+    it('should store data with TTL', async () => {
       const testData = { city: 'Paris', temp: 20 };
-      cacheService.set('paris', testData, 60000);
+      await cacheService.set('paris', testData, 60000);
       
-      const result = cacheService.get('paris');
+      const result = await cacheService.get('paris');
       expect(result).toEqual(testData);
     });
 
-    it('should overwrite existing data', () => {
+    it('should overwrite existing data', async () => {
       const initialData = { city: 'Tokyo', temp: 25 };
       const updatedData = { city: 'Tokyo', temp: 30 };
       
-      cacheService.set('tokyo', initialData, 60000);
-      cacheService.set('tokyo', updatedData, 60000);
+      await cacheService.set('tokyo', initialData, 60000);
+      await cacheService.set('tokyo', updatedData, 60000);
       
-      const result = cacheService.get('tokyo');
+      const result = await cacheService.get('tokyo');
       expect(result).toEqual(updatedData);
     });
   });
 
   describe('delete', () => {
-    it('should remove cached data', () => {
+    it('should remove cached data', async () => {
       const testData = { city: 'Berlin', temp: 18 };
-      cacheService.set('berlin', testData, 60000);
+      await cacheService.set('berlin', testData, 60000);
       
-      expect(cacheService.get('berlin')).toEqual(testData);
+      expect(await cacheService.get('berlin')).toEqual(testData);
       
-      cacheService.delete('berlin');
-      expect(cacheService.get('berlin')).toBeNull();
+      await cacheService.delete('berlin');
+      expect(await cacheService.get('berlin')).toBeNull();
     });
 
-    it('should handle deletion of non-existent key', () => {
-      expect(() => {
-        cacheService.delete('non-existent');
-      }).not.toThrow();
+    it('should handle deletion of non-existent key', async () => {
+      await expect(cacheService.delete('non-existent')).resolves.toBe(false);
+    });
+
+    it('should report whether an entry was deleted', async () => {
+      await cacheService.set('berlin', { city: 'Berlin' }, 60000);
+
+      expect(await cacheService.delete('berlin')).toBe(true);
+    });
+  });
+
+  describe('deleteMatching', () => {
+    it('should delete only keys matching the wildcard pattern', async () => {
+      await cacheService.set('weather:london', { city: 'London' }, 60000);
+      await cacheService.set('weather:lyon', { city: 'Lyon' }, 60000);
+      await cacheService.set('weather:paris', { city: 'Paris' }, 60000);
+
+      const deleted = await cacheService.deleteMatching('weather:l*');
+
+      expect(deleted.sort()).toEqual(['weather:london', 'weather:lyon']);
+      expect(await cacheService.get('weather:paris')).toEqual({ city: 'Paris' });
+      expect(await cacheService.get('weather:london')).toBeNull();
+    });
+
+    it('should support single-character wildcards and treat other characters literally', async () => {
+      await cacheService.set('weather:rome', { city: 'Rome' }, 60000);
+      await cacheService.set('weather.rome', { city: 'Rome' }, 60000);
+
+      expect(await cacheService.deleteMatching('weather:r?me')).toEqual(['weather:rome']);
+      expect(await cacheService.get('weather.rome')).not.toBeNull();
+    });
+
+    it('should return an empty list when nothing matches', async () => {
+      await cacheService.set('weather:oslo', { city: 'Oslo' }, 60000);
+
+      expect(await cacheService.deleteMatching('weather:x*')).toEqual([]);
+    });
+  });
+
+  describe('entry inspection', () => {
+    it('should list entries sorted by key with age, TTL, size and hits', async () => {
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+      await cacheService.set('weather:paris', { city: 'Paris' }, 60000);
+      await cacheService.set('weather:berlin', { city: 'Berlin' }, 60000);
+
+      Date.now.mockReturnValue(now + 5000);
+      await cacheService.get('weather:paris');
+      await cacheService.get('weather:paris');
+
+      const entries = await cacheService.listEntries();
+
+      expect(entries.map(entry => entry.key)).toEqual(['weather:berlin', 'weather:paris']);
+      expect(entries[1]).toEqual({
+        key: 'weather:paris',
+        createdAt: new Date(now).toISOString(),
+        expiresAt: new Date(now + 60000).toISOString(),
+        ageMs: 5000,
+        ttlRemainingMs: 55000,
+        stale: false,
+        negative: false,
+        sizeBytes: expect.any(Number),
+        hits: 2
+      });
+      expect(entries[1].sizeBytes).toBeGreaterThan(0);
+    });
+
+    it('should inspect a single entry with its data without counting a hit', async () => {
+      await cacheService.set('weather:tokyo', { city: 'Tokyo' }, 60000);
+
+      await cacheService.inspect('weather:tokyo');
+      const entry = await cacheService.inspect('weather:tokyo');
+
+      expect(entry).toMatchObject({ key: 'weather:tokyo', hits: 0, stale: false, data: { city: 'Tokyo' } });
+    });
+
+    it('should flag stale entries and report no remaining TTL', async () => {
+      await cacheService.set('weather:lima', { city: 'Lima' }, -1000, 60000);
+
+      expect(await cacheService.inspect('weather:lima')).toMatchObject({ stale: true, ttlRemainingMs: 0 });
+    });
+
+    it('should return null when inspecting a missing key', async () => {
+      expect(await cacheService.inspect('weather:nowhere')).toBeNull();
     });
   });
 
   describe('clear', () => {
-    it('should remove all cached data', () => {
-      cacheService.set('city1', { data: 'test1' }, 60000);
-      cacheService.set('city2', { data: 'test2' }, 60000);
-      cacheService.set('city3', { data: 'test3' }, 60000);
+    it('should remove all cached data', async () => {
+      await cacheService.set('city1', { data: 'test1' }, 60000);
+      await cacheService.set('city2', { data: 'test2' }, 60000);
+      await cacheService.set('city3', { data: 'test3' }, 60000);
       
-      expect(cacheService.getStats().totalEntries).toBe(3);
+      expect((await cacheService.getStats()).totalEntries).toBe(3);
       
-      cacheService.clear();
+      await cacheService.clear();
       
-      expect(cacheService.getStats().totalEntries).toBe(0);
-      expect(cacheService.get('city1')).toBeNull();
-      expect(cacheService.get('city2')).toBeNull();
-      expect(cacheService.get('city3')).toBeNull();
+      expect((await cacheService.getStats()).totalEntries).toBe(0);
+      expect(await cacheService.get('city1')).toBeNull();
+      expect(await cacheService.get('city2')).toBeNull();
+      expect(await cacheService.get('city3')).toBeNull();
     });
   });
 
   describe('getStats', () => {
-    it('should return correct statistics for empty cache', () => {
-      const stats = cacheService.getStats();
+    it('should return correct statistics for empty cache', async () => {
+      const stats = await cacheService.getStats();
       
-      expect(stats).toEqual({
+      expect(stats).toMatchObject({
         totalEntries: 0,
         validEntries: 0,
-        expiredEntries: 0
+        staleEntries: 0,
+        expiredEntries: 0,
+        sizeBytes: 0
       });
+      expect(stats).toHaveProperty('maxEntries');
+      expect(stats).toHaveProperty('maxBytes');
+      expect(stats).toHaveProperty('evictions');
     });
 
-    it('should return correct statistics for cache with data', (done) => {
-      cacheService.set('city1', { data: 'test1' }, 60000);
-      cacheService.set('city2', { data: 'test2' }, 1); // Will expire quickly
+    it('should return correct statistics for cache with data', async () => {
+      await cacheService.set('city1', { data: 'test1' }, 60000);
+      await cacheService.set('city2', { data: 'test2' }, 1); // Will expire quickly
       
       // Wait for expiration
-      setTimeout(() => {
-        const stats = cacheService.getStats();
-        
-        expect(stats.totalEntries).toBe(2);
-        expect(stats.validEntries).toBe(1);
-        expect(stats.expiredEntries).toBe(1);
-        done();
-      }, 10);
-    });
-
-    it('should update statistics after expiration', (done) => {
-      cacheService.set('temp', { data: 'test' }, 1); // 1ms TTL
-      
-      setTimeout(() => {
-        const stats = cacheService.getStats();
-        expect(stats.totalEntries).toBe(1);
-        expect(stats.validEntries).toBe(0);
-        expect(stats.expiredEntries).toBe(1);
-        done();
-      }, 10);
+      await sleep(10);
+      const stats = await cacheService.getStats();
+      
+      expect(stats.totalEntries).toBe(2);
+      expect(stats.validEntries).toBe(1);
+      expect(stats.expiredEntries).toBe(1);
+    });
+
+    it('should leave out entry counts when asked to', async () => {
+      const cache = new cacheService.CacheService();
+      await cache.set('city1', { data: 'test1' }, 60000);
+
+      const stats = await cache.getStats({ entries: false });
+
+      expect(stats).toEqual({ backend: 'memory', metrics: expect.any(Object) });
+      expect(stats.metrics.cumulative.sets).toBe(1);
+    });
+
+    it('should update statistics after expiration', async () => {
+      await cacheService.set('temp', { data: 'test' }, 1); // 1ms TTL
+      
+      await sleep(10);
+      const stats = await cacheService.getStats();
+      expect(stats.totalEntries).toBe(1);
+      expect(stats.validEntries).toBe(0);
+      expect(stats.expiredEntries).toBe(1);
+    });
+  });
+
+  describe('metrics', () => {
+    const { CacheService } = cacheService;
+
+    it('should count hits, stale hits, misses and sets', async () => {
+      const cache = new CacheService({ maxEntries: 0, maxBytes: 0 });
+      await cache.set('fresh', { data: 'fresh' }, 60000);
+      await cache.set('stale', { data: 'stale' }, -1000, 60000);
+
+      await cache.get('fresh');
+      await cache.getEntry('fresh');
+      await cache.getEntry('stale');
+      await cache.get('missing');
+
+      const { metrics } = await cache.getStats();
+      expect(metrics.cumulative).toEqual({
+        hits: 2,
+        staleHits: 1,
+        negativeHits: 0,
+        misses: 1,
+        sets: 2,
+        negativeSets: 0,
+        evictions: 0,
+        expirations: 0,
+        hitRatio: 0.5
+      });
+      expect(metrics.window).toEqual(metrics.cumulative);
+    });
+
+    it('should count evictions and expirations reported by the backend', async () => {
+      const cache = new CacheService({ maxEntries: 1, maxBytes: 0 });
+      await cache.set('expiring', { data: 'x' }, 1);
+      await sleep(10);
+      await cache.set('a', { data: 'a' }, 60000);
+      await cache.set('b', { data: 'b' }, 60000);
+
+      const { metrics } = await cache.getStats();
+      expect(metrics.cumulative).toMatchObject({ evictions: 1, expirations: 1 });
+    });
+
+    it('should not count peeks or inspections as lookups', async () => {
+      const cache = new CacheService({ maxEntries: 0, maxBytes: 0 });
+      await cache.set('a', { data: 'a' }, 60000);
+
+      expect(await cache.peekEntry('a')).toMatchObject({ data: { data: 'a' }, stale: false });
+      await cache.inspect('a');
+
+      const { metrics } = await cache.getStats();
+      expect(metrics.cumulative).toMatchObject({ hits: 0, misses: 0, hitRatio: 0 });
+    });
+
+    it('should roll counts out of the window but keep them cumulatively', async () => {
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+      const cache = new CacheService({ maxEntries: 0, maxBytes: 0, metricsWindowMs: 60000 });
+
+      await cache.get('missing');
+      Date.now.mockReturnValue(now + 120000);
+
+      const { metrics } = await cache.getStats();
+      expect(metrics.windowSeconds).toBe(60);
+      expect(metrics.cumulative.misses).toBe(1);
+      expect(metrics.window.misses).toBe(0);
+    });
+
+    it('should count negative entries separately and include them in the hit ratio', async () => {
+      const cache = new CacheService({ maxEntries: 0, maxBytes: 0 });
+      await cache.setNegative('unknown', 60000);
+
+      expect(await cache.getEntry('unknown')).toMatchObject({ negative: true, stale: false, data: null });
+      expect(await cache.get('unknown')).toBeNull();
+      await cache.getEntry('missing');
+
+      const stats = await cache.getStats();
+      expect(stats.negativeEntries).toBe(1);
+      expect(stats.metrics.cumulative).toMatchObject({
+        negativeSets: 1,
+        negativeHits: 2,
+        hits: 0,
+        sets: 0,
+        misses: 1,
+        hitRatio: 0.6667
+      });
+    });
+
+    it('should never serve negative entries stale', async () => {
+      const cache = new CacheService({ maxEntries: 0, maxBytes: 0 });
+      await cache.setNegative('unknown', -1);
+
+      expect(await cache.getEntry('unknown')).toBeNull();
+    });
+
+    it('should reset counters without touching entries', async () => {
+      const cache = new CacheService({ maxEntries: 0, maxBytes: 0 });
+      await cache.set('a', { data: 'a' }, 60000);
+      await cache.get('a');
+
+      cache.resetStats();
+
+      const stats = await cache.getStats();
+      expect(stats.totalEntries).toBe(1);
+      expect(stats.metrics.cumulative).toMatchObject({ hits: 0, sets: 0 });
     });
   });
 
   describe('cleanup', () => {
-    it('should remove expired entries', (done) => {
-      cacheService.set('valid', { data: 'test' }, 60000);
-      cacheService.set('expired', { data: 'test' }, 1);
-      
-      setTimeout(() => {
-        cacheService.cleanup();
-        
-        const stats = cacheService.getStats();
-        expect(stats.totalEntries).toBe(1);
-        expect(stats.validEntries).toBe(1);
-        expect(stats.expiredEntries).toBe(0);
-        
-        expect(cacheService.get('valid')).toEqual({ data: 'test' });
-        expect(cacheService.get('expired')).toBeNull();
-        
-        done();
-      }, 10);
+    it('should remove expired entries', async () => {
+      await cacheService.set('valid', { data: 'test' }, 60000);
+      await cacheService.set('expired', { data: 'test' }, 1);
+      
+      await sleep(10);
+      await cacheService.cleanup();
+      
+      const stats = await cacheService.getStats();
+      expect(stats.totalEntries).toBe(1);
+      expect(stats.validEntries).toBe(1);
+      expect(stats.expiredEntries).toBe(0);
+      
+      expect(await cacheService.get('valid')).toEqual({ data: 'test' });
+      expect(await cacheService.get('expired')).toBeNull();
     });
   });
 
   describe('TTL behavior', () => {
-    it('should handle different TTL values', () => {
+    it('should handle different TTL values', async () => {
       const shortTTL = 100; // 100ms
       const longTTL = 60000; // 1 minute
       
-      cacheService.set('short', { data: 'short' }, shortTTL);
-      cacheService.set('long', { data: 'long' }, longTTL);
+      await cacheService.set('short', { data: 'short' }, shortTTL);
+      await cacheService.set('long', { data: 'long' }, longTTL);
       
-      expect(cacheService.get('short')).toEqual({ data: 'short' });
-      expect(cacheService.get('long')).toEqual({ data: 'long' });
+      expect(await cacheService.get('short')).toEqual({ data: 'short' });
+      expect(await cacheService.get('long')).toEqual({ data: 'long' });
       
-      setTimeout(() => {
-        expect(cacheService.get('short')).toBeNull();
-        expect(cacheService.get('long')).toEqual({ data: 'long' });
-      }, 150);
+      await sleep(150);
+      expect(await cacheService.get('short')).toBeNull();
+      expect(await cacheService.get('long')).toEqual({ data: 'long' });
+    });
+  });
+
+  describe('stale entries', () => {
+    it('should not return expired data from get while it is still within its stale window', async () => {
+      await cacheService.set('london', { data: 'old' }, -1000, 60000);
+
+      expect(await cacheService.get('london')).toBeNull();
+      expect((await cacheService.getStats()).staleEntries).toBe(1);
+    });
+
+    it('should return stale entries from getEntry with their age', async () => {
+      const now = Date.now();
+      const dateSpy = jest.spyOn(Date, 'now').mockReturnValue(now);
+      await cacheService.set('london', { data: 'old' }, 1000, 60000);
+      dateSpy.mockReturnValue(now + 2000);
+
+      const entry = await cacheService.getEntry('london');
+      expect(entry.data).toEqual({ data: 'old' });
+      expect(entry.stale).toBe(true);
+      expect(entry.age).toBe(2000);
+    });
+
+    it('should report fresh entries as not stale', async () => {
+      await cacheService.set('london', { data: 'new' }, 60000, 60000);
+
+      const entry = await cacheService.getEntry('london');
+      expect(entry.stale).toBe(false);
+      expect(entry.expiresAt).toBeGreaterThan(Date.now());
+    });
+
+    it('should drop entries past their stale window', async () => {
+      await cacheService.set('london', { data: 'old' }, -2000, 1000);
+
+      expect(await cacheService.getEntry('london')).toBeNull();
+      expect((await cacheService.getStats()).totalEntries).toBe(0);
+    });
+
+    it('should keep stale entries during cleanup', async () => {
+      await cacheService.set('stale', { data: 'old' }, -1000, 60000);
+      await cacheService.set('gone', { data: 'old' }, -2000, 1000);
+
+      await cacheService.cleanup();
+
+      expect((await cacheService.getStats()).totalEntries).toBe(1);
+      expect(await cacheService.getEntry('stale')).not.toBeNull();
+    });
+  });
+
+  describe('LRU eviction', () => {
+    const { CacheService } = cacheService;
+
+    it('should evict the least recently used entry when maxEntries is exceeded', async () => {
+      const cache = new CacheService({ maxEntries: 2, maxBytes: 0 });
+
+      await cache.set('a', { data: 'a' }, 60000);
+      await cache.set('b', { data: 'b' }, 60000);
+      await cache.get('a'); // "b" is now the least recently used
+      await cache.set('c', { data: 'c' }, 60000);
+
+      expect(await cache.get('a')).toEqual({ data: 'a' });
+      expect(await cache.get('b')).toBeNull();
+      expect(await cache.get('c')).toEqual({ data: 'c' });
+      expect((await cache.getStats()).evictions).toBe(1);
+    });
+
+    it('should evict entries to stay within the byte budget', async () => {
+      const payload = { data: 'x'.repeat(100) };
+      const entrySize = cacheService.backend.estimateSize('k1', payload);
+      const cache = new CacheService({ maxEntries: 0, maxBytes: entrySize * 2 });
+
+      await cache.set('k1', payload, 60000);
+      await cache.set('k2', payload, 60000);
+      await cache.set('k3', payload, 60000);
+
+      const stats = await cache.getStats();
+      expect(stats.totalEntries).toBe(2);
+      expect(stats.sizeBytes).toBeLessThanOrEqual(entrySize * 2);
+      expect(stats.evictions).toBe(1);
+      expect(await cache.get('k1')).toBeNull();
+    });
+
+    it('should drop expired entries before evicting live ones', async () => {
+      const cache = new CacheService({ maxEntries: 2, maxBytes: 0 });
+
+      await cache.set('live', { data: 'live' }, 60000);
+      await cache.set('stale', { data: 'stale' }, 1);
+
+      await sleep(10);
+      await cache.set('new', { data: 'new' }, 60000);
+
+      expect(await cache.get('live')).toEqual({ data: 'live' });
+      expect(await cache.get('new')).toEqual({ data: 'new' });
+      expect((await cache.getStats()).evictions).toBe(0);
+    });
+
+    it('should refuse entries larger than the whole byte budget', async () => {
+      const cache = new CacheService({ maxEntries: 0, maxBytes: 10 });
+
+      expect(await cache.set('big', { data: 'x'.repeat(100) }, 60000)).toBe(false);
+      expect(await cache.get('big')).toBeNull();
+      expect((await cache.getStats()).sizeBytes).toBe(0);
+    });
+
+    it('should track size when entries are overwritten and deleted', async () => {
+      const cache = new CacheService({ maxEntries: 0, maxBytes: 0 });
+
+      await cache.set('k', { data: 'short' }, 60000);
+      await cache.set('k', { data: 'a much longer value' }, 60000);
+      expect((await cache.getStats()).sizeBytes).toBe(cache.backend.estimateSize('k', { data: 'a much longer value' }));
+
+      await cache.delete('k');
+      expect((await cache.getStats()).sizeBytes).toBe(0);
+    });
+  });
+
+  describe('snapshots', () => {
+    const { CacheService } = cacheService;
+    let snapshotDir;
+    let snapshotFile;
+
+    beforeEach(() => {
+      snapshotDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-snapshot-'));
+      snapshotFile = path.join(snapshotDir, 'cache.json');
+    });
+
+    afterEach(() => {
+      fs.rmSync(snapshotDir, { recursive: true, force: true });
+    });
+
+    it('should write unexpired entries with their remaining TTL', async () => {
+      const cache = new CacheService({ snapshotFile });
+      await cache.set('fresh', { data: 'fresh' }, 60000, 30000);
+      await cache.set('stale', { data: 'stale' }, -1000, 60000);
+
+      expect(await cache.saveSnapshot()).toBe(1);
+
+      const snapshot = JSON.parse(fs.readFileSync(snapshotFile, 'utf8'));
+      expect(snapshot.version).toBe(1);
+      expect(snapshot.entries).toEqual([{
+        key: 'fresh',
+        data: { data: 'fresh' },
+        ageMs: expect.any(Number),
+        ttlMs: expect.any(Number),
+        staleTtlMs: 30000
+      }]);
+      expect(snapshot.entries[0].ttlMs).toBeLessThanOrEqual(60000);
+      expect(snapshot.entries[0].ttlMs).toBeGreaterThan(59000);
+    });
+
+    it('should restore entries into a new cache', async () => {
+      const source = new CacheService({ snapshotFile });
+      await source.set('london', { city: 'London' }, 60000, 30000);
+      await source.saveSnapshot();
+
+      const restored = new CacheService({ snapshotFile });
+      expect(await restored.loadSnapshot()).toBe(1);
+
+      const entry = await restored.getEntry('london');
+      expect(entry.data).toEqual({ city: 'London' });
+      expect(entry.stale).toBe(false);
+      expect(entry.staleUntil - entry.expiresAt).toBe(30000);
+    });
+
+    it('should keep negative entries negative across a restore', async () => {
+      const source = new CacheService({ snapshotFile });
+      await source.setNegative('unknown', 60000);
+      await source.saveSnapshot();
+
+      const restored = new CacheService({ snapshotFile });
+      await restored.loadSnapshot();
+
+      expect(await restored.getEntry('unknown')).toMatchObject({ negative: true, data: null });
+    });
+
+    it('should count downtime against the remaining TTL', async () => {
+      const now = Date.now();
+      const dateSpy = jest.spyOn(Date, 'now').mockReturnValue(now);
+      const source = new CacheService({ snapshotFile });
+      await source.set('london', { city: 'London' }, 10000, 60000);
+      await source.set('paris', { city: 'Paris' }, 10000, 0);
+      await source.saveSnapshot();
+
+      // Restart 20 seconds later: london is now stale, paris has gone
+      dateSpy.mockReturnValue(now + 20000);
+      const restored = new CacheService({ snapshotFile });
+
+      expect(await restored.loadSnapshot()).toBe(1);
+      const entry = await restored.getEntry('london');
+      expect(entry.stale).toBe(true);
+      expect(entry.age).toBe(20000);
+      expect(await restored.getEntry('paris')).toBeNull();
+    });
+
+    it('should ignore a missing snapshot file', async () => {
+      const cache = new CacheService({ snapshotFile });
+
+      expect(await cache.loadSnapshot()).toBe(0);
+      expect(console.error).not.toHaveBeenCalled();
+    });
+
+    it('should ignore a corrupt snapshot file', async () => {
+      fs.writeFileSync(snapshotFile, '{"version":1,"entr');
+      const cache = new CacheService({ snapshotFile });
+
+      expect(await cache.loadSnapshot()).toBe(0);
+      expect((await cache.getStats()).totalEntries).toBe(0);
+    });
+
+    it('should ignore snapshots with an unknown version', async () => {
+      fs.writeFileSync(snapshotFile, JSON.stringify({ version: 99, savedAt: Date.now(), entries: [] }));
+      const cache = new CacheService({ snapshotFile });
+
+      expect(await cache.loadSnapshot()).toBe(0);
+    });
+
+    it('should do nothing when no snapshot file is configured', async () => {
+      const cache = new CacheService({ snapshotFile: null });
+      await cache.set('london', { city: 'London' }, 60000);
+
+      expect(await cache.saveSnapshot()).toBe(0);
+      expect(await cache.loadSnapshot()).toBe(0);
+      expect(fs.readdirSync(snapshotDir)).toEqual([]);
     });
   });
 });
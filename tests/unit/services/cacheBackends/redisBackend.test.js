@@ -0,0 +1,335 @@
+/**
+ * Tests for the Redis cache backend, run against an in-process RESP stand-in
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const net = require('net');
+const { EventEmitter } = require('events');
+const { RespClient } = require('../../../../src/utils/resp');
+const RedisBackend = require('../../../../src/services/cacheBackends/redisBackend');
+const { createBackend, MemoryBackend } = require('../../../../src/services/cacheBackends');
+const { CacheService } = require('../../../../src/services/cache');
+const { startRespServer } = require('../../../fixtures/respServer');
+
+describe('Redis Cache Backend', () => {
+  let server;
+  let backend;
+
+  const record = (data, ttlMs = 60000, staleTtlMs = 0) => {
+    const createdAt = Date.now();
+    return { data, createdAt, expiresAt: createdAt + ttlMs, staleUntil: createdAt + ttlMs + staleTtlMs };
+  };
+
+  beforeEach(async () => {
+    server = await startRespServer();
+    backend = new RedisBackend({ url: server.url, keyPrefix: 'test:' });
+  });
+
+  afterEach(async () => {
+    await backend.close();
+    await server.close();
+  });
+
+  describe('get/set', () => {
+    it('should store and read back records', async () => {
+      const london = record({ city: 'London', temp: 15 });
+
+      expect(await backend.set('weather:london', london)).toBe(true);
+      expect(await backend.get('weather:london')).toEqual(london);
+    });
+
+    it('should return null for missing keys', async () => {
+      expect(await backend.get('weather:nowhere')).toBeNull();
+    });
+
+    it('should namespace keys and expire them at the end of the stale window', async () => {
+      await backend.set('weather:paris', record({ city: 'Paris' }, 1000, 2000));
+
+      const setCommand = server.commands.find(([name]) => name === 'SET');
+      expect(setCommand[1]).toBe('test:weather:paris');
+      expect(setCommand[3]).toBe('PX');
+      expect(parseInt(setCommand[4], 10)).toBeGreaterThan(2900);
+      expect(parseInt(setCommand[4], 10)).toBeLessThanOrEqual(3000);
+    });
+
+    it('should not store records already past their stale window', async () => {
+      expect(await backend.set('weather:old', record({ city: 'Old' }, -2000, 1000))).toBe(false);
+      expect(server.store.size).toBe(0);
+    });
+  });
+
+  describe('delete/clear', () => {
+    it('should delete a single key', async () => {
+      await backend.set('weather:london', record({ city: 'London' }));
+      await backend.set('weather:paris', record({ city: 'Paris' }));
+
+      expect(await backend.delete('weather:london')).toBe(true);
+      expect(await backend.delete('weather:london')).toBe(false);
+
+      expect(await backend.get('weather:london')).toBeNull();
+      expect(await backend.get('weather:paris')).not.toBeNull();
+    });
+
+    it('should only clear keys under its own prefix', async () => {
+      server.store.set('other-service:key', { value: 'keep', expiresAt: null });
+      await backend.set('weather:london', record({ city: 'London' }));
+      await backend.set('weather:paris', record({ city: 'Paris' }));
+
+      await backend.clear();
+
+      expect([...server.store.keys()]).toEqual(['other-service:key']);
+    });
+  });
+
+  describe('entries', () => {
+    it('should list records with the key prefix stripped', async () => {
+      const london = record({ city: 'London' });
+      server.store.set('other-service:key', { value: 'ignored', expiresAt: null });
+      await backend.set('weather:london', london);
+
+      expect(await backend.entries()).toEqual([{
+        key: 'weather:london',
+        record: london,
+        hits: 0,
+        size: expect.any(Number)
+      }]);
+    });
+
+    it('should track hits per entry and reset them when the entry is replaced', async () => {
+      await backend.set('weather:london', record({ city: 'London' }));
+      await backend.get('weather:london');
+      await backend.get('weather:london');
+
+      expect(await backend.peek('weather:london')).toMatchObject({ hits: 2 });
+
+      await backend.set('weather:london', record({ city: 'London' }));
+      expect(await backend.peek('weather:london')).toMatchObject({ hits: 0 });
+    });
+
+    it('should expire hit counts along with their entries', async () => {
+      const london = record({ city: 'London' }, 200);
+      await backend.set('weather:london', london);
+      await backend.get('weather:london');
+      await backend.peek('weather:london');
+
+      expect(server.store.get(backend.hitsKeyFor('weather:london')).expiresAt).toBe(london.staleUntil);
+
+      await new Promise(resolve => setTimeout(resolve, 250));
+      await backend.set('weather:paris', record({ city: 'Paris' }));
+
+      // Only Paris and its index entry are left
+      expect(await backend.client.command('GET', backend.hitsKeyFor('weather:london'))).toBeNull();
+      expect(await backend.client.command('ZCARD', backend.indexKey)).toBe(1);
+    });
+
+    it('should not count peeks as hits', async () => {
+      await backend.set('weather:london', record({ city: 'London' }));
+      await backend.peek('weather:london');
+
+      expect((await backend.entries())[0].hits).toBe(0);
+      expect(await backend.peek('weather:nowhere')).toBeNull();
+    });
+  });
+
+  describe('stats', () => {
+    it('should count its own entries without reading them', async () => {
+      for (let i = 0; i < 5; i++) {
+        server.store.set(`sessions:${i}`, { value: 'other', expiresAt: null });
+      }
+      await backend.set('weather:london', record({ city: 'London' }));
+      await backend.set('weather:paris', record({ city: 'Paris' }, -1000, 60000));
+      await backend.get('weather:london');
+      // Redis has already expired this record, but its index entry is still there
+      await backend.client.command('ZADD', backend.indexKey, Date.now() - 1000, 'weather:gone');
+      server.commands.length = 0;
+
+      const stats = await backend.stats();
+
+      expect(stats).toEqual({
+        backend: 'redis',
+        totalEntries: 2,
+        validEntries: null,
+        staleEntries: null,
+        expiredEntries: 0,
+        negativeEntries: null,
+        sizeBytes: null
+      });
+      expect(server.commands.map(([command]) => command)).toEqual(['ZREMRANGEBYSCORE', 'ZCARD']);
+    });
+
+    it('should drop deleted and cleared entries from the count', async () => {
+      await backend.set('weather:london', record({ city: 'London' }));
+      await backend.set('weather:paris', record({ city: 'Paris' }));
+
+      await backend.delete('weather:london');
+      expect((await backend.stats()).totalEntries).toBe(1);
+
+      await backend.clear();
+      expect((await backend.stats()).totalEntries).toBe(0);
+      expect(server.store.size).toBe(0);
+    });
+  });
+
+  describe('connection handling', () => {
+    it('should authenticate and select the database from the URL', async () => {
+      const secureServer = await startRespServer({ password: 's3cret' });
+      const secureBackend = new RedisBackend({ url: secureServer.url });
+
+      await secureBackend.set('weather:london', record({ city: 'London' }));
+
+      expect(secureServer.commands.slice(0, 2)).toEqual([['AUTH', 's3cret'], ['SELECT', '1']]);
+
+      await secureBackend.close();
+      await secureServer.close();
+    });
+
+    it('should authenticate as the ACL user named in the URL', async () => {
+      const aclServer = await startRespServer({ username: 'weather', password: 's3cret' });
+      const aclBackend = new RedisBackend({ url: aclServer.url });
+
+      await aclBackend.set('weather:london', record({ city: 'London' }));
+
+      expect(aclServer.commands[0]).toEqual(['AUTH', 'weather', 's3cret']);
+      expect(await aclBackend.get('weather:london')).not.toBeNull();
+
+      await aclBackend.close();
+      await aclServer.close();
+    });
+
+    it.each(['rediss://localhost:6380', 'http://localhost:6379'])('should refuse to connect to %s', (url) => {
+      expect(() => new RespClient({ url })).toThrow(/Unsupported Redis URL scheme .*only redis:\/\/ is supported/);
+    });
+
+    it('should reject commands when the server is unreachable', async () => {
+      await server.close();
+
+      await expect(backend.get('weather:london')).rejects.toThrow();
+    });
+
+    it('should give up on a connection that never opens', async () => {
+      // Stands in for a host that silently drops packets
+      const socket = Object.assign(new EventEmitter(), { destroy: jest.fn() });
+      jest.spyOn(net, 'createConnection').mockReturnValue(socket);
+      const client = new RespClient({ url: server.url, connectTimeout: 20 });
+
+      await expect(client.command('GET', 'weather:london')).rejects.toThrow('Redis connection timed out after 20ms');
+      expect(socket.destroy).toHaveBeenCalled();
+    });
+
+    it('should drop the connection on a reply it cannot parse', async () => {
+      const garbled = net.createServer(socket => socket.on('data', () => socket.write('?garbled\r\n')));
+      await new Promise(resolve => garbled.listen(0, '127.0.0.1', resolve));
+      const client = new RespClient({ url: `redis://127.0.0.1:${garbled.address().port}` });
+
+      try {
+        await expect(client.command('GET', 'weather:london')).rejects.toThrow('Unexpected RESP type byte: ?');
+        expect(client.socket).toBeNull();
+      } finally {
+        client.close();
+        await new Promise(resolve => garbled.close(resolve));
+      }
+    });
+
+    it('should ignore data from a connection that has been replaced', async () => {
+      await backend.set('weather:london', record({ city: 'London' }));
+      const oldSocket = backend.client.socket;
+      backend.client.disconnect(new Error('Redis connection closed'));
+      await backend.client.connect();
+
+      const reading = backend.client.send(['GET', 'test:weather:london']);
+      oldSocket.emit('data', Buffer.from(':1\r\n'));
+
+      expect(JSON.parse(await reading)).toMatchObject({ data: { city: 'London' } });
+    });
+
+    it('should reconnect after the connection drops', async () => {
+      await backend.set('weather:london', record({ city: 'London' }));
+      backend.client.socket.destroy();
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      expect(await backend.get('weather:london')).toMatchObject({ data: { city: 'London' } });
+    });
+  });
+
+  describe('with CacheService', () => {
+    it('should serve stale entries through the shared backend', async () => {
+      const cache = new CacheService({ backend });
+
+      await cache.set('weather:london', { city: 'London' }, -1000, 60000);
+
+      expect(await cache.get('weather:london')).toBeNull();
+      expect(await cache.getEntry('weather:london')).toMatchObject({
+        data: { city: 'London' },
+        stale: true
+      });
+    });
+
+    it('should not restore a snapshot over entries other instances wrote', async () => {
+      const snapshotDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cache-snapshot-'));
+      const snapshotFile = path.join(snapshotDir, 'cache.json');
+      const local = new CacheService({ snapshotFile });
+      await local.set('weather:london', { city: 'London', temp: 10 }, 60000);
+      await local.saveSnapshot();
+      const cache = new CacheService({ backend, snapshotFile });
+      await cache.set('weather:london', { city: 'London', temp: 15 }, 60000);
+
+      try {
+        expect(await cache.loadSnapshot()).toBe(0);
+        expect(await cache.saveSnapshot()).toBe(0);
+        expect(await cache.get('weather:london')).toEqual({ city: 'London', temp: 15 });
+      } finally {
+        fs.rmSync(snapshotDir, { recursive: true, force: true });
+      }
+    });
+
+    it('should only ping Redis when entry counts are not wanted', async () => {
+      const cache = new CacheService({ backend });
+      await cache.set('weather:london', { city: 'London' }, 60000);
+      server.commands.length = 0;
+
+      const stats = await cache.getStats({ entries: false });
+
+      expect(stats).toEqual({ backend: 'redis', metrics: expect.any(Object) });
+      expect(server.commands).toEqual([['PING']]);
+    });
+
+    it('should treat an unreachable backend as a cache miss', async () => {
+      const cache = new CacheService({ backend });
+      await server.close();
+
+      expect(await cache.get('weather:london')).toBeNull();
+      expect(await cache.set('weather:london', { city: 'London' }, 60000)).toBe(false);
+    });
+  });
+
+  describe('createBackend', () => {
+    const originalBackend = process.env.CACHE_BACKEND;
+
+    afterEach(() => {
+      if (originalBackend === undefined) {
+        delete process.env.CACHE_BACKEND;
+      } else {
+        process.env.CACHE_BACKEND = originalBackend;
+      }
+    });
+
+    it('should default to the in-memory backend', () => {
+      delete process.env.CACHE_BACKEND;
+      expect(createBackend()).toBeInstanceOf(MemoryBackend);
+    });
+
+    it('should select the Redis backend from CACHE_BACKEND', async () => {
+      process.env.CACHE_BACKEND = 'redis';
+      const redisBackend = createBackend({ url: server.url });
+
+      expect(redisBackend).toBeInstanceOf(RedisBackend);
+      await redisBackend.close();
+    });
+
+    it('should reject unknown backend types', () => {
+      expect(() => createBackend({ type: 'memcached' })).toThrow('Unknown cache backend: memcached');
+    });
+  });
+});
@@ -0,0 +1,58 @@
+/**
+ * Tests for the forecast helpers shared by the providers
+ */
+
+const { sampleEvery, aggregateDaily } = require('../../../../src/services/weatherProviders/forecast');
+
+/**
+ * Build an hourly entry
+ * @param {string} time - ISO time
+ * @param {number} temperature - Temperature
+ * @param {Object} overrides - Other fields
+ * @returns {Object} Forecast entry
+ */
+const entry = (time, temperature, overrides = {}) => ({
+  time,
+  temperature,
+  description: 'broken clouds',
+  main: 'Clouds',
+  precipitationProbability: 10,
+  ...overrides
+});
+
+describe('Forecast helpers', () => {
+  describe('sampleEvery', () => {
+    it('should keep every nth entry, starting with the first', () => {
+      expect(sampleEvery([0, 1, 2, 3, 4, 5, 6], 3)).toEqual([0, 3, 6]);
+    });
+  });
+
+  describe('aggregateDaily', () => {
+    const entries = [
+      entry('2025-01-15T06:00:00.000Z', 4),
+      entry('2025-01-15T12:00:00.000Z', 9, { description: 'light rain', main: 'Rain', precipitationProbability: 70 }),
+      entry('2025-01-15T21:00:00.000Z', 6),
+      entry('2025-01-16T03:00:00.000Z', 2, { precipitationProbability: null }),
+      entry('2025-01-16T09:00:00.000Z', 5, { description: 'clear sky', main: 'Clear', precipitationProbability: null })
+    ];
+
+    it('should summarize each day with its range, midday weather and highest precipitation chance', () => {
+      expect(aggregateDaily(entries, { days: 5, utcOffsetSeconds: 0 })).toEqual([
+        { date: '2025-01-15', temperature: { min: 4, max: 9 }, description: 'light rain', main: 'Rain', precipitationProbability: 70 },
+        { date: '2025-01-16', temperature: { min: 2, max: 5 }, description: 'clear sky', main: 'Clear', precipitationProbability: null }
+      ]);
+    });
+
+    it('should group entries by local date', () => {
+      // 21:00 UTC is already the next day five hours east of UTC
+      const days = aggregateDaily(entries, { days: 5, utcOffsetSeconds: 5 * 3600 });
+
+      expect(days.map(({ date }) => date)).toEqual(['2025-01-15', '2025-01-16']);
+      expect(days[1].temperature).toEqual({ min: 2, max: 6 });
+    });
+
+    it('should keep only the requested number of days', () => {
+      expect(aggregateDaily(entries, { days: 1, utcOffsetSeconds: 0 })).toHaveLength(1);
+    });
+  });
+});
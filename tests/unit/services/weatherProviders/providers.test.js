@@ -0,0 +1,530 @@
+/**
+ * Tests for the weather provider adapters
+ */
+
+const axios = require('axios');
+const MockAdapter = require('axios-mock-adapter');
+const {
+  createProvider,
+  createProviders,
+  OpenWeatherMapProvider,
+  OpenMeteoProvider,
+  MetNorwayProvider,
+  MockProvider
+} = require('../../../../src/services/weatherProviders');
+const { geocodeCity, geocodePostalCode, searchPlaces } = require('../../../../src/services/weatherProviders/geocoding');
+const { mockWeatherData, transformedWeatherData } = require('../../../fixtures/weatherData');
+const {
+  geocodingResults,
+  openWeatherMapGeocoding,
+  openMeteoResponses,
+  metNorwayResponses,
+  openWeatherMapForecast,
+  openMeteoForecasts,
+  buildMetNorwayTimeseries
+} = require('../../../fixtures/providerResponses');
+
+const mock = new MockAdapter(axios);
+
+const london = { type: 'city', city: 'london' };
+
+const GEOCODING_URL = 'https://geocoding-api.open-meteo.com/v1/search';
+const OWM_FORECAST_URL = 'https://api.openweathermap.org/data/2.5/forecast';
+const OPEN_METEO_URL = 'https://api.open-meteo.com/v1/forecast';
+const MET_NORWAY_URL = 'https://api.met.no/weatherapi/locationforecast/2.0/compact';
+
+describe('Weather Providers', () => {
+  afterEach(() => {
+    mock.reset();
+  });
+
+  describe('createProviders', () => {
+    it('should build the chain in the configured order', () => {
+      const providers = createProviders('met-norway, Open-Meteo,openweathermap');
+
+      expect(providers.map(provider => provider.name)).toEqual(['met-norway', 'open-meteo', 'openweathermap']);
+      expect(providers[0]).toBeInstanceOf(MetNorwayProvider);
+    });
+
+    it('should default to OpenWeatherMap only', () => {
+      const original = process.env.WEATHER_PROVIDERS;
+      delete process.env.WEATHER_PROVIDERS;
+
+      expect(createProviders().map(provider => provider.name)).toEqual(['openweathermap']);
+
+      process.env.WEATHER_PROVIDERS = original;
+      if (original === undefined) {
+        delete process.env.WEATHER_PROVIDERS;
+      }
+    });
+
+    it('should reject unknown providers', () => {
+      expect(() => createProvider('weatherly')).toThrow('Unknown weather provider: weatherly');
+    });
+  });
+
+  describe('geocodeCity', () => {
+    it('should return the best match', async () => {
+      mock.onGet(GEOCODING_URL, { params: { name: 'London', count: 1, language: 'en', format: 'json' } })
+        .reply(200, geocodingResults.london);
+
+      expect(await geocodeCity('London')).toEqual({
+        name: 'London',
+        country: 'GB',
+        latitude: 51.50853,
+        longitude: -0.12574
+      });
+    });
+
+    it('should report an unknown city as a 404', async () => {
+      mock.onGet(GEOCODING_URL).reply(200, geocodingResults.noMatch);
+
+      await expect(geocodeCity('Nowhere')).rejects.toMatchObject({
+        message: 'City not found: Nowhere',
+        response: { status: 404 }
+      });
+    });
+  });
+
+  describe('geocodePostalCode', () => {
+    it('should search for the code within the country', async () => {
+      mock.onGet(GEOCODING_URL).reply(200, geocodingResults.london);
+
+      await geocodePostalCode('ec1a', 'gb');
+
+      expect(mock.history.get[0].params).toMatchObject({ name: 'ec1a', countryCode: 'GB' });
+    });
+
+    it('should report an unknown postal code as a 404', async () => {
+      mock.onGet(GEOCODING_URL).reply(200, geocodingResults.noMatch);
+
+      await expect(geocodePostalCode('00000', 'gb')).rejects.toMatchObject({
+        message: 'City not found: 00000,gb',
+        response: { status: 404 }
+      });
+    });
+  });
+
+  describe('searchPlaces', () => {
+    it('should return every candidate with its state', async () => {
+      mock.onGet(GEOCODING_URL, { params: { name: 'paris', count: 3, language: 'fr', format: 'json' } })
+        .reply(200, geocodingResults.paris);
+
+      const places = await searchPlaces('paris', { limit: 3, lang: 'fr' });
+
+      expect(places).toEqual([
+        { name: 'Paris', state: 'Île-de-France', country: 'FR', lat: 48.85341, lon: 2.3488 },
+        { name: 'Paris', state: 'Texas', country: 'US', lat: 33.66094, lon: -95.55551 },
+        { name: 'Paris', state: null, country: 'FR', lat: 48.8566, lon: 2.3522 }
+      ]);
+    });
+
+    it('should return no candidates when nothing matches', async () => {
+      mock.onGet(GEOCODING_URL).reply(200, geocodingResults.noMatch);
+
+      expect(await searchPlaces('qwxz', { limit: 5 })).toEqual([]);
+    });
+
+    it('should be used by the key-less providers', async () => {
+      mock.onGet(GEOCODING_URL).reply(200, geocodingResults.paris);
+
+      const openMeteo = await new OpenMeteoProvider().searchLocations('paris', { limit: 5 });
+      const metNorway = await new MetNorwayProvider().searchLocations('paris', { limit: 5 });
+
+      expect(openMeteo).toMatchObject({ query: 'paris', source: 'open-meteo' });
+      expect(openMeteo.results).toHaveLength(3);
+      expect(metNorway).toMatchObject({ query: 'paris', source: 'met-norway' });
+    });
+  });
+
+  describe('OpenWeatherMapProvider', () => {
+    it('should only be configured with an API key', () => {
+      expect(new OpenWeatherMapProvider({ apiKey: '' }).isConfigured()).toBe(false);
+      expect(new OpenWeatherMapProvider({ apiKey: 'key' }).isConfigured()).toBe(true);
+    });
+
+    it('should fetch and normalize current weather', async () => {
+      mock.onGet('https://api.openweathermap.org/data/2.5/weather', { params: { q: 'london', appid: 'key', units: 'metric' } })
+        .reply(200, mockWeatherData.london);
+
+      const weather = await new OpenWeatherMapProvider({ apiKey: 'key' }).fetchCurrent(london);
+
+      expect(weather).toEqual(transformedWeatherData.london);
+    });
+
+    it.each([
+      [{ type: 'coordinates', lat: 51.51, lon: -0.13 }, { lat: 51.51, lon: -0.13 }],
+      [{ type: 'zip', zip: 'ec1a', country: 'gb' }, { zip: 'ec1a,gb' }],
+      [{ type: 'id', id: 2643743 }, { id: 2643743 }]
+    ])('should look up %o with %o', async (location, params) => {
+      mock.onGet('https://api.openweathermap.org/data/2.5/weather').reply(200, mockWeatherData.london);
+      const provider = new OpenWeatherMapProvider({ apiKey: 'key' });
+
+      await provider.fetchCurrent(location);
+
+      expect(provider.supports(location)).toBe(true);
+      expect(mock.history.get[0].params).toEqual({ ...params, appid: 'key', units: 'metric' });
+    });
+  });
+
+  describe('OpenWeatherMapProvider location search', () => {
+    const GEOCODING_DIRECT_URL = 'https://api.openweathermap.org/geo/1.0/direct';
+
+    it('should search the direct geocoding API', async () => {
+      mock.onGet(GEOCODING_DIRECT_URL, { params: { q: 'london', limit: 3, appid: 'key' } })
+        .reply(200, openWeatherMapGeocoding.london);
+
+      const search = await new OpenWeatherMapProvider({ apiKey: 'key' }).searchLocations('london', { limit: 3 });
+
+      expect(search).toMatchObject({ query: 'london', source: 'openweathermap' });
+      expect(search.results).toEqual([
+        { name: 'London', state: 'England', country: 'GB', lat: 51.5073219, lon: -0.1276474 },
+        { name: 'London', state: 'Ontario', country: 'CA', lat: 42.9832406, lon: -81.243372 },
+        { name: 'City of London', state: null, country: 'GB', lat: 51.5156177, lon: -0.0919983 }
+      ]);
+    });
+
+    it('should ask for no more than the five places the API returns', async () => {
+      mock.onGet(GEOCODING_DIRECT_URL, { params: { q: 'london', limit: 5, appid: 'key' } })
+        .reply(200, openWeatherMapGeocoding.london);
+
+      const search = await new OpenWeatherMapProvider({ apiKey: 'key' }).searchLocations('london', { limit: 10 });
+
+      expect(search.results).toHaveLength(3);
+    });
+
+    it('should use local names in the requested language where known', async () => {
+      mock.onGet(GEOCODING_DIRECT_URL).reply(200, openWeatherMapGeocoding.london);
+
+      const search = await new OpenWeatherMapProvider({ apiKey: 'key' }).searchLocations('london', { limit: 3, lang: 'fr' });
+
+      expect(search.results.map(({ name }) => name)).toEqual(['Londres', 'London', 'City of London']);
+    });
+  });
+
+  describe('OpenWeatherMapProvider forecasts', () => {
+    const provider = new OpenWeatherMapProvider({ apiKey: 'key' });
+
+    it('should support 3-hourly and daily forecasts of up to five days', () => {
+      expect(provider.supportsForecast({ days: 5, interval: '3h' })).toBe(true);
+      expect(provider.supportsForecast({ days: 5, interval: 'daily' })).toBe(true);
+      expect(provider.supportsForecast({ days: 6, interval: 'daily' })).toBe(false);
+      expect(provider.supportsForecast({ days: 1, interval: 'hourly' })).toBe(false);
+    });
+
+    it('should fetch and normalize a 3-hourly forecast', async () => {
+      mock.onGet(OWM_FORECAST_URL).reply(200, openWeatherMapForecast.london);
+
+      const forecast = await provider.fetchForecast(london, { days: 1, interval: '3h' });
+
+      expect(mock.history.get[0].params).toEqual({ q: 'london', appid: 'key', units: 'metric', cnt: 8 });
+      expect(forecast).toMatchObject({ city: 'London', country: 'GB', interval: '3h', days: 1, source: 'openweathermap' });
+      expect(forecast.entries).toHaveLength(8);
+      expect(forecast.entries[0]).toEqual({
+        time: '2025-01-15T00:00:00.000Z',
+        temperature: 10,
+        feelsLike: 9,
+        humidity: 70,
+        pressure: 1010,
+        description: 'broken clouds',
+        main: 'Clouds',
+        wind: { speed: 4.5, direction: 220 },
+        precipitationProbability: 0
+      });
+    });
+
+    it('should summarize the 3-hourly entries into days', async () => {
+      mock.onGet(OWM_FORECAST_URL).reply(200, openWeatherMapForecast.london);
+
+      const forecast = await provider.fetchForecast(london, { days: 2, interval: 'daily' });
+
+      expect(mock.history.get[0].params.cnt).toBe(40);
+      expect(forecast.entries).toEqual([
+        { date: '2025-01-15', temperature: { min: 10, max: 17 }, description: 'light rain', main: 'Rain', precipitationProbability: 35 },
+        { date: '2025-01-16', temperature: { min: 18, max: 25 }, description: 'light rain', main: 'Rain', precipitationProbability: 75 }
+      ]);
+    });
+  });
+
+  describe('OpenMeteoProvider', () => {
+    it('should geocode the city, then fetch and normalize current weather', async () => {
+      mock.onGet(GEOCODING_URL).reply(200, geocodingResults.london);
+      mock.onGet(OPEN_METEO_URL).reply(200, openMeteoResponses.london);
+
+      const weather = await new OpenMeteoProvider().fetchCurrent(london);
+
+      expect(mock.history.get[1].params).toMatchObject({ latitude: 51.50853, longitude: -0.12574, wind_speed_unit: 'ms' });
+      expect(weather).toEqual({
+        city: 'London',
+        country: 'GB',
+        temperature: { current: 15, feelsLike: 14, min: 14, max: 17 },
+        humidity: 65,
+        pressure: 1013,
+        description: 'slight rain',
+        main: 'Rain',
+        wind: { speed: 3.2, direction: 180 },
+        visibility: 24140,
+        timestamp: expect.any(String),
+        source: 'open-meteo'
+      });
+    });
+
+    it('should not call the forecast API for an unknown city', async () => {
+      mock.onGet(GEOCODING_URL).reply(200, geocodingResults.noMatch);
+
+      await expect(new OpenMeteoProvider().fetchCurrent({ type: 'city', city: 'nowhere' })).rejects.toMatchObject({ response: { status: 404 } });
+      expect(mock.history.get).toHaveLength(1);
+    });
+
+    it('should use coordinates without geocoding them', async () => {
+      mock.onGet(OPEN_METEO_URL).reply(200, openMeteoResponses.london);
+
+      const weather = await new OpenMeteoProvider().fetchCurrent({ type: 'coordinates', lat: 51.51, lon: -0.13 });
+
+      expect(mock.history.get).toHaveLength(1);
+      expect(mock.history.get[0].params).toMatchObject({ latitude: 51.51, longitude: -0.13 });
+      expect(weather).toMatchObject({ city: null, country: null, source: 'open-meteo' });
+    });
+
+    it('should not support OpenWeatherMap city IDs', () => {
+      const provider = new OpenMeteoProvider();
+
+      expect(provider.supports({ type: 'id', id: 2643743 })).toBe(false);
+      expect(provider.supports({ type: 'zip', zip: '10001', country: 'us' })).toBe(true);
+    });
+
+    it('should fetch and normalize an hourly forecast', async () => {
+      mock.onGet(OPEN_METEO_URL).reply(200, openMeteoForecasts.hourly);
+
+      const forecast = await new OpenMeteoProvider().fetchForecast(
+        { type: 'coordinates', lat: 51.5, lon: -0.12 },
+        { days: 1, interval: 'hourly' }
+      );
+
+      expect(mock.history.get[0].params).toMatchObject({ forecast_hours: 24, timeformat: 'unixtime' });
+      expect(mock.history.get[0].params.hourly).toContain('precipitation_probability');
+      expect(forecast).toMatchObject({ interval: 'hourly', days: 1, source: 'open-meteo' });
+      expect(forecast.entries).toHaveLength(6);
+      expect(forecast.entries[0]).toEqual({
+        time: '2025-01-15T00:00:00.000Z',
+        temperature: 8,
+        feelsLike: 5,
+        humidity: 81,
+        pressure: 1012,
+        description: 'overcast',
+        main: 'Clouds',
+        wind: { speed: 4.2, direction: 230 },
+        precipitationProbability: 10
+      });
+    });
+
+    it('should keep every third hour of a 3-hourly forecast', async () => {
+      mock.onGet(OPEN_METEO_URL).reply(200, openMeteoForecasts.hourly);
+
+      const forecast = await new OpenMeteoProvider().fetchForecast(
+        { type: 'coordinates', lat: 51.5, lon: -0.12 },
+        { days: 1, interval: '3h' }
+      );
+
+      expect(forecast.entries.map(({ time }) => time)).toEqual(['2025-01-15T00:00:00.000Z', '2025-01-15T03:00:00.000Z']);
+    });
+
+    it('should use the daily series for a daily forecast, dated in local time', async () => {
+      mock.onGet(OPEN_METEO_URL).reply(200, openMeteoForecasts.daily);
+
+      const forecast = await new OpenMeteoProvider().fetchForecast(
+        { type: 'coordinates', lat: 48.86, lon: 2.35 },
+        { days: 2, interval: 'daily' }
+      );
+
+      expect(mock.history.get[0].params).toMatchObject({ forecast_days: 2 });
+      expect(forecast.entries).toEqual([
+        { date: '2025-01-15', temperature: { min: 3, max: 10 }, description: 'slight rain', main: 'Rain', precipitationProbability: 80 },
+        { date: '2025-01-16', temperature: { min: 2, max: 11 }, description: 'clear sky', main: 'Clear', precipitationProbability: 5 }
+      ]);
+    });
+
+    it('should support forecasts of up to 16 days', () => {
+      const provider = new OpenMeteoProvider();
+
+      expect(provider.supportsForecast({ days: 16, interval: 'hourly' })).toBe(true);
+      expect(provider.supportsForecast({ days: 17, interval: 'daily' })).toBe(false);
+    });
+
+    it('should describe unknown weather codes as unknown', () => {
+      const raw = { current: { ...openMeteoResponses.london.current, weather_code: 42 } };
+
+      const weather = OpenMeteoProvider.transform(raw, { name: 'London', country: 'GB' });
+
+      expect(weather).toMatchObject({ description: 'unknown', main: 'Unknown', temperature: { min: 15, max: 15 } });
+    });
+  });
+
+  describe('MetNorwayProvider', () => {
+    it('should geocode the city, then fetch and normalize current weather', async () => {
+      mock.onGet(GEOCODING_URL).reply(200, geocodingResults.london);
+      mock.onGet(MET_NORWAY_URL).reply(200, metNorwayResponses.london);
+
+      const weather = await new MetNorwayProvider({ userAgent: 'test-agent/1.0' }).fetchCurrent(london);
+
+      const request = mock.history.get[1];
+      expect(request.params).toEqual({ lat: '51.5085', lon: '-0.1257' });
+      expect(request.headers['User-Agent']).toBe('test-agent/1.0');
+      expect(weather).toEqual({
+        city: 'London',
+        country: 'GB',
+        temperature: { current: 15, feelsLike: 15, min: 13, max: 16 },
+        humidity: 71,
+        pressure: 1013,
+        description: 'light rain showers',
+        main: 'Rain',
+        wind: { speed: 4.1, direction: 203.4 },
+        visibility: null,
+        timestamp: expect.any(String),
+        source: 'met-norway'
+      });
+    });
+
+    it('should geocode a postal code before fetching', async () => {
+      mock.onGet(GEOCODING_URL).reply(200, geocodingResults.london);
+      mock.onGet(MET_NORWAY_URL).reply(200, metNorwayResponses.london);
+
+      await new MetNorwayProvider().fetchCurrent({ type: 'zip', zip: 'ec1a', country: 'gb' });
+
+      expect(mock.history.get[0].params).toMatchObject({ name: 'ec1a', countryCode: 'GB' });
+      expect(mock.history.get[1].params).toEqual({ lat: '51.5085', lon: '-0.1257' });
+    });
+
+    it('should only forecast hour by hour as far as the hourly steps go', () => {
+      const provider = new MetNorwayProvider();
+
+      expect(provider.supportsForecast({ days: 2, interval: 'hourly' })).toBe(true);
+      expect(provider.supportsForecast({ days: 3, interval: '3h' })).toBe(false);
+      expect(provider.supportsForecast({ days: 9, interval: 'daily' })).toBe(true);
+      expect(provider.supportsForecast({ days: 10, interval: 'daily' })).toBe(false);
+    });
+
+    it('should build hourly and 3-hourly forecasts from the hourly steps', async () => {
+      mock.onGet(MET_NORWAY_URL).reply(200, buildMetNorwayTimeseries(60, 4));
+      const provider = new MetNorwayProvider();
+      const location = { type: 'coordinates', lat: 51.51, lon: -0.13 };
+
+      const hourly = await provider.fetchForecast(location, { days: 2, interval: 'hourly' });
+      const threeHourly = await provider.fetchForecast(location, { days: 2, interval: '3h' });
+
+      expect(hourly.entries).toHaveLength(48);
+      expect(hourly.entries[0]).toMatchObject({
+        time: '2025-01-15T00:00:00.000Z',
+        temperature: 5,
+        feelsLike: 5,
+        description: 'cloudy',
+        precipitationProbability: null
+      });
+      expect(threeHourly.entries).toHaveLength(16);
+      expect(threeHourly.entries[1].time).toBe('2025-01-15T03:00:00.000Z');
+    });
+
+    it('should summarize the whole series into UTC days', async () => {
+      mock.onGet(MET_NORWAY_URL).reply(200, buildMetNorwayTimeseries(60, 4));
+
+      const forecast = await new MetNorwayProvider().fetchForecast(
+        { type: 'coordinates', lat: 51.51, lon: -0.13 },
+        { days: 2, interval: 'daily' }
+      );
+
+      expect(forecast).toMatchObject({ interval: 'daily', days: 2, source: 'met-norway' });
+      expect(forecast.entries).toEqual([
+        { date: '2025-01-15', temperature: { min: 5, max: 17 }, description: 'rain', main: 'Rain', precipitationProbability: null },
+        { date: '2025-01-16', temperature: { min: 5, max: 17 }, description: 'rain', main: 'Rain', precipitationProbability: null }
+      ]);
+    });
+
+    it.each([
+      ['clearsky_night', 'clear sky', 'Clear'],
+      ['partlycloudy_day', 'partly cloudy', 'Clouds'],
+      ['heavyrainandthunder', 'heavy rain and thunder', 'Thunderstorm'],
+      ['lightsleet', 'light sleet', 'Snow'],
+      ['snowshowers_polartwilight', 'snow showers', 'Snow']
+    ])('should describe symbol %s as %s', (symbolCode, description, main) => {
+      const series = metNorwayResponses.london.properties.timeseries[0];
+      const raw = {
+        properties: {
+          timeseries: [{ ...series, data: { ...series.data, next_1_hours: { summary: { symbol_code: symbolCode } } } }]
+        }
+      };
+
+      expect(MetNorwayProvider.transform(raw, { name: 'London', country: 'GB' })).toMatchObject({ description, main });
+    });
+  });
+
+  describe('MockProvider', () => {
+    it('should answer for any city', async () => {
+      const weather = await new MockProvider().fetchCurrent({ type: 'city', city: 'springfield' });
+
+      expect(weather).toMatchObject({ city: 'Springfield', source: 'mock' });
+    });
+
+    it('should give the same forecast for the same city and hour', async () => {
+      jest.useFakeTimers({ now: new Date('2025-01-15T10:20:00Z') });
+      try {
+        const provider = new MockProvider();
+        const first = await provider.fetchForecast(london, { days: 2, interval: '3h' });
+        const second = await provider.fetchForecast(london, { days: 2, interval: '3h' });
+        const elsewhere = await provider.fetchForecast({ type: 'city', city: 'paris' }, { days: 2, interval: '3h' });
+
+        expect(second.entries).toEqual(first.entries);
+        expect(elsewhere.entries).not.toEqual(first.entries);
+        expect(first.entries).toHaveLength(16);
+        expect(first.entries[0].time).toBe('2025-01-15T10:00:00.000Z');
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    it('should give one entry per hour or day', () => {
+      const provider = new MockProvider();
+
+      expect(provider.getMockForecastData('london', { days: 1, interval: 'hourly' }).entries).toHaveLength(24);
+      expect(provider.getMockForecastData('london', { days: 3, interval: 'daily' }).entries).toHaveLength(3);
+    });
+
+    it('should name other locations after their description', async () => {
+      const weather = await new MockProvider().fetchCurrent({ type: 'coordinates', lat: 51.51, lon: -0.13 });
+
+      expect(weather.city).toBe('51.51,-0.13');
+    });
+
+    describe('searchLocations', () => {
+      const search = async (query, limit = 5) =>
+        (await new MockProvider().searchLocations(query, { limit })).results;
+
+      it('should search the bundled cities, biggest first', async () => {
+        expect(await search('london')).toEqual([
+          { name: 'London', state: 'England', country: 'GB', lat: 51.5085, lon: -0.1257 },
+          { name: 'London', state: 'Ontario', country: 'CA', lat: 42.9834, lon: -81.233 }
+        ]);
+      });
+
+      it('should match the start of a name, ignoring case and accents', async () => {
+        expect((await search('sao p')).map(({ name }) => name)).toEqual(['São Paulo']);
+        expect((await search('ZUR')).map(({ name }) => name)).toEqual(['Zürich']);
+        expect((await search('york')).map(({ name }) => name)).toEqual(['New York']);
+      });
+
+      it('should put exact matches before prefixes', async () => {
+        expect((await search('paris')).map(({ country }) => country)).toEqual(['FR', 'US']);
+        expect((await search('ma')).map(({ name }) => name)).toEqual(['Manila', 'Madrid']);
+      });
+
+      it('should find misspelled names', async () => {
+        expect((await search('londn'))[0]).toMatchObject({ name: 'London', country: 'GB' });
+        expect((await search('amsterdan'))[0]).toMatchObject({ name: 'Amsterdam' });
+      });
+
+      it('should respect the limit and answer an empty list for no match', async () => {
+        expect(await search('s', 2)).toHaveLength(2);
+        expect(await search('qwxz')).toEqual([]);
+      });
+    });
+  });
+});
@@ -5,15 +5,29 @@
 const axios = require('axios');
 const MockAdapter = require('axios-mock-adapter');
 const weatherService = require('../../../src/services/weatherService');
+const cacheService = require('../../../src/services/cache');
+const { registry } = require('../../../src/utils/prometheus');
+const {
+  ValidationError,
+  CityNotFoundError,
+  UpstreamUnavailableError
+} = require('../../../src/utils/errors');
+const { OpenWeatherMapProvider, OpenMeteoProvider } = require('../../../src/services/weatherProviders');
 const { mockWeatherData, mockErrorResponses, transformedWeatherData } = require('../../fixtures/weatherData');
+const {
+  geocodingResults,
+  openMeteoResponses,
+  openWeatherMapForecast,
+  openWeatherMapGeocoding
+} = require('../../fixtures/providerResponses');
 
 // Create axios mock adapter
 const mock = new MockAdapter(axios);
 
 describe('Weather Service', () => {
-  beforeEach(() => {
+  beforeEach(async () => {
     // Clear cache before each test
-    weatherService.clearCache();
+    await weatherService.clearCache();
     // Reset environment variables
     delete process.env.WEATHER_API_KEY;
     delete process.env.WEATHER_API_URL;
@@ -25,6 +39,7 @@ describe('Weather Service', () => {
 
   describe('getWeatherByCity', () => {
     it('should throw error for empty city name', async () => {
+      await expect(weatherService.getWeatherByCity('')).rejects.toThrow(ValidationError);
       await expect(weatherService.getWeatherByCity('')).rejects.toThrow('City name is required');
       await expect(weatherService.getWeatherByCity('   ')).rejects.toThrow('City name is required');
       await expect(weatherService.getWeatherByCity(null)).rejects.toThrow('City name is required');
@@ -121,6 +136,596 @@ describe('Weather Service', () => {
     });
   });
 
+  describe('getWeatherByLocation', () => {
+    it('should cache each kind of lookup under its own key', async () => {
+      await weatherService.getWeatherByLocation({ type: 'coordinates', lat: 51.50853, lon: -0.12574 });
+      await weatherService.getWeatherByLocation({ type: 'zip', zip: '10001', country: 'US' });
+      await weatherService.getWeatherByLocation({ type: 'id', id: 2643743 });
+      await weatherService.getWeatherByCity('London');
+
+      const keys = (await weatherService.getCacheEntries(1, 50)).entries.map(({ key }) => key);
+      expect(keys).toEqual(expect.arrayContaining([
+        'weather:coords:51.51,-0.13',
+        'weather:zip:us:10001',
+        'weather:id:2643743',
+        'weather:london'
+      ]));
+    });
+
+    it('should share one cache entry between nearby coordinates', async () => {
+      const fetchSpy = jest.spyOn(weatherService, 'fetchWeatherFromAPI').mockResolvedValue({ city: null });
+
+      await weatherService.getWeatherByLocation({ type: 'coordinates', lat: 48.85661, lon: 2.35222 });
+      await weatherService.getWeatherByLocation({ type: 'coordinates', lat: 48.8589, lon: 2.3469 });
+
+      expect(fetchSpy).toHaveBeenCalledTimes(1);
+      expect(fetchSpy).toHaveBeenCalledWith(
+        { type: 'coordinates', lat: 48.86, lon: 2.35 },
+        expect.any(AbortSignal),
+        { lang: 'en', onRetry: expect.any(Function) }
+      );
+    });
+
+    it('should keep a city and a ZIP code with the same text apart', async () => {
+      const fetchSpy = jest.spyOn(weatherService, 'fetchWeatherFromAPI').mockResolvedValue({ city: 'Somewhere' });
+
+      await weatherService.getWeatherByCity('10001');
+      await weatherService.getWeatherByLocation({ type: 'zip', zip: '10001', country: 'us' });
+
+      expect(fetchSpy).toHaveBeenCalledTimes(2);
+    });
+
+    it('should remember a location nobody knows as not found', async () => {
+      const notFound = Object.assign(new Error('City not found: 00000,us'), { response: { status: 404 } });
+      const fetchSpy = jest.spyOn(weatherService, 'fetchWeatherFromAPI').mockRejectedValue(notFound);
+      const location = { type: 'zip', zip: '00000', country: 'us' };
+
+      await expect(weatherService.getWeatherByLocation(location)).rejects.toMatchObject({
+        name: 'CityNotFoundError',
+        location: { type: 'zip', zip: '00000', country: 'us' },
+        cause: notFound
+      });
+      await expect(weatherService.getWeatherByLocation(location)).rejects.toThrow(
+        new CityNotFoundError({ type: 'zip', zip: '00000', country: 'us' })
+      );
+      expect(fetchSpy).toHaveBeenCalledTimes(1);
+    });
+
+    it('should skip providers that cannot look the location up', async () => {
+      const originalProviders = weatherService.upstreams.map(({ provider }) => provider);
+      weatherService.setProviders([new OpenMeteoProvider()]);
+
+      try {
+        await expect(weatherService.getWeatherByLocation({ type: 'id', id: 2643743 })).rejects.toMatchObject({
+          name: 'ValidationError',
+          code: 'EUNSUPPORTEDLOCATION',
+          message: 'No configured weather provider supports lookup by id'
+        });
+        expect(mock.history.get).toHaveLength(0);
+      } finally {
+        weatherService.setProviders(originalProviders);
+      }
+    });
+  });
+
+  describe('units and language', () => {
+    const metricData = {
+      city: 'London',
+      temperature: { current: 20, feelsLike: 18, min: 15, max: 25 },
+      humidity: 60,
+      pressure: 1012,
+      wind: { speed: 10, direction: 90 },
+      visibility: 10000
+    };
+
+    it('should convert cached metric data instead of fetching it again', async () => {
+      const fetchSpy = jest.spyOn(weatherService, 'fetchWeatherFromAPI').mockResolvedValue(metricData);
+
+      const metric = await weatherService.getWeatherByCity('London', { units: 'metric' });
+      const imperial = await weatherService.getWeatherByCity('London', { units: 'imperial' });
+      const standard = await weatherService.getWeatherByCity('London', { units: 'standard' });
+
+      expect(fetchSpy).toHaveBeenCalledTimes(1);
+      expect(metric).toEqual(metricData);
+      expect(imperial).toMatchObject({
+        temperature: { current: 68, feelsLike: 64, min: 59, max: 77 },
+        wind: { speed: 22.4, direction: 90 },
+        pressure: 1012,
+        visibility: 10000
+      });
+      expect(standard).toMatchObject({
+        temperature: { current: 293.15, feelsLike: 291.15, min: 288.15, max: 298.15 },
+        wind: { speed: 10 }
+      });
+      expect((await cacheService.get('weather:london')).temperature.current).toBe(20);
+    });
+
+    it('should convert forecast entries', async () => {
+      const forecast = await weatherService.getForecast(
+        { type: 'city', city: 'London' },
+        { days: 1, interval: '3h', units: 'imperial' }
+      );
+      const metric = await weatherService.getForecast({ type: 'city', city: 'London' }, { days: 1, interval: '3h' });
+
+      forecast.entries.forEach((entry, index) => {
+        expect(entry.temperature).toBe(Math.round(metric.entries[index].temperature * 9 / 5 + 32));
+      });
+    });
+
+    it('should cache each language under its own key', async () => {
+      const fetchSpy = jest.spyOn(weatherService, 'fetchWeatherFromAPI').mockResolvedValue(metricData);
+
+      await weatherService.getWeatherByCity('London', { lang: 'fr' });
+      await weatherService.getWeatherByCity('London');
+      await weatherService.getForecast({ type: 'city', city: 'London' }, { days: 1, interval: 'daily', lang: 'de' });
+
+      expect(fetchSpy).toHaveBeenCalledTimes(2);
+      expect(fetchSpy).toHaveBeenCalledWith(
+        { type: 'city', city: 'london' },
+        expect.any(AbortSignal),
+        { lang: 'fr', onRetry: expect.any(Function) }
+      );
+      expect(await cacheService.get('weather:london@fr')).not.toBeNull();
+      expect(await cacheService.get('weather:london')).not.toBeNull();
+      expect(await cacheService.get('forecast:london:daily:1@de')).not.toBeNull();
+    });
+
+    it('should invalidate a city in every language', async () => {
+      jest.spyOn(weatherService, 'fetchWeatherFromAPI').mockResolvedValue(metricData);
+      await weatherService.getWeatherByCity('London', { lang: 'fr' });
+
+      expect(await weatherService.invalidateCity('London')).toBe(true);
+      expect(await cacheService.get('weather:london@fr')).toBeNull();
+    });
+
+    it('should invalidate a city\'s forecasts along with its weather', async () => {
+      const london = { type: 'city', city: 'London' };
+      await weatherService.getForecast(london, { days: 1, interval: 'daily' });
+      await weatherService.getForecast(london, { days: 3, interval: '3h', lang: 'de' });
+      await weatherService.getForecast({ type: 'city', city: 'Paris' }, { days: 1, interval: 'daily' });
+
+      expect(await weatherService.invalidateCity('London')).toBe(true);
+      expect(await cacheService.get('forecast:london:daily:1')).toBeNull();
+      expect(await cacheService.get('forecast:london:3h:3@de')).toBeNull();
+      expect(await cacheService.get('forecast:paris:daily:1')).not.toBeNull();
+    });
+
+    it('should ask OpenWeatherMap for descriptions in the requested language', async () => {
+      const originalProviders = weatherService.upstreams.map(({ provider }) => provider);
+      weatherService.setProviders([new OpenWeatherMapProvider({ apiKey: 'test-api-key' })]);
+      mock.onGet('https://api.openweathermap.org/data/2.5/weather').reply(200, mockWeatherData.london);
+
+      try {
+        await weatherService.getWeatherByCity('London', { lang: 'zh-cn' });
+        await weatherService.getWeatherByCity('London');
+
+        expect(mock.history.get[0].params).toMatchObject({ q: 'london', lang: 'zh_cn', units: 'metric' });
+        expect(mock.history.get[1].params).not.toHaveProperty('lang');
+      } finally {
+        weatherService.setProviders(originalProviders);
+      }
+    });
+  });
+
+  describe('getWeatherBatch', () => {
+    let originalConcurrency;
+
+    beforeEach(() => {
+      originalConcurrency = weatherService.batchConcurrency;
+    });
+
+    afterEach(() => {
+      weatherService.batchConcurrency = originalConcurrency;
+    });
+
+    it('should settle each location on its own, in order', async () => {
+      const notFound = Object.assign(new Error('City not found: atlantis'), { response: { status: 404 } });
+      jest.spyOn(weatherService, 'fetchWeatherFromAPI').mockImplementation(async location =>
+        location.city === 'atlantis' ? Promise.reject(notFound) : { city: location.city });
+
+      const results = await weatherService.getWeatherBatch([
+        { type: 'city', city: 'London' },
+        { type: 'city', city: 'Atlantis' },
+        { type: 'city', city: ' ' }
+      ]);
+
+      expect(results[0]).toEqual({ status: 'fulfilled', value: { city: 'london' } });
+      expect(results[1]).toEqual({ status: 'rejected', reason: notFound });
+      expect(results[2].status).toBe('rejected');
+      expect(results[2].reason.message).toMatch('City name is required');
+    });
+
+    it('should fetch at most batchConcurrency misses at once', async () => {
+      weatherService.batchConcurrency = 2;
+      let running = 0;
+      let mostRunning = 0;
+      jest.spyOn(weatherService, 'fetchWeatherFromAPI').mockImplementation(async location => {
+        running++;
+        mostRunning = Math.max(mostRunning, running);
+        await new Promise(resolve => setImmediate(resolve));
+        running--;
+        return { city: location.city };
+      });
+
+      const cities = ['London', 'Paris', 'Berlin', 'Madrid', 'Rome'];
+      const results = await weatherService.getWeatherBatch(cities.map(city => ({ type: 'city', city })));
+
+      expect(results.map(({ value }) => value.city)).toEqual(['london', 'paris', 'berlin', 'madrid', 'rome']);
+      expect(mostRunning).toBe(2);
+    });
+
+    it('should answer cached locations without waiting for a slot', async () => {
+      weatherService.batchConcurrency = 1;
+      await weatherService.getWeatherByCity('London');
+      const releases = [];
+      jest.spyOn(weatherService, 'fetchWeatherFromAPI')
+        .mockImplementation(location => new Promise(resolve => releases.push(() => resolve({ city: location.city }))));
+      const getWeatherByLocation = weatherService.getWeatherByLocation.bind(weatherService);
+      const lookups = [];
+      jest.spyOn(weatherService, 'getWeatherByLocation').mockImplementation((...args) => {
+        const lookup = getWeatherByLocation(...args);
+        lookups.push(lookup);
+        return lookup;
+      });
+
+      const batch = weatherService.getWeatherBatch([
+        { type: 'city', city: 'Paris' },
+        { type: 'city', city: 'Berlin' },
+        { type: 'city', city: 'London' }
+      ]);
+
+      await expect(lookups[2]).resolves.toMatchObject({ city: 'London' });
+      expect(weatherService.fetchWeatherFromAPI).toHaveBeenCalledTimes(1);
+
+      releases[0]();
+      await new Promise(resolve => setImmediate(resolve));
+      releases[1]();
+      expect((await batch).map(({ status }) => status)).toEqual(['fulfilled', 'fulfilled', 'fulfilled']);
+    });
+
+    it('should fetch a location given twice only once', async () => {
+      const fetchSpy = jest.spyOn(weatherService, 'fetchWeatherFromAPI').mockResolvedValue({ city: 'Paris' });
+
+      await weatherService.getWeatherBatch([{ type: 'city', city: 'Paris' }, { type: 'city', city: 'paris ' }]);
+
+      expect(fetchSpy).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('request coalescing', () => {
+    it('should share one upstream fetch between concurrent cache misses', async () => {
+      const upstreamData = weatherService.getMockWeatherData('london');
+      const fetchSpy = jest.spyOn(weatherService, 'fetchWeatherFromAPI')
+        .mockImplementation(() => new Promise(resolve => setTimeout(() => resolve(upstreamData), 20)));
+      const coalescedBefore = (await weatherService.getCacheStats()).coalescedRequests;
+
+      const results = await Promise.all([
+        weatherService.getWeatherByCity('London'),
+        weatherService.getWeatherByCity('london'),
+        weatherService.getWeatherByCity('  LONDON ')
+      ]);
+
+      expect(fetchSpy).toHaveBeenCalledTimes(1);
+      results.forEach(result => expect(result).toBe(upstreamData));
+
+      const stats = await weatherService.getCacheStats();
+      expect(stats.coalescedRequests - coalescedBefore).toBe(2);
+      expect(stats.inFlightRequests).toBe(0);
+    });
+
+    it('should reject every waiting caller with the same upstream error', async () => {
+      const upstreamError = new Error('Upstream failed');
+      const fetchSpy = jest.spyOn(weatherService, 'fetchWeatherFromAPI')
+        .mockImplementation(() => new Promise((resolve, reject) => setTimeout(() => reject(upstreamError), 20)));
+
+      const results = await Promise.allSettled([
+        weatherService.getWeatherByCity('paris'),
+        weatherService.getWeatherByCity('paris')
+      ]);
+
+      expect(fetchSpy).toHaveBeenCalledTimes(1);
+      results.forEach(result => {
+        expect(result.status).toBe('rejected');
+        expect(result.reason).toBe(upstreamError);
+      });
+      expect((await weatherService.getCacheStats()).inFlightRequests).toBe(0);
+    });
+
+    it('should not coalesce requests for different cities', async () => {
+      const fetchSpy = jest.spyOn(weatherService, 'fetchWeatherFromAPI')
+        .mockImplementation(async (location) => weatherService.getMockWeatherData(location.city));
+
+      await Promise.all([
+        weatherService.getWeatherByCity('tokyo'),
+        weatherService.getWeatherByCity('berlin')
+      ]);
+
+      expect(fetchSpy).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('cancellation', () => {
+    // Lets the cache lookup finish so the upstream fetch has started
+    const flush = () => new Promise(resolve => setImmediate(resolve));
+    // Stands in for an upstream call that only ends when it is aborted
+    const fetchUntilAborted = () => jest.spyOn(weatherService, 'fetchWeatherFromAPI')
+      .mockImplementation((city, signal) => new Promise((resolve, reject) => {
+        signal.addEventListener('abort', () => reject(signal.reason));
+      }));
+
+    it('should abort the upstream fetch when its only caller aborts', async () => {
+      const fetchSpy = fetchUntilAborted();
+      const controller = new AbortController();
+
+      const request = weatherService.getWeatherByCity('london', { signal: controller.signal });
+      await flush();
+      controller.abort();
+
+      await expect(request).rejects.toMatchObject({ name: 'AbortError' });
+      expect(fetchSpy.mock.calls[0][1].aborted).toBe(true);
+      expect((await weatherService.getCacheStats()).inFlightRequests).toBe(0);
+      expect(await cacheService.peekEntry('weather:london')).toBeNull();
+    });
+
+    it('should keep a shared fetch going while another caller still waits', async () => {
+      const upstreamData = weatherService.getMockWeatherData('london');
+      let finishFetch;
+      const fetchSpy = jest.spyOn(weatherService, 'fetchWeatherFromAPI')
+        .mockImplementation(() => new Promise(resolve => { finishFetch = () => resolve(upstreamData); }));
+      const controller = new AbortController();
+
+      const abandoned = weatherService.getWeatherByCity('london', { signal: controller.signal });
+      const waiting = weatherService.getWeatherByCity('london', { signal: new AbortController().signal });
+      await flush();
+      controller.abort();
+      finishFetch();
+
+      await expect(abandoned).rejects.toMatchObject({ name: 'AbortError' });
+      await expect(waiting).resolves.toBe(upstreamData);
+      expect(fetchSpy.mock.calls[0][1].aborted).toBe(false);
+    });
+
+    it('should start a new fetch rather than join one that was aborted', async () => {
+      const upstreamData = weatherService.getMockWeatherData('london');
+      let settleAborted;
+      // The aborted call takes its time to give up, so its fetch is still registered
+      const fetchSpy = jest.spyOn(weatherService, 'fetchWeatherFromAPI')
+        .mockImplementationOnce((city, signal) => new Promise((resolve, reject) => {
+          settleAborted = () => reject(signal.reason);
+        }))
+        .mockResolvedValueOnce(upstreamData);
+      const controller = new AbortController();
+
+      const abandoned = weatherService.getWeatherByCity('london', { signal: controller.signal });
+      await flush();
+      controller.abort();
+      await expect(abandoned).rejects.toMatchObject({ name: 'AbortError' });
+      const fresh = weatherService.getWeatherByCity('london', { signal: new AbortController().signal });
+      await flush();
+      settleAborted();
+
+      await expect(fresh).resolves.toBe(upstreamData);
+      expect(fetchSpy).toHaveBeenCalledTimes(2);
+      expect(fetchSpy.mock.calls[1][1].aborted).toBe(false);
+      expect((await weatherService.getCacheStats()).inFlightRequests).toBe(0);
+    });
+
+    it('should not start a fetch when the signal is already aborted', async () => {
+      const fetchSpy = fetchUntilAborted();
+      const controller = new AbortController();
+      controller.abort();
+
+      await expect(weatherService.getWeatherByCity('london', { signal: controller.signal }))
+        .rejects.toMatchObject({ name: 'AbortError' });
+      expect(fetchSpy).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('stale serving', () => {
+    const staleData = { city: 'London', temperature: { current: 10 }, source: 'mock' };
+
+    it('should serve stale data immediately and refresh it in the background', async () => {
+      const freshData = weatherService.getMockWeatherData('london');
+      const fetchSpy = jest.spyOn(weatherService, 'fetchWeatherFromAPI').mockResolvedValue(freshData);
+      const now = Date.now();
+      const dateSpy = jest.spyOn(Date, 'now').mockReturnValue(now);
+      await cacheService.set('weather:london', staleData, 1000, 60 * 60 * 1000);
+      dateSpy.mockReturnValue(now + 5000);
+
+      const result = await weatherService.getWeatherByCity('London');
+
+      expect(result).toEqual({ ...staleData, stale: true, age: 5 });
+      expect(fetchSpy).toHaveBeenCalledTimes(1);
+
+      await new Promise(resolve => setTimeout(resolve, 10));
+      expect(await cacheService.get('weather:london')).toBe(freshData);
+    });
+
+    it('should fall back to stale data when the upstream fetch fails', async () => {
+      const fetchSpy = jest.spyOn(weatherService, 'fetchWeatherFromAPI')
+        .mockRejectedValue({ code: 'ECONNABORTED', message: 'timeout' });
+      // Past the stale-while-revalidate window but within stale-if-error
+      const expiredFor = weatherService.staleWhileRevalidateMs + 1000;
+      await cacheService.set('weather:london', staleData, -expiredFor, weatherService.staleIfErrorMs);
+
+      const result = await weatherService.getWeatherByCity('london');
+
+      expect(fetchSpy).toHaveBeenCalledTimes(1);
+      expect(result).toEqual({ ...staleData, stale: true, age: expect.any(Number) });
+    });
+
+    it('should keep stale data when a background refresh fails', async () => {
+      jest.spyOn(weatherService, 'fetchWeatherFromAPI').mockRejectedValue(new Error('Upstream failed'));
+      await cacheService.set('weather:london', staleData, -1000, 60 * 60 * 1000);
+
+      await weatherService.getWeatherByCity('london');
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      const entry = await cacheService.getEntry('weather:london');
+      expect(entry.data).toBe(staleData);
+      expect(entry.stale).toBe(true);
+    });
+
+    it('should propagate the error once the stale window has passed', async () => {
+      const upstreamError = new Error('Upstream failed');
+      jest.spyOn(weatherService, 'fetchWeatherFromAPI').mockRejectedValue(upstreamError);
+      await cacheService.set('weather:london', staleData, -1000, 500);
+
+      await expect(weatherService.getWeatherByCity('london')).rejects.toBe(upstreamError);
+    });
+  });
+
+  describe('cache entry reporting', () => {
+    it('should report a miss with its upstream latency, then a hit on the same entry', async () => {
+      jest.spyOn(weatherService, 'fetchWeatherFromAPI').mockResolvedValue(weatherService.getMockWeatherData('london'));
+      // Every reading of the clock differs, so the miss must report the times the cache stored
+      let now = Date.now();
+      jest.spyOn(Date, 'now').mockImplementation(() => now++);
+      const onCacheEntry = jest.fn();
+
+      await weatherService.getWeatherByCity('London', { onCacheEntry });
+      await weatherService.getWeatherByCity('London', { onCacheEntry });
+
+      expect(onCacheEntry).toHaveBeenCalledTimes(2);
+      const [[missEntry], [hitEntry]] = onCacheEntry.mock.calls;
+      expect(missEntry).toEqual({
+        status: 'miss',
+        cacheKey: 'weather:london',
+        createdAt: expect.any(Number),
+        expiresAt: missEntry.createdAt + weatherService.cacheTtl,
+        upstreamLatencyMs: expect.any(Number),
+        retries: 0
+      });
+      expect(hitEntry).toEqual({
+        ...missEntry,
+        status: 'hit',
+        upstreamLatencyMs: null,
+        retries: null
+      });
+    });
+
+    it('should report the stale entry when serving stale data', async () => {
+      jest.spyOn(weatherService, 'fetchWeatherFromAPI').mockResolvedValue(weatherService.getMockWeatherData('london'));
+      await cacheService.set('weather:london', { city: 'London', source: 'mock' }, -1000, 60 * 60 * 1000);
+      const entry = await cacheService.getEntry('weather:london');
+      const onCacheEntry = jest.fn();
+
+      await weatherService.getWeatherByCity('london', { onCacheEntry });
+
+      expect(onCacheEntry).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'stale',
+        createdAt: entry.createdAt,
+        expiresAt: entry.expiresAt
+      }));
+    });
+
+    it('should report stale when a failed fetch falls back to stale data', async () => {
+      jest.spyOn(weatherService, 'fetchWeatherFromAPI').mockRejectedValue({ code: 'ECONNABORTED', message: 'timeout' });
+      const expiredFor = weatherService.staleWhileRevalidateMs + 1000;
+      await cacheService.set('weather:london', { city: 'London', source: 'mock' }, -expiredFor, weatherService.staleIfErrorMs);
+      const onCacheEntry = jest.fn();
+
+      await weatherService.getWeatherByCity('london', { onCacheEntry });
+
+      expect(onCacheEntry).toHaveBeenCalledWith(expect.objectContaining({ status: 'stale', upstreamLatencyMs: null }));
+    });
+
+    it('should report coalesced for callers that joined a fetch in flight', async () => {
+      let resolveFetch;
+      jest.spyOn(weatherService, 'fetchWeatherFromAPI')
+        .mockReturnValue(new Promise(resolve => { resolveFetch = resolve; }));
+      const first = jest.fn();
+      const second = jest.fn();
+
+      const lookups = Promise.all([
+        weatherService.getWeatherByCity('London', { onCacheEntry: first }),
+        weatherService.getWeatherByCity('London', { onCacheEntry: second })
+      ]);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      resolveFetch(weatherService.getMockWeatherData('london'));
+      await lookups;
+
+      expect(first).toHaveBeenCalledWith(expect.objectContaining({ status: 'miss' }));
+      expect(second).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'coalesced',
+        createdAt: first.mock.calls[0][0].createdAt
+      }));
+    });
+  });
+
+  describe('negative caching', () => {
+    const notFound = () => ({ response: { status: 404 }, message: 'city not found' });
+    const originalTtl = weatherService.negativeCacheTtl;
+
+    afterEach(() => {
+      weatherService.negativeCacheTtl = originalTtl;
+    });
+
+    it('should remember unknown cities and not call the upstream again', async () => {
+      const fetchSpy = jest.spyOn(weatherService, 'fetchWeatherFromAPI').mockRejectedValue(notFound());
+
+      await expect(weatherService.getWeatherByCity('Lndon')).rejects.toThrow(CityNotFoundError);
+      await expect(weatherService.getWeatherByCity('lndon')).rejects.toThrow(new CityNotFoundError({ type: 'city', city: 'lndon' }));
+
+      expect(fetchSpy).toHaveBeenCalledTimes(1);
+    });
+
+    it('should ask the upstream again once the negative TTL has passed', async () => {
+      const now = Date.now();
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+      const fetchSpy = jest.spyOn(weatherService, 'fetchWeatherFromAPI')
+        .mockRejectedValueOnce(notFound())
+        .mockResolvedValueOnce({ city: 'Newtown' });
+
+      await expect(weatherService.getWeatherByCity('Newtown')).rejects.toThrow(CityNotFoundError);
+      Date.now.mockReturnValue(now + weatherService.negativeCacheTtl + 1);
+
+      await expect(weatherService.getWeatherByCity('Newtown')).resolves.toEqual({ city: 'Newtown' });
+      expect(fetchSpy).toHaveBeenCalledTimes(2);
+    });
+
+    it('should replace stale data instead of serving it when the city is not found', async () => {
+      jest.spyOn(weatherService, 'fetchWeatherFromAPI').mockRejectedValue(notFound());
+      const expiredFor = weatherService.staleWhileRevalidateMs + 1000;
+      await cacheService.set('weather:london', { city: 'London' }, -expiredFor, weatherService.staleIfErrorMs);
+
+      await expect(weatherService.getWeatherByCity('london')).rejects.toThrow(CityNotFoundError);
+
+      expect(await cacheService.peekEntry('weather:london')).toMatchObject({ negative: true, data: null });
+    });
+
+    it('should not cache other upstream errors', async () => {
+      const fetchSpy = jest.spyOn(weatherService, 'fetchWeatherFromAPI').mockRejectedValue(new Error('Upstream failed'));
+
+      await expect(weatherService.getWeatherByCity('paris')).rejects.toThrow('Upstream failed');
+      await expect(weatherService.getWeatherByCity('paris')).rejects.toThrow('Upstream failed');
+
+      expect(fetchSpy).toHaveBeenCalledTimes(2);
+    });
+
+    it('should be disabled by a zero TTL', async () => {
+      weatherService.negativeCacheTtl = 0;
+      const fetchSpy = jest.spyOn(weatherService, 'fetchWeatherFromAPI').mockRejectedValue(notFound());
+
+      await expect(weatherService.getWeatherByCity('Lndon')).rejects.toThrow(CityNotFoundError);
+      await expect(weatherService.getWeatherByCity('Lndon')).rejects.toThrow(CityNotFoundError);
+
+      expect(fetchSpy).toHaveBeenCalledTimes(2);
+    });
+
+    it('should count negative entries and hits separately in stats', async () => {
+      weatherService.resetCacheStats();
+      jest.spyOn(weatherService, 'fetchWeatherFromAPI').mockRejectedValue(notFound());
+
+      await expect(weatherService.getWeatherByCity('Lndon')).rejects.toBeDefined();
+      await expect(weatherService.getWeatherByCity('Lndon')).rejects.toBeDefined();
+
+      const stats = await weatherService.getCacheStats();
+      expect(stats.negativeEntries).toBe(1);
+      expect(stats.metrics.cumulative).toMatchObject({ negativeSets: 1, negativeHits: 1, sets: 0, hits: 0, misses: 1 });
+    });
+  });
+
   describe('transformWeatherData', () => {
     it('should transform API response correctly', () => {
       const transformed = weatherService.transformWeatherData(mockWeatherData.london);
@@ -174,13 +779,273 @@ describe('Weather Service', () => {
     });
   });
 
+  describe('getForecast', () => {
+    const forecastUrl = 'https://api.openweathermap.org/data/2.5/forecast';
+
+    it('should require a city name for city lookups', async () => {
+      await expect(weatherService.getForecast({ type: 'city', city: '  ' }, { days: 1, interval: 'daily' }))
+        .rejects.toThrow('City name is required');
+    });
+
+    it('should return a mock forecast when no provider is configured', async () => {
+      const forecast = await weatherService.getForecast({ type: 'city', city: 'London' }, { days: 2, interval: '3h' });
+
+      expect(forecast).toMatchObject({ city: 'London', interval: '3h', days: 2, source: 'mock' });
+      expect(forecast.entries).toHaveLength(16);
+    });
+
+    it('should cache forecasts with their own key and longer TTL', async () => {
+      await weatherService.getForecast({ type: 'city', city: ' London ' }, { days: 3, interval: 'daily' });
+
+      const entry = await weatherService.getCacheEntry('forecast:london:daily:3');
+      expect(entry).not.toBeNull();
+      expect(entry.ttlRemainingMs).toBeGreaterThan(weatherService.cacheTtl);
+      expect(entry.ttlRemainingMs).toBeLessThanOrEqual(weatherService.forecastCacheTtl);
+      expect(await weatherService.getCacheEntry('weather:london')).toBeNull();
+    });
+
+    it('should answer repeated requests from the cache', async () => {
+      const fetchSpy = jest.spyOn(weatherService, 'fetchForecastFromAPI');
+
+      const first = await weatherService.getForecast({ type: 'city', city: 'Paris' }, { days: 1, interval: 'hourly' });
+      const second = await weatherService.getForecast({ type: 'city', city: 'paris' }, { days: 1, interval: 'hourly' });
+      await weatherService.getForecast({ type: 'city', city: 'paris' }, { days: 2, interval: 'hourly' });
+
+      expect(second).toEqual(first);
+      expect(fetchSpy).toHaveBeenCalledTimes(2);
+    });
+
+    describe('with providers', () => {
+      let originalProviders;
+
+      beforeEach(() => {
+        originalProviders = weatherService.upstreams.map(({ provider }) => provider);
+        weatherService.setProviders([new OpenWeatherMapProvider({ apiKey: 'test-api-key' })]);
+      });
+
+      afterEach(() => {
+        weatherService.setProviders(originalProviders);
+      });
+
+      it('should fetch the forecast from the provider', async () => {
+        mock.onGet(forecastUrl).reply(200, openWeatherMapForecast.london);
+
+        const forecast = await weatherService.getForecast({ type: 'city', city: 'London' }, { days: 1, interval: '3h' });
+
+        expect(forecast).toMatchObject({ city: 'London', source: 'openweathermap' });
+        expect(forecast.entries).toHaveLength(8);
+      });
+
+      it('should reject forecasts no configured provider can give', async () => {
+        await expect(weatherService.getForecast({ type: 'city', city: 'London' }, { days: 1, interval: 'hourly' }))
+          .rejects.toMatchObject({
+            code: 'EUNSUPPORTEDFORECAST',
+            message: 'No configured weather provider supports a 1-day hourly forecast'
+          });
+        expect(mock.history.get).toHaveLength(0);
+      });
+
+      it('should hand the forecast on to a provider that can give it', async () => {
+        weatherService.setProviders([new OpenWeatherMapProvider({ apiKey: 'test-api-key' }), new OpenMeteoProvider()]);
+        mock.onGet('https://geocoding-api.open-meteo.com/v1/search').reply(200, geocodingResults.london);
+        mock.onGet('https://api.open-meteo.com/v1/forecast').reply(200, {
+          utc_offset_seconds: 0,
+          hourly: {
+            time: [1736899200],
+            temperature_2m: [8],
+            apparent_temperature: [5],
+            relative_humidity_2m: [80],
+            pressure_msl: [1012],
+            weather_code: [3],
+            wind_speed_10m: [4],
+            wind_direction_10m: [230],
+            precipitation_probability: [10]
+          }
+        });
+
+        const forecast = await weatherService.getForecast({ type: 'city', city: 'London' }, { days: 1, interval: 'hourly' });
+
+        expect(forecast).toMatchObject({ city: 'London', source: 'open-meteo' });
+        expect(mock.history.get.map(({ url }) => url)).not.toContain(forecastUrl);
+      });
+    });
+  });
+
+  describe('searchLocations', () => {
+    it('should search the bundled city list when no provider is configured', async () => {
+      const search = await weatherService.searchLocations('Lond');
+
+      expect(search).toMatchObject({ query: 'lond', source: 'mock' });
+      expect(search.results[0]).toMatchObject({ name: 'London', country: 'GB' });
+    });
+
+    it('should cache searches by normalized query, limit and language', async () => {
+      const fetchSpy = jest.spyOn(weatherService, 'fetchLocationsFromAPI');
+
+      await weatherService.searchLocations(' Paris ');
+      await weatherService.searchLocations('PARIS');
+      await weatherService.searchLocations('paris', { limit: 1 });
+      await weatherService.searchLocations('paris', { lang: 'fr' });
+
+      expect(fetchSpy).toHaveBeenCalledTimes(3);
+      expect(fetchSpy).toHaveBeenCalledWith(
+        'paris',
+        { limit: 5, lang: 'en' },
+        expect.any(AbortSignal),
+        { onRetry: expect.any(Function) }
+      );
+      const keys = (await weatherService.getCacheEntries(1, 50)).entries.map(({ key }) => key);
+      expect(keys).toEqual(expect.arrayContaining(['locations:paris:5', 'locations:paris:1', 'locations:paris:5@fr']));
+      const entry = await weatherService.getCacheEntry('locations:paris:5');
+      expect(entry.ttlRemainingMs).toBeGreaterThan(weatherService.forecastCacheTtl);
+    });
+
+    it('should reject an empty search', async () => {
+      await expect(weatherService.searchLocations('  ')).rejects.toThrow('City name is required');
+    });
+
+    it('should fail over to the next provider', async () => {
+      const originalProviders = weatherService.upstreams.map(({ provider }) => provider);
+      weatherService.setProviders([new OpenWeatherMapProvider({ apiKey: 'test-api-key' }), new OpenMeteoProvider()]);
+      mock.onGet('https://api.openweathermap.org/geo/1.0/direct').reply(401, {});
+      mock.onGet('https://geocoding-api.open-meteo.com/v1/search').reply(200, geocodingResults.paris);
+
+      try {
+        const search = await weatherService.searchLocations('paris', { limit: 3 });
+
+        expect(search).toMatchObject({ query: 'paris', source: 'open-meteo' });
+        expect(search.results).toHaveLength(3);
+      } finally {
+        weatherService.setProviders(originalProviders);
+      }
+    });
+
+    it('should search OpenWeatherMap when it is configured', async () => {
+      const originalProviders = weatherService.upstreams.map(({ provider }) => provider);
+      weatherService.setProviders([new OpenWeatherMapProvider({ apiKey: 'test-api-key' })]);
+      mock.onGet('https://api.openweathermap.org/geo/1.0/direct').reply(200, openWeatherMapGeocoding.london);
+
+      try {
+        const search = await weatherService.searchLocations('London', { lang: 'de' });
+
+        expect(search.source).toBe('openweathermap');
+        expect(mock.history.get[0].params).toEqual({ q: 'london', limit: 5, appid: 'test-api-key' });
+      } finally {
+        weatherService.setProviders(originalProviders);
+      }
+    });
+  });
+
+  describe('probeProviders', () => {
+    it('should probe each configured provider at its own URL', async () => {
+      const originalProviders = weatherService.upstreams.map(({ provider }) => provider);
+      weatherService.setProviders([
+        new OpenWeatherMapProvider({ apiKey: 'test-api-key', apiUrl: 'https://owm.example/weather' }),
+        new OpenMeteoProvider({ apiUrl: 'https://open-meteo.example/forecast' })
+      ]);
+      mock.onGet('https://owm.example/weather').reply(503, {});
+      mock.onGet('https://open-meteo.example/forecast').reply(200, openMeteoResponses.london);
+
+      try {
+        const probes = await weatherService.probeProviders();
+
+        expect(probes).toEqual([
+          { name: 'openweathermap', url: 'https://owm.example/weather', status: 'unhealthy', error: expect.stringContaining('503') },
+          { name: 'open-meteo', url: 'https://open-meteo.example/forecast', status: 'healthy', responseTimeMs: expect.any(Number) }
+        ]);
+        // Probes bypass the breakers, so they don't count as traffic
+        expect(weatherService.getProviderStates()[0].circuitBreaker.consecutiveFailures).toBe(0);
+      } finally {
+        weatherService.setProviders(originalProviders);
+      }
+    });
+
+    it('should have nothing to probe while mock data is served', async () => {
+      const originalProviders = weatherService.upstreams.map(({ provider }) => provider);
+      weatherService.setProviders([]);
+
+      try {
+        expect(await weatherService.probeProviders()).toEqual([]);
+      } finally {
+        weatherService.setProviders(originalProviders);
+      }
+    });
+  });
+
+  describe('transformForecastData', () => {
+    it('should transform an OpenWeatherMap forecast', () => {
+      const forecast = weatherService.transformForecastData(openWeatherMapForecast.london, { days: 1, interval: 'daily' });
+
+      expect(forecast).toMatchObject({ city: 'London', country: 'GB', interval: 'daily', days: 1 });
+      expect(forecast.entries).toEqual([
+        { date: '2025-01-15', temperature: { min: 10, max: 17 }, description: 'light rain', main: 'Rain', precipitationProbability: 35 }
+      ]);
+    });
+  });
+
+  describe('getMockForecastData', () => {
+    it('should be deterministic for a city', () => {
+      const first = weatherService.getMockForecastData('london', { days: 5, interval: 'daily' });
+      const second = weatherService.getMockForecastData('london', { days: 5, interval: 'daily' });
+
+      expect(first.entries).toEqual(second.entries);
+      expect(first).toMatchObject({ city: 'London', source: 'mock' });
+    });
+  });
+
   describe('getCacheStats', () => {
-    it('should return cache statistics', () => {
-      const stats = weatherService.getCacheStats();
+    it('should return cache statistics', async () => {
+      const stats = await weatherService.getCacheStats();
       
       expect(stats).toHaveProperty('totalEntries');
       expect(stats).toHaveProperty('validEntries');
       expect(stats).toHaveProperty('expiredEntries');
+      expect(stats).toHaveProperty('inFlightRequests');
+      expect(stats).toHaveProperty('coalescedRequests');
+    });
+  });
+
+  describe('cache metrics', () => {
+    beforeEach(() => {
+      weatherService.resetCacheStats();
+    });
+
+    it('should record upstream fetch latency alongside cache counters', async () => {
+      jest.spyOn(weatherService, 'fetchWeatherFromAPI').mockResolvedValue({ city: 'London' });
+
+      await weatherService.getWeatherByCity('London');
+      await weatherService.getWeatherByCity('London');
+
+      const { metrics } = await weatherService.getCacheStats();
+      expect(metrics.cumulative).toMatchObject({ hits: 1, misses: 1, sets: 1, hitRatio: 0.5 });
+      expect(metrics.cumulative.upstreamLatency).toEqual({
+        count: 1,
+        meanMs: expect.any(Number),
+        p95Ms: expect.any(Number)
+      });
+      expect(metrics.window.upstreamLatency.count).toBe(1);
+    });
+
+    it('should not record latency for failed fetches or count the stale fallback lookup', async () => {
+      jest.spyOn(weatherService, 'fetchWeatherFromAPI').mockRejectedValue(new Error('Service unavailable'));
+
+      await expect(weatherService.getWeatherByCity('Nowhere')).rejects.toThrow('Service unavailable');
+
+      const { metrics } = await weatherService.getCacheStats();
+      expect(metrics.cumulative.upstreamLatency.count).toBe(0);
+      expect(metrics.cumulative.misses).toBe(1);
+    });
+
+    it('should reset counters and latency samples', async () => {
+      jest.spyOn(weatherService, 'fetchWeatherFromAPI').mockResolvedValue({ city: 'London' });
+      await weatherService.getWeatherByCity('London');
+
+      weatherService.resetCacheStats();
+
+      const { metrics, totalEntries } = await weatherService.getCacheStats();
+      expect(totalEntries).toBe(1);
+      expect(metrics.cumulative).toMatchObject({ misses: 0, sets: 0 });
+      expect(metrics.cumulative.upstreamLatency.count).toBe(0);
     });
   });
 
@@ -189,16 +1054,57 @@ describe('Weather Service', () => {
       // Add some data to cache
       await weatherService.getWeatherByCity('london');
       
-      let stats = weatherService.getCacheStats();
+      let stats = await weatherService.getCacheStats();
       expect(stats.totalEntries).toBeGreaterThan(0);
       
-      weatherService.clearCache();
+      await weatherService.clearCache();
       
-      stats = weatherService.getCacheStats();
+      stats = await weatherService.getCacheStats();
       expect(stats.totalEntries).toBe(0);
     });
   });
 
+  describe('cache inspection and invalidation', () => {
+    it('should page through cached entries', async () => {
+      await weatherService.getWeatherByCity('London');
+      await weatherService.getWeatherByCity('Paris');
+      await weatherService.getWeatherByCity('Tokyo');
+
+      const result = await weatherService.getCacheEntries(2, 2);
+
+      expect(result.entries.map(entry => entry.key)).toEqual(['weather:tokyo']);
+      expect(result.pagination).toEqual({ page: 2, limit: 2, total: 3, totalPages: 2 });
+    });
+
+    it('should inspect an entry by cache key', async () => {
+      await weatherService.getWeatherByCity('London');
+
+      const entry = await weatherService.getCacheEntry('weather:london');
+
+      expect(entry).toMatchObject({ key: 'weather:london', data: { city: 'London' } });
+    });
+
+    it('should invalidate a single city regardless of case and whitespace', async () => {
+      await weatherService.getWeatherByCity('London');
+      await weatherService.getWeatherByCity('Paris');
+
+      expect(await weatherService.invalidateCity('  LONDON ')).toBe(true);
+      expect(await weatherService.invalidateCity('London')).toBe(false);
+      expect(await cacheService.get('weather:paris')).not.toBeNull();
+    });
+
+    it('should invalidate entries matching a pattern', async () => {
+      await weatherService.getWeatherByCity('London');
+      await weatherService.getWeatherByCity('Lyon');
+      await weatherService.getWeatherByCity('Paris');
+
+      const deleted = await weatherService.invalidateCacheByPattern('weather:l*');
+
+      expect(deleted.sort()).toEqual(['weather:london', 'weather:lyon']);
+      expect((await weatherService.getCacheStats()).totalEntries).toBe(1);
+    });
+  });
+
   describe('error handling', () => {
     it('should handle network timeouts', async () => {
       process.env.WEATHER_API_KEY = 'test-api-key';
@@ -224,4 +1130,223 @@ describe('Weather Service', () => {
       expect(result).toHaveProperty('source', 'mock');
     });
   });
+
+  describe('circuit breaker', () => {
+    const apiUrl = 'https://api.openweathermap.org/data/2.5/weather';
+    let originalProviders;
+    let originalMaxRetryAttempts;
+    let circuitBreaker;
+
+    beforeEach(() => {
+      originalProviders = weatherService.upstreams.map(({ provider }) => provider);
+      originalMaxRetryAttempts = weatherService.maxRetryAttempts;
+      weatherService.setProviders([new OpenWeatherMapProvider({ apiKey: 'test-api-key' })]);
+      ({ circuitBreaker } = weatherService.upstreams[0]);
+      weatherService.maxRetryAttempts = 1;
+    });
+
+    afterEach(() => {
+      weatherService.setProviders(originalProviders);
+      weatherService.maxRetryAttempts = originalMaxRetryAttempts;
+    });
+
+    it('should open after repeated upstream failures and then fail fast', async () => {
+      mock.onGet(apiUrl).reply(500, mockErrorResponses.serverError);
+      const { failureThreshold } = circuitBreaker;
+
+      for (let i = 0; i < failureThreshold; i++) {
+        await expect(weatherService.getWeatherByCity(`city${i}`)).rejects.toThrow(UpstreamUnavailableError);
+      }
+
+      const error = await weatherService.getWeatherByCity('another').catch(rejection => rejection);
+      expect(error).toBeInstanceOf(UpstreamUnavailableError);
+      expect(error.cause.code).toBe('ECIRCUITOPEN');
+      expect(error.retryAfterMs).toBeGreaterThan(0);
+      expect(mock.history.get).toHaveLength(failureThreshold);
+      expect(circuitBreaker.getState()).toMatchObject({ state: 'open', rejectedCalls: 1 });
+    });
+
+    it('should not count unknown cities against the provider', async () => {
+      mock.onGet(apiUrl).reply(404, mockErrorResponses.cityNotFound);
+
+      for (let i = 0; i < circuitBreaker.failureThreshold; i++) {
+        await expect(weatherService.getWeatherByCity(`nowhere${i}`)).rejects.toThrow(CityNotFoundError);
+      }
+
+      expect(circuitBreaker.getState().state).toBe('closed');
+    });
+
+    it('should fall back to cached data while the breaker is open', async () => {
+      const staleData = { city: 'London', temperature: { current: 10 } };
+      const expiredFor = weatherService.staleWhileRevalidateMs + 1000;
+      await cacheService.set('weather:london', staleData, -expiredFor, weatherService.staleIfErrorMs);
+      // Trip the breaker as a run of failed calls would
+      for (let i = 0; i < circuitBreaker.failureThreshold; i++) {
+        circuitBreaker.onFailure();
+      }
+
+      const result = await weatherService.getWeatherByCity('london');
+
+      expect(result).toEqual({ ...staleData, stale: true, age: expect.any(Number) });
+      expect(mock.history.get).toHaveLength(0);
+    });
+  });
+
+  describe('retry telemetry', () => {
+    const apiUrl = 'https://api.openweathermap.org/data/2.5/weather';
+    let originalProviders;
+    let originalMaxRetryAttempts;
+
+    // Structured log lines written through a console method, parsed back into objects
+    const loggedEvents = (method) => method.mock.calls
+      .filter(([line]) => typeof line === 'string' && line.startsWith('{'))
+      .map(([line]) => JSON.parse(line));
+
+    beforeEach(() => {
+      originalProviders = weatherService.upstreams.map(({ provider }) => provider);
+      originalMaxRetryAttempts = weatherService.maxRetryAttempts;
+      weatherService.setProviders([new OpenWeatherMapProvider({ apiKey: 'test-api-key' })]);
+      weatherService.maxRetryAttempts = 2;
+    });
+
+    afterEach(() => {
+      weatherService.setProviders(originalProviders);
+      weatherService.maxRetryAttempts = originalMaxRetryAttempts;
+    });
+
+    it('should report how many retries the upstream fetch needed', async () => {
+      mock.onGet(apiUrl).replyOnce(503, mockErrorResponses.serverError, { 'retry-after': '0' });
+      mock.onGet(apiUrl).replyOnce(200, mockWeatherData.london);
+      const onCacheEntry = jest.fn();
+
+      await weatherService.getWeatherByCity('Retrytown', { onCacheEntry });
+
+      expect(onCacheEntry).toHaveBeenCalledWith(expect.objectContaining({ status: 'miss', retries: 1 }));
+    });
+
+    it('should log retries and recoveries by city, and count them by provider', async () => {
+      // Retry-After: 0 keeps the backoff out of the test
+      mock.onGet(apiUrl).replyOnce(503, mockErrorResponses.serverError, { 'retry-after': '0' });
+      mock.onGet(apiUrl).replyOnce(200, mockWeatherData.london);
+
+      // Other tests retry through the same provider, so start from zero
+      registry.reset();
+      await weatherService.getWeatherByCity('Retryville');
+
+      expect(loggedEvents(console.warn)).toContainEqual(expect.objectContaining({
+        level: 'warn',
+        event: 'upstream_retry',
+        provider: 'openweathermap',
+        city: 'retryville',
+        attempt: 1,
+        delayMs: 0,
+        classification: 'server_error'
+      }));
+      expect(loggedEvents(console.log)).toContainEqual(expect.objectContaining({
+        event: 'upstream_recovered',
+        city: 'retryville',
+        attempt: 2
+      }));
+
+      const text = await registry.render();
+      expect(text).toContain('weather_upstream_retries_total{provider="openweathermap",classification="server_error"} 1\n');
+      expect(text).toContain('weather_upstream_recoveries_total{provider="openweathermap"} 1\n');
+      expect(text).not.toContain('retryville');
+    });
+
+    it('should log giving up on an unknown city quietly', async () => {
+      mock.onGet(apiUrl).reply(404, mockErrorResponses.cityNotFound);
+
+      await expect(weatherService.getWeatherByCity('Nowhereville')).rejects.toThrow(CityNotFoundError);
+
+      expect(loggedEvents(console.log)).toContainEqual(expect.objectContaining({
+        level: 'info',
+        event: 'upstream_give_up',
+        city: 'nowhereville',
+        attempt: 1,
+        classification: 'client_error'
+      }));
+    });
+
+    it('should log giving up after repeated upstream failures as an error', async () => {
+      mock.onGet(apiUrl).reply(503, mockErrorResponses.serverError, { 'retry-after': '0' });
+
+      await expect(weatherService.getWeatherByCity('Downville')).rejects.toThrow(UpstreamUnavailableError);
+
+      expect(loggedEvents(console.error)).toContainEqual(expect.objectContaining({
+        level: 'error',
+        event: 'upstream_give_up',
+        city: 'downville',
+        attempt: 2,
+        classification: 'server_error'
+      }));
+    });
+  });
+
+  describe('provider failover', () => {
+    const apiUrl = 'https://api.openweathermap.org/data/2.5/weather';
+    const geocodingUrl = 'https://geocoding-api.open-meteo.com/v1/search';
+    const openMeteoUrl = 'https://api.open-meteo.com/v1/forecast';
+    let originalProviders;
+    let originalMaxRetryAttempts;
+
+    beforeEach(() => {
+      originalProviders = weatherService.upstreams.map(({ provider }) => provider);
+      originalMaxRetryAttempts = weatherService.maxRetryAttempts;
+      weatherService.setProviders([
+        new OpenWeatherMapProvider({ apiKey: 'test-api-key' }),
+        new OpenMeteoProvider()
+      ]);
+      weatherService.maxRetryAttempts = 1;
+    });
+
+    afterEach(() => {
+      weatherService.setProviders(originalProviders);
+      weatherService.maxRetryAttempts = originalMaxRetryAttempts;
+    });
+
+    it('should fall through to the next provider when one is down', async () => {
+      mock.onGet(apiUrl).reply(503, mockErrorResponses.serverError);
+      mock.onGet(geocodingUrl).reply(200, geocodingResults.london);
+      mock.onGet(openMeteoUrl).reply(200, openMeteoResponses.london);
+
+      const result = await weatherService.getWeatherByCity('london');
+
+      expect(result).toMatchObject({ city: 'London', source: 'open-meteo' });
+      expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('"event":"upstream_failover"'));
+      const text = await registry.render();
+      expect(text).toMatch(/weather_upstream_failovers_total\{from="openweathermap",to="open-meteo"\} \d+\n/);
+    });
+
+    it('should not fail over for an unknown city', async () => {
+      mock.onGet(apiUrl).reply(404, mockErrorResponses.cityNotFound);
+
+      await expect(weatherService.getWeatherByCity('nowhere')).rejects.toThrow(CityNotFoundError);
+      expect(mock.history.get).toHaveLength(1);
+    });
+
+    it('should report the last provider\'s error when every provider fails', async () => {
+      mock.onGet(apiUrl).reply(503, mockErrorResponses.serverError);
+      mock.onGet(geocodingUrl).reply(502);
+
+      const error = await weatherService.getWeatherByCity('london').catch(rejection => rejection);
+      expect(error).toBeInstanceOf(UpstreamUnavailableError);
+      expect(error.cause.response.status).toBe(502);
+    });
+
+    it('should skip providers that are not configured', () => {
+      weatherService.setProviders([new OpenWeatherMapProvider({ apiKey: '' }), new OpenMeteoProvider()]);
+
+      expect(weatherService.getProviderStates().map(({ name }) => name)).toEqual(['open-meteo']);
+      expect(console.warn).toHaveBeenCalledWith('Weather provider openweathermap is not configured, skipping it');
+    });
+
+    it('should give each provider its own circuit breaker and retry budget', () => {
+      const [first, second] = weatherService.getProviderStates();
+
+      expect(first).toMatchObject({ name: 'openweathermap', circuitBreaker: { state: 'closed' }, retryBudget: expect.any(Object) });
+      expect(second.name).toBe('open-meteo');
+      expect(weatherService.upstreams[0].circuitBreaker).not.toBe(weatherService.upstreams[1].circuitBreaker);
+    });
+  });
 });
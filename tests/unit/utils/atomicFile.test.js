@@ -0,0 +1,58 @@
+/**
+ * Tests for atomic file writes
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { writeFileAtomic } = require('../../../src/utils/atomicFile');
+
+describe('writeFileAtomic', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'atomic-file-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  it('should write the file contents', async () => {
+    const filePath = path.join(directory, 'data.json');
+
+    await writeFileAtomic(filePath, '{"ok":true}');
+
+    expect(fs.readFileSync(filePath, 'utf8')).toBe('{"ok":true}');
+  });
+
+  it('should replace an existing file without leaving temporary files behind', async () => {
+    const filePath = path.join(directory, 'data.json');
+    fs.writeFileSync(filePath, 'old');
+
+    await writeFileAtomic(filePath, 'new');
+
+    expect(fs.readFileSync(filePath, 'utf8')).toBe('new');
+    expect(fs.readdirSync(directory)).toEqual(['data.json']);
+  });
+
+  it('should create missing parent directories', async () => {
+    const filePath = path.join(directory, 'nested', 'dir', 'data.json');
+
+    await writeFileAtomic(filePath, 'contents');
+
+    expect(fs.readFileSync(filePath, 'utf8')).toBe('contents');
+  });
+
+  it('should keep the previous file if the rename fails', async () => {
+    const filePath = path.join(directory, 'target');
+    // A non-empty directory cannot be replaced by a file
+    fs.mkdirSync(filePath);
+    fs.writeFileSync(path.join(filePath, 'child'), 'keep');
+
+    await expect(writeFileAtomic(filePath, 'new')).rejects.toThrow();
+
+    expect(fs.readFileSync(path.join(filePath, 'child'), 'utf8')).toBe('keep');
+    expect(fs.readdirSync(directory)).toEqual(['target']);
+  });
+});
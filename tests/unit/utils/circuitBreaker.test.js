@@ -0,0 +1,127 @@
+/**
+ * Tests for the circuit breaker
+ */
+
+const { CircuitBreaker, CircuitOpenError } = require('../../../src/utils/circuitBreaker');
+
+describe('Circuit Breaker', () => {
+  let now;
+  let breaker;
+
+  const fail = () => breaker.execute(() => Promise.reject(new Error('boom'))).catch(error => error);
+  const succeed = () => breaker.execute(() => Promise.resolve('ok'));
+
+  beforeEach(() => {
+    now = 1700000000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    breaker = new CircuitBreaker({ name: 'test', failureThreshold: 3, cooldownMs: 10000 });
+  });
+
+  it('should pass calls through while closed', async () => {
+    await expect(succeed()).resolves.toBe('ok');
+    expect(breaker.getState()).toMatchObject({ state: 'closed', consecutiveFailures: 0 });
+  });
+
+  it('should open after the failure threshold and fail fast', async () => {
+    await fail();
+    await fail();
+    expect(breaker.getState().state).toBe('closed');
+    await fail();
+
+    const fn = jest.fn();
+    const error = await breaker.execute(fn).catch(e => e);
+
+    expect(fn).not.toHaveBeenCalled();
+    expect(error).toBeInstanceOf(CircuitOpenError);
+    expect(error.code).toBe('ECIRCUITOPEN');
+    expect(error.retryAfterMs).toBe(10000);
+    expect(breaker.getState()).toMatchObject({
+      state: 'open',
+      consecutiveFailures: 3,
+      rejectedCalls: 1,
+      openedAt: new Date(now).toISOString(),
+      nextAttemptAt: new Date(now + 10000).toISOString()
+    });
+  });
+
+  it('should reset the failure count after a success', async () => {
+    await fail();
+    await fail();
+    await succeed();
+    await fail();
+
+    expect(breaker.getState()).toMatchObject({ state: 'closed', consecutiveFailures: 1 });
+  });
+
+  it('should ignore errors that are not failures of the dependency', async () => {
+    breaker = new CircuitBreaker({ failureThreshold: 1, isFailure: error => error.status >= 500 });
+
+    await breaker.execute(() => Promise.reject({ status: 404 })).catch(() => {});
+
+    expect(breaker.getState().state).toBe('closed');
+  });
+
+  it('should neither count nor forgive calls aborted by the caller', async () => {
+    const abortError = Object.assign(new Error('aborted'), { name: 'AbortError' });
+    await fail();
+
+    await breaker.execute(() => Promise.reject(abortError)).catch(() => {});
+
+    expect(breaker.getState()).toMatchObject({ state: 'closed', consecutiveFailures: 1 });
+  });
+
+  it('should free the trial slot when the trial call is aborted', async () => {
+    const abortError = Object.assign(new Error('aborted'), { name: 'AbortError' });
+    await fail();
+    await fail();
+    await fail();
+
+    now += 10000;
+    await breaker.execute(() => Promise.reject(abortError)).catch(() => {});
+
+    expect(breaker.getState().state).toBe('half-open');
+    await expect(succeed()).resolves.toBe('ok');
+  });
+
+  it('should close again after a successful trial call once the cool-down is over', async () => {
+    await fail();
+    await fail();
+    await fail();
+
+    now += 10000;
+    await expect(succeed()).resolves.toBe('ok');
+
+    expect(breaker.getState()).toMatchObject({ state: 'closed', consecutiveFailures: 0, openedAt: null });
+  });
+
+  it('should reopen when the trial call fails', async () => {
+    await fail();
+    await fail();
+    await fail();
+
+    now += 10000;
+    await fail();
+
+    expect(breaker.getState()).toMatchObject({
+      state: 'open',
+      openedAt: new Date(now).toISOString()
+    });
+  });
+
+  it('should allow only one trial call while half-open', async () => {
+    await fail();
+    await fail();
+    await fail();
+    now += 10000;
+
+    let finishTrial;
+    const trial = breaker.execute(() => new Promise(resolve => { finishTrial = resolve; }));
+
+    expect(breaker.getState().state).toBe('half-open');
+    await expect(succeed()).rejects.toBeInstanceOf(CircuitOpenError);
+
+    finishTrial('ok');
+    await expect(trial).resolves.toBe('ok');
+    expect(breaker.getState().state).toBe('closed');
+  });
+});
@@ -0,0 +1,56 @@
+/**
+ * Tests for the concurrency limiter
+ */
+
+const { createLimiter } = require('../../../src/utils/concurrency');
+
+/**
+ * Create a promise that can be settled from outside
+ * @returns {Object} { promise, resolve, reject }
+ */
+const defer = () => {
+  let resolve, reject;
+  const promise = new Promise((res, rej) => {
+    resolve = res;
+    reject = rej;
+  });
+  return { promise, resolve, reject };
+};
+
+// Let queued promise callbacks run
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+describe('createLimiter', () => {
+  it('should run at most the given number of tasks at once, in order', async () => {
+    const limit = createLimiter(2);
+    const tasks = [defer(), defer(), defer()];
+    const started = [];
+
+    const results = tasks.map(({ promise }, index) => limit(() => {
+      started.push(index);
+      return promise;
+    }));
+    await flush();
+    expect(started).toEqual([0, 1]);
+
+    tasks[1].resolve('b');
+    await flush();
+    expect(started).toEqual([0, 1, 2]);
+
+    tasks[0].resolve('a');
+    tasks[2].resolve('c');
+    await expect(Promise.all(results)).resolves.toEqual(['a', 'b', 'c']);
+  });
+
+  it('should free the slot of a task that fails', async () => {
+    const limit = createLimiter(1);
+
+    const failed = limit(() => {
+      throw new Error('boom');
+    });
+    const next = limit(() => 'next');
+
+    await expect(failed).rejects.toThrow('boom');
+    await expect(next).resolves.toBe('next');
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Tests for the domain errors and their translation from upstream errors
+ */
+
+const { CircuitOpenError } = require('../../../src/utils/circuitBreaker');
+const {
+  WeatherServiceError,
+  ValidationError,
+  CityNotFoundError,
+  UpstreamAuthError,
+  UpstreamUnavailableError,
+  RateLimitedError,
+  UpstreamTimeoutError,
+  fromUpstreamError,
+  createNotFoundError,
+  createUnsupportedLocationError
+} = require('../../../src/utils/errors');
+
+describe('Errors', () => {
+  const london = { type: 'city', city: 'london' };
+
+  // The shape axios rejects with when the upstream answers with an error status
+  const httpError = (status, headers = {}) =>
+    Object.assign(new Error(`Request failed with status code ${status}`), { response: { status, headers } });
+
+  describe('domain errors', () => {
+    it('should share a base class and name themselves', () => {
+      const errors = [
+        new ValidationError('bad'),
+        new CityNotFoundError(london),
+        new UpstreamAuthError(),
+        new UpstreamUnavailableError(),
+        new RateLimitedError(),
+        new UpstreamTimeoutError()
+      ];
+
+      errors.forEach(error => {
+        expect(error).toBeInstanceOf(WeatherServiceError);
+        expect(error.name).toBe(error.constructor.name);
+      });
+    });
+
+    it('should describe the location that was not found', () => {
+      expect(new CityNotFoundError(london).message).toBe('City not found: london');
+      expect(new CityNotFoundError({ type: 'coordinates', lat: 51.51, lon: -0.13 }).message)
+        .toBe('Location not found: 51.51,-0.13');
+    });
+
+    it('should build unsupported lookups as validation errors', () => {
+      expect(createUnsupportedLocationError('id')).toMatchObject({
+        name: 'ValidationError',
+        code: 'EUNSUPPORTEDLOCATION',
+        message: 'No configured weather provider supports lookup by id'
+      });
+    });
+  });
+
+  describe('fromUpstreamError', () => {
+    it('should turn a 404 into CityNotFoundError for the location', () => {
+      const upstreamError = httpError(404);
+
+      const error = fromUpstreamError(upstreamError, london);
+
+      expect(error).toBeInstanceOf(CityNotFoundError);
+      expect(error.location).toBe(london);
+      expect(error.cause).toBe(upstreamError);
+    });
+
+    it('should treat a provider\'s own "not found" like an upstream 404', () => {
+      expect(fromUpstreamError(createNotFoundError('london'), london)).toBeInstanceOf(CityNotFoundError);
+    });
+
+    it.each([401, 403])('should turn a %i into UpstreamAuthError', (status) => {
+      expect(fromUpstreamError(httpError(status), london)).toBeInstanceOf(UpstreamAuthError);
+    });
+
+    it('should turn a 429 into RateLimitedError with the upstream Retry-After', () => {
+      const error = fromUpstreamError(httpError(429, { 'retry-after': '30' }), london);
+
+      expect(error).toBeInstanceOf(RateLimitedError);
+      expect(error).toBeInstanceOf(UpstreamUnavailableError);
+      expect(error.retryAfterMs).toBe(30000);
+    });
+
+    it.each(['ECONNABORTED', 'ETIMEDOUT', 'EDEADLINE'])('should turn %s into UpstreamTimeoutError', (code) => {
+      const error = fromUpstreamError(Object.assign(new Error('too slow'), { code }), london);
+
+      expect(error).toBeInstanceOf(UpstreamTimeoutError);
+    });
+
+    it('should keep the wait from an open circuit breaker', () => {
+      const error = fromUpstreamError(new CircuitOpenError('openweathermap', 12500), london);
+
+      expect(error).toBeInstanceOf(UpstreamUnavailableError);
+      expect(error.retryAfterMs).toBe(12500);
+    });
+
+    it.each([
+      ['a server error', httpError(502)],
+      ['a network error', Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' })]
+    ])('should turn %s into UpstreamUnavailableError', (description, upstreamError) => {
+      const error = fromUpstreamError(upstreamError, london);
+
+      expect(error).toBeInstanceOf(UpstreamUnavailableError);
+      expect(error.retryAfterMs).toBeUndefined();
+    });
+
+    it('should leave domain errors, aborts and unclassified errors as they are', () => {
+      const validationError = new ValidationError('bad');
+      const abortError = new DOMException('The operation was aborted', 'AbortError');
+      const bug = new TypeError("Cannot read properties of undefined (reading 'temp')");
+      const badRequest = httpError(400);
+
+      expect(fromUpstreamError(validationError, london)).toBe(validationError);
+      expect(fromUpstreamError(abortError, london)).toBe(abortError);
+      expect(fromUpstreamError(bug, london)).toBe(bug);
+      expect(fromUpstreamError(badRequest, london)).toBe(badRequest);
+    });
+  });
+});
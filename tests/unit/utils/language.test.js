@@ -0,0 +1,28 @@
+/**
+ * Tests for language helpers
+ */
+
+const { DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES, normalizeLanguage } = require('../../../src/utils/language');
+
+describe('Language helpers', () => {
+  it('should default to English, listed first', () => {
+    expect(DEFAULT_LANGUAGE).toBe('en');
+    expect(SUPPORTED_LANGUAGES[0]).toBe('en');
+  });
+
+  it.each([
+    ['fr', 'fr'],
+    [' DE ', 'de'],
+    ['pt-BR', 'pt-br'],
+    ['zh_CN', 'zh-cn'],
+    ['de-AT', 'de']
+  ])('should normalize %s to %s', (tag, language) => {
+    expect(normalizeLanguage(tag)).toBe(language);
+  });
+
+  it('should reject languages that are not supported', () => {
+    expect(normalizeLanguage('klingon')).toBeNull();
+    expect(normalizeLanguage('zh-hk')).toBeNull();
+    expect(normalizeLanguage(['fr'])).toBeNull();
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Tests for location helpers
+ */
+
+const {
+  roundCoordinate,
+  normalizeLocation,
+  getLocationKey,
+  describeLocation
+} = require('../../../src/utils/location');
+
+describe('Location helpers', () => {
+  describe('roundCoordinate', () => {
+    it('should round to the given number of decimals', () => {
+      expect(roundCoordinate(51.50853, 2)).toBe(51.51);
+      expect(roundCoordinate(-0.12574, 3)).toBe(-0.126);
+      expect(roundCoordinate(51.50853, 0)).toBe(52);
+    });
+
+    it('should not produce negative zero', () => {
+      expect(Object.is(roundCoordinate(-0.001, 2), 0)).toBe(true);
+    });
+  });
+
+  describe('normalizeLocation', () => {
+    it('should trim and lowercase city names', () => {
+      expect(normalizeLocation({ type: 'city', city: '  LONDON ' })).toEqual({ type: 'city', city: 'london' });
+    });
+
+    it('should round coordinates, two decimals by default', () => {
+      expect(normalizeLocation({ type: 'coordinates', lat: 51.50853, lon: -0.12574 }))
+        .toEqual({ type: 'coordinates', lat: 51.51, lon: -0.13 });
+      expect(normalizeLocation({ type: 'coordinates', lat: 51.50853, lon: -0.12574 }, { precision: 1 }))
+        .toEqual({ type: 'coordinates', lat: 51.5, lon: -0.1 });
+    });
+
+    it('should give nearby points the same location', () => {
+      const a = normalizeLocation({ type: 'coordinates', lat: 48.85661, lon: 2.35222 });
+      const b = normalizeLocation({ type: 'coordinates', lat: 48.8589, lon: 2.3469 });
+
+      expect(getLocationKey(a)).toBe(getLocationKey(b));
+    });
+
+    it('should normalize ZIP codes and country codes', () => {
+      expect(normalizeLocation({ type: 'zip', zip: ' SW1A  1AA ', country: 'GB' }))
+        .toEqual({ type: 'zip', zip: 'sw1a 1aa', country: 'gb' });
+    });
+
+    it('should turn city IDs into numbers', () => {
+      expect(normalizeLocation({ type: 'id', id: '2643743' })).toEqual({ type: 'id', id: 2643743 });
+    });
+
+    it('should reject unknown location types', () => {
+      expect(() => normalizeLocation({ type: 'postcode' })).toThrow('Unknown location type: postcode');
+    });
+  });
+
+  describe('getLocationKey', () => {
+    it.each([
+      [{ type: 'city', city: 'london' }, 'london'],
+      [{ type: 'coordinates', lat: 51.51, lon: -0.13 }, 'coords:51.51,-0.13'],
+      [{ type: 'zip', zip: '10001', country: 'us' }, 'zip:us:10001'],
+      [{ type: 'id', id: 2643743 }, 'id:2643743']
+    ])('should key %o as %s', (location, key) => {
+      expect(getLocationKey(location)).toBe(key);
+    });
+  });
+
+  describe('describeLocation', () => {
+    it.each([
+      [{ type: 'city', city: 'london' }, 'london'],
+      [{ type: 'coordinates', lat: 51.51, lon: -0.13 }, '51.51,-0.13'],
+      [{ type: 'zip', zip: '10001', country: 'us' }, '10001,us'],
+      [{ type: 'id', id: 2643743 }, 'id 2643743']
+    ])('should describe %o as %s', (location, description) => {
+      expect(describeLocation(location)).toBe(description);
+    });
+  });
+});
@@ -0,0 +1,122 @@
+/**
+ * Tests for metrics utilities
+ */
+
+const { RollingCounters, LatencyTracker, percentile } = require('../../../src/utils/metrics');
+
+describe('Metrics Utilities', () => {
+  let now;
+
+  beforeEach(() => {
+    now = 1700000000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+  });
+
+  describe('RollingCounters', () => {
+    it('should start every counter at zero', () => {
+      const counters = new RollingCounters(['hits', 'misses']);
+
+      expect(counters.getCumulative()).toEqual({ hits: 0, misses: 0 });
+      expect(counters.getWindow()).toEqual({ hits: 0, misses: 0 });
+    });
+
+    it('should count increments cumulatively and within the window', () => {
+      const counters = new RollingCounters(['hits', 'misses'], { windowMs: 60000, bucketCount: 6 });
+
+      counters.increment('hits');
+      counters.increment('hits', 2);
+      counters.increment('misses');
+
+      expect(counters.getCumulative()).toEqual({ hits: 3, misses: 1 });
+      expect(counters.getWindow()).toEqual({ hits: 3, misses: 1 });
+    });
+
+    it('should drop increments older than the window from the windowed totals only', () => {
+      const counters = new RollingCounters(['hits'], { windowMs: 60000, bucketCount: 6 });
+
+      counters.increment('hits');
+      now += 30000;
+      counters.increment('hits');
+      now += 40000;
+
+      expect(counters.getWindow()).toEqual({ hits: 1 });
+      expect(counters.getCumulative()).toEqual({ hits: 2 });
+
+      now += 60000;
+      expect(counters.getWindow()).toEqual({ hits: 0 });
+    });
+
+    it('should reuse bucket slots once a full window has passed', () => {
+      const counters = new RollingCounters(['hits'], { windowMs: 60000, bucketCount: 6 });
+
+      counters.increment('hits', 5);
+      now += 60000;
+      counters.increment('hits');
+
+      expect(counters.getWindow()).toEqual({ hits: 1 });
+    });
+
+    it('should reset cumulative and windowed counts', () => {
+      const counters = new RollingCounters(['hits']);
+      counters.increment('hits');
+
+      counters.reset();
+
+      expect(counters.getCumulative()).toEqual({ hits: 0 });
+      expect(counters.getWindow()).toEqual({ hits: 0 });
+    });
+  });
+
+  describe('LatencyTracker', () => {
+    it('should report zeros before any samples', () => {
+      const tracker = new LatencyTracker();
+
+      expect(tracker.getCumulative()).toEqual({ count: 0, meanMs: 0, p95Ms: 0 });
+      expect(tracker.getWindow()).toEqual({ count: 0, meanMs: 0, p95Ms: 0 });
+    });
+
+    it('should compute mean and p95', () => {
+      const tracker = new LatencyTracker();
+      for (let duration = 1; duration <= 100; duration++) {
+        tracker.record(duration);
+      }
+
+      expect(tracker.getCumulative()).toEqual({ count: 100, meanMs: 51, p95Ms: 95 });
+    });
+
+    it('should only summarise recent samples in the window', () => {
+      const tracker = new LatencyTracker({ windowMs: 60000 });
+      tracker.record(1000);
+      now += 90000;
+      tracker.record(100);
+
+      expect(tracker.getWindow()).toEqual({ count: 1, meanMs: 100, p95Ms: 100 });
+      expect(tracker.getCumulative()).toEqual({ count: 2, meanMs: 550, p95Ms: 1000 });
+    });
+
+    it('should keep a bounded number of samples but count all of them', () => {
+      const tracker = new LatencyTracker({ maxSamples: 3 });
+      [500, 10, 20, 30].forEach(duration => tracker.record(duration));
+
+      expect(tracker.samples).toHaveLength(3);
+      expect(tracker.getCumulative()).toEqual({ count: 4, meanMs: 140, p95Ms: 30 });
+    });
+
+    it('should reset all samples', () => {
+      const tracker = new LatencyTracker();
+      tracker.record(10);
+
+      tracker.reset();
+
+      expect(tracker.getCumulative()).toEqual({ count: 0, meanMs: 0, p95Ms: 0 });
+    });
+  });
+
+  describe('percentile', () => {
+    it('should use the nearest rank', () => {
+      expect(percentile([3, 1, 2], 50)).toBe(2);
+      expect(percentile([5], 95)).toBe(5);
+      expect(percentile([], 95)).toBe(0);
+    });
+  });
+});
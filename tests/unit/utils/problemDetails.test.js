@@ -0,0 +1,106 @@
+/**
+ * Tests for problem details responses
+ */
+
+const {
+  PROBLEM_TYPES,
+  validationProblem,
+  toLegacyBody,
+  sendProblem
+} = require('../../../src/utils/problemDetails');
+
+describe('Problem Details', () => {
+  describe('validationProblem', () => {
+    it('should describe the request and each offending field', () => {
+      const errors = [{ parameter: 'units', detail: 'must be one of metric, imperial, standard' }];
+
+      expect(validationProblem('units must be one of metric, imperial, standard', {
+        errors,
+        example: '/weather?city=London&units=imperial'
+      })).toEqual({
+        ...PROBLEM_TYPES.validation,
+        status: 400,
+        detail: 'units must be one of metric, imperial, standard',
+        errors,
+        example: '/weather?city=London&units=imperial'
+      });
+    });
+
+    it('should leave out members it has nothing for', () => {
+      expect(validationProblem('City name is required', { errors: [] })).toEqual({
+        ...PROBLEM_TYPES.validation,
+        status: 400,
+        detail: 'City name is required'
+      });
+    });
+  });
+
+  describe('toLegacyBody', () => {
+    it('should keep only the members old clients know', () => {
+      const problem = validationProblem('Pattern parameter is required', {
+        errors: [{ parameter: 'pattern', detail: 'is required' }],
+        example: '/weather/cache/entries?pattern=weather:lon*'
+      });
+
+      expect(toLegacyBody(problem)).toEqual({
+        error: 'Bad Request',
+        message: 'Pattern parameter is required',
+        example: '/weather/cache/entries?pattern=weather:lon*'
+      });
+    });
+  });
+
+  describe('sendProblem', () => {
+    let mockReq, mockRes;
+
+    beforeEach(() => {
+      mockReq = {
+        originalUrl: '/weather/cache/entries/missing',
+        id: 'req-1',
+        accepts: jest.fn()
+      };
+      mockRes = {
+        status: jest.fn().mockReturnThis(),
+        json: jest.fn().mockReturnThis(),
+        type: jest.fn().mockReturnThis(),
+        vary: jest.fn().mockReturnThis()
+      };
+    });
+
+    it('should send the legacy body unless the client prefers problem+json', () => {
+      mockReq.accepts.mockReturnValue('application/json');
+
+      sendProblem(mockReq, mockRes, { status: 404, detail: 'No cache entry found for key: missing' });
+
+      expect(mockRes.vary).toHaveBeenCalledWith('Accept');
+      expect(mockRes.type).not.toHaveBeenCalled();
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+      expect(mockRes.json).toHaveBeenCalledWith({
+        error: 'Not Found',
+        message: 'No cache entry found for key: missing'
+      });
+    });
+
+    it('should send a legacy body of its own when given one', () => {
+      sendProblem(mockReq, mockRes, { status: 503, detail: 'down' }, { status: 'unhealthy' });
+
+      expect(mockRes.json).toHaveBeenCalledWith({ status: 'unhealthy' });
+    });
+
+    it('should fill in the standard members for problem+json', () => {
+      mockReq.accepts.mockReturnValue('application/problem+json');
+
+      sendProblem(mockReq, mockRes, { status: 404, detail: 'No cache entry found for key: missing' });
+
+      expect(mockRes.type).toHaveBeenCalledWith('application/problem+json');
+      expect(mockRes.json).toHaveBeenCalledWith({
+        type: 'about:blank',
+        title: 'Not Found',
+        status: 404,
+        detail: 'No cache entry found for key: missing',
+        instance: '/weather/cache/entries/missing',
+        requestId: 'req-1'
+      });
+    });
+  });
+});
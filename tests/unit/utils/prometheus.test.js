@@ -0,0 +1,123 @@
+/**
+ * Tests for the Prometheus metrics utility
+ */
+
+const { Registry, Counter, Gauge, Histogram } = require('../../../src/utils/prometheus');
+
+describe('Prometheus Metrics', () => {
+  let registry;
+
+  beforeEach(() => {
+    registry = new Registry();
+  });
+
+  describe('Counter', () => {
+    it('should render HELP, TYPE and one sample per label set', async () => {
+      const counter = new Counter({
+        name: 'requests_total',
+        help: 'Requests handled',
+        labelNames: ['method'],
+        registry
+      });
+
+      counter.inc({ method: 'GET' });
+      counter.inc({ method: 'GET' }, 2);
+      counter.inc({ method: 'POST' });
+
+      expect(await registry.render()).toBe(
+        '# HELP requests_total Requests handled\n' +
+        '# TYPE requests_total counter\n' +
+        'requests_total{method="GET"} 3\n' +
+        'requests_total{method="POST"} 1\n'
+      );
+    });
+
+    it('should reject negative increments and unknown labels', () => {
+      const counter = new Counter({ name: 'c_total', help: 'c', labelNames: ['a'], registry });
+
+      expect(() => counter.inc({}, -1)).toThrow('cannot decrease');
+      expect(() => counter.inc({ b: 'x' })).toThrow('Unknown label b');
+    });
+
+    it('should escape label values', async () => {
+      const counter = new Counter({ name: 'c_total', help: 'c', labelNames: ['path'], registry });
+
+      counter.inc({ path: 'a"b\\c\nd' });
+
+      expect(await registry.render()).toContain('c_total{path="a\\"b\\\\c\\nd"} 1');
+    });
+  });
+
+  describe('Gauge', () => {
+    it('should set and adjust values', async () => {
+      const gauge = new Gauge({ name: 'queue_size', help: 'Queue size', registry });
+
+      gauge.set({}, 5);
+      gauge.inc({}, -2);
+
+      expect(await registry.render()).toContain('queue_size 3\n');
+    });
+  });
+
+  describe('Histogram', () => {
+    it('should render cumulative buckets, sum and count', async () => {
+      const histogram = new Histogram({
+        name: 'latency_seconds',
+        help: 'Latency',
+        labelNames: ['route'],
+        buckets: [0.1, 1],
+        registry
+      });
+
+      histogram.observe({ route: '/a' }, 0.05);
+      histogram.observe({ route: '/a' }, 0.5);
+      histogram.observe({ route: '/a' }, 3);
+
+      const output = await registry.render();
+      expect(output).toContain('# TYPE latency_seconds histogram\n');
+      expect(output).toContain('latency_seconds_bucket{route="/a",le="0.1"} 1\n');
+      expect(output).toContain('latency_seconds_bucket{route="/a",le="1"} 2\n');
+      expect(output).toContain('latency_seconds_bucket{route="/a",le="+Inf"} 3\n');
+      expect(output).toContain('latency_seconds_sum{route="/a"} 3.55\n');
+      expect(output).toContain('latency_seconds_count{route="/a"} 3\n');
+    });
+  });
+
+  describe('Registry', () => {
+    it('should refuse duplicate metric names', () => {
+      new Counter({ name: 'dup_total', help: 'dup', registry });
+
+      expect(() => new Counter({ name: 'dup_total', help: 'dup', registry })).toThrow('already registered');
+    });
+
+    it('should run collectors before rendering', async () => {
+      const gauge = new Gauge({ name: 'entries', help: 'Entries', registry });
+      let entries = 1;
+      registry.addCollector(async () => gauge.set({}, entries));
+
+      expect(await registry.render()).toContain('entries 1\n');
+      entries = 4;
+      expect(await registry.render()).toContain('entries 4\n');
+    });
+
+    it('should keep rendering when a collector fails', async () => {
+      const gauge = new Gauge({ name: 'entries', help: 'Entries', registry });
+      gauge.set({}, 2);
+      registry.addCollector(() => {
+        throw new Error('source down');
+      });
+
+      expect(await registry.render()).toContain('entries 2\n');
+      expect(console.error).toHaveBeenCalledWith('Metrics collector failed:', 'source down');
+    });
+
+    it('should reset every metric', async () => {
+      const counter = new Counter({ name: 'c_total', help: 'c', registry });
+      counter.inc();
+
+      registry.reset();
+
+      expect(await registry.render()).not.toContain('c_total 1');
+    });
+  });
+});
@@ -2,7 +2,8 @@
  * Tests for retry utility functions
  */
 
-const { retryWithExponentialBackoff, sleep } = require('../../../src/utils/retry');
+const { retryWithExponentialBackoff, classifyError, computeDelay, parseRetryAfter, sleep } = require('../../../src/utils/retry');
+const { registry } = require('../../../src/utils/prometheus');
 
 describe('Retry Utility Functions', () => {
   describe('sleep', () => {
@@ -189,4 +190,332 @@ describe('Retry Utility Functions', () => {
       expect(mockFn).toHaveBeenCalledTimes(2);
     });
   });
+
+  describe('rate limiting and Retry-After', () => {
+    const rateLimited = (retryAfter) => ({
+      response: { status: 429, headers: retryAfter === undefined ? {} : { 'retry-after': retryAfter } }
+    });
+
+    it('should retry 429 responses by default', async () => {
+      const mockFn = jest.fn()
+        .mockRejectedValueOnce(rateLimited())
+        .mockResolvedValue('success');
+
+      const result = await retryWithExponentialBackoff(mockFn, { maxAttempts: 2, baseDelay: 10 });
+
+      expect(result).toBe('success');
+      expect(mockFn).toHaveBeenCalledTimes(2);
+    });
+
+    it('should wait for the Retry-After delay instead of the backoff', async () => {
+      const mockFn = jest.fn()
+        .mockRejectedValueOnce(rateLimited('0.05'))
+        .mockResolvedValue('success');
+
+      await retryWithExponentialBackoff(mockFn, { maxAttempts: 2, baseDelay: 1, maxDelay: 1000 });
+
+      expect(console.log).toHaveBeenCalledWith('Attempt 1 failed, retrying in 50ms...');
+    });
+
+    it('should cap Retry-After at maxDelay', async () => {
+      const mockFn = jest.fn()
+        .mockRejectedValueOnce(rateLimited('120'))
+        .mockResolvedValue('success');
+
+      await retryWithExponentialBackoff(mockFn, { maxAttempts: 2, baseDelay: 1, maxDelay: 20 });
+
+      expect(console.log).toHaveBeenCalledWith('Attempt 1 failed, retrying in 20ms...');
+    });
+  });
+
+  describe('deadlines, timeouts and cancellation', () => {
+    const serverError = () => ({ response: { status: 500 } });
+    const hang = ({ signal }) => new Promise(() => {
+      expect(signal.aborted).toBe(false);
+    });
+
+    it('should pass the attempt number and a signal to each attempt', async () => {
+      const mockFn = jest.fn()
+        .mockRejectedValueOnce(serverError())
+        .mockResolvedValue('success');
+
+      await retryWithExponentialBackoff(mockFn, { maxAttempts: 2, baseDelay: 1 });
+
+      expect(mockFn).toHaveBeenNthCalledWith(1, { attempt: 1, signal: expect.any(AbortSignal) });
+      expect(mockFn).toHaveBeenNthCalledWith(2, { attempt: 2, signal: expect.any(AbortSignal) });
+    });
+
+    it('should time out a hanging attempt, abort its signal and retry', async () => {
+      let firstSignal;
+      const mockFn = jest.fn()
+        .mockImplementationOnce(({ signal }) => {
+          firstSignal = signal;
+          return new Promise(() => {});
+        })
+        .mockResolvedValue('success');
+
+      const result = await retryWithExponentialBackoff(mockFn, { maxAttempts: 2, baseDelay: 1, attemptTimeout: 20 });
+
+      expect(result).toBe('success');
+      expect(firstSignal.aborted).toBe(true);
+      expect(firstSignal.reason).toMatchObject({ code: 'ETIMEDOUT' });
+    });
+
+    it('should fail with ETIMEDOUT when every attempt times out', async () => {
+      const mockFn = jest.fn(hang);
+
+      await expect(retryWithExponentialBackoff(mockFn, { maxAttempts: 2, baseDelay: 1, attemptTimeout: 10 }))
+        .rejects.toMatchObject({ code: 'ETIMEDOUT', message: 'Attempt 2 timed out after 10ms' });
+      expect(mockFn).toHaveBeenCalledTimes(2);
+    });
+
+    it('should give up without waiting when the next delay would pass the deadline', async () => {
+      const error = serverError();
+      const mockFn = jest.fn().mockRejectedValue(error);
+      const startedAt = Date.now();
+
+      const result = await retryWithExponentialBackoff(mockFn, { maxAttempts: 3, baseDelay: 5000, deadline: 1000 })
+        .catch(e => e);
+
+      expect(result).toMatchObject({ code: 'EDEADLINE', message: 'Retry deadline of 1000ms exceeded' });
+      expect(result.cause).toBe(error);
+      expect(mockFn).toHaveBeenCalledTimes(1);
+      expect(Date.now() - startedAt).toBeLessThan(1000);
+    });
+
+    it('should cut an attempt short at the deadline', async () => {
+      const mockFn = jest.fn(hang);
+
+      await expect(retryWithExponentialBackoff(mockFn, { maxAttempts: 3, attemptTimeout: 5000, deadline: 20 }))
+        .rejects.toMatchObject({ code: 'EDEADLINE' });
+      expect(mockFn).toHaveBeenCalledTimes(1);
+    });
+
+    it('should abort the attempt in progress when the signal aborts', async () => {
+      const controller = new AbortController();
+      let attemptSignal;
+      const mockFn = jest.fn(({ signal }) => {
+        attemptSignal = signal;
+        setTimeout(() => controller.abort(), 10);
+        return new Promise(() => {});
+      });
+
+      await expect(retryWithExponentialBackoff(mockFn, { maxAttempts: 3, signal: controller.signal }))
+        .rejects.toMatchObject({ name: 'AbortError' });
+      expect(attemptSignal.aborted).toBe(true);
+      expect(mockFn).toHaveBeenCalledTimes(1);
+    });
+
+    it('should abort the delay between attempts when the signal aborts', async () => {
+      const controller = new AbortController();
+      const mockFn = jest.fn().mockRejectedValue(serverError());
+      const startedAt = Date.now();
+      setTimeout(() => controller.abort(), 10);
+
+      await expect(retryWithExponentialBackoff(mockFn, { maxAttempts: 3, baseDelay: 5000, signal: controller.signal }))
+        .rejects.toMatchObject({ name: 'AbortError' });
+      expect(mockFn).toHaveBeenCalledTimes(1);
+      expect(Date.now() - startedAt).toBeLessThan(5000);
+    });
+
+    it('should not start when the signal is already aborted', async () => {
+      const controller = new AbortController();
+      controller.abort();
+      const mockFn = jest.fn();
+
+      await expect(retryWithExponentialBackoff(mockFn, { signal: controller.signal }))
+        .rejects.toMatchObject({ name: 'AbortError' });
+      expect(mockFn).not.toHaveBeenCalled();
+    });
+
+    it('should reject a sleep with the abort reason', async () => {
+      const controller = new AbortController();
+      const reason = new Error('stop');
+      setTimeout(() => controller.abort(reason), 10);
+
+      await expect(sleep(5000, controller.signal)).rejects.toBe(reason);
+    });
+  });
+
+  describe('parseRetryAfter', () => {
+    it('should parse delays in seconds', () => {
+      expect(parseRetryAfter('3')).toBe(3000);
+      expect(parseRetryAfter(0)).toBe(0);
+    });
+
+    it('should parse HTTP dates relative to now', () => {
+      const now = Date.parse('Wed, 21 Oct 2025 07:28:00 GMT');
+      jest.spyOn(Date, 'now').mockReturnValue(now);
+
+      expect(parseRetryAfter('Wed, 21 Oct 2025 07:28:30 GMT')).toBe(30000);
+      expect(parseRetryAfter('Wed, 21 Oct 2025 07:27:00 GMT')).toBe(0);
+    });
+
+    it('should ignore missing or invalid values', () => {
+      expect(parseRetryAfter(undefined)).toBeNull();
+      expect(parseRetryAfter('')).toBeNull();
+      expect(parseRetryAfter('soon')).toBeNull();
+    });
+  });
+
+  describe('computeDelay', () => {
+    const params = { baseDelay: 100, maxDelay: 1000 };
+
+    it('should double the delay without jitter, up to maxDelay', () => {
+      expect(computeDelay({ ...params, attempt: 1, jitter: 'none' })).toBe(100);
+      expect(computeDelay({ ...params, attempt: 3, jitter: 'none' })).toBe(400);
+      expect(computeDelay({ ...params, attempt: 6, jitter: 'none' })).toBe(1000);
+    });
+
+    it('should pick anywhere up to the exponential delay with full jitter', () => {
+      jest.spyOn(Math, 'random').mockReturnValue(0.5);
+      expect(computeDelay({ ...params, attempt: 3, jitter: 'full' })).toBe(200);
+
+      Math.random.mockReturnValue(0);
+      expect(computeDelay({ ...params, attempt: 3, jitter: 'full' })).toBe(0);
+    });
+
+    it('should keep at least half the exponential delay with equal jitter', () => {
+      jest.spyOn(Math, 'random').mockReturnValue(0);
+      expect(computeDelay({ ...params, attempt: 3, jitter: 'equal' })).toBe(200);
+
+      Math.random.mockReturnValue(0.5);
+      expect(computeDelay({ ...params, attempt: 3, jitter: 'equal' })).toBe(300);
+    });
+
+    it('should grow from the previous delay with decorrelated jitter', () => {
+      jest.spyOn(Math, 'random').mockReturnValue(0.5);
+
+      expect(computeDelay({ ...params, attempt: 1, jitter: 'decorrelated', previousDelay: 0 })).toBe(200);
+      expect(computeDelay({ ...params, attempt: 2, jitter: 'decorrelated', previousDelay: 200 })).toBe(350);
+      expect(computeDelay({ ...params, attempt: 3, jitter: 'decorrelated', previousDelay: 900 })).toBe(1000);
+    });
+
+    it('should reject unknown strategies before the first attempt', async () => {
+      const mockFn = jest.fn();
+
+      await expect(retryWithExponentialBackoff(mockFn, { jitter: 'random' }))
+        .rejects.toThrow('Unknown jitter strategy: random');
+      expect(mockFn).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('lifecycle hooks', () => {
+    const serverError = () => ({ response: { status: 503 }, message: 'unavailable' });
+
+    it('should report each retry and the final success', async () => {
+      const error = serverError();
+      const onRetry = jest.fn();
+      const onSuccess = jest.fn();
+      const onGiveUp = jest.fn();
+      const mockFn = jest.fn()
+        .mockRejectedValueOnce(error)
+        .mockResolvedValue('success');
+
+      await retryWithExponentialBackoff(mockFn, { maxAttempts: 3, baseDelay: 5, onRetry, onSuccess, onGiveUp });
+
+      expect(onRetry).toHaveBeenCalledTimes(1);
+      expect(onRetry).toHaveBeenCalledWith({
+        attempt: 1,
+        delayMs: 5,
+        error,
+        classification: 'server_error',
+        elapsedMs: expect.any(Number),
+        totalDelayMs: 0
+      });
+      expect(onSuccess).toHaveBeenCalledWith({ attempt: 2, elapsedMs: expect.any(Number), totalDelayMs: 5 });
+      expect(onSuccess.mock.calls[0][0].elapsedMs).toBeGreaterThanOrEqual(5);
+      expect(onGiveUp).not.toHaveBeenCalled();
+    });
+
+    it('should report giving up once attempts are exhausted', async () => {
+      const onGiveUp = jest.fn();
+      const onSuccess = jest.fn();
+      const mockFn = jest.fn().mockRejectedValue(serverError());
+
+      await expect(retryWithExponentialBackoff(mockFn, { maxAttempts: 2, baseDelay: 1, onGiveUp, onSuccess }))
+        .rejects.toMatchObject({ response: { status: 503 } });
+
+      expect(onGiveUp).toHaveBeenCalledTimes(1);
+      expect(onGiveUp).toHaveBeenCalledWith(expect.objectContaining({ attempt: 2, classification: 'server_error', totalDelayMs: 1 }));
+      expect(onSuccess).not.toHaveBeenCalled();
+    });
+
+    it('should report giving up on errors that are not retried', async () => {
+      const onGiveUp = jest.fn();
+      const onRetry = jest.fn();
+      const mockFn = jest.fn().mockRejectedValue({ response: { status: 404 } });
+
+      await expect(retryWithExponentialBackoff(mockFn, { onGiveUp, onRetry })).rejects.toBeDefined();
+
+      expect(onRetry).not.toHaveBeenCalled();
+      expect(onGiveUp).toHaveBeenCalledWith(expect.objectContaining({ attempt: 1, classification: 'client_error' }));
+    });
+
+    it('should report giving up when aborted between attempts', async () => {
+      const controller = new AbortController();
+      const onGiveUp = jest.fn();
+      const mockFn = jest.fn().mockRejectedValue(serverError());
+      setTimeout(() => controller.abort(), 10);
+
+      await expect(retryWithExponentialBackoff(mockFn, { baseDelay: 5000, signal: controller.signal, onGiveUp }))
+        .rejects.toMatchObject({ name: 'AbortError' });
+
+      expect(onGiveUp).toHaveBeenCalledWith(expect.objectContaining({ attempt: 1, classification: 'aborted' }));
+    });
+
+    it('should keep retrying when a hook throws', async () => {
+      const mockFn = jest.fn()
+        .mockRejectedValueOnce(serverError())
+        .mockResolvedValue('success');
+      const onRetry = () => { throw new Error('broken hook'); };
+
+      await expect(retryWithExponentialBackoff(mockFn, { baseDelay: 1, onRetry })).resolves.toBe('success');
+      expect(console.error).toHaveBeenCalledWith('Retry onRetry hook failed:', 'broken hook');
+    });
+
+    it('should replace the default retry log with a custom onRetry', async () => {
+      const mockFn = jest.fn()
+        .mockRejectedValueOnce(serverError())
+        .mockResolvedValue('success');
+
+      await retryWithExponentialBackoff(mockFn, { baseDelay: 1, onRetry: jest.fn() });
+
+      expect(console.log).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('classifyError', () => {
+    it.each([
+      [Object.assign(new Error('aborted'), { name: 'AbortError' }), 'aborted'],
+      [{ code: 'EDEADLINE' }, 'deadline'],
+      [{ code: 'ETIMEDOUT' }, 'timeout'],
+      [{ code: 'ECONNABORTED' }, 'timeout'],
+      [{ code: 'ECIRCUITOPEN' }, 'circuit_open'],
+      [{ code: 'ENOTFOUND' }, 'network'],
+      [{ code: 'ECONNRESET' }, 'network'],
+      [{ response: { status: 429 } }, 'rate_limited'],
+      [{ response: { status: 502 } }, 'server_error'],
+      [{ response: { status: 401 } }, 'client_error'],
+      [new Error('something else'), 'unknown']
+    ])('should classify %o as %s', (error, classification) => {
+      expect(classifyError(error)).toBe(classification);
+    });
+  });
+
+  describe('retry metrics', () => {
+    it('should leave counting retries to the onRetry hook', async () => {
+      registry.reset();
+      const onRetry = jest.fn();
+      const mockFn = jest.fn()
+        .mockRejectedValueOnce({ code: 'ECONNRESET' })
+        .mockResolvedValueOnce('success');
+
+      await retryWithExponentialBackoff(mockFn, { baseDelay: 1, operation: 'test-op', onRetry });
+
+      // The weather service counts these as weather_upstream_retries_total, so a second counter would double them
+      expect(onRetry).toHaveBeenCalledTimes(1);
+      expect(await registry.render()).not.toContain('retry_attempts_total');
+    });
+  });
 });
@@ -0,0 +1,149 @@
+/**
+ * Tests for the retry budget
+ */
+
+const { RetryBudget } = require('../../../src/utils/retryBudget');
+const { retryWithExponentialBackoff } = require('../../../src/utils/retry');
+
+describe('Retry Budget', () => {
+  let budget;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: 1700000000000 });
+    budget = new RetryBudget({ name: 'test', ratio: 0.1, minRetriesPerSecond: 1, maxTokens: 5 });
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('should start with a full bucket', () => {
+    expect(budget.getState()).toEqual({
+      ratio: 0.1,
+      minRetriesPerSecond: 1,
+      maxTokens: 5,
+      availableTokens: 5,
+      calls: 0,
+      retriesAllowed: 0,
+      retriesRejected: 0
+    });
+  });
+
+  it('should reject retries once the tokens run out', () => {
+    for (let i = 0; i < 5; i++) {
+      expect(budget.tryAcquire()).toBe(true);
+    }
+
+    expect(budget.tryAcquire()).toBe(false);
+    expect(budget.getState()).toMatchObject({ availableTokens: 0, retriesAllowed: 5, retriesRejected: 1 });
+  });
+
+  it('should earn one retry for every ten calls', () => {
+    budget = new RetryBudget({ ratio: 0.1, minRetriesPerSecond: 0, maxTokens: 5 });
+    while (budget.tryAcquire()) { /* drain */ }
+
+    for (let i = 0; i < 9; i++) {
+      budget.recordCall();
+    }
+    expect(budget.tryAcquire()).toBe(false);
+
+    budget.recordCall();
+    expect(budget.tryAcquire()).toBe(true);
+    expect(budget.tryAcquire()).toBe(false);
+  });
+
+  it('should refill at the minimum rate while traffic is quiet', () => {
+    while (budget.tryAcquire()) { /* drain */ }
+
+    jest.advanceTimersByTime(999);
+    expect(budget.tryAcquire()).toBe(false);
+
+    jest.advanceTimersByTime(1);
+    expect(budget.tryAcquire()).toBe(true);
+  });
+
+  it('should never hold more than maxTokens', () => {
+    for (let i = 0; i < 1000; i++) {
+      budget.recordCall();
+    }
+    jest.advanceTimersByTime(60000);
+
+    expect(budget.getState()).toMatchObject({ availableTokens: 5, calls: 1000 });
+  });
+
+  it('should refill and forget counts on reset', () => {
+    budget.recordCall();
+    while (budget.tryAcquire()) { /* drain */ }
+
+    budget.reset();
+
+    expect(budget.getState()).toMatchObject({ availableTokens: 5, calls: 0, retriesAllowed: 0, retriesRejected: 0 });
+  });
+
+  describe('with retryWithExponentialBackoff', () => {
+    const serverError = () => ({ response: { status: 503 } });
+
+    it('should count every call and spend a token per retry', async () => {
+      const mockFn = jest.fn()
+        .mockRejectedValueOnce(serverError())
+        .mockResolvedValue('success');
+
+      const result = retryWithExponentialBackoff(mockFn, { baseDelay: 100, budget });
+      await jest.advanceTimersByTimeAsync(100);
+
+      await expect(result).resolves.toBe('success');
+      expect(budget.getState()).toMatchObject({ calls: 1, retriesAllowed: 1, retriesRejected: 0 });
+    });
+
+    it('should give up without waiting when the budget is empty', async () => {
+      budget = new RetryBudget({ ratio: 0, minRetriesPerSecond: 0, maxTokens: 0 });
+      const error = serverError();
+      const mockFn = jest.fn().mockRejectedValue(error);
+      const onGiveUp = jest.fn();
+
+      await expect(retryWithExponentialBackoff(mockFn, { baseDelay: 100, budget, onGiveUp })).rejects.toBe(error);
+
+      expect(mockFn).toHaveBeenCalledTimes(1);
+      expect(onGiveUp).toHaveBeenCalledWith(expect.objectContaining({ attempt: 1, totalDelayMs: 0 }));
+      expect(budget.getState().retriesRejected).toBe(1);
+    });
+
+    it('should limit a storm of failing calls to the share of retries they earned', async () => {
+      budget = new RetryBudget({ ratio: 0.1, minRetriesPerSecond: 0, maxTokens: 10 });
+      while (budget.tryAcquire()) { /* drain */ }
+      const mockFn = jest.fn().mockRejectedValue(serverError());
+
+      // Fifty failing calls at once, each allowed up to two retries
+      const calls = Array.from({ length: 50 }, () =>
+        retryWithExponentialBackoff(mockFn, { maxAttempts: 3, baseDelay: 100, budget }).catch(() => {}));
+      await jest.advanceTimersByTimeAsync(1000);
+      await Promise.all(calls);
+
+      // Fifty first attempts plus the five retries they earned, instead of a hundred retries
+      expect(mockFn).toHaveBeenCalledTimes(55);
+      expect(budget.getState()).toMatchObject({ calls: 50, availableTokens: 0 });
+    });
+
+    it('should not let more burst retries through than the bucket holds', async () => {
+      budget = new RetryBudget({ ratio: 0.1, minRetriesPerSecond: 0, maxTokens: 2 });
+      const mockFn = jest.fn().mockRejectedValue(serverError());
+
+      const calls = Array.from({ length: 50 }, () =>
+        retryWithExponentialBackoff(mockFn, { maxAttempts: 3, baseDelay: 100, budget }).catch(() => {}));
+      await jest.advanceTimersByTimeAsync(1000);
+      await Promise.all(calls);
+
+      // The calls arrive together, so the tokens they earn overflow the already full bucket
+      expect(mockFn).toHaveBeenCalledTimes(52);
+      expect(budget.getState()).toMatchObject({ retriesAllowed: 2 });
+    });
+
+    it('should not spend a token on errors that are not retried', async () => {
+      const mockFn = jest.fn().mockRejectedValue({ response: { status: 404 } });
+
+      await expect(retryWithExponentialBackoff(mockFn, { budget })).rejects.toBeDefined();
+
+      expect(budget.getState()).toMatchObject({ availableTokens: 5, retriesAllowed: 0 });
+    });
+  });
+});
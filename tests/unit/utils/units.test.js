@@ -0,0 +1,89 @@
+/**
+ * Tests for unit conversion helpers
+ */
+
+const {
+  getUnitLabels,
+  convertTemperature,
+  convertWindSpeed,
+  convertUnits
+} = require('../../../src/utils/units');
+
+describe('Unit helpers', () => {
+  describe('getUnitLabels', () => {
+    it.each([
+      ['metric', '°C', 'm/s'],
+      ['imperial', '°F', 'mph'],
+      ['standard', 'K', 'm/s']
+    ])('should label %s units', (units, temperature, windSpeed) => {
+      expect(getUnitLabels(units)).toEqual({ system: units, temperature, windSpeed, pressure: 'hPa', visibility: 'm' });
+    });
+  });
+
+  describe('convertTemperature', () => {
+    it('should convert to whole degrees Fahrenheit', () => {
+      expect(convertTemperature(0, 'imperial')).toBe(32);
+      expect(convertTemperature(-40, 'imperial')).toBe(-40);
+      expect(convertTemperature(21, 'imperial')).toBe(70);
+    });
+
+    it('should convert to kelvin', () => {
+      expect(convertTemperature(15, 'standard')).toBe(288.15);
+      expect(convertTemperature(-273.15, 'standard')).toBe(0);
+    });
+
+    it('should leave metric temperatures and missing values alone', () => {
+      expect(convertTemperature(15, 'metric')).toBe(15);
+      expect(convertTemperature(null, 'imperial')).toBeNull();
+    });
+  });
+
+  describe('convertWindSpeed', () => {
+    it('should convert to miles per hour for imperial units only', () => {
+      expect(convertWindSpeed(4.5, 'imperial')).toBe(10.1);
+      expect(convertWindSpeed(4.5, 'standard')).toBe(4.5);
+      expect(convertWindSpeed(undefined, 'imperial')).toBeUndefined();
+    });
+  });
+
+  describe('convertUnits', () => {
+    const weather = {
+      city: 'London',
+      temperature: { current: 15, feelsLike: 13, min: 12, max: 17 },
+      pressure: 1013,
+      wind: { speed: 3.5, direction: 230 },
+      stale: true
+    };
+
+    it('should return metric data unchanged', () => {
+      expect(convertUnits(weather, 'metric')).toBe(weather);
+    });
+
+    it('should convert current weather without changing the original', () => {
+      expect(convertUnits(weather, 'imperial')).toEqual({
+        city: 'London',
+        temperature: { current: 59, feelsLike: 55, min: 54, max: 63 },
+        pressure: 1013,
+        wind: { speed: 7.8, direction: 230 },
+        stale: true
+      });
+      expect(weather.temperature.current).toBe(15);
+    });
+
+    it('should convert hourly and daily forecast entries', () => {
+      const forecast = {
+        city: 'London',
+        interval: '3h',
+        entries: [
+          { time: '2025-01-15T00:00:00.000Z', temperature: 10, feelsLike: 8, wind: { speed: 2, direction: 90 } },
+          { date: '2025-01-16', temperature: { min: 5, max: 10 }, description: 'rain' }
+        ]
+      };
+
+      expect(convertUnits(forecast, 'standard').entries).toEqual([
+        { time: '2025-01-15T00:00:00.000Z', temperature: 283.15, feelsLike: 281.15, wind: { speed: 2, direction: 90 } },
+        { date: '2025-01-16', temperature: { min: 278.15, max: 283.15 }, description: 'rain' }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Tests for the request schema rules
+ */
+
+const {
+  rule,
+  string,
+  number,
+  integer,
+  oneOf,
+  boolean,
+  array,
+  validateFields,
+  describeErrors
+} = require('../../../src/validation/schema');
+
+describe('Schema', () => {
+  describe('rules', () => {
+    it.each([
+      ['string', string(), ' London ', { value: 'London' }],
+      ['string', string(), ['London', 'Paris'], { error: 'must be a single string' }],
+      ['string', string({ minLength: 2, maxLength: 5 }), ' L ', { error: 'must be between 2 and 5 characters' }],
+      ['string', string({ pattern: /^[a-z]+$/, patternDetail: 'must be lowercase' }), 'ABC', { error: 'must be lowercase' }],
+      ['number', number({ min: -90, max: 90 }), '-45.5', { value: -45.5 }],
+      ['number', number({ min: -90, max: 90 }), 48.85, { value: 48.85 }],
+      ['number', number({ min: -90, max: 90 }), '90.1', { error: 'must be a number between -90 and 90' }],
+      ['number', number({ min: -90, max: 90 }), 'Infinity', { error: 'must be a number between -90 and 90' }],
+      ['integer', integer({ max: 16 }), '16', { value: 16 }],
+      ['integer', integer(), 2643743, { value: 2643743 }],
+      ['integer', integer({ max: 16 }), '1e1', { error: 'must be an integer between 1 and 16' }],
+      ['integer', integer(), '0', { error: 'must be an integer of at least 1' }],
+      ['integer', integer(), 2.5, { error: 'must be an integer of at least 1' }],
+      ['oneOf', oneOf(['3h', 'daily']), 'daily', { value: 'daily' }],
+      ['oneOf', oneOf(['3h', 'daily']), 'weekly', { error: 'must be one of 3h, daily' }],
+      ['boolean', boolean(), 'true', { value: true }],
+      ['boolean', boolean(), false, { value: false }],
+      ['boolean', boolean(), 'yes', { error: 'must be true or false' }],
+      ['array', array({ minItems: 1, maxItems: 2 }), ['a'], { value: ['a'] }],
+      ['array', array({ minItems: 1, maxItems: 2, itemName: 'cities' }), [], { error: 'must be an array of 1 to 2 cities' }]
+    ])('%s should turn %#', (name, fieldRule, value, result) => {
+      expect(fieldRule.parse(value)).toEqual(result);
+    });
+  });
+
+  describe('validateFields', () => {
+    const fields = {
+      city: string({ required: true }),
+      days: integer({ default: 5 }),
+      lang: rule(value => (value === 'fr' ? { value } : { error: 'must be fr' }))
+    };
+
+    it('should coerce the fields and fill in defaults', () => {
+      expect(validateFields(fields, { city: 'Paris ', lang: 'fr' })).toEqual({
+        values: { city: 'Paris', days: 5, lang: 'fr' },
+        errors: []
+      });
+    });
+
+    it('should treat empty values as absent', () => {
+      expect(validateFields(fields, { city: '', days: '' })).toEqual({
+        values: { days: 5 },
+        errors: [{ name: 'city', detail: 'is required' }]
+      });
+    });
+
+    it('should report every unknown and invalid field', () => {
+      const { errors } = validateFields(fields, { city: 'Paris', days: '0', lang: 'de', units: 'metric' });
+
+      expect(errors).toEqual([
+        { name: 'units', detail: 'is not allowed' },
+        { name: 'days', detail: 'must be an integer of at least 1' },
+        { name: 'lang', detail: 'must be fr' }
+      ]);
+    });
+  });
+
+  describe('describeErrors', () => {
+    it('should name each field in one sentence', () => {
+      expect(describeErrors([
+        { name: 'lat', detail: 'must be a number between -90 and 90' },
+        { name: 'lon', detail: 'is required' }
+      ])).toBe('lat must be a number between -90 and 90; lon is required');
+    });
+  });
+});